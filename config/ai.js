@@ -0,0 +1,127 @@
+require('dotenv').config();
+
+// Modelos gratuitos da OpenRouter usados quando o modelo principal fica sem créditos (402)
+const DEFAULT_FREE_OPENROUTER_MODELS = [
+  'meta-llama/llama-3.3-70b-instruct:free',
+  'google/gemini-2.0-flash-exp:free',
+  'nvidia/llama-3.1-nemotron-ultra-253b-v1:free',
+  'google/gemma-3-27b-it:free',
+  'qwen/qwq-32b:free',
+  'deepseek/deepseek-chat-v3-0324:free',
+  'google/gemini-2.5-pro-exp-03-25:free',
+  'mistralai/mistral-small-3.1-24b-instruct:free',
+  'meta-llama/llama-4-maverick:free',
+  'meta-llama/llama-4-scout:free'
+];
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const FREE_OPENROUTER_MODELS = parseList(process.env.AI_FREE_MODELS).length > 0
+  ? parseList(process.env.AI_FREE_MODELS)
+  : DEFAULT_FREE_OPENROUTER_MODELS;
+
+// Configuração dos provedores disponíveis no registro (services/llmProviders.js)
+const PROVIDERS = {
+  openrouter: {
+    baseUrl: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+    apiKey: process.env.OPENROUTER_API_KEY,
+    defaultModel: 'anthropic/claude-3.5-sonnet',
+    headers: {
+      'HTTP-Referer': 'https://esquerdai.com',
+      'X-Title': 'EsquerdaGPT - Assistente IA Progressista'
+    }
+  },
+  together: {
+    baseUrl: process.env.TOGETHER_BASE_URL || 'https://api.together.xyz/v1',
+    apiKey: process.env.TOGETHER_API_KEY,
+    defaultModel: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo'
+  },
+  // Qualquer servidor compatível com a API da OpenAI (llama.cpp, Ollama, vLLM...)
+  local: {
+    baseUrl: process.env.AI_LOCAL_BASE_URL,
+    apiKey: process.env.AI_LOCAL_API_KEY,
+    defaultModel: process.env.AI_LOCAL_MODEL || 'llama3.1',
+    requiresApiKey: false
+  },
+  // Provedor determinístico, sem rede, para testes e desenvolvimento offline
+  mock: {
+    defaultModel: 'mock-1',
+    response: process.env.AI_MOCK_RESPONSE
+  }
+};
+
+// Preços em USD por 1 milhão de tokens (entrada/saída). Pode ser sobrescrito com
+// AI_PRICE_TABLE (JSON no mesmo formato). Modelos ":free" e provedores local/mock custam zero.
+const DEFAULT_PRICE_TABLE = {
+  'anthropic/claude-3.5-sonnet': { input: 3, output: 15 },
+  'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo': { input: 0.18, output: 0.18 },
+  default: { input: 1, output: 3 }
+};
+
+function parsePriceTable(value) {
+  if (!value) return DEFAULT_PRICE_TABLE;
+  try {
+    return { ...DEFAULT_PRICE_TABLE, ...JSON.parse(value) };
+  } catch (error) {
+    console.warn('⚠️ AI_PRICE_TABLE inválida, usando tabela padrão:', error.message);
+    return DEFAULT_PRICE_TABLE;
+  }
+}
+
+// Ordem padrão de fallback: Claude -> gratuitos da OpenRouter (apenas em 402) -> Together -> local
+const DEFAULT_CHAIN = [
+  { provider: 'openrouter', models: ['anthropic/claude-3.5-sonnet'] },
+  { provider: 'openrouter', models: FREE_OPENROUTER_MODELS, onStatus: [402] },
+  { provider: 'together', models: ['meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo'] },
+  { provider: 'local' }
+];
+
+// AI_PROVIDER_CHAIN aceita JSON (mesmo formato de DEFAULT_CHAIN) ou uma lista
+// de provedores separados por vírgula, ex.: "local,mock" ou "openrouter:openai/gpt-4o-mini,mock"
+function parseChain(value) {
+  if (!value) return DEFAULT_CHAIN;
+
+  try {
+    if (value.trim().startsWith('[')) {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed) && parsed.length > 0) return parsed;
+    }
+  } catch (error) {
+    console.warn('⚠️ AI_PROVIDER_CHAIN inválida, usando cadeia padrão:', error.message);
+    return DEFAULT_CHAIN;
+  }
+
+  const steps = parseList(value).map(entry => {
+    const [provider, ...modelParts] = entry.split(':');
+    const model = modelParts.join(':');
+    return model ? { provider, models: [model] } : { provider };
+  });
+
+  return steps.length > 0 ? steps : DEFAULT_CHAIN;
+}
+
+module.exports = {
+  PROVIDERS,
+  FREE_OPENROUTER_MODELS,
+  PROVIDER_CHAIN: parseChain(process.env.AI_PROVIDER_CHAIN),
+  PRICE_TABLE: parsePriceTable(process.env.AI_PRICE_TABLE),
+  FREE_PROVIDERS: ['local', 'mock'],
+  REQUEST_TIMEOUT_MS: parseInt(process.env.AI_REQUEST_TIMEOUT_MS || '25000'),
+  STREAM_IDLE_TIMEOUT_MS: parseInt(process.env.AI_STREAM_IDLE_TIMEOUT_MS || '25000'),
+  // Prazo total de uma chamada ao dispatcher somando todas as tentativas
+  DISPATCH_DEADLINE_MS: parseInt(process.env.AI_DISPATCH_DEADLINE_MS || '60000'),
+  // Saúde dos modelos e circuit breaker (services/modelHealth.js)
+  HEALTH_WINDOW_SIZE: parseInt(process.env.AI_HEALTH_WINDOW_SIZE || '20'),
+  CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '3'),
+  CIRCUIT_COOLDOWN_MS: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS || '300000'),
+  DEFAULT_MAX_TOKENS: parseInt(process.env.AI_MAX_TOKENS || '500'),
+  DEFAULT_TEMPERATURE: 0.7,
+  // Contexto multi-turno do EsquerdaGPT (services/conversationContext.js)
+  CONTEXT_TOKEN_BUDGET: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET || '2000'),
+  CONTEXT_SUMMARY_MAX_TOKENS: parseInt(process.env.AI_CONTEXT_SUMMARY_MAX_TOKENS || '300'),
+  CONTEXT_MAX_TURNS: parseInt(process.env.AI_CONTEXT_MAX_TURNS || '50'),
+  parseChain
+};
@@ -0,0 +1,79 @@
+require('dotenv').config();
+
+// Funcionalidades com cota por plano. As chaves são as mesmas usadas pelo frontend em /api/user/usage-stats.
+const FEATURES = {
+  ai_chat: 'Conversas com o EsquerdaGPT',
+  ai_creative: 'IA Criativa',
+  fake_news: 'Análises de fake news',
+  political_agents: 'Conversas com agentes políticos'
+};
+
+// Cotas por plano e funcionalidade. `limit: -1` = ilimitado, `limit: 0` = não incluído no plano.
+// `window` define quando a cota é renovada: 'day' (00:00 UTC) ou 'month' (dia 1, 00:00 UTC).
+// Os números dos planos pagos seguem o que é anunciado em routes/payments.js.
+const DEFAULT_PLAN_ENTITLEMENTS = {
+  gratuito: {
+    ai_chat: { limit: 10, window: 'day' },
+    ai_creative: { limit: 0, window: 'day' },
+    fake_news: { limit: 10, window: 'month' },
+    political_agents: { limit: 5, window: 'month' }
+  },
+  engajado: {
+    ai_chat: { limit: 50, window: 'day' },
+    ai_creative: { limit: 20, window: 'day' },
+    fake_news: { limit: 5, window: 'day' },
+    political_agents: { limit: 3, window: 'day' }
+  },
+  lider: {
+    ai_chat: { limit: 100, window: 'day' },
+    ai_creative: { limit: 50, window: 'day' },
+    fake_news: { limit: 10, window: 'day' },
+    political_agents: { limit: -1, window: 'day' }
+  },
+  supremo: {
+    ai_chat: { limit: -1, window: 'day' },
+    ai_creative: { limit: -1, window: 'day' },
+    fake_news: { limit: 20, window: 'day' },
+    political_agents: { limit: -1, window: 'day' }
+  }
+};
+
+// Nomes legados de plano ainda presentes em registros antigos e no usuário de desenvolvimento
+const PLAN_ALIASES = {
+  free: 'gratuito',
+  premium: 'supremo'
+};
+
+// PLAN_ENTITLEMENTS (JSON) sobrescreve cotas específicas, ex: {"engajado":{"fake_news":{"limit":8}}}
+function parsePlanEntitlements(value) {
+  if (!value) return DEFAULT_PLAN_ENTITLEMENTS;
+  try {
+    const overrides = JSON.parse(value);
+    const merged = {};
+    for (const plan of new Set([...Object.keys(DEFAULT_PLAN_ENTITLEMENTS), ...Object.keys(overrides)])) {
+      merged[plan] = { ...DEFAULT_PLAN_ENTITLEMENTS[plan] };
+      for (const [feature, entry] of Object.entries(overrides[plan] || {})) {
+        merged[plan][feature] = { window: 'day', ...merged[plan][feature], ...entry };
+      }
+    }
+    return merged;
+  } catch (error) {
+    console.warn('⚠️ PLAN_ENTITLEMENTS inválida, usando cotas padrão:', error.message);
+    return DEFAULT_PLAN_ENTITLEMENTS;
+  }
+}
+
+// Limites de frequência por usuário, independentes do plano, para rotas que chamam a IA fora
+// das cotas acima. `windowMinutes` é uma janela deslizante contada a partir de agora.
+const RATE_LIMITS = {
+  agent_sandbox: { limit: parseInt(process.env.AGENT_SANDBOX_RATE_LIMIT) || 30, windowMinutes: 60 },
+  agent_evaluation: { limit: parseInt(process.env.AGENT_EVAL_DAILY_RUNS) || 10, windowMinutes: 24 * 60 }
+};
+
+module.exports = {
+  FEATURES,
+  RATE_LIMITS,
+  PLAN_ALIASES,
+  DEFAULT_PLAN: 'gratuito',
+  PLAN_ENTITLEMENTS: parsePlanEntitlements(process.env.PLAN_ENTITLEMENTS)
+};
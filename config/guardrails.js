@@ -0,0 +1,52 @@
+require('dotenv').config();
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Política de saída padrão. Cada regra tem padrões (regex, sem diferenciar maiúsculas e acentos)
+// e uma ação: 'block' substitui a resposta inteira, 'redact' apaga apenas o trecho.
+const DEFAULT_OUTPUT_POLICY = {
+  redactPii: true,
+  rules: [
+    {
+      name: 'incitacao_violencia',
+      action: 'block',
+      patterns: [
+        '\\b(mat(e|em|ar)|execut(e|em|ar)|elimin(e|em|ar)|agred(a|am|ir))\\s+(o|a|os|as)\\s+(presidente|ministr[oa]s?|juiz(es)?|juiza|deputad[oa]s?|senador(a|es)?|vereador(a|es)?|governador(a|es)?|prefeit[oa]s?)'
+      ]
+    },
+    {
+      name: 'ruptura_democratica',
+      action: 'block',
+      patterns: ['intervencao militar ja', '\\bfechar o (stf|congresso)\\b', '\\banular as eleicoes\\b']
+    }
+  ]
+};
+
+function parseOutputPolicy(value) {
+  if (!value) return DEFAULT_OUTPUT_POLICY;
+  try {
+    return { ...DEFAULT_OUTPUT_POLICY, ...JSON.parse(value) };
+  } catch (error) {
+    console.warn('⚠️ GUARDRAIL_OUTPUT_POLICY inválida, usando política padrão:', error.message);
+    return DEFAULT_OUTPUT_POLICY;
+  }
+}
+
+module.exports = {
+  // Remove CPF, telefone e e-mail antes de enviar mensagens a provedores de terceiros
+  REDACT_PII: process.env.GUARDRAIL_REDACT_PII !== 'false',
+  // Provedores que rodam na nossa infraestrutura e recebem o texto original
+  TRUSTED_PROVIDERS: parseList(process.env.GUARDRAIL_TRUSTED_PROVIDERS || 'local,mock'),
+  // Funcionalidades em que tentativas de prompt injection são verificadas
+  INJECTION_FEATURES: parseList(process.env.GUARDRAIL_INJECTION_FEATURES || 'agent_chat'),
+  // 'flag' reforça as instruções e registra para moderação; 'block' recusa sem chamar o modelo
+  INJECTION_ACTION: process.env.GUARDRAIL_INJECTION_ACTION === 'block' ? 'block' : 'flag',
+  OUTPUT_POLICY: parseOutputPolicy(process.env.GUARDRAIL_OUTPUT_POLICY),
+  // Caracteres retidos no streaming até que o trecho seguinte confirme que não há violação
+  STREAM_HOLDBACK: parseInt(process.env.GUARDRAIL_STREAM_HOLDBACK) || 120,
+  BLOCKED_RESPONSE: process.env.GUARDRAIL_BLOCKED_RESPONSE ||
+    'Não posso ajudar com esse pedido. Vamos manter a conversa dentro do respeito, da democracia e dos direitos de todas as pessoas.'
+};
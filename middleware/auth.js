@@ -161,7 +161,8 @@ const authenticateUser = async (req, res, next) => {
       email: dbUser.email,
       username: dbUser.username || user.email.split('@')[0],
       full_name: dbUser.full_name || user.user_metadata?.full_name || user.email.split('@')[0],
-      role: roleFromAuth || dbUser.role || (isAdminByEmail ? 'admin' : 'user')
+      role: roleFromAuth || dbUser.role || (isAdminByEmail ? 'admin' : 'user'),
+      plan: dbUser.subscription_plan || dbUser.plan || 'gratuito'
     };
     
     console.log('🔍 Final user role:', req.user.role);
@@ -256,7 +257,8 @@ const optionalAuthenticateUser = async (req, res, next) => {
       email: user.email,
       role: dbUser.role || 'user',
       name: dbUser.name,
-      avatar_url: dbUser.avatar_url
+      avatar_url: dbUser.avatar_url,
+      plan: dbUser.subscription_plan || dbUser.plan || 'gratuito'
     };
     
     console.log('🔍 Final user role:', req.user.role);
@@ -0,0 +1,97 @@
+const { consumeEntitlement, releaseEntitlementUsage } = require('../services/entitlements');
+
+// Middleware para rotas com cota por plano. Deve vir depois da autenticação.
+// Bloqueia com 403 quando a funcionalidade não faz parte do plano e 429 quando a cota acabou.
+// Um uso é reservado antes da rota (conferência e registro atômicos no banco) e devolvido se a
+// resposta falhar (status >= 400) ou se a rota marcar res.locals.skipEntitlementUsage (ex.:
+// resposta de fallback). Rotas que fazem várias análises numa requisição reservam os usos extras
+// antes de começar, com req.entitlementUsage (ver createUsageReservation), e ao final devolvem o
+// que não usaram. Sem como consultar a cota, a requisição é recusada (503).
+const requireEntitlement = (feature) => async (req, res, next) => {
+  let reservation;
+  try {
+    const userId = req.user?.id;
+    const metadata = { path: req.originalUrl, method: req.method };
+    reservation = await consumeEntitlement(userId, req.user?.plan, feature, { metadata });
+    const { entitlement } = reservation;
+
+    if (entitlement.limit === 0) {
+      console.log(`🔒 ${feature} não incluído no plano ${entitlement.plan}`);
+      return res.status(403).json({
+        error: 'Funcionalidade não disponível no seu plano',
+        entitlement
+      });
+    }
+
+    if (!reservation.granted) {
+      console.log(`🚫 Cota de ${feature} esgotada para usuário ${userId}`);
+      return res.status(429).json({
+        error: 'Limite de uso do plano atingido',
+        entitlement
+      });
+    }
+
+    req.entitlement = entitlement;
+    const usage = createUsageReservation(req, feature, metadata, reservation.usageIds);
+    req.entitlementUsage = usage;
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || res.locals.skipEntitlementUsage) {
+        usage.settle(0);
+      }
+    });
+  } catch (error) {
+    console.error('Entitlement middleware error:', error);
+    return res.status(503).json({ error: 'Não foi possível verificar a cota do seu plano. Tente novamente em instantes.' });
+  }
+
+  next();
+};
+
+// Usos reservados de uma requisição, a partir do reservado pelo middleware.
+// reserveUpTo(total) tenta chegar a `total` usos com a mesma reserva atômica do middleware;
+// se a cota não comporta tudo, reserva o que ainda resta. Retorna quantos usos estão reservados.
+// settle(count) mantém só `count` usos e devolve os demais.
+function createUsageReservation(req, feature, metadata, initialIds) {
+  // Sem usuário não há registros de uso (ids vazio), mas a contagem segue a mesma
+  let ids = [...initialIds];
+  let reserved = 1;
+
+  const reserve = async (amount) => {
+    const result = await consumeEntitlement(req.user?.id, req.user?.plan, feature, { amount, metadata });
+    if (result.granted) {
+      ids = [...ids, ...result.usageIds];
+      reserved += amount;
+    }
+    return result;
+  };
+
+  return {
+    get reserved() {
+      return reserved;
+    },
+    async reserveUpTo(total) {
+      const wanted = total - reserved;
+      if (wanted <= 0) return reserved;
+
+      const attempt = await reserve(wanted);
+      // A cota não comporta tudo: reserva o que resta nela
+      const remaining = attempt.entitlement.remaining;
+      if (!attempt.granted && remaining > 0) {
+        await reserve(remaining);
+      }
+      return reserved;
+    },
+    async settle(count) {
+      const kept = Math.max(0, Math.min(count, reserved));
+      const released = ids.slice(ids.length - (reserved - kept));
+      ids = ids.slice(0, ids.length - released.length);
+      reserved = kept;
+      await releaseEntitlementUsage(released);
+    }
+  };
+}
+
+module.exports = {
+  requireEntitlement
+};
@@ -0,0 +1,39 @@
+const { consumeRateLimit } = require('../services/entitlements');
+
+// Registra a tentativa no limite de frequência `key` (config RATE_LIMITS) e, acima do limite,
+// responde 429; sem como conferir o limite, 503. Retorna false quando a resposta já foi enviada.
+// Rotas que só devem contar pedidos válidos chamam direto, depois das validações.
+async function checkRateLimit(req, res, key) {
+  try {
+    const result = await consumeRateLimit(req.user?.id, key, {
+      metadata: { path: req.originalUrl, method: req.method }
+    });
+
+    if (!result.granted) {
+      console.log(`🚫 Limite de ${key} atingido para usuário ${req.user?.id}`);
+      res.status(429).json({
+        error: `Muitas requisições. O limite é de ${result.limit} a cada ${result.windowMinutes} minutos; tente novamente mais tarde.`,
+        limit: result.limit,
+        windowMinutes: result.windowMinutes
+      });
+      return false;
+    }
+  } catch (error) {
+    console.error('Rate limit middleware error:', error);
+    res.status(503).json({ error: 'Não foi possível verificar o limite de uso. Tente novamente em instantes.' });
+    return false;
+  }
+
+  return true;
+}
+
+// Middleware de limite de frequência por usuário. Deve vir depois da autenticação. Toda
+// tentativa aceita conta, mesmo que a rota falhe depois.
+const rateLimit = (key) => async (req, res, next) => {
+  if (await checkRateLimit(req, res, key)) next();
+};
+
+module.exports = {
+  rateLimit,
+  checkRateLimit
+};
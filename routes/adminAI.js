@@ -0,0 +1,297 @@
+const express = require('express');
+const { authenticateUser, authenticateAdmin } = require('../middleware/auth');
+const modelHealth = require('../services/modelHealth');
+const { listProviders } = require('../services/llmProviders');
+const { getUsageReport } = require('../services/aiUsageLedger');
+const { CREATIVE_TYPES, DEFAULT_TEMPLATES } = require('../services/creativeAI');
+const { supabase } = require('../config/supabase');
+const router = express.Router();
+
+// Middleware para autenticação de admin
+router.use(authenticateUser);
+router.use(authenticateAdmin);
+
+// Helper para período padrão (últimos 30 dias)
+function getPeriod(startDate, endDate) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+// Saúde dos modelos de IA (taxa de sucesso, latência, último erro, circuito)
+router.get('/models/health', async (req, res) => {
+  try {
+    const { provider } = req.query;
+    let models = modelHealth.listModelHealth();
+
+    if (provider) {
+      models = models.filter(m => m.provider === provider);
+    }
+
+    models.sort((a, b) => b.successRate - a.successRate);
+
+    res.json({
+      success: true,
+      data: {
+        providers: listProviders(),
+        models,
+        circuitsOpen: models.filter(m => m.circuitOpen).length
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao buscar saúde dos modelos:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Resetar saúde de um modelo, de um provedor ou de todos (fecha os circuitos)
+router.post('/models/health/reset', async (req, res) => {
+  try {
+    const { provider, model } = req.body || {};
+
+    if (model && !provider) {
+      return res.status(400).json({ error: 'Informe o provedor junto com o modelo' });
+    }
+
+    const reset = modelHealth.resetModelHealth(provider, model);
+    console.log(`🔧 Saúde de modelos resetada por ${req.user.email}:`, { provider, model, reset });
+
+    res.json({
+      success: true,
+      reset,
+      message: 'Saúde dos modelos resetada com sucesso'
+    });
+  } catch (error) {
+    console.error('Erro ao resetar saúde dos modelos:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Relatório de gastos de IA por funcionalidade, modelo, plano e dia
+router.get('/usage/report', async (req, res) => {
+  try {
+    const { start_date, end_date, feature, plan } = req.query;
+    const period = getPeriod(start_date, end_date);
+
+    const report = await getUsageReport({
+      startDate: period.start,
+      endDate: period.end,
+      feature,
+      plan
+    });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Erro ao gerar relatório de uso de IA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Lançamentos individuais do ledger de uso de IA
+router.get('/usage/entries', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, start_date, end_date, feature, plan, model, user_id } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+    const period = getPeriod(start_date, end_date);
+
+    let query = supabase
+      .from('ai_usage_ledger')
+      .select('*', { count: 'exact' })
+      .gte('created_at', period.start)
+      .lte('created_at', period.end)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (feature) query = query.eq('feature', feature);
+    if (plan) query = query.eq('plan', plan);
+    if (model) query = query.eq('model', model);
+    if (user_id) query = query.eq('user_id', user_id);
+
+    const { data: entries, error, count } = await query;
+
+    if (error) {
+      console.error('Erro ao buscar lançamentos do ledger de IA:', error);
+      return res.status(500).json({ error: 'Erro ao buscar lançamentos' });
+    }
+
+    res.json({
+      success: true,
+      data: entries || [],
+      pagination: {
+        page: pageNum,
+        pages: Math.ceil((count || 0) / limitNum),
+        limit: limitNum,
+        total: count || 0
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar ledger de IA:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Modelos da IA Criativa (um ou mais por tipo; o marcado como padrão é usado quando o usuário não escolhe)
+router.get('/creative-templates', async (req, res) => {
+  try {
+    const { type, is_active } = req.query;
+
+    let query = supabase
+      .from('creative_templates')
+      .select('*')
+      .order('type')
+      .order('updated_at', { ascending: false });
+
+    if (type) query = query.eq('type', type);
+    if (is_active !== undefined) query = query.eq('is_active', is_active === 'true');
+
+    const { data: templates, error } = await query;
+
+    if (error) {
+      console.error('Erro ao buscar modelos da IA Criativa:', error);
+      return res.status(500).json({ error: 'Erro ao buscar modelos' });
+    }
+
+    res.json({
+      success: true,
+      data: templates || [],
+      types: CREATIVE_TYPES,
+      builtIn: DEFAULT_TEMPLATES
+    });
+  } catch (error) {
+    console.error('Erro ao listar modelos da IA Criativa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Garante um único modelo padrão por tipo
+async function clearDefaultTemplate(type, exceptId) {
+  let query = supabase
+    .from('creative_templates')
+    .update({ is_default: false })
+    .eq('type', type)
+    .eq('is_default', true);
+
+  if (exceptId) query = query.neq('id', exceptId);
+
+  const { error } = await query;
+  if (error) {
+    console.warn('⚠️ Erro ao desmarcar modelo padrão anterior:', error.message);
+  }
+}
+
+router.post('/creative-templates', async (req, res) => {
+  try {
+    const { type, name, description, system_prompt, prompt_template, is_default = false, is_active = true } = req.body || {};
+
+    if (!type || !name || !prompt_template) {
+      return res.status(400).json({ error: 'Tipo, nome e prompt_template são obrigatórios' });
+    }
+    if (!CREATIVE_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Tipo inválido', valid_types: CREATIVE_TYPES });
+    }
+    if (!prompt_template.includes('{{prompt}}')) {
+      return res.status(400).json({ error: 'prompt_template deve conter o placeholder {{prompt}}' });
+    }
+
+    if (is_default) {
+      await clearDefaultTemplate(type);
+    }
+
+    const { data: template, error } = await supabase
+      .from('creative_templates')
+      .insert({
+        type,
+        name,
+        description: description || null,
+        system_prompt: system_prompt || null,
+        prompt_template,
+        is_default: Boolean(is_default),
+        is_active: Boolean(is_active),
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao criar modelo da IA Criativa:', error);
+      return res.status(500).json({ error: 'Erro ao criar modelo' });
+    }
+
+    console.log(`✅ Modelo da IA Criativa criado por ${req.user.email}:`, template.id);
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    console.error('Erro ao criar modelo da IA Criativa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.put('/creative-templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const allowedFields = ['name', 'description', 'system_prompt', 'prompt_template', 'is_default', 'is_active'];
+    const updates = {};
+    for (const field of allowedFields) {
+      if (req.body?.[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (updates.prompt_template !== undefined && !String(updates.prompt_template).includes('{{prompt}}')) {
+      return res.status(400).json({ error: 'prompt_template deve conter o placeholder {{prompt}}' });
+    }
+
+    const { data: existing, error: findError } = await supabase
+      .from('creative_templates')
+      .select('id, type')
+      .eq('id', id)
+      .single();
+
+    if (findError || !existing) {
+      return res.status(404).json({ error: 'Modelo não encontrado' });
+    }
+
+    if (updates.is_default) {
+      await clearDefaultTemplate(existing.type, id);
+    }
+
+    const { data: template, error } = await supabase
+      .from('creative_templates')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao atualizar modelo da IA Criativa:', error);
+      return res.status(500).json({ error: 'Erro ao atualizar modelo' });
+    }
+
+    res.json({ success: true, data: template });
+  } catch (error) {
+    console.error('Erro ao atualizar modelo da IA Criativa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.delete('/creative-templates/:id', async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('creative_templates')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) {
+      console.error('Erro ao excluir modelo da IA Criativa:', error);
+      return res.status(500).json({ error: 'Erro ao excluir modelo' });
+    }
+
+    res.json({ success: true, message: 'Modelo excluído com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir modelo da IA Criativa:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const { authenticateUser, authenticateAdmin } = require('../middleware/auth');
+const { supabase } = require('../config/supabase');
+const {
+  VERDICTS,
+  normalizeVerdict,
+  normalizeEntry,
+  parseCsv,
+  searchKnowledgeBase
+} = require('../services/factCheckKnowledge');
+const router = express.Router();
+
+// Middleware para autenticação de admin
+router.use(authenticateUser);
+router.use(authenticateAdmin);
+
+const MAX_IMPORT_ENTRIES = 1000;
+
+// Listar checagens da base (busca por texto, veredito e status)
+router.get('/', async (req, res) => {
+  try {
+    const { search, verdict, active, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = supabase
+      .from('fact_check_entries')
+      .select('*', { count: 'exact' });
+
+    if (search) {
+      query = query.or(`claim.ilike.%${search}%,summary.ilike.%${search}%`);
+    }
+    if (verdict) {
+      query = query.eq('verdict', normalizeVerdict(verdict) || verdict);
+    }
+    if (active !== undefined) {
+      query = query.eq('is_active', active === 'true');
+    }
+
+    const { data, error, count } = await query
+      .order('checked_at', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar checagens:', error);
+      return res.status(500).json({ error: 'Erro ao buscar checagens' });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar checagens:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Testar a busca: checagens que seriam incluídas na análise de um texto
+router.get('/search', async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Texto para busca é obrigatório' });
+    }
+
+    const matches = await searchKnowledgeBase(q, { limit: Math.min(parseInt(limit) || 5, 20) });
+    res.json({ success: true, data: matches });
+  } catch (error) {
+    console.error('Erro ao buscar na base de checagens:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Importação em lote: { entries: [...] }, { json: '[...]' } ou { csv: '...' }
+// Colunas do CSV: claim, verdict, summary, sources (separadas por | ou ;), checked_at, tags
+router.post('/import', async (req, res) => {
+  try {
+    const { entries, json, csv } = req.body || {};
+
+    let rows;
+    try {
+      if (Array.isArray(entries)) {
+        rows = entries;
+      } else if (typeof json === 'string') {
+        rows = JSON.parse(json);
+      } else if (typeof csv === 'string') {
+        rows = parseCsv(csv);
+      }
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Arquivo inválido', details: parseError.message });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'Envie entries, json ou csv com ao menos uma checagem' });
+    }
+    if (rows.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({ error: `Máximo de ${MAX_IMPORT_ENTRIES} checagens por importação` });
+    }
+
+    const valid = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+      const { entry, error } = normalizeEntry(row || {});
+      if (error) {
+        errors.push({ row: index + 1, error });
+      } else {
+        valid.push({
+          ...entry,
+          is_active: true,
+          created_by: req.user.id,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        });
+      }
+    });
+
+    let imported = 0;
+    if (valid.length > 0) {
+      const { data, error } = await supabase
+        .from('fact_check_entries')
+        .insert(valid)
+        .select('id');
+
+      if (error) {
+        console.error('Erro ao importar checagens:', error);
+        return res.status(500).json({ error: 'Erro ao importar checagens', details: error.message });
+      }
+      imported = data?.length || 0;
+    }
+
+    res.status(imported > 0 ? 201 : 400).json({
+      success: imported > 0,
+      imported,
+      rejected: errors.length,
+      errors
+    });
+  } catch (error) {
+    console.error('Erro na importação de checagens:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Detalhes de uma checagem
+router.get('/:id', async (req, res) => {
+  try {
+    const { data: entry, error } = await supabase
+      .from('fact_check_entries')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Erro ao buscar checagem:', error);
+      return res.status(500).json({ error: 'Erro ao buscar checagem' });
+    }
+    if (!entry) {
+      return res.status(404).json({ error: 'Checagem não encontrada' });
+    }
+
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Erro ao buscar checagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Criar checagem
+router.post('/', async (req, res) => {
+  try {
+    const { entry, error: validationError } = normalizeEntry(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError, verdicts: VERDICTS });
+    }
+
+    const { data, error } = await supabase
+      .from('fact_check_entries')
+      .insert({
+        ...entry,
+        is_active: req.body.is_active !== false,
+        created_by: req.user.id,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao criar checagem:', error);
+      return res.status(500).json({ error: 'Erro ao criar checagem' });
+    }
+
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    console.error('Erro ao criar checagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Atualizar checagem (campos omitidos são mantidos)
+router.put('/:id', async (req, res) => {
+  try {
+    const { data: current, error: findError } = await supabase
+      .from('fact_check_entries')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (findError) {
+      console.error('Erro ao buscar checagem:', findError);
+      return res.status(500).json({ error: 'Erro ao buscar checagem' });
+    }
+    if (!current) {
+      return res.status(404).json({ error: 'Checagem não encontrada' });
+    }
+
+    const { entry, error: validationError } = normalizeEntry({ ...current, ...req.body });
+    if (validationError) {
+      return res.status(400).json({ error: validationError, verdicts: VERDICTS });
+    }
+
+    const { data, error } = await supabase
+      .from('fact_check_entries')
+      .update({
+        ...entry,
+        is_active: req.body.is_active !== undefined ? Boolean(req.body.is_active) : current.is_active,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao atualizar checagem:', error);
+      return res.status(500).json({ error: 'Erro ao atualizar checagem' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Erro ao atualizar checagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Excluir checagem
+router.delete('/:id', async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('fact_check_entries')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) {
+      console.error('Erro ao excluir checagem:', error);
+      return res.status(500).json({ error: 'Erro ao excluir checagem' });
+    }
+
+    res.json({ success: true, message: 'Checagem excluída com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir checagem:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { authenticateUser, authenticateAdmin } = require('../middleware/auth');
+const { supabase } = require('../config/supabase');
+const { VERDICTS, normalizeVerdict } = require('../services/factCheckKnowledge');
+const { loadClaims } = require('../services/fakeNewsClaims');
+const { refreshCluster } = require('../services/rumorClusters');
+const {
+  INITIAL_REPUTATION,
+  getReviewer,
+  loadReviews,
+  summarizeReviews,
+  resolveCheck
+} = require('../services/communityReviews');
+const router = express.Router();
+
+// Middleware para autenticação de admin
+router.use(authenticateUser);
+router.use(authenticateAdmin);
+
+const REVIEWER_STATUSES = ['ativo', 'suspenso'];
+
+// Listar revisores da comunidade (ordenados por reputação)
+router.get('/reviewers', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = supabase
+      .from('fake_news_reviewers')
+      .select('*, users!fake_news_reviewers_user_id_fkey(email, full_name, username)', { count: 'exact' });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query
+      .order('reputacao', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar revisores:', error);
+      return res.status(500).json({ error: 'Erro ao buscar revisores' });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar revisores:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Incluir usuário no programa de revisores ou alterar status/reputação de um revisor
+router.put('/reviewers/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status, reputacao } = req.body || {};
+
+    if (status !== undefined && !REVIEWER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status inválido. Use: ${REVIEWER_STATUSES.join(', ')}` });
+    }
+    if (reputacao !== undefined && !(Number.isInteger(reputacao) && reputacao >= 0 && reputacao <= 100)) {
+      return res.status(400).json({ error: 'Reputação deve ser um inteiro de 0 a 100' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    const current = await getReviewer(userId);
+    const now = new Date().toISOString();
+    const query = current
+      ? supabase
+        .from('fake_news_reviewers')
+        .update({
+          ...(status !== undefined ? { status } : {}),
+          ...(reputacao !== undefined ? { reputacao } : {}),
+          updated_at: now
+        })
+        .eq('user_id', userId)
+      : supabase
+        .from('fake_news_reviewers')
+        .insert({
+          user_id: userId,
+          status: status || 'ativo',
+          reputacao: reputacao ?? INITIAL_REPUTATION,
+          revisoes_enviadas: 0,
+          revisoes_confirmadas: 0,
+          revisoes_rejeitadas: 0,
+          aprovado_por: req.user.id,
+          created_at: now,
+          updated_at: now
+        });
+
+    const { data, error } = await query.select().single();
+    if (error) {
+      console.error('Erro ao salvar revisor:', error);
+      return res.status(500).json({ error: 'Erro ao salvar revisor' });
+    }
+
+    res.status(current ? 200 : 201).json({ success: true, data });
+  } catch (error) {
+    console.error('Erro ao salvar revisor:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Fila de moderação: verificações contestadas pelos revisores, das mais antigas para as mais novas
+router.get('/queue', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const { data: checks, error, count } = await supabase
+      .from('fake_news_checks')
+      .select('*', { count: 'exact' })
+      .eq('moderacao_pendente', true)
+      .order('contestada_em', { ascending: true })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar fila de moderação:', error);
+      return res.status(500).json({ error: 'Erro ao buscar fila de moderação' });
+    }
+
+    const claimsByCheck = await loadClaims((checks || []).map(check => check.id));
+    const data = [];
+    for (const check of checks || []) {
+      const reviews = await loadReviews(check.id);
+      data.push({
+        ...check,
+        afirmacoes: claimsByCheck.get(check.id) || [],
+        revisoes: reviews,
+        resumo_revisoes: summarizeReviews(check, reviews)
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar fila de moderação:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Decisão da moderação sobre uma verificação (contestada ou não): fixa o veredito final
+// e atualiza a reputação dos revisores que a revisaram
+router.post('/checks/:id/resolve', async (req, res) => {
+  try {
+    const resultado = normalizeVerdict(req.body?.resultado);
+    if (!resultado) {
+      return res.status(400).json({ error: `Veredito inválido. Use: ${VERDICTS.join(', ')}` });
+    }
+
+    const { data: check, error: findError } = await supabase
+      .from('fake_news_checks')
+      .select('id, resultado, situacao, cluster_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (findError || !check) {
+      return res.status(404).json({ error: 'Verificação não encontrada' });
+    }
+
+    const result = await resolveCheck(check, {
+      resultado,
+      notas: req.body.notas,
+      moderatorId: req.user.id
+    });
+
+    if (check.cluster_id) {
+      await refreshCluster(check.cluster_id);
+    }
+
+    console.log(`✅ Verificação ${check.id} moderada: IA=${check.resultado}, final=${resultado}`);
+    res.json({
+      success: true,
+      resultado_ia: check.resultado,
+      ...result
+    });
+  } catch (error) {
+    console.error('Erro ao moderar verificação:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { authenticateUser } = require('../middleware/auth');
+const { indexPolitician, getKnowledgeStatus } = require('../services/politicianKnowledge');
+const { recordInitialVersion } = require('../services/agentPrompts');
 const router = express.Router();
 
 // Middleware para verificar se é admin
@@ -197,6 +199,7 @@ Responda como este político responderia, mantendo coerência com suas posiçõe
         // Não falha a aprovação se houver erro na criação do agente
       } else {
         console.log(`🤖 Agente criado automaticamente para ${updatedPolitician.name} (Agent ID: ${newAgent.id})`);
+        await recordInitialVersion(newAgent, req.user);
       }
     } catch (agentCreationError) {
       console.error('Erro na criação automática do agente:', agentCreationError);
@@ -311,6 +314,32 @@ router.get('/:id', authenticateUser, requireAdmin, async (req, res) => {
   }
 });
 
+// Situação do índice do plano de governo e dos posts do político usado pelo agente
+router.get('/:id/knowledge', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const status = await getKnowledgeStatus(req.params.id);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Erro ao buscar índice do político:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Reindexar plano de governo (texto e PDF) e posts publicados do político
+router.post('/:id/knowledge/reindex', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const stats = await indexPolitician(req.params.id);
+    if (!stats) {
+      return res.status(404).json({ error: 'Político não encontrado' });
+    }
+
+    res.json({ success: true, data: stats, message: 'Plano de governo e publicações indexados' });
+  } catch (error) {
+    console.error('Erro ao indexar plano do político:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Estatísticas de aprovação
 router.get('/stats/approval', authenticateUser, requireAdmin, async (req, res) => {
   try {
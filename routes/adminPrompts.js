@@ -0,0 +1,481 @@
+const express = require('express');
+const { authenticateUser, authenticateAdmin } = require('../middleware/auth');
+const { DEFAULT_PROMPTS } = require('../config/prompts');
+const { extractVariables, invalidatePrompt, getPromptStats } = require('../services/promptRegistry');
+const { supabase } = require('../config/supabase');
+const router = express.Router();
+
+// Middleware para autenticação de admin
+router.use(authenticateUser);
+router.use(authenticateAdmin);
+
+async function findPrompt(key) {
+  const { data: prompt, error } = await supabase
+    .from('prompts')
+    .select('*')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) throw error;
+  return prompt;
+}
+
+async function findVersion(promptId, versionNumber) {
+  const { data: version, error } = await supabase
+    .from('prompt_versions')
+    .select('*')
+    .eq('prompt_id', promptId)
+    .eq('version', parseInt(versionNumber))
+    .maybeSingle();
+
+  if (error) throw error;
+  return version;
+}
+
+// Cria o registro do prompt no banco (para chaves padrão, herda nome e variáveis do código)
+async function createPrompt({ key, name, description, variables }, userId) {
+  const fallback = DEFAULT_PROMPTS[key] || {};
+  const { data: prompt, error } = await supabase
+    .from('prompts')
+    .insert({
+      key,
+      name: name || fallback.name || key,
+      description: description || fallback.description || null,
+      variables: Array.isArray(variables) ? variables : (fallback.variables || []),
+      candidate_traffic: 0,
+      created_by: userId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return prompt;
+}
+
+// Placeholders do texto que o código não fornece para este prompt
+function unknownVariables(prompt, content) {
+  const declared = prompt.variables || [];
+  return extractVariables(content).filter(name => !declared.includes(name));
+}
+
+async function createVersion(prompt, { content, note }, userId) {
+  const { data: latest } = await supabase
+    .from('prompt_versions')
+    .select('version')
+    .eq('prompt_id', prompt.id)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  const { data: version, error } = await supabase
+    .from('prompt_versions')
+    .insert({
+      prompt_id: prompt.id,
+      version: (latest?.[0]?.version || 0) + 1,
+      content,
+      note: note || null,
+      created_by: userId,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return version;
+}
+
+// Publica a versão. O histórico (published_history) guarda as versões substituídas, em ordem;
+// no rollback (`restoring`) a versão restaurada sai do topo em vez de a atual entrar nele.
+async function publishVersion(prompt, version, { restoring = false } = {}) {
+  const history = prompt.published_history || [];
+  const updates = {
+    published_version_id: version.id,
+    updated_at: new Date().toISOString()
+  };
+  if (restoring) {
+    updates.published_history = history.slice(0, -1);
+  } else if (prompt.published_version_id && prompt.published_version_id !== version.id) {
+    updates.published_history = [...history, prompt.published_version_id];
+  }
+  // Publicar a versão candidata encerra o teste A/B
+  if (prompt.candidate_version_id === version.id) {
+    updates.candidate_version_id = null;
+    updates.candidate_traffic = 0;
+  }
+
+  const { data: updated, error } = await supabase
+    .from('prompts')
+    .update(updates)
+    .eq('id', prompt.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await supabase
+    .from('prompt_versions')
+    .update({ published_at: new Date().toISOString() })
+    .eq('id', version.id);
+
+  invalidatePrompt(prompt.key);
+  return updated;
+}
+
+// Listar prompts (registrados no banco e padrões do código ainda sem versão no banco)
+router.get('/', async (req, res) => {
+  try {
+    const { data: prompts, error } = await supabase
+      .from('prompts')
+      .select('*')
+      .order('key');
+
+    if (error) {
+      console.error('Erro ao buscar prompts:', error);
+      return res.status(500).json({ error: 'Erro ao buscar prompts' });
+    }
+
+    const registered = new Set((prompts || []).map(p => p.key));
+    const defaults = Object.entries(DEFAULT_PROMPTS)
+      .filter(([key]) => !registered.has(key))
+      .map(([key, prompt]) => ({
+        key,
+        name: prompt.name,
+        description: prompt.description,
+        variables: prompt.variables,
+        source: 'default'
+      }));
+
+    res.json({
+      success: true,
+      data: [...(prompts || []).map(p => ({ ...p, source: 'database' })), ...defaults]
+    });
+  } catch (error) {
+    console.error('Erro ao listar prompts:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Detalhes de um prompt com todas as versões
+router.get('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const prompt = await findPrompt(key);
+    const fallback = DEFAULT_PROMPTS[key] || null;
+
+    if (!prompt && !fallback) {
+      return res.status(404).json({ error: 'Prompt não encontrado' });
+    }
+
+    let versions = [];
+    if (prompt) {
+      const { data, error } = await supabase
+        .from('prompt_versions')
+        .select('*')
+        .eq('prompt_id', prompt.id)
+        .order('version', { ascending: false });
+
+      if (error) {
+        console.error('Erro ao buscar versões do prompt:', error);
+        return res.status(500).json({ error: 'Erro ao buscar versões' });
+      }
+      versions = data || [];
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...(prompt || { key, name: fallback.name, description: fallback.description, variables: fallback.variables }),
+        source: prompt ? 'database' : 'default',
+        default_content: fallback?.content || null,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao buscar prompt:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Criar um novo prompt com a versão 1
+router.post('/', async (req, res) => {
+  try {
+    const { key, name, description, variables, content, note, publish = false } = req.body || {};
+
+    if (!key || !content) {
+      return res.status(400).json({ error: 'Chave e conteúdo são obrigatórios' });
+    }
+    if (!/^[a-z0-9_]+$/.test(key)) {
+      return res.status(400).json({ error: 'A chave deve conter apenas letras minúsculas, números e _' });
+    }
+    if (await findPrompt(key)) {
+      return res.status(409).json({ error: 'Já existe um prompt com essa chave' });
+    }
+
+    const prompt = await createPrompt({ key, name, description, variables }, req.user.id);
+    const unknown = unknownVariables(prompt, content);
+    if (unknown.length > 0) {
+      await supabase.from('prompts').delete().eq('id', prompt.id);
+      return res.status(400).json({ error: 'Variáveis não suportadas por este prompt', unknown_variables: unknown });
+    }
+
+    const version = await createVersion(prompt, { content, note }, req.user.id);
+    const saved = publish ? await publishVersion(prompt, version) : prompt;
+
+    console.log(`✅ Prompt ${key} criado por ${req.user.email}`);
+    res.status(201).json({ success: true, data: { ...saved, versions: [version] } });
+  } catch (error) {
+    console.error('Erro ao criar prompt:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Nova versão (rascunho, ou publicada direto com publish: true)
+router.post('/:key/versions', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { content, note, publish = false } = req.body || {};
+
+    if (!content) {
+      return res.status(400).json({ error: 'Conteúdo é obrigatório' });
+    }
+
+    let prompt = await findPrompt(key);
+    if (!prompt) {
+      if (!DEFAULT_PROMPTS[key]) {
+        return res.status(404).json({ error: 'Prompt não encontrado' });
+      }
+      prompt = await createPrompt({ key }, req.user.id);
+    }
+
+    const unknown = unknownVariables(prompt, content);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Variáveis não suportadas por este prompt', unknown_variables: unknown });
+    }
+
+    const version = await createVersion(prompt, { content, note }, req.user.id);
+    if (publish) {
+      await publishVersion(prompt, version);
+    }
+
+    console.log(`📝 Versão ${version.version} do prompt ${key} criada por ${req.user.email}`);
+    res.status(201).json({ success: true, data: version, published: Boolean(publish) });
+  } catch (error) {
+    console.error('Erro ao criar versão do prompt:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Publicar uma versão
+router.post('/:key/publish', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { version: versionNumber } = req.body || {};
+
+    if (!versionNumber) {
+      return res.status(400).json({ error: 'Versão é obrigatória' });
+    }
+
+    const prompt = await findPrompt(key);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt não encontrado' });
+    }
+
+    const version = await findVersion(prompt.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+
+    const updated = await publishVersion(prompt, version);
+    console.log(`🚀 Prompt ${key} v${version.version} publicado por ${req.user.email}`);
+
+    res.json({ success: true, data: updated, published_version: version.version });
+  } catch (error) {
+    console.error('Erro ao publicar versão do prompt:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Voltar para a versão publicada anteriormente (sem versão anterior, volta ao padrão do código)
+router.post('/:key/rollback', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const prompt = await findPrompt(key);
+
+    if (!prompt || !prompt.published_version_id) {
+      return res.status(400).json({ error: 'Prompt não possui versão publicada' });
+    }
+
+    const history = prompt.published_history || [];
+    let previous = null;
+    if (history.length > 0) {
+      const { data, error } = await supabase
+        .from('prompt_versions')
+        .select('*')
+        .eq('id', history[history.length - 1])
+        .maybeSingle();
+
+      if (error) {
+        console.error('Erro ao buscar histórico de publicação:', error);
+        return res.status(500).json({ error: 'Erro ao buscar histórico de publicação' });
+      }
+      previous = data;
+    }
+
+    if (!previous) {
+      if (!DEFAULT_PROMPTS[key]) {
+        return res.status(400).json({ error: 'Não há versão anterior para restaurar' });
+      }
+
+      const { error: clearError } = await supabase
+        .from('prompts')
+        .update({ published_version_id: null, published_history: [], updated_at: new Date().toISOString() })
+        .eq('id', prompt.id);
+
+      if (clearError) {
+        console.error('Erro ao reverter prompt para o padrão:', clearError);
+        return res.status(500).json({ error: 'Erro ao reverter prompt' });
+      }
+
+      invalidatePrompt(key);
+      console.log(`⏪ Prompt ${key} revertido para o padrão do código por ${req.user.email}`);
+      return res.json({ success: true, published_version: null, source: 'default' });
+    }
+
+    const updated = await publishVersion(prompt, previous, { restoring: true });
+    console.log(`⏪ Prompt ${key} revertido para v${previous.version} por ${req.user.email}`);
+
+    res.json({ success: true, data: updated, published_version: previous.version });
+  } catch (error) {
+    console.error('Erro ao reverter prompt:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Iniciar/ajustar teste A/B: `traffic` % dos usuários recebem a versão candidata
+router.put('/:key/experiment', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { version: versionNumber, traffic = 50 } = req.body || {};
+    const trafficPercent = parseInt(traffic);
+
+    if (!versionNumber) {
+      return res.status(400).json({ error: 'Versão candidata é obrigatória' });
+    }
+    if (isNaN(trafficPercent) || trafficPercent < 1 || trafficPercent > 99) {
+      return res.status(400).json({ error: 'traffic deve estar entre 1 e 99' });
+    }
+
+    const prompt = await findPrompt(key);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt não encontrado' });
+    }
+
+    const version = await findVersion(prompt.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+    if (version.id === prompt.published_version_id) {
+      return res.status(400).json({ error: 'A versão candidata deve ser diferente da publicada' });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('prompts')
+      .update({
+        candidate_version_id: version.id,
+        candidate_traffic: trafficPercent,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', prompt.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Erro ao configurar teste A/B:', error);
+      return res.status(500).json({ error: 'Erro ao configurar teste A/B' });
+    }
+
+    invalidatePrompt(key);
+    console.log(`🧪 Teste A/B do prompt ${key}: v${version.version} com ${trafficPercent}% do tráfego`);
+
+    res.json({ success: true, data: updated, candidate_version: version.version });
+  } catch (error) {
+    console.error('Erro ao configurar teste A/B:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Encerrar teste A/B sem publicar a candidata
+router.delete('/:key/experiment', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { error } = await supabase
+      .from('prompts')
+      .update({ candidate_version_id: null, candidate_traffic: 0, updated_at: new Date().toISOString() })
+      .eq('key', key);
+
+    if (error) {
+      console.error('Erro ao encerrar teste A/B:', error);
+      return res.status(500).json({ error: 'Erro ao encerrar teste A/B' });
+    }
+
+    invalidatePrompt(key);
+    res.json({ success: true, message: 'Teste A/B encerrado' });
+  } catch (error) {
+    console.error('Erro ao encerrar teste A/B:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Exposições e feedback atribuídos a cada versão
+router.get('/:key/stats', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const prompt = await findPrompt(key);
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt não encontrado' });
+    }
+
+    const versions = await getPromptStats(prompt.id, key);
+
+    res.json({
+      success: true,
+      data: {
+        key,
+        published_version_id: prompt.published_version_id,
+        candidate_version_id: prompt.candidate_version_id,
+        candidate_traffic: prompt.candidate_traffic,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao buscar estatísticas do prompt:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Remover prompt do banco (chaves padrão voltam a usar o texto do código)
+router.delete('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { error } = await supabase
+      .from('prompts')
+      .delete()
+      .eq('key', key);
+
+    if (error) {
+      console.error('Erro ao excluir prompt:', error);
+      return res.status(500).json({ error: 'Erro ao excluir prompt' });
+    }
+
+    invalidatePrompt(key);
+    console.log(`🗑️ Prompt ${key} excluído por ${req.user.email}`);
+    res.json({ success: true, message: 'Prompt excluído com sucesso' });
+  } catch (error) {
+    console.error('Erro ao excluir prompt:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,42 @@
 const express = require('express');
+const { randomUUID } = require('crypto');
 const { supabase } = require('../config/supabase');
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, optionalAuthenticateUser } = require('../middleware/auth');
+const { smartDispatcher, smartDispatcherStream } = require('../services/aiService');
+const { hasConfiguredProvider } = require('../services/llmProviders');
+const { wantsEventStream, openEventStream } = require('../services/sse');
+const { requireEntitlement } = require('../middleware/entitlements');
+const { checkRateLimit } = require('../middleware/rateLimit');
+const { withPromptVersions } = require('../services/promptRegistry');
+const { buildConversationContext } = require('../services/conversationContext');
+const { SESSION_COLUMNS, findSession, createSession, saveTurn } = require('../services/agentSessions');
+const { loadMemories, rememberFromMessage, formatMemoryContext } = require('../services/agentMemory');
+const { buildKnowledgeContext, passageReferences } = require('../services/politicianKnowledge');
+const { PERSONA_COLUMNS, getAgentPrompt } = require('../services/agentPersona');
+const { AGENT_PROMPT_COLUMNS, normalizePromptInput, recordInitialVersion, publishPrompt } = require('../services/agentPrompts');
+const {
+  MAX_QUESTIONS,
+  getEvaluationBudget,
+  QUESTION_COLUMNS,
+  RUN_SUMMARY_COLUMNS,
+  normalizeGoldenQuestion,
+  listGoldenQuestions,
+  findGoldenQuestion,
+  runEvaluation,
+  saveRun,
+  findRun
+} = require('../services/agentEvaluation');
+const {
+  publicDebateUrl,
+  normalizeDebateRequest,
+  loadDebateAgents,
+  participantSummary,
+  runDebate,
+  saveDebate,
+  findDebate,
+  publicDebate,
+  loadParticipants
+} = require('../services/agentDebate');
 const router = express.Router();
 
 // Listar agentes
@@ -49,6 +85,226 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Memória de longo prazo do usuário usada pelos agentes (cidade, temas já perguntados)
+router.get('/memory', authenticateUser, async (req, res) => {
+  try {
+    const memories = await loadMemories(req.user.id, { limit: 100 });
+    res.json({ success: true, data: memories });
+  } catch (error) {
+    console.error('Erro ao buscar memória dos agentes:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Esquecer um item da memória
+router.delete('/memory/:memoryId', authenticateUser, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('agent_user_memories')
+      .delete()
+      .eq('id', req.params.memoryId)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      console.error('Erro ao apagar memória:', error);
+      return res.status(500).json({ error: 'Erro ao apagar memória' });
+    }
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Memória não encontrada' });
+    }
+
+    res.json({ success: true, message: 'Memória apagada' });
+  } catch (error) {
+    console.error('Erro ao apagar memória:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Debate entre dois agentes sobre um tema: em cada rodada os dois falam, em ordem, e ao final
+// um moderador neutro pode resumir o debate. Cada fala gerada (e o resumo do moderador)
+// consome um uso de political_agents: um debate de N rodadas custa até 2N + 1 usos.
+router.post('/debate', authenticateUser, requireEntitlement('political_agents'), async (req, res) => {
+  try {
+    const request = normalizeDebateRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    // Os usos de todas as chamadas previstas são reservados antes de começar; o que não
+    // gerar resposta é devolvido ao final
+    const plannedCalls = request.rounds * 2 + (request.moderator ? 1 : 0);
+    const reserved = await req.entitlementUsage.reserveUpTo(plannedCalls);
+    if (reserved < plannedCalls) {
+      return res.status(429).json({
+        error: `Este debate usa ${plannedCalls} mensagens da sua cota e restam ${reserved}`,
+        entitlement: req.entitlement
+      });
+    }
+
+    const agents = await loadDebateAgents(request.agentIds);
+    if (!agents) {
+      return res.status(404).json({ error: 'Agente não encontrado ou inativo' });
+    }
+
+    if (!hasConfiguredProvider()) {
+      return res.status(503).json({ error: 'Debate indisponível no momento: nenhum provedor de IA configurado' });
+    }
+
+    const id = randomUUID();
+    const participants = agents.map(participantSummary);
+    const stream = wantsEventStream(req) ? openEventStream(res) : null;
+    if (stream) {
+      stream.send('start', { debate_id: id, tema: request.topic, rodadas: request.rounds, participantes: participants });
+    }
+
+    const result = await runDebate({
+      id,
+      userId: req.user.id,
+      plan: req.user.plan,
+      agents,
+      topic: request.topic,
+      rounds: request.rounds,
+      moderator: request.moderator,
+      signal: stream?.signal,
+      onTurn: stream ? (turn) => stream.send('turn', { rodada: turn.rodada, agent_id: turn.agent_id, nome: turn.nome, conteudo: turn.conteudo }) : null,
+      onModerator: stream ? (summary) => stream.send('moderator', { resumo: summary }) : null
+    });
+
+    // Só as chamadas ao modelo que geraram resposta consomem a cota
+    await req.entitlementUsage.settle(result.turnos.length + (result.resumo_moderador ? 1 : 0));
+
+    if (result.turnos.length === 0) {
+      if (stream) {
+        stream.send('error', { error: 'Não foi possível gerar o debate' });
+        return stream.close();
+      }
+      return res.status(502).json({ error: 'Não foi possível gerar o debate. Tente novamente em alguns minutos.' });
+    }
+
+    const debate = await saveDebate({
+      id,
+      user_id: req.user.id,
+      agent_a_id: agents[0].id,
+      agent_b_id: agents[1].id,
+      tema: request.topic,
+      rodadas: request.rounds,
+      ...result
+    });
+
+    if (stream) {
+      stream.send('done', { debate_id: debate.id, status: debate.status, resumo_moderador: debate.resumo_moderador });
+      return stream.close();
+    }
+
+    res.status(201).json({ success: true, data: publicDebate(debate, participants) });
+  } catch (error) {
+    console.error('Erro no debate entre agentes:', error);
+    // Debate interrompido: os usos reservados são devolvidos mesmo com o stream já aberto
+    res.locals.skipEntitlementUsage = true;
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Debates do usuário, do mais recente para o mais antigo
+router.get('/debates', authenticateUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const { data, error, count } = await supabase
+      .from('agent_debates')
+      .select('id, agent_a_id, agent_b_id, tema, rodadas, status, compartilhavel, created_at', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar debates:', error);
+      return res.status(500).json({ error: 'Erro ao buscar debates' });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar debates:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Transcrição de um debate. Visível para quem o criou e, se marcado como compartilhável,
+// para qualquer pessoa; nos demais casos responde 404 sem revelar se o debate existe.
+router.get('/debates/:debateId', optionalAuthenticateUser, async (req, res) => {
+  try {
+    const debate = await findDebate(req.params.debateId);
+    const isOwner = Boolean(debate && req.user && debate.user_id === req.user.id);
+    if (!debate || (!isOwner && !debate.compartilhavel)) {
+      return res.status(404).json({ error: 'Debate não encontrado' });
+    }
+
+    if (debate.compartilhavel) {
+      res.set('Cache-Control', 'public, max-age=300');
+    }
+    res.json({ success: true, data: publicDebate(debate, await loadParticipants(debate)) });
+  } catch (error) {
+    console.error('Erro ao buscar debate:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Marcar (ou desmarcar) um debate como compartilhável pelo link público
+router.patch('/debates/:debateId/share', authenticateUser, async (req, res) => {
+  try {
+    const { compartilhavel } = req.body || {};
+    if (typeof compartilhavel !== 'boolean') {
+      return res.status(400).json({ error: 'Campo compartilhavel (true/false) é obrigatório' });
+    }
+
+    const debate = await findDebate(req.params.debateId);
+    if (!debate) {
+      return res.status(404).json({ error: 'Debate não encontrado' });
+    }
+    if (debate.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+
+    const { error: updateError } = await supabase
+      .from('agent_debates')
+      .update({
+        compartilhavel,
+        compartilhado_em: compartilhavel ? new Date().toISOString() : null
+      })
+      .eq('id', debate.id);
+
+    if (updateError) {
+      console.error('Erro ao atualizar compartilhamento do debate:', updateError);
+      return res.status(500).json({ error: 'Erro ao atualizar compartilhamento' });
+    }
+
+    res.json({
+      success: true,
+      compartilhavel,
+      url: compartilhavel ? publicDebateUrl(debate.id) : null
+    });
+  } catch (error) {
+    console.error('Erro ao compartilhar debate:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Buscar agente específico
 router.get('/:id', async (req, res) => {
   try {
@@ -144,6 +400,12 @@ router.post('/', authenticateUser, async (req, res) => {
       return res.status(500).json({ error: 'Erro ao criar agente' });
     }
 
+    try {
+      await recordInitialVersion(agent, req.user);
+    } catch (versionError) {
+      console.warn('⚠️ Não foi possível registrar a versão inicial do prompt:', versionError.message);
+    }
+
     res.status(201).json({
       success: true,
       data: agent,
@@ -170,12 +432,32 @@ router.put('/:id', authenticateUser, async (req, res) => {
     delete updateData.id;
     delete updateData.created_at;
     delete updateData.updated_at;
+    delete updateData.prompt_version;
 
-    const { data: agent, error } = await supabase
-      .from('politician_agents')
-      .update(updateData)
-      .eq('id', id)
-      .select(`
+    // O prompt é publicado como nova versão (ver agentPrompts.js), com nota opcional em prompt_note
+    const { trained_prompt: trainedPrompt, prompt_note: promptNote } = updateData;
+    delete updateData.trained_prompt;
+    delete updateData.prompt_note;
+
+    if (trainedPrompt !== undefined) {
+      const input = normalizePromptInput({ trained_prompt: trainedPrompt, note: promptNote });
+      if (input.error) {
+        return res.status(400).json({ error: input.error });
+      }
+
+      const { data: current, error: currentError } = await supabase
+        .from('politician_agents')
+        .select('id, trained_prompt')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (currentError || !current) {
+        return res.status(404).json({ error: 'Agente não encontrado' });
+      }
+      await publishPrompt(current, { content: input.content, note: input.note, user: req.user });
+    }
+
+    const columns = `
         *,
         politicians (
           id,
@@ -185,8 +467,12 @@ router.put('/:id', authenticateUser, async (req, res) => {
           party,
           photo_url
         )
-      `)
-      .single();
+      `;
+    // Só o prompt mudou: nada mais a atualizar, apenas devolve o agente
+    const query = Object.keys(updateData).length > 0
+      ? supabase.from('politician_agents').update(updateData).eq('id', id).select(columns)
+      : supabase.from('politician_agents').select(columns).eq('id', id);
+    const { data: agent, error } = await query.single();
 
     if (error) {
       console.error('Erro ao atualizar agente:', error);
@@ -238,11 +524,12 @@ router.delete('/:id', authenticateUser, async (req, res) => {
   }
 });
 
-// Chat com agente
-router.post('/:id/chat', authenticateUser, async (req, res) => {
+// Chat com agente. Sem session_id, abre uma nova sessão; com ele, os turnos anteriores da
+// sessão entram no contexto (dentro do orçamento de tokens, com resumo dos mais antigos).
+router.post('/:id/chat', authenticateUser, requireEntitlement('political_agents'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { message } = req.body;
+    const { message, session_id } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Mensagem é obrigatória' });
@@ -270,105 +557,530 @@ router.post('/:id/chat', authenticateUser, async (req, res) => {
       return res.status(404).json({ error: 'Agente não encontrado ou inativo' });
     }
 
-    // Gerar resposta do agente usando OpenRouter API
-    const openRouterKey = process.env.OPENROUTER_API_KEY;
-    let response;
+    // Trechos do plano de governo e dos posts do político relevantes para a mensagem
+    let knowledge = { indexado: false, passages: [], content: null, prompts: [] };
+    try {
+      knowledge = await buildKnowledgeContext(agent.politician_id, message, { userId: req.user.id });
+    } catch (knowledgeError) {
+      console.warn('⚠️ Não foi possível recuperar trechos do plano do político:', knowledgeError.message);
+    }
 
-    if (!openRouterKey) {
-      response = `Como ${agent.politicians.name}, ${agent.politicians.position} ${agent.politicians.state ? `de ${agent.politicians.state}` : ''}, posso dizer que: Esta é uma resposta simulada. A API de IA não está configurada no momento.`;
+    const agentPrompt = await getAgentPrompt(agent, { userId: req.user.id, knowledge });
+    let session;
+    if (session_id) {
+      session = await findSession(session_id, { agentId: agent.id, userId: req.user.id });
+      if (!session) {
+        return res.status(404).json({ error: 'Sessão não encontrada' });
+      }
     } else {
+      session = await createSession({ agentId: agent.id, userId: req.user.id, firstMessage: message });
+    }
+
+    const usage = withPromptVersions({ feature: 'agent_chat', userId: req.user.id, plan: req.user.plan, metadata: { agent_id: agent.id, session_id: session.id, agent_prompt_version: agent.prompt_version || null } }, [agentPrompt, ...knowledge.prompts]);
+
+    let history = [];
+    if (session_id) {
       try {
-        const systemPrompt = `Você é ${agent.politicians.name}, ${agent.politicians.position} ${agent.politicians.state ? `de ${agent.politicians.state}` : ''} do partido ${agent.politicians.party}.
-
-Suas características:
-- Posição política: ${agent.politicians.position}
-- Estado: ${agent.politicians.state || 'Nacional'}
-- Partido: ${agent.politicians.party}
-- Plano de governo: ${agent.politicians.government_plan || 'Não especificado'}
-- Principais ideologias: ${agent.politicians.main_ideologies || 'Conservadora'}
-
-Responda como este político responderia, mantendo coerência com suas posições políticas e ideológicas. Seja respeitoso, político e mantenha o foco em questões relevantes para sua área de atuação.`;
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 25000); // 25 segundos timeout
-
-        const apiResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${openRouterKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': 'https://direitai.com',
-            'X-Title': 'DireitaAI - Agentes Políticos'
-          },
-          body: JSON.stringify({
-            model: 'anthropic/claude-3.5-sonnet',
-            messages: [
-              {
-                role: 'system',
-                content: systemPrompt
-              },
-              {
-                role: 'user',
-                content: message
-              }
-            ],
-            max_tokens: 500,
-            temperature: 0.8
-          }),
-          signal: controller.signal
+        const context = await buildConversationContext(req.user.id, session.id, {
+          dispatcher: smartDispatcher,
+          usage: { plan: req.user.plan, metadata: { agent_id: agent.id, session_id: session.id } },
+          source: 'agent'
         });
+        history = context.history;
+      } catch (contextError) {
+        console.error('Erro ao montar contexto da sessão do agente:', contextError.message);
+      }
+    }
+
+    // O que o agente já sabe do usuário de conversas anteriores
+    let memoryContext = null;
+    try {
+      memoryContext = formatMemoryContext(await loadMemories(req.user.id));
+    } catch (memoryError) {
+      console.warn('⚠️ Não foi possível carregar a memória do usuário:', memoryError.message);
+    }
+    const systemPrompt = [agentPrompt.content, knowledge.content, memoryContext].filter(Boolean).join('\n\n');
+
+    // Depois da resposta: grava o turno na sessão e aprende com a mensagem do usuário
+    const finishTurn = async (response) => {
+      await saveTurn(session, { message, response });
+      try {
+        await rememberFromMessage(req.user.id, agent.id, message);
+      } catch (memoryError) {
+        console.warn('⚠️ Não foi possível atualizar a memória do usuário:', memoryError.message);
+      }
+    };
 
-        clearTimeout(timeoutId);
-
-        if (!apiResponse.ok) {
-          // Usar sistema de dispatcher inteligente para múltiplas LLMs
-          console.log('🚀 Iniciando sistema de dispatcher inteligente para fallback...');
-          try {
-            const { smartDispatcher } = require('../services/aiService');
-            const result = await smartDispatcher(message, systemPrompt);
-            response = result.content;
-          } catch (dispatcherError) {
-            console.error('Erro no dispatcher inteligente:', dispatcherError.message);
-            response = `Como ${agent.politicians.name}, lamento informar que estou temporariamente indisponível devido a limitações técnicas. Nossa equipe está trabalhando para resolver isso. Tente novamente em alguns minutos.`;
+    const agentInfo = {
+      id: agent.id,
+      politician_name: agent.politicians.name,
+      politician_position: agent.politicians.position
+    };
+    const simulatedResponse = `Como ${agent.politicians.name}, ${agent.politicians.position} ${agent.politicians.state ? `de ${agent.politicians.state}` : ''}, posso dizer que: Esta é uma resposta simulada. A API de IA não está configurada no momento.`;
+    const unavailableResponse = `Como ${agent.politicians.name}, lamento informar que estou temporariamente indisponível devido a limitações técnicas. Nossa equipe está trabalhando para resolver isso. Tente novamente em alguns minutos.`;
+
+    // Modo streaming (text/event-stream)
+    if (wantsEventStream(req)) {
+      const stream = openEventStream(res);
+      stream.send('start', { agent: agentInfo, session_id: session.id });
+
+      let emitted = false;
+      let result = null;
+      let response;
+
+      if (!hasConfiguredProvider()) {
+        response = simulatedResponse;
+        res.locals.skipEntitlementUsage = true;
+        stream.send('token', { content: response });
+      } else {
+        try {
+          result = await smartDispatcherStream(message, systemPrompt, {
+            temperature: 0.8,
+            history,
+            usage,
+            signal: stream.signal,
+            onToken: (token) => {
+              emitted = true;
+              stream.send('token', { content: token });
+            }
+          });
+          response = result.content;
+        } catch (dispatcherError) {
+          console.error('Erro no dispatcher inteligente (stream):', dispatcherError.message);
+          // Resposta que não veio do modelo não conta na cota do plano
+          res.locals.skipEntitlementUsage = true;
+          if (emitted || stream.signal.aborted) {
+            stream.send('error', { error: 'Falha ao gerar resposta do agente' });
+            return stream.close();
           }
-        } else {
-          const data = await apiResponse.json();
-          response = data.choices[0]?.message?.content || `Como ${agent.politicians.name}, lamento, mas não consegui processar sua mensagem no momento.`;
+          response = unavailableResponse;
+          stream.send('token', { content: response });
         }
+      }
 
+      await finishTurn(response);
 
-        
-      } catch (error) {
-        console.error('Erro ao gerar resposta do agente:', error);
-        response = `Como ${agent.politicians.name}, ${agent.politicians.position} ${agent.politicians.state ? `de ${agent.politicians.state}` : ''}, lamento informar que estou com dificuldades técnicas no momento. Tente novamente em alguns instantes.`;
+      stream.send('done', {
+        agent: agentInfo,
+        session_id: session.id,
+        referencias: passageReferences(knowledge.passages, response),
+        model: result?.model || null,
+        provider: result?.provider || null,
+        token_usage: {
+          prompt_tokens: result?.promptTokens || 0,
+          completion_tokens: result?.completionTokens || 0,
+          total_tokens: result?.tokensUsed || 0
+        }
+      });
+      return stream.close();
+    }
+
+    // Gerar resposta do agente pelo dispatcher de IA
+    let response;
+
+    if (!hasConfiguredProvider()) {
+      response = simulatedResponse;
+      res.locals.skipEntitlementUsage = true;
+    } else {
+      try {
+        const result = await smartDispatcher(message, systemPrompt, { temperature: 0.8, history, usage });
+        response = result.content;
+      } catch (dispatcherError) {
+        console.error('Erro no dispatcher inteligente:', dispatcherError.message);
+        response = unavailableResponse;
+        res.locals.skipEntitlementUsage = true;
       }
     }
 
-    // Salvar conversa no histórico (opcional)
-    await supabase
-      .from('agent_conversations')
-      .insert({
-        agent_id: id,
-        user_id: req.user.id,
-        user_message: message,
-        agent_response: response
-      });
+    await finishTurn(response);
 
     res.json({
       success: true,
       data: {
         message: response,
-        agent: {
-          id: agent.id,
-          politician_name: agent.politicians.name,
-          politician_position: agent.politicians.position
-        }
+        agent: agentInfo,
+        session_id: session.id,
+        referencias: passageReferences(knowledge.passages, response)
       }
     });
   } catch (error) {
     console.error('Erro no chat com agente:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Sessões do usuário com o agente, da mais recente para a mais antiga
+router.get('/:id/sessions', authenticateUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const { data, error, count } = await supabase
+      .from('agent_sessions')
+      .select(SESSION_COLUMNS, { count: 'exact' })
+      .eq('agent_id', req.params.id)
+      .eq('user_id', req.user.id)
+      .order('ultima_mensagem_em', { ascending: false, nullsFirst: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar sessões do agente:', error);
+      return res.status(500).json({ error: 'Erro ao buscar sessões' });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar sessões do agente:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Mensagens de uma sessão, em ordem, para retomar a conversa
+router.get('/:id/sessions/:sessionId/messages', authenticateUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const offset = (pageNum - 1) * limitNum;
+
+    const session = await findSession(req.params.sessionId, { agentId: req.params.id, userId: req.user.id });
+    if (!session) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    const { data: turns, error, count } = await supabase
+      .from('agent_conversations')
+      .select('id, user_message, agent_response, created_at', { count: 'exact' })
+      .eq('session_id', session.id)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar mensagens da sessão:', error);
+      return res.status(500).json({ error: 'Erro ao buscar mensagens' });
+    }
+
+    res.json({
+      success: true,
+      session,
+      data: (turns || []).flatMap(turn => [
+        { id: `${turn.id}:user`, role: 'user', content: turn.user_message, created_at: turn.created_at },
+        { id: `${turn.id}:agent`, role: 'assistant', content: turn.agent_response, created_at: turn.created_at }
+      ]),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar mensagens da sessão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Agente gerenciado pelo usuário: o admin gerencia todos; o político, apenas o próprio agente.
+// Responde o erro e retorna null quando o agente não existir ou o usuário não tiver acesso.
+async function findManagedAgent(req, res) {
+  const { data: agent, error } = await supabase
+    .from('politician_agents')
+    .select(`${AGENT_PROMPT_COLUMNS}, politician_id, is_active, politicians ( ${PERSONA_COLUMNS}, email )`)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error || !agent?.politicians) {
+    res.status(404).json({ error: 'Agente não encontrado' });
+    return null;
+  }
+
+  const ownsAgent = Boolean(req.user.email) && agent.politicians.email === req.user.email;
+  if (req.user.role !== 'admin' && !ownsAgent) {
+    res.status(403).json({ error: 'Acesso negado. Apenas o político do agente ou administradores podem avaliá-lo.' });
+    return null;
+  }
+
+  return agent;
+}
+
+// Perguntas de referência (golden questions) do agente, usadas em POST /:id/evaluate
+router.get('/:id/golden-questions', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findManagedAgent(req, res);
+    if (!agent) return;
+
+    const questions = await listGoldenQuestions(agent.id);
+    res.json({ success: true, data: questions, limite_ativas: MAX_QUESTIONS });
+  } catch (error) {
+    console.error('Erro ao listar perguntas de referência:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.post('/:id/golden-questions', authenticateUser, async (req, res) => {
+  try {
+    const input = normalizeGoldenQuestion(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const agent = await findManagedAgent(req, res);
+    if (!agent) return;
+
+    if (input.fields.ativa !== false) {
+      const active = await listGoldenQuestions(agent.id, { activeOnly: true });
+      if (active.length >= MAX_QUESTIONS) {
+        return res.status(400).json({ error: `O agente já tem ${MAX_QUESTIONS} perguntas ativas. Desative ou remova alguma antes de adicionar outra.` });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const { data: question, error } = await supabase
+      .from('agent_golden_questions')
+      .insert({ agent_id: agent.id, ...input.fields, created_by: req.user.id, created_at: now, updated_at: now })
+      .select(QUESTION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Erro ao criar pergunta de referência:', error);
+      return res.status(500).json({ error: 'Erro ao criar pergunta' });
+    }
+
+    res.status(201).json({ success: true, data: question, message: 'Pergunta adicionada' });
+  } catch (error) {
+    console.error('Erro ao criar pergunta de referência:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.put('/:id/golden-questions/:questionId', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findManagedAgent(req, res);
+    if (!agent) return;
+
+    const current = await findGoldenQuestion(agent.id, req.params.questionId);
+    if (!current) {
+      return res.status(404).json({ error: 'Pergunta não encontrada' });
+    }
+
+    const input = normalizeGoldenQuestion(req.body, { partial: true, current });
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    if (input.fields.ativa === true && !current.ativa) {
+      const active = await listGoldenQuestions(agent.id, { activeOnly: true });
+      if (active.length >= MAX_QUESTIONS) {
+        return res.status(400).json({ error: `O agente já tem ${MAX_QUESTIONS} perguntas ativas` });
+      }
+    }
+
+    const { data: question, error } = await supabase
+      .from('agent_golden_questions')
+      .update({ ...input.fields, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select(QUESTION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Erro ao atualizar pergunta de referência:', error);
+      return res.status(500).json({ error: 'Erro ao atualizar pergunta' });
+    }
+
+    res.json({ success: true, data: question, message: 'Pergunta atualizada' });
+  } catch (error) {
+    console.error('Erro ao atualizar pergunta de referência:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.delete('/:id/golden-questions/:questionId', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findManagedAgent(req, res);
+    if (!agent) return;
+
+    const { data, error } = await supabase
+      .from('agent_golden_questions')
+      .delete()
+      .eq('id', req.params.questionId)
+      .eq('agent_id', agent.id)
+      .select('id');
+
+    if (error) {
+      console.error('Erro ao remover pergunta de referência:', error);
+      return res.status(500).json({ error: 'Erro ao remover pergunta' });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Pergunta não encontrada' });
+    }
+
+    res.json({ success: true, message: 'Pergunta removida' });
+  } catch (error) {
+    console.error('Erro ao remover pergunta de referência:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Avaliação do agente: responde as perguntas de referência ativas com o prompt publicado
+// (prompt: "atual") ou com o rascunho (prompt: "rascunho") e pontua cada resposta por
+// palavras-chave e, com judge: true, também por um modelo juiz. A execução fica no histórico
+// comparada com a última do prompt publicado, para mostrar regressões. Cada execução faz até
+// duas chamadas ao modelo por pergunta; em vez da cota de conversas do plano, vale o limite de
+// execuções por usuário (AGENT_EVAL_DAILY_RUNS), contado só para pedidos válidos, e o gasto diário
+// no ledger (AGENT_EVAL_DAILY_BUDGET_USD), conferido antes de cada pergunta.
+router.post('/:id/evaluate', authenticateUser, async (req, res) => {
+  try {
+    const { prompt = 'atual', judge = false } = req.body || {};
+    if (!['atual', 'rascunho'].includes(prompt)) {
+      return res.status(400).json({ error: 'Campo prompt deve ser "atual" ou "rascunho"' });
+    }
+    if (typeof judge !== 'boolean') {
+      return res.status(400).json({ error: 'Campo judge deve ser verdadeiro ou falso' });
+    }
+
+    const agent = await findManagedAgent(req, res);
+    if (!agent) return;
+
+    const draft = prompt === 'rascunho';
+    if (draft && !agent.draft_prompt) {
+      return res.status(404).json({ error: 'O agente não tem rascunho. Salve um rascunho ou use prompt: "atual".' });
+    }
+
+    const questions = (await listGoldenQuestions(agent.id, { activeOnly: true })).slice(0, MAX_QUESTIONS);
+    if (questions.length === 0) {
+      return res.status(400).json({ error: 'Cadastre ao menos uma pergunta de referência ativa antes de avaliar o agente' });
+    }
+
+    if (!hasConfiguredProvider()) {
+      return res.status(503).json({ error: 'Avaliação indisponível no momento: nenhum provedor de IA configurado' });
+    }
+
+    if (!(await checkRateLimit(req, res, 'agent_evaluation'))) return;
+
+    let budget;
+    try {
+      budget = await getEvaluationBudget(req.user.id);
+    } catch (budgetError) {
+      console.error('Erro ao conferir o gasto com avaliações:', budgetError.message);
+      return res.status(503).json({ error: 'Não foi possível verificar o limite de gastos. Tente novamente em instantes.' });
+    }
+    if (!budget.available) {
+      console.log(`🚫 Gasto diário com avaliações atingido para usuário ${req.user.id}`);
+      return res.status(429).json({ error: 'Limite diário de gastos com avaliações atingido. Tente novamente amanhã.', gasto: budget });
+    }
+
+    const stream = wantsEventStream(req) ? openEventStream(res) : null;
+    if (stream) {
+      stream.send('start', { agent_id: agent.id, prompt, prompt_version: draft ? null : agent.prompt_version || null, perguntas: questions.length, juiz: judge });
+    }
+
+    const result = await runEvaluation({
+      agent,
+      questions,
+      draft,
+      judge,
+      userId: req.user.id,
+      plan: req.user.plan,
+      signal: stream?.signal,
+      // Sem como consultar o gasto no meio da execução, as perguntas restantes não são feitas
+      withinBudget: () => getEvaluationBudget(req.user.id).then(current => current.available, () => false),
+      onResult: stream ? (item) => stream.send('result', { question_id: item.question_id, nota: item.nota, aprovada: item.aprovada, erro: item.erro || null }) : null
+    });
+
+    if (result.nota_media === null) {
+      if (stream) {
+        stream.send('error', { error: 'Não foi possível avaliar o agente' });
+        return stream.close();
+      }
+      return res.status(502).json({ error: 'Não foi possível avaliar o agente. Tente novamente em alguns minutos.' });
+    }
+
+    const run = await saveRun({ agent, draft, judge, userId: req.user.id, result });
+
+    if (stream) {
+      stream.send('done', { run_id: run.id, status: run.status, aprovadas: run.aprovadas, total: run.total, nota_media: run.nota_media, comparacao: run.comparacao });
+      return stream.close();
+    }
+
+    res.status(201).json({ success: true, data: run });
+  } catch (error) {
+    console.error('Erro na avaliação do agente:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Histórico de avaliações do agente, da mais recente para a mais antiga (sem as respostas)
+router.get('/:id/evaluations', authenticateUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const agent = await findManagedAgent(req, res);
+    if (!agent) return;
+
+    const { data, error, count } = await supabase
+      .from('agent_evaluation_runs')
+      .select(RUN_SUMMARY_COLUMNS, { count: 'exact' })
+      .eq('agent_id', agent.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar avaliações do agente:', error);
+      return res.status(500).json({ error: 'Erro ao buscar avaliações' });
+    }
+
+    res.json({
+      success: true,
+      data: data || [],
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar avaliações do agente:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.get('/:id/evaluations/:runId', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findManagedAgent(req, res);
+    if (!agent) return;
+
+    const run = await findRun(agent.id, req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Avaliação não encontrada' });
+    }
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    console.error('Erro ao buscar avaliação do agente:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const aiService = require('../services/aiService');
+const { buildConversationContext } = require('../services/conversationContext');
 const { authenticateUser, optionalAuthenticateUser } = require('../middleware/auth');
+const { wantsEventStream, openEventStream } = require('../services/sse');
+const { requireEntitlement } = require('../middleware/entitlements');
+const { getEntitlement, afterUse } = require('../services/entitlements');
+const creativeAI = require('../services/creativeAI');
+const { recordPromptOutcome } = require('../services/promptRegistry');
 const { randomUUID } = require('crypto');
 const router = express.Router();
 
@@ -23,7 +29,7 @@ const ensureDevUser = (req, res, next) => {
 };
 
 // EsquerdaGPT Chat com APIs reais
-router.post('/chat', requireAuth, ensureDevUser, async (req, res) => {
+router.post('/chat', requireAuth, ensureDevUser, requireEntitlement('ai_chat'), async (req, res) => {
   try {
     const { message, conversation_id } = req.body;
     const authId = req.user.id;
@@ -37,21 +43,91 @@ router.post('/chat', requireAuth, ensureDevUser, async (req, res) => {
     const userProfile = req.user;
 
     const userPlan = userProfile?.plan || 'free';
-    
-    // Check user limits
-    const limits = await aiService.checkUserLimits(userId, userPlan);
-    
-    if (!limits.canUse) {
-      return res.status(429).json({ 
-        error: 'Daily usage limit reached',
-        limit: limits.limit,
-        used: limits.used,
-        remaining: limits.remaining
+
+    // Quota was checked by requireEntitlement; report it as it will be after this message
+    const updatedLimits = afterUse(req.entitlement);
+
+    // Generate conversation ID if not provided
+    const finalConversationId = conversation_id || randomUUID();
+
+    // Rebuild previous turns of the same conversation (token budget + rolling summary)
+    let history = [];
+    if (conversation_id) {
+      try {
+        const context = await buildConversationContext(userId, conversation_id, {
+          dispatcher: aiService.smartDispatcher,
+          usage: { plan: userPlan }
+        });
+        history = context.history;
+      } catch (contextError) {
+        console.error('Error building conversation context:', contextError.message);
+      }
+    }
+
+    // Streaming mode (text/event-stream)
+    if (wantsEventStream(req)) {
+      const stream = openEventStream(res);
+      stream.send('start', { conversation_id: finalConversationId });
+
+      const aiResult = await aiService.generateResponseStream(message, {
+        history,
+        usage: { userId, plan: userPlan, metadata: { conversation_id: finalConversationId } },
+        signal: stream.signal,
+        onToken: (token) => stream.send('token', { content: token })
       });
+
+      if (!aiResult.success) {
+        res.locals.skipEntitlementUsage = true;
+        stream.send('error', { error: 'Failed to generate AI response', details: aiResult.error });
+        return stream.close();
+      }
+
+      // Canned fallback text (no provider answered) does not consume the quota
+      if (aiResult.fallback) {
+        res.locals.skipEntitlementUsage = true;
+      }
+      const limits = aiResult.fallback ? req.entitlement : updatedLimits;
+
+      const saveResult = await aiService.saveConversation(
+        userId,
+        finalConversationId,
+        message,
+        aiResult.content,
+        aiResult.tokensUsed || 0,
+        aiResult.model,
+        aiResult.provider,
+        aiResult.promptRefs
+      );
+
+      if (!saveResult.success) {
+        console.error('Error saving conversation:', saveResult.error);
+      }
+
+      stream.send('done', {
+        conversation_id: finalConversationId,
+        message_id: saveResult.id || null,
+        model: aiResult.model,
+        provider: aiResult.provider,
+        tokens_used: aiResult.tokensUsed,
+        token_usage: {
+          prompt_tokens: aiResult.promptTokens || 0,
+          completion_tokens: aiResult.completionTokens || 0,
+          total_tokens: aiResult.tokensUsed || 0
+        },
+        usage: {
+          used: limits.used,
+          limit: limits.limit,
+          remaining: limits.remaining
+        }
+      });
+      return stream.close();
     }
 
     // Generate AI response using real APIs
-    const aiResult = await aiService.generateResponse(message);
+    const aiResult = await aiService.generateResponse(message, {
+      history,
+      usage: { userId, plan: userPlan, metadata: { conversation_id: finalConversationId } }
+    });
 
     if (!aiResult.success) {
       return res.status(500).json({ 
@@ -60,8 +136,10 @@ router.post('/chat', requireAuth, ensureDevUser, async (req, res) => {
       });
     }
 
-    // Generate conversation ID if not provided
-    const finalConversationId = conversation_id || randomUUID();
+    if (aiResult.fallback) {
+      res.locals.skipEntitlementUsage = true;
+    }
+    const limits = aiResult.fallback ? req.entitlement : updatedLimits;
 
     // Save conversation to database
     const saveResult = await aiService.saveConversation(
@@ -71,30 +149,32 @@ router.post('/chat', requireAuth, ensureDevUser, async (req, res) => {
       aiResult.content,
       aiResult.tokensUsed || 0,
       aiResult.model,
-      aiResult.provider
+      aiResult.provider,
+      aiResult.promptRefs
     );
 
     if (!saveResult.success) {
       console.error('Error saving conversation:', saveResult.error);
     }
 
-    // Get updated usage
-    const updatedLimits = await aiService.checkUserLimits(userId, userPlan);
-
     res.json({
       response: aiResult.content,
       conversation_id: finalConversationId,
+      message_id: saveResult.id || null,
       model: aiResult.model,
       provider: aiResult.provider,
       tokens_used: aiResult.tokensUsed,
       usage: {
-        used: updatedLimits.used,
-        limit: updatedLimits.limit,
-        remaining: updatedLimits.remaining
+        used: limits.used,
+        limit: limits.limit,
+        remaining: limits.remaining
       }
     });
   } catch (error) {
     console.error('Chat error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -103,15 +183,15 @@ router.post('/chat', requireAuth, ensureDevUser, async (req, res) => {
 router.get('/usage', requireAuth, ensureDevUser, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userPlan = req.user.plan || 'Gratuito';
-
-    const limits = await aiService.checkUserLimits(userId, userPlan);
+    const limits = await getEntitlement(userId, req.user.plan, 'ai_chat');
 
     res.json({
       dailyUsage: limits.used,
       planLimit: limits.limit,
       remaining: limits.remaining,
-      plan: userPlan
+      plan: limits.plan,
+      window: limits.window,
+      resetsAt: limits.resetsAt
     });
   } catch (error) {
     console.error('Usage error:', error);
@@ -123,16 +203,7 @@ router.get('/usage', requireAuth, ensureDevUser, async (req, res) => {
 router.get('/creative-ai/usage', requireAuth, ensureDevUser, async (req, res) => {
   try {
     const userId = req.user.id;
-    const userPlan = req.user.plan || 'gratuito';
-    const today = new Date().toISOString().split('T')[0];
-
-    // Today's generation usage
-    const { count: todayGenerations } = await supabase
-      .from('ai_generations')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', today + 'T00:00:00.000Z')
-      .lt('created_at', today + 'T23:59:59.999Z');
+    const entitlement = await getEntitlement(userId, req.user.plan, 'ai_creative');
 
     // Total generation usage
     const { count: totalGenerations } = await supabase
@@ -140,29 +211,20 @@ router.get('/creative-ai/usage', requireAuth, ensureDevUser, async (req, res) =>
       .select('*', { count: 'exact', head: true })
       .eq('user_id', userId);
 
-    const generationLimits = {
-      gratuito: 0,
-      engajado: 20,
-      premium: -1,
-    };
-
-    const limit = generationLimits[userPlan] || generationLimits.gratuito;
-    const used = todayGenerations || 0;
-    const remaining = limit === -1 ? -1 : Math.max(0, limit - used);
-
     res.json({
-      plan: userPlan,
+      plan: entitlement.plan,
       today: {
-        generations: used,
+        generations: entitlement.used,
       },
       total: {
         generations: totalGenerations || 0,
       },
       limits: {
-        generations: limit,
+        generations: entitlement.limit,
       },
-      remaining: remaining,
-      canUse: limit === -1 || used < limit
+      remaining: entitlement.remaining,
+      canUse: entitlement.canUse,
+      resetsAt: entitlement.resetsAt
     });
   } catch (error) {
     console.error('Creative AI usage error:', error);
@@ -192,90 +254,163 @@ router.get('/conversations', requireAuth, ensureDevUser, async (req, res) => {
   }
 });
 
-// Creative AI Content Generation
-router.post('/generate', requireAuth, ensureDevUser, async (req, res) => {
+// Generates creative variants, saves them to ai_generations and sends the response.
+// Each variant is one model call and one ai_creative use: the uses are reserved before
+// generating (fewer variants when the quota has less left) and failed variants are released.
+async function respondWithGeneration(req, res, { type, prompt, tone, length, templateId, variants, parentId, refine }) {
+  const userId = req.user.id;
+
+  const template = await creativeAI.resolveTemplate(type, templateId);
+  if (!template) {
+    return res.status(400).json({
+      error: 'Invalid type',
+      valid_types: creativeAI.CREATIVE_TYPES
+    });
+  }
+
+  const reservedVariants = await req.entitlementUsage.reserveUpTo(creativeAI.clampVariants(variants));
+
+  let generated;
   try {
-    const { type, prompt, tone, length, template } = req.body;
-    const userId = req.user.id;
+    generated = await creativeAI.generateCreativeContent({
+      type,
+      prompt,
+      tone,
+      length,
+      template,
+      variants: reservedVariants,
+      refine,
+      usage: { userId, plan: req.user.plan, metadata: parentId ? { parent_id: parentId } : {} }
+    });
+  } catch (generationError) {
+    console.error('Creative AI generation failed:', generationError.message);
+    return res.status(503).json({
+      error: 'Failed to generate content',
+      details: generationError.message
+    });
+  }
 
-    if (!type || !prompt) {
-      return res.status(400).json({ error: 'Type and prompt are required' });
-    }
+  await req.entitlementUsage.settle(generated.length);
+  const contents = generated.map(variant => variant.content);
+
+  const { data: generation, error: generationError } = await supabase
+    .from('ai_generations')
+    .insert([
+      {
+        user_id: userId,
+        type,
+        prompt,
+        tone,
+        length,
+        template: template.name,
+        template_id: template.id,
+        parent_id: parentId || null,
+        refine_instruction: refine?.instruction || null,
+        generated_content: contents[0],
+        variants: contents,
+        model: generated[0].model,
+        provider: generated[0].provider,
+        tokens_used: generated.reduce((sum, variant) => sum + variant.tokensUsed, 0),
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
 
-    // Get user profile to check plan access
-    const { data: userProfile } = await supabase
-      .from('users')
-      .select('plan')
-      .eq('id', userId)
-      .single();
+  if (generationError) {
+    console.error('Error saving generation:', generationError);
+  }
 
-    // Resolve plan from DB or fallback to req.user or default dev plan
-    const planName = userProfile?.plan || (req.user && req.user.plan) || 'engajado';
+  const usage = afterUse(req.entitlement, generated.length);
+
+  res.json({
+    content: contents[0],
+    variants: contents,
+    type,
+    generation_id: generation?.id,
+    parent_id: parentId || null,
+    template: { id: template.id, name: template.name },
+    model: generated[0].model,
+    provider: generated[0].provider,
+    usage: {
+      today: usage.used,
+      limit: usage.limit,
+      remaining: usage.remaining,
+    },
+  });
+}
 
-    // Check if user has access to Creative AI
-    if (planName === 'gratuito') {
-      return res.status(403).json({ 
-        error: 'Creative AI requires Engajado or Premium plan'
-      });
-    }
+// Loads a generation owned by the current user
+async function findUserGeneration(userId, generationId) {
+  const { data: generation, error } = await supabase
+    .from('ai_generations')
+    .select('*')
+    .eq('id', generationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching generation:', error);
+    return null;
+  }
+  return generation;
+}
 
-    // Check usage limits
-    const today = new Date().toISOString().split('T')[0];
-    const { count: todayUsage } = await supabase
-      .from('ai_generations')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', today + 'T00:00:00.000Z')
-      .lt('created_at', today + 'T23:59:59.999Z');
+// List Creative AI templates available to users (admin-managed + built-in)
+router.get('/creative-templates', requireAuth, ensureDevUser, async (req, res) => {
+  try {
+    const { type } = req.query;
 
-    const limits = {
-      engajado: 20,
-      premium: -1, // unlimited
-    };
+    let query = supabase
+      .from('creative_templates')
+      .select('id, type, name, description, is_default')
+      .eq('is_active', true)
+      .order('type')
+      .order('name');
 
-    const userLimit = limits[planName] ?? 0;
-    const todayCount = todayUsage || 0;
-    if (userLimit !== -1 && todayCount >= userLimit) {
-      return res.status(429).json({ 
-        error: 'Daily generation limit reached',
-        limit: userLimit,
-        usage: todayCount
-      });
+    if (type) {
+      query = query.eq('type', type);
     }
 
-    // Generate content based on type
-    const generatedContent = generateCreativeContent(type, prompt, tone, length, template);
+    const { data: templates, error } = await query;
 
-    // Save generation
-    const { data: generation, error: generationError } = await supabase
-      .from('ai_generations')
-      .insert([
-        {
-          user_id: userId,
-          type,
-          prompt,
-          tone,
-          length,
-          template,
-          generated_content: generatedContent,
-          created_at: new Date().toISOString(),
-        },
-      ])
-      .select()
-      .single();
-
-    if (generationError) {
-      console.error('Error saving generation:', generationError);
+    if (error) {
+      console.warn('⚠️ Creative templates unavailable, returning built-in templates only:', error.message);
     }
 
+    const builtIn = Object.entries(creativeAI.DEFAULT_TEMPLATES)
+      .filter(([templateType]) => !type || templateType === type)
+      .map(([templateType, template]) => ({ id: null, type: templateType, name: template.name, built_in: true }));
+
     res.json({
-      content: generatedContent,
+      templates: [...(templates || []), ...builtIn],
+      types: creativeAI.CREATIVE_TYPES,
+      tones: Object.keys(creativeAI.TONES),
+      lengths: Object.keys(creativeAI.LENGTHS),
+      max_variants: creativeAI.MAX_VARIANTS
+    });
+  } catch (error) {
+    console.error('Get creative templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Creative AI Content Generation
+router.post('/generate', requireAuth, ensureDevUser, requireEntitlement('ai_creative'), async (req, res) => {
+  try {
+    const { type, prompt, tone, length, template, template_id, variants } = req.body;
+
+    if (!type || !prompt) {
+      return res.status(400).json({ error: 'Type and prompt are required' });
+    }
+
+    await respondWithGeneration(req, res, {
       type,
-      generation_id: generation?.id,
-      usage: {
-        today: todayUsage + 1,
-        limit: userLimit,
-      },
+      prompt,
+      tone,
+      length,
+      templateId: template_id || template,
+      variants
     });
   } catch (error) {
     console.error('Generation error:', error);
@@ -283,6 +418,66 @@ router.post('/generate', requireAuth, ensureDevUser, async (req, res) => {
   }
 });
 
+// Regenerate a previous generation with the same parameters (tone/length/variants may be overridden)
+router.post('/generations/:id/regenerate', requireAuth, ensureDevUser, requireEntitlement('ai_creative'), async (req, res) => {
+  try {
+    const previous = await findUserGeneration(req.user.id, req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const { tone, length, variants } = req.body || {};
+
+    await respondWithGeneration(req, res, {
+      type: previous.type,
+      prompt: previous.prompt,
+      tone: tone || previous.tone,
+      length: length || previous.length,
+      templateId: previous.template_id,
+      variants: variants || (Array.isArray(previous.variants) ? previous.variants.length : 1),
+      parentId: previous.id
+    });
+  } catch (error) {
+    console.error('Regenerate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refine one variant of a previous generation following a user instruction
+router.post('/generations/:id/refine', requireAuth, ensureDevUser, requireEntitlement('ai_creative'), async (req, res) => {
+  try {
+    const { instruction, variant = 0, tone, length, variants } = req.body || {};
+
+    if (!instruction || !instruction.trim()) {
+      return res.status(400).json({ error: 'Instruction is required' });
+    }
+
+    const previous = await findUserGeneration(req.user.id, req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Generation not found' });
+    }
+
+    const previousVariants = Array.isArray(previous.variants) && previous.variants.length > 0
+      ? previous.variants
+      : [previous.generated_content];
+    const previousContent = previousVariants[parseInt(variant)] || previousVariants[0];
+
+    await respondWithGeneration(req, res, {
+      type: previous.type,
+      prompt: previous.prompt,
+      tone: tone || previous.tone,
+      length: length || previous.length,
+      templateId: previous.template_id,
+      variants,
+      parentId: previous.id,
+      refine: { instruction: instruction.trim(), previousContent }
+    });
+  } catch (error) {
+    console.error('Refine error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Rota duplicada removida - usando a implementação anterior com aiService
 
 // Get generation history
@@ -315,78 +510,6 @@ router.get('/generations', requireAuth, ensureDevUser, async (req, res) => {
   }
 });
 
-// Get AI usage statistics
-router.get('/usage', requireAuth, ensureDevUser, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
-
-    // Today's chat usage
-    const { count: todayChats } = await supabase
-      .from('ai_conversations')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', today + 'T00:00:00.000Z')
-      .lt('created_at', today + 'T23:59:59.999Z');
-
-    // Today's generation usage
-    const { count: todayGenerations } = await supabase
-      .from('ai_generations')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', today + 'T00:00:00.000Z')
-      .lt('created_at', today + 'T23:59:59.999Z');
-
-    // Total usage
-    const { count: totalChats } = await supabase
-      .from('ai_conversations')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
-
-    const { count: totalGenerations } = await supabase
-      .from('ai_generations')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
-
-    // Get user plan for limits
-    const { data: userProfile } = await supabase
-      .from('users')
-      .select('plan')
-      .eq('id', userId)
-      .single();
-
-    const chatLimits = {
-      gratuito: 10,
-      engajado: 50,
-      premium: -1,
-    };
-
-    const generationLimits = {
-      gratuito: 0,
-      engajado: 20,
-      premium: -1,
-    };
-
-    res.json({
-      today: {
-        chats: todayChats || 0,
-        generations: todayGenerations || 0,
-      },
-      total: {
-        chats: totalChats || 0,
-        generations: totalGenerations || 0,
-      },
-      limits: {
-        chats: chatLimits[userProfile?.plan] || chatLimits.gratuito,
-        generations: generationLimits[userProfile?.plan] || generationLimits.gratuito,
-      },
-    });
-  } catch (error) {
-    console.error('Get usage error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 // Get messages from a specific conversation
 router.get('/conversations/:conversationId/messages', requireAuth, ensureDevUser, async (req, res) => {
   try {
@@ -425,6 +548,58 @@ router.get('/conversations/:conversationId/messages', requireAuth, ensureDevUser
   }
 });
 
+// Thumbs up/down on an EsquerdaGPT reply (attributed to the prompt versions that produced it)
+router.post('/messages/:messageId/feedback', requireAuth, ensureDevUser, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { rating } = req.body || {};
+    const userId = req.user.id;
+
+    if (!['up', 'down'].includes(rating)) {
+      return res.status(400).json({ error: "Rating must be 'up' or 'down'" });
+    }
+
+    const { data: chatMessage, error: findError } = await supabase
+      .from('ai_conversations')
+      .select('id, user_id, feedback, prompt_versions')
+      .eq('id', messageId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (findError || !chatMessage) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const score = rating === 'up' ? 1 : -1;
+
+    const { error: updateError } = await supabase
+      .from('ai_conversations')
+      .update({ feedback: score })
+      .eq('id', messageId);
+
+    if (updateError) {
+      return res.status(400).json({ error: updateError.message });
+    }
+
+    // Only the first vote counts towards prompt outcomes; changing it later just updates the message
+    if (chatMessage.feedback === null || chatMessage.feedback === undefined) {
+      await recordPromptOutcome({
+        promptRefs: chatMessage.prompt_versions,
+        outcome: 'chat_feedback',
+        score,
+        userId,
+        referenceType: 'ai_conversation',
+        referenceId: messageId
+      });
+    }
+
+    res.json({ success: true, message_id: messageId, feedback: score });
+  } catch (error) {
+    console.error('Message feedback error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Helper functions
 function generateConversationId() {
   return randomUUID();
@@ -458,36 +633,4 @@ function generateDireitaGPTResponse(message) {
   return 'Obrigado pela pergunta! Como EsquerdaGPT, atuo com perspectiva progressista comprometida com justiça social, direitos humanos e democracia. Em que posso ajudar com propostas inclusivas e baseadas em evidências?';
 }
 
-function generateCreativeContent(type, prompt, tone, length, template) {
-  const toneAdjectives = {
-    formal: 'respeitoso e profissional',
-    casual: 'descontraído e acessível',
-    inspirational: 'motivador e inspirador',
-    humorous: 'bem-humorado e cativante'
-  };
-
-  const lengthWords = {
-    short: '50-100 palavras',
-    medium: '150-300 palavras',
-    long: '400-600 palavras'
-  };
-
-  switch (type) {
-    case 'social_post':
-      return `🇧🇷 ${prompt}\n\nNossos valores progressistas nos guiam para um Brasil mais justo, inclusivo e democrático! ✊\n\n#Brasil #JustiçaSocial #DireitosHumanos #Democracia #BrasilProgressista`;
-    
-    case 'meme':
-      return `[MEME CONCEPT]\n\nTítulo: "${prompt}"\n\nImagem sugerida: Pessoas diversas com cartazes por direitos\n\nTexto superior: "QUANDO LUTAMOS POR"\nTexto inferior: "JUSTIÇA SOCIAL E DEMOCRACIA"\n\nTom: ${toneAdjectives[tone] || 'inspirador'}`;
-    
-    case 'video_script':
-      return `ROTEIRO DE VÍDEO\n\nTema: ${prompt}\n\nDuração estimada: ${length === 'short' ? '30-60 segundos' : length === 'medium' ? '2-3 minutos' : '5-8 minutos'}\n\nINTRODUÇÃO:\n"Olá! Hoje vamos falar sobre ${prompt} sob a perspectiva progressista, com foco em direitos, inclusão e justiça social."\n\nDESENVOLVIMENTO:\n- Contextualização do tema com dados e evidências\n- Políticas públicas e propostas inclusivas relacionadas\n- Exemplos práticos de impacto social positivo\n\nCONCLUSÃO:\n"Juntos, construímos um Brasil mais justo, democrático e sustentável — com participação popular e respeito às diferenças."\n\nTom: ${toneAdjectives[tone] || 'inspirador'}`;
-    
-    case 'speech':
-      return `DISCURSO: ${prompt}\n\n"Companheiras e companheiros,\n\nEstamos aqui porque acreditamos em um Brasil mais justo, inclusivo e democrático. ${prompt} expressa nosso compromisso com direitos humanos, igualdade e participação popular.\n\nDefendemos políticas públicas que reduzam desigualdades, valorizem o trabalho e protejam o meio ambiente. A diversidade é nossa força, e a democracia nosso caminho.\n\nCom solidariedade e coragem, construiremos um país onde todas as pessoas tenham dignidade, voz e oportunidades.\n\nViva a democracia, viva o Brasil!"\n\nTom: ${toneAdjectives[tone] || 'inspirador'}\nExtensão: ${lengthWords[length] || 'média'}`;
-    
-    default:
-      return `Conteúdo gerado para: ${prompt}\n\nTipo: ${type}\nTom: ${toneAdjectives[tone] || 'neutro'}\nTamanho: ${lengthWords[length] || 'médio'}\n\nEste conteúdo segue valores progressistas brasileiros: justiça social, inclusão, direitos humanos e democracia.`;
-  }
-}
-
 module.exports = router;
\ No newline at end of file
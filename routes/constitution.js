@@ -1,6 +1,23 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { authenticateUser, resolveUserId } = require('../middleware/auth');
+const { requireEntitlement } = require('../middleware/entitlements');
+const {
+  DOCUMENTS,
+  MAX_QUESTION_CHARS,
+  parseArticleNumber,
+  getArticle,
+  searchArticles,
+  articleSummary,
+  answerQuestion
+} = require('../services/constitution');
+const {
+  amendmentSummary,
+  loadArticleVersions,
+  versionSummary,
+  resolveVersion,
+  compareVersions
+} = require('../services/constitutionHistory');
 
 const router = express.Router();
 
@@ -213,4 +230,321 @@ router.post('/download/:userId', authenticateUser, async (req, res) => {
   }
 });
 
+const parseDocument = (value) => {
+  const documento = String(value || 'CF').toUpperCase();
+  return DOCUMENTS.includes(documento) ? documento : null;
+};
+
+// Artigo pelo número e documento da query; responde 400/404 e retorna null se não achar
+async function findArticleOrFail(req, res) {
+  const reference = parseArticleNumber(req.params.number);
+  const documento = parseDocument(req.query.documento);
+
+  if (!reference) {
+    res.status(400).json({ error: 'Número de artigo inválido' });
+    return null;
+  }
+  if (!documento) {
+    res.status(400).json({ error: `Documento inválido. Use: ${DOCUMENTS.join(', ')}` });
+    return null;
+  }
+
+  const article = await getArticle({ documento, ...reference });
+  if (!article) {
+    res.status(404).json({ error: 'Artigo não encontrado' });
+    return null;
+  }
+  return article;
+}
+
+// Perguntar sobre a Constituição: resposta gerada a partir dos artigos recuperados,
+// com as citações (artigo, parágrafo, inciso, alínea) e o texto exato de cada uma
+router.post('/ask', authenticateUser, requireEntitlement('ai_chat'), async (req, res) => {
+  try {
+    const question = String(req.body?.pergunta || req.body?.question || '').trim();
+    if (!question) {
+      return res.status(400).json({ error: 'Pergunta é obrigatória' });
+    }
+    if (question.length > MAX_QUESTION_CHARS) {
+      return res.status(400).json({ error: `Pergunta com no máximo ${MAX_QUESTION_CHARS} caracteres` });
+    }
+
+    const result = await answerQuestion(question, {
+      usage: { userId: req.user.id, plan: req.user.plan }
+    });
+
+    // Sem chamada ao modelo, a pergunta não conta na cota
+    if (!result.consumiu_ia) {
+      res.locals.skipEntitlementUsage = true;
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Erro ao responder pergunta sobre a Constituição:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Busca por palavras-chave nos artigos (todos os termos; aceita "frase exata" e -exclusão)
+router.get('/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const documento = req.query.documento ? parseDocument(req.query.documento) : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    if (q.length < 2) {
+      return res.status(400).json({ error: 'Informe ao menos 2 caracteres para a busca' });
+    }
+    if (req.query.documento && !documento) {
+      return res.status(400).json({ error: `Documento inválido. Use: ${DOCUMENTS.join(', ')}` });
+    }
+
+    const results = await searchArticles(q, { limit, matchAll: true, documento });
+
+    res.json({
+      success: true,
+      q,
+      data: results.map(article => ({
+        ...articleSummary(article),
+        trecho: article.trecho,
+        relevancia: article.rank
+      }))
+    });
+  } catch (error) {
+    console.error('Erro ao buscar na Constituição:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Listar artigos em ordem, opcionalmente filtrando por título ou capítulo
+router.get('/articles', async (req, res) => {
+  try {
+    const { titulo, capitulo, page = 1, limit = 20 } = req.query;
+    const documento = parseDocument(req.query.documento);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    if (!documento) {
+      return res.status(400).json({ error: `Documento inválido. Use: ${DOCUMENTS.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('constitution_articles')
+      .select('id, documento, numero, sufixo, rotulo, titulo, capitulo, secao, caput', { count: 'exact' })
+      .eq('documento', documento);
+
+    if (titulo) {
+      query = query.ilike('titulo', `${titulo}%`);
+    }
+    if (capitulo) {
+      query = query.ilike('capitulo', `${capitulo}%`);
+    }
+
+    const { data, error, count } = await query
+      .order('ordem', { ascending: true })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar artigos:', error);
+      return res.status(500).json({ error: 'Erro ao buscar artigos' });
+    }
+
+    res.json({
+      success: true,
+      data: (data || []).map(articleSummary),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar artigos:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Artigo pelo número ("5", "5º", "103-A"); ?documento=ADCT para as disposições transitórias
+router.get('/articles/:number', async (req, res) => {
+  try {
+    const article = await findArticleOrFail(req, res);
+    if (!article) return;
+    const { documento } = article;
+
+    // Vizinhos para navegação
+    const [{ data: previous }, { data: next }] = await Promise.all([
+      supabase
+        .from('constitution_articles')
+        .select('numero, sufixo, rotulo')
+        .eq('documento', documento)
+        .lt('ordem', article.ordem)
+        .order('ordem', { ascending: false })
+        .limit(1),
+      supabase
+        .from('constitution_articles')
+        .select('numero, sufixo, rotulo')
+        .eq('documento', documento)
+        .gt('ordem', article.ordem)
+        .order('ordem', { ascending: true })
+        .limit(1)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...articleSummary(article),
+        texto: article.texto,
+        dispositivos: article.dispositivos || []
+      },
+      anterior: previous?.[0] || null,
+      proximo: next?.[0] || null
+    });
+  } catch (error) {
+    console.error('Erro ao buscar artigo:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Histórico do artigo: versões do texto, cada uma com a emenda que a produziu e o período de vigência
+router.get('/articles/:number/history', async (req, res) => {
+  try {
+    const article = await findArticleOrFail(req, res);
+    if (!article) return;
+
+    const versions = await loadArticleVersions(article.id);
+
+    res.json({
+      success: true,
+      artigo: articleSummary(article),
+      versoes: versions.map(version => ({
+        ...versionSummary(version),
+        texto: version.texto
+      }))
+    });
+  } catch (error) {
+    console.error('Erro ao buscar histórico do artigo:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Comparar o texto do artigo entre duas datas (AAAA-MM-DD) ou emendas (EC115, ECR5):
+// ?de=2000-01-01&ate=EC115. Sem `ate`, compara com o texto em vigor.
+router.get('/articles/:number/diff', async (req, res) => {
+  try {
+    const { de, ate } = req.query;
+    if (!de) {
+      return res.status(400).json({ error: 'Informe o parâmetro "de" (data AAAA-MM-DD ou emenda, ex.: EC115)' });
+    }
+
+    const article = await findArticleOrFail(req, res);
+    if (!article) return;
+
+    const versions = await loadArticleVersions(article.id);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Artigo sem histórico de versões' });
+    }
+
+    const from = await resolveVersion(versions, de);
+    const to = ate
+      ? await resolveVersion(versions, ate)
+      : { version: versions.find(version => !version.vigente_ate) || versions[versions.length - 1], referencia: { vigente: true } };
+
+    for (const resolved of [from, to]) {
+      if (resolved.error) {
+        return res.status(resolved.status || 400).json({ error: resolved.error });
+      }
+    }
+    if (!from.version || !to.version) {
+      return res.status(404).json({ error: 'O artigo não tinha texto registrado em uma das referências' });
+    }
+
+    // Sempre da versão mais antiga para a mais nova
+    const [older, newer] = from.version.versao <= to.version.versao ? [from, to] : [to, from];
+
+    res.json({
+      success: true,
+      artigo: articleSummary(article),
+      referencias: { de: older.referencia, ate: newer.referencia },
+      ...compareVersions(older.version, newer.version)
+    });
+  } catch (error) {
+    console.error('Erro ao comparar versões do artigo:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Listar emendas constitucionais (mais recentes primeiro) com os artigos que cada uma alterou
+router.get('/amendments', async (req, res) => {
+  try {
+    const { ano, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    let query = supabase
+      .from('constitution_amendments')
+      .select('id, tipo, numero, ano, promulgada_em, ementa', { count: 'exact' });
+
+    if (ano) {
+      query = query.eq('ano', parseInt(ano));
+    }
+
+    const { data: amendments, error, count } = await query
+      .order('ano', { ascending: false })
+      .order('numero', { ascending: false })
+      .range(offset, offset + limitNum - 1);
+
+    if (error) {
+      console.error('Erro ao buscar emendas:', error);
+      return res.status(500).json({ error: 'Erro ao buscar emendas' });
+    }
+
+    const ids = (amendments || []).map(amendment => amendment.id);
+    let links = [];
+    if (ids.length > 0) {
+      const { data, error: linksError } = await supabase
+        .from('constitution_amendment_articles')
+        .select('amendment_id, efeitos, dispositivos, constitution_articles(documento, numero, sufixo, rotulo, ordem)')
+        .in('amendment_id', ids);
+
+      if (linksError) {
+        console.error('Erro ao buscar artigos das emendas:', linksError);
+        return res.status(500).json({ error: 'Erro ao buscar emendas' });
+      }
+      links = data || [];
+    }
+
+    const data = (amendments || []).map(amendment => ({
+      ...amendmentSummary(amendment),
+      artigos: links
+        .filter(link => link.amendment_id === amendment.id && link.constitution_articles)
+        .sort((a, b) => a.constitution_articles.documento.localeCompare(b.constitution_articles.documento) ||
+          a.constitution_articles.ordem - b.constitution_articles.ordem)
+        .map(({ constitution_articles: article, efeitos, dispositivos }) => ({
+          documento: article.documento,
+          rotulo: article.rotulo,
+          numero: article.sufixo ? `${article.numero}-${article.sufixo}` : String(article.numero),
+          efeitos,
+          dispositivos
+        }))
+    }));
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count || 0,
+        totalPages: Math.ceil((count || 0) / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao listar emendas:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -29,6 +29,10 @@ const requireAdmin = async (req, res, next) => {
   }
 }
 
+// Registros dos guardrails de IA guardam o trecho bloqueado em `content`; nos demais itens a
+// moderação continua vendo as mensagens da conversa
+const guardrailContent = (conv) => (conv.content_type === 'ai_guardrail' ? conv.content : null)
+
 router.use(requireAdmin)
 
 // GET /admin/content-moderation/pending - Buscar conteúdo pendente
@@ -55,6 +59,9 @@ router.get('/pending', async (req, res) => {
         author_id,
         status,
         content_type,
+        content,
+        category,
+        metadata,
         priority,
         reports_count,
         users!content_moderation_author_id_fkey(username, subscription_plan)
@@ -114,13 +121,14 @@ router.get('/pending', async (req, res) => {
           type: conv.content_type || 'ai_generated',
           contentType: conv.content_type || 'text',
           title: conv.title,
-          content: lastAiMessage || lastUserMessage,
+          content: guardrailContent(conv) || lastAiMessage || lastUserMessage,
           author: conv.users?.username || 'Usuário',
           authorPlan: conv.users?.subscription_plan || 'gratuito',
           createdAt: conv.created_at,
           reportCount: reportCount || 0,
           priority: conv.priority || 'medium',
-          category: 'general',
+          category: conv.category || 'general',
+          guardrail: conv.metadata?.source === 'ai_guardrail' ? conv.metadata : null,
           aiTemplate: conv.ai_template,
           status: conv.status
         }
@@ -162,6 +170,9 @@ router.get('/approved', async (req, res) => {
         author_id,
         status,
         content_type,
+        content,
+        category,
+        metadata,
         priority,
         moderated_at,
         moderator_id,
@@ -202,13 +213,14 @@ router.get('/approved', async (req, res) => {
           type: 'ai_generated',
           contentType: conv.content_type || 'text',
           title: conv.title || 'Conversa sem título',
-          content: lastAiMessage || lastUserMessage || conv.content,
+          content: guardrailContent(conv) || lastAiMessage || lastUserMessage || conv.content,
           author: conv.users?.username || 'Usuário',
           authorPlan: conv.users?.subscription_plan || 'gratuito',
           createdAt: conv.created_at,
           approvedAt: conv.moderated_at,
           approvedBy: conv.moderator_id,
-          category: 'general',
+          category: conv.category || 'general',
+          guardrail: conv.metadata?.source === 'ai_guardrail' ? conv.metadata : null,
           status: conv.status
         }
       })
@@ -249,6 +261,9 @@ router.get('/rejected', async (req, res) => {
         author_id,
         status,
         content_type,
+        content,
+        category,
+        metadata,
         priority,
         moderated_at,
         moderator_id,
@@ -290,14 +305,15 @@ router.get('/rejected', async (req, res) => {
           type: conv.content_type || 'ai_generated',
           contentType: conv.content_type || 'text',
           title: conv.title,
-          content: lastAiMessage || lastUserMessage,
+          content: guardrailContent(conv) || lastAiMessage || lastUserMessage,
           author: conv.users?.username || 'Usuário',
           authorPlan: conv.users?.subscription_plan || 'gratuito',
           createdAt: conv.created_at,
           rejectedAt: conv.moderated_at,
           rejectedBy: conv.moderator_id,
           rejectionReason: conv.reason,
-          category: 'general',
+          category: conv.category || 'general',
+          guardrail: conv.metadata?.source === 'ai_guardrail' ? conv.metadata : null,
           status: conv.status
         }
       })
@@ -1,164 +1,325 @@
 const express = require('express');
+const multer = require('multer');
 const { supabase } = require('../config/supabase');
 const { authenticateUser } = require('../middleware/auth');
-const { analyzeFakeNews, checkUserLimits } = require('../services/aiService');
+const { analyzeFakeNews } = require('../services/aiService');
+const { analyzeImageMetadata } = require('../services/imageMetadata');
+const { computeImageHash, findMatchingImageCheck } = require('../services/imageHash');
+const { extractArticleFromUrl, formatArticleForAnalysis } = require('../services/urlExtractor');
+const { saveClaims, loadClaims, attachClaims } = require('../services/fakeNewsClaims');
+const { assignCluster, getTrendingClusters } = require('../services/rumorClusters');
+const { publicResultUrl, buildPublicCheck, renderCardSvg, renderCardPng } = require('../services/verdictCard');
+const { MAX_ANALYZED_MESSAGES, parseWhatsAppExport, selectForwardedMessages, suspicionScore } = require('../services/whatsappExport');
+const {
+  publicVerdict,
+  getReviewer,
+  normalizeReview,
+  submitReview,
+  loadReviews,
+  summarizeReviews
+} = require('../services/communityReviews');
+const { requireEntitlement } = require('../middleware/entitlements');
+const { recordPromptOutcome } = require('../services/promptRegistry');
 const { randomUUID } = require('crypto');
 const router = express.Router();
 
-// Função para analisar conteúdo com IA
-async function analyzeContentWithAI(content, type) {
-  const openRouterKey = process.env.OPENROUTER_API_KEY;
-  
-  if (!openRouterKey) {
-    throw new Error('OPENROUTER_API_KEY não configurada');
+// Upload da conversa exportada do WhatsApp (.txt) no campo "arquivo"
+const MAX_CHAT_BYTES = 5 * 1024 * 1024;
+const chatUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CHAT_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/plain' || /\.txt$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Envie o arquivo .txt da conversa exportada (opção "Sem mídia").'), false);
+    }
   }
+}).single('arquivo');
 
-  const systemPrompt = `Você é um especialista em verificação de fatos e detecção de fake news. 
-Analise o conteúdo fornecido e determine se é:
-- VERDADE: Informação verificada e confiável
-- TENDENCIOSO: Informação parcialmente verdadeira mas com viés
-- FAKE: Informação falsa ou enganosa
-
-Forneça uma análise detalhada incluindo:
-1. Classificação (verdade/tendencioso/fake)
-2. Pontuação de confiança (0-100)
-3. Explicação detalhada
-4. Fontes ou referências quando possível
-
-Responda APENAS em formato JSON válido:
-{
-  "resultado": "verdade|tendencioso|fake",
-  "confianca": 0-100,
-  "explicacao": "explicação detalhada",
-  "fontes": ["fonte1", "fonte2"]
-}`;
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 30000);
+function uploadChatExport(req, res, next) {
+  chatUpload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: 'Arquivo muito grande. Tamanho máximo: 5MB' });
+    }
+    return res.status(400).json({ error: error.message });
+  });
+}
 
-  try {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openRouterKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://direitai.com',
-        'X-Title': 'DireitaAI - Detector de Fake News'
-      },
-      body: JSON.stringify({
-        model: 'meta-llama/llama-3.3-70b-instruct:free',
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: `Analise este ${type}: ${content}`
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      }),
-      signal: controller.signal
-    });
+// Metadados do artigo extraído, devolvidos na resposta e salvos com a verificação
+function toArticleSummary(article) {
+  return {
+    url: article.requestedUrl,
+    url_canonica: article.canonicalUrl,
+    titulo: article.title,
+    autor: article.author,
+    publicado_em: article.publishedAt,
+    atualizado_em: article.modifiedAt,
+    site: article.siteName,
+    descricao: article.description,
+    imagem: article.image,
+    open_graph: article.openGraph,
+    palavras: article.wordCount,
+    truncado: article.truncated
+  };
+}
 
-    clearTimeout(timeoutId);
+// Devolve o veredito de uma imagem já verificada sem chamar a IA. A nova verificação é salva no
+// histórico do usuário apontando para a original, que acumula o contador de vezes vista.
+// Sem chamada de IA, a verificação não consome a cota do plano.
+async function respondWithPreviousCheck(req, res, { content, imageHash, original }) {
+  res.locals.skipEntitlementUsage = true;
 
-    if (!response.ok) {
-      throw new Error(`OpenRouter API error: ${response.status}`);
-    }
+  const { error: counterError } = await supabase.rpc('increment_vezes_visto', { check_id: original.id });
+  if (counterError) {
+    console.warn('⚠️ Erro ao incrementar contador da imagem:', counterError.message);
+  }
+
+  const evidencias = analyzeImageMetadata(content);
+  const { data: savedCheck, error: saveError } = await supabase
+    .from('fake_news_checks')
+    .insert({
+      user_id: req.user.id,
+      tipo_input: 'imagem',
+      conteudo: content.substring(0, 1000),
+      resultado: original.resultado,
+      explicacao: original.explicacao,
+      confianca: original.confianca,
+      fontes: original.fontes || [],
+      prompt_versions: original.prompt_versions || [],
+      evidencias,
+      checagens: original.checagens || [],
+      hash_imagem: imageHash,
+      verificacao_original_id: original.id,
+      feedback_positivo: 0,
+      feedback_negativo: 0,
+      denuncias: 0,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (saveError) {
+    console.error('Erro ao salvar verificação reaproveitada:', saveError);
+  }
 
-    const data = await response.json();
-    const aiResponse = data.choices[0]?.message?.content;
+  const originalClaims = (await loadClaims([original.id])).get(original.id) || [];
+  const afirmacoes = await saveClaims(savedCheck?.id, originalClaims);
+  if (savedCheck) {
+    await assignCluster(savedCheck, { claims: afirmacoes });
+  }
 
-    if (!aiResponse) {
-      throw new Error('Resposta vazia da IA');
+  return res.json({
+    id: savedCheck?.id || null,
+    resultado: original.resultado,
+    confianca: original.confianca,
+    explicacao: original.explicacao,
+    fontes: original.fontes || [],
+    afirmacoes,
+    evidencias,
+    checagens: original.checagens || [],
+    created_at: savedCheck?.created_at || new Date().toISOString(),
+    ...(saveError ? { not_saved: true } : {}),
+    verificacao_anterior: {
+      id: original.id,
+      distancia: original.distance,
+      vezes_visto: (original.vezes_visto || 1) + 1,
+      feedback_positivo: original.feedback_positivo || 0,
+      feedback_negativo: original.feedback_negativo || 0,
+      denuncias: original.denuncias || 0,
+      verificada_em: original.created_at
     }
+  });
+}
 
-    // Tentar fazer parse do JSON
-    try {
-      const analysis = JSON.parse(aiResponse);
-      return {
-        success: true,
-        analysis,
-        tokensUsed: data.usage?.total_tokens || 0
-      };
-    } catch (parseError) {
-      // Se não conseguir fazer parse, criar resposta padrão
-      return {
-        success: true,
-        analysis: {
-          resultado: 'tendencioso',
-          confianca: 50,
-          explicacao: aiResponse,
-          fontes: []
+// Conversa exportada do WhatsApp: cada encaminhada selecionada é analisada e salva como uma
+// verificação própria (tipo_input "whatsapp"), ligadas pelo mesmo lote_id. Os nomes dos
+// participantes só aparecem na resposta, não são gravados. Cada análise concluída conta na cota:
+// o lote é reservado antes de começar, limitado ao que resta do plano, e as análises que não
+// forem concluídas são devolvidas ao final.
+async function respondWithWhatsAppReport(req, res, chatText) {
+  const userId = req.user.id;
+  const chat = parseWhatsAppExport(chatText);
+  if (chat.mensagens.length === 0) {
+    return res.status(400).json({ error: 'Não foi possível reconhecer mensagens. Envie o .txt gerado em "Exportar conversa".' });
+  }
+
+  const wanted = selectForwardedMessages(chat.mensagens).selecionadas.length;
+  const limit = await req.entitlementUsage.reserveUpTo(Math.max(wanted, 1));
+  const selection = selectForwardedMessages(chat.mensagens, { limit });
+  const loteId = randomUUID();
+
+  const relatorio = [];
+  let analyzed = 0;
+  for (const message of selection.selecionadas) {
+    const analysisResult = await analyzeFakeNews(message.texto, 'texto', {
+      usage: { userId, plan: req.user.plan }
+    });
+    if (analysisResult.success) analyzed++;
+
+    const { data: savedCheck, error: saveError } = await supabase
+      .from('fake_news_checks')
+      .insert({
+        user_id: userId,
+        tipo_input: 'whatsapp',
+        conteudo: message.texto.substring(0, 1000),
+        resultado: analysisResult.resultado,
+        explicacao: analysisResult.explicacao,
+        confianca: analysisResult.confianca,
+        fontes: analysisResult.fontes || [],
+        prompt_versions: analysisResult.promptRefs || [],
+        checagens: analysisResult.checagens || [],
+        lote_id: loteId,
+        origem_whatsapp: {
+          data: message.data,
+          encaminhada: message.encaminhada,
+          encaminhada_com_frequencia: message.encaminhada_com_frequencia,
+          vezes_na_conversa: message.vezes_na_conversa,
+          remetentes: message.remetentes,
+          midias: message.midias.map(media => media.tipo)
         },
-        tokensUsed: data.usage?.total_tokens || 0
-      };
+        feedback_positivo: 0,
+        feedback_negativo: 0,
+        denuncias: 0,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    let afirmacoes = analysisResult.afirmacoes || [];
+    if (saveError) {
+      console.error('Erro ao salvar verificação da conversa:', saveError);
+    } else {
+      afirmacoes = await saveClaims(savedCheck.id, afirmacoes);
+      await assignCluster(savedCheck, { claims: afirmacoes });
     }
-  } catch (error) {
-    clearTimeout(timeoutId);
-    console.error('Erro na análise de IA:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-}
 
-// Função para extrair conteúdo de URL
-async function extractContentFromUrl(url) {
-  try {
-    // Validar URL
-    const urlObj = new URL(url);
-    
-    // Por enquanto, retornar a URL como conteúdo
-    // Em uma implementação completa, usaríamos web scraping
-    return {
-      success: true,
-      content: `Conteúdo da URL: ${url}`,
-      title: 'Título extraído da página'
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: 'URL inválida'
+    const item = {
+      id: savedCheck?.id || null,
+      indice: message.indice,
+      data: message.data,
+      remetente: message.remetente,
+      encaminhada: message.encaminhada,
+      encaminhada_com_frequencia: message.encaminhada_com_frequencia,
+      vezes_na_conversa: message.vezes_na_conversa,
+      midias: message.midias,
+      trecho: message.texto.length > 280 ? `${message.texto.slice(0, 279)}…` : message.texto,
+      resultado: analysisResult.resultado,
+      confianca: analysisResult.confianca,
+      explicacao: analysisResult.explicacao,
+      fontes: analysisResult.fontes || [],
+      afirmacoes,
+      checagens: analysisResult.checagens || [],
+      ...(analysisResult.success ? {} : { indisponivel: true })
     };
+    relatorio.push({ ...item, pontuacao_suspeita: suspicionScore(item) });
   }
+
+  // Resultados de fallback não consomem a cota
+  await req.entitlementUsage.settle(analyzed);
+
+  const porResultado = { verdade: 0, tendencioso: 0, fake: 0 };
+  relatorio.forEach(item => {
+    porResultado[item.resultado] = (porResultado[item.resultado] || 0) + 1;
+  });
+  const dates = chat.mensagens.map(message => message.data).sort();
+
+  return res.json({
+    tipo: 'whatsapp',
+    lote_id: loteId,
+    conversa: {
+      mensagens: chat.mensagens.filter(message => !message.sistema).length,
+      participantes: chat.participantes.length,
+      encaminhadas: chat.mensagens.filter(message => message.encaminhada).length,
+      midias: chat.mensagens.reduce((total, message) => total + message.midias.length, 0),
+      inicio: dates[0] || null,
+      fim: dates[dates.length - 1] || null
+    },
+    criterio: selection.criterio,
+    relatorio,
+    resumo: {
+      analisadas: relatorio.length,
+      nao_analisadas: selection.excedentes,
+      limitado_pela_cota: selection.excedentes > 0 && limit < MAX_ANALYZED_MESSAGES,
+      midias_sem_texto: selection.midias_sem_texto,
+      por_resultado: porResultado,
+      mais_suspeitas: relatorio
+        .filter(item => item.pontuacao_suspeita > 0)
+        .sort((a, b) => b.pontuacao_suspeita - a.pontuacao_suspeita)
+        .slice(0, 3)
+        .map(item => ({
+          id: item.id,
+          indice: item.indice,
+          trecho: item.trecho,
+          resultado: item.resultado,
+          confianca: item.confianca,
+          vezes_na_conversa: item.vezes_na_conversa,
+          encaminhada_com_frequencia: item.encaminhada_com_frequencia,
+          explicacao: item.explicacao
+        }))
+    }
+  });
 }
 
 // Rota principal para verificar fake news
-router.post('/analyze', authenticateUser, async (req, res) => {
+// Tipos: texto, link, imagem (data URL) e whatsapp (conversa exportada colada em content ou
+// enviada como arquivo .txt no campo "arquivo", via multipart)
+router.post('/analyze', authenticateUser, requireEntitlement('fake_news'), uploadChatExport, async (req, res) => {
   try {
-    const { content, type = 'texto' } = req.body;
+    const { type = 'texto' } = req.body;
+    const content = type === 'whatsapp' && req.file ? req.file.buffer.toString('utf8') : req.body.content;
     const userId = req.user.id;
 
     if (!content || content.trim().length === 0) {
       return res.status(400).json({ error: 'Conteúdo é obrigatório' });
     }
 
-    const limitsCheck = await checkUserLimits(userId);
-    if (!limitsCheck.canUse) {
-      return res.status(429).json({ 
-        error: 'Limite de uso excedido',
-        details: limitsCheck
-      });
+    if (type === 'whatsapp') {
+      if (content.length > MAX_CHAT_BYTES) {
+        return res.status(400).json({ error: 'Conversa muito grande. Tamanho máximo: 5MB' });
+      }
+      await respondWithWhatsAppReport(req, res, content);
+      return;
     }
 
+    // Links: o modelo analisa o texto da página, não apenas o endereço
     let processedContent = content;
+    let artigo = null;
     if (type === 'link') {
       try {
-        processedContent = content;
+        const article = await extractArticleFromUrl(content.trim());
+        processedContent = formatArticleForAnalysis(article);
+        artigo = toArticleSummary(article);
+        console.log(`📰 Página extraída: ${article.title || article.url} (${article.wordCount} palavras)`);
+      } catch (error) {
+        console.error('Erro ao extrair conteúdo do link:', error.message);
+        artigo = { url: content.trim(), erro: error.message };
+      }
+    }
+
+    // Imagens que já circularam são reconhecidas pelo hash perceptual
+    let imageHash = null;
+    if (type === 'imagem' && content.startsWith('data:image/')) {
+      try {
+        imageHash = await computeImageHash(content);
       } catch (error) {
-        console.error('Erro ao extrair conteúdo do link:', error);
-        processedContent = content;
+        console.warn('⚠️ Não foi possível calcular o hash da imagem:', error.message);
+      }
+
+      const original = imageHash ? await findMatchingImageCheck(imageHash) : null;
+      if (original) {
+        console.log(`🔁 Imagem já verificada (${original.id}, distância ${original.distance}), reaproveitando veredito`);
+        return respondWithPreviousCheck(req, res, { content, imageHash, original });
       }
     }
 
-    const analysisResult = await analyzeFakeNews(processedContent, type);
+    const analysisResult = await analyzeFakeNews(processedContent, type, {
+      usage: { userId, plan: req.user.plan }
+    });
     if (!analysisResult.success) {
       console.warn('Análise de IA indisponível, usando resultado de fallback.');
+      res.locals.skipEntitlementUsage = true;
     }
 
     const { data: savedCheck, error: saveError } = await supabase
@@ -171,6 +332,12 @@ router.post('/analyze', authenticateUser, async (req, res) => {
         explicacao: analysisResult.explicacao,
         confianca: analysisResult.confianca,
         fontes: analysisResult.fontes || [],
+        prompt_versions: analysisResult.promptRefs || [],
+        evidencias: analysisResult.evidencias || null,
+        artigo,
+        checagens: analysisResult.checagens || [],
+        // Resultados de fallback não são reaproveitados para outras cópias da imagem
+        hash_imagem: analysisResult.success ? imageHash : null,
         feedback_positivo: 0,
         feedback_negativo: 0,
         denuncias: 0,
@@ -187,28 +354,42 @@ router.post('/analyze', authenticateUser, async (req, res) => {
         confianca: analysisResult.confianca,
         explicacao: analysisResult.explicacao,
         fontes: analysisResult.fontes || [],
+        afirmacoes: analysisResult.afirmacoes || [],
+        evidencias: analysisResult.evidencias || null,
+        artigo,
+        checagens: analysisResult.checagens || [],
         created_at: new Date().toISOString(),
         not_saved: true,
         message: 'Verificação não foi salva, exibindo resultado mesmo assim.'
       });
     }
 
+    const afirmacoes = await saveClaims(savedCheck.id, analysisResult.afirmacoes || []);
+    await assignCluster(savedCheck, { claims: afirmacoes });
+
     return res.json({
       id: savedCheck.id,
       resultado: analysisResult.resultado,
       confianca: analysisResult.confianca,
       explicacao: analysisResult.explicacao,
       fontes: analysisResult.fontes || [],
+      afirmacoes,
+      evidencias: savedCheck.evidencias || null,
+      artigo,
+      checagens: analysisResult.checagens || [],
       created_at: savedCheck.created_at
     });
   } catch (error) {
     console.error('Erro na análise:', error);
+    res.locals.skipEntitlementUsage = true;
     return res.status(200).json({
       id: null,
       resultado: 'tendencioso',
       confianca: 30,
       explicacao: 'Análise indisponível no momento. Tente novamente mais tarde.',
       fontes: [],
+      afirmacoes: [],
+      checagens: [],
       not_saved: true,
       message: 'Falha interna durante a análise; retornando resultado padrão.'
     });
@@ -267,7 +448,7 @@ router.get('/history', authenticateUser, async (req, res) => {
 
     res.json({
       success: true,
-      verificacoes: data || [],
+      verificacoes: await attachClaims(data),
       total: count || 0,
       page: pageNum,
       totalPages: Math.ceil(((count || 0) / limitNum))
@@ -286,32 +467,234 @@ router.get('/history', authenticateUser, async (req, res) => {
   }
 });
 
-// Rota para buscar verificações mais populares
+// Boatos em alta: verificações agrupadas por boato (texto parecido, mesmo link ou mesma imagem),
+// ordenadas pelo número de verificações na janela (?window= em horas). Só expõe o resumo
+// sanitizado de cada agrupamento, nunca o conteúdo enviado pelos usuários.
 router.get('/trending', async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const windowHours = Math.min(Math.max(parseInt(req.query.window) || 24, 1), 24 * 30);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const clusters = await getTrendingClusters({ windowHours, limit });
+
+    res.json({ janela_horas: windowHours, clusters });
+  } catch (error) {
+    console.error('Erro ao buscar boatos em alta:', error);
+    res.status(500).json({ 
+      error: 'Erro ao buscar verificações populares',
+      details: error.message
+    });
+  }
+});
+
+// Marcar (ou desmarcar) uma verificação como compartilhável. Só verificações marcadas pelo dono
+// aparecem na página pública e nos cards.
+router.patch('/:id/share', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { compartilhavel } = req.body || {};
+
+    if (typeof compartilhavel !== 'boolean') {
+      return res.status(400).json({ error: 'Campo compartilhavel (true/false) é obrigatório' });
+    }
 
-    const { data: checks, error } = await supabase
+    const { data: check, error: fetchError } = await supabase
       .from('fake_news_checks')
-      .select('*')
-      .order('feedback_positivo', { ascending: false })
-      .order('created_at', { ascending: false })
-      .limit(limit);
+      .select('id, user_id')
+      .eq('id', id)
+      .maybeSingle();
 
-    if (error) {
-      return res.status(500).json({ 
-        error: 'Erro ao buscar verificações populares',
-        details: error.message
-      });
+    if (fetchError || !check) {
+      return res.status(404).json({ error: 'Verificação não encontrada' });
+    }
+    if (check.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Acesso negado' });
     }
 
-    res.json({ checks });
+    const { error: updateError } = await supabase
+      .from('fake_news_checks')
+      .update({
+        compartilhavel,
+        compartilhada_em: compartilhavel ? new Date().toISOString() : null
+      })
+      .eq('id', id);
+
+    if (updateError) {
+      console.error('Erro ao atualizar compartilhamento:', updateError);
+      return res.status(500).json({ error: 'Erro ao atualizar compartilhamento' });
+    }
+
+    res.json({
+      success: true,
+      compartilhavel,
+      url: compartilhavel ? publicResultUrl(id) : null,
+      card_url: compartilhavel ? `${req.protocol}://${req.get('host')}/api/fake-news/${id}/card.png` : null
+    });
   } catch (error) {
-    console.error('Erro ao buscar verificações populares:', error);
-    res.status(500).json({ 
-      error: 'Erro interno do servidor',
-      details: error.message
+    console.error('Erro ao compartilhar verificação:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Versão pública de uma verificação compartilhável. Verificações não marcadas respondem 404,
+// sem revelar se existem.
+async function loadPublicCheck(req) {
+  const { data: check, error } = await supabase
+    .from('fake_news_checks')
+    .select('id, tipo_input, resultado, resultado_final, situacao, confianca, explicacao, fontes, artigo, created_at')
+    .eq('id', req.params.id)
+    .eq('compartilhavel', true)
+    .maybeSingle();
+
+  if (error || !check) return null;
+
+  const claims = (await loadClaims([check.id])).get(check.id) || [];
+  return buildPublicCheck(check, claims, { apiBaseUrl: `${req.protocol}://${req.get('host')}` });
+}
+
+router.get('/:id/public', async (req, res) => {
+  try {
+    const publicCheck = await loadPublicCheck(req);
+    if (!publicCheck) {
+      return res.status(404).json({ error: 'Verificação não encontrada' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(publicCheck);
+  } catch (error) {
+    console.error('Erro ao buscar verificação pública:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Card do veredito para compartilhar (1200x630, também usado como og:image)
+async function sendCard(req, res, format) {
+  try {
+    const publicCheck = await loadPublicCheck(req);
+    if (!publicCheck) {
+      return res.status(404).json({ error: 'Verificação não encontrada' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(renderCardSvg(publicCheck));
+    }
+    res.type('image/png').send(await renderCardPng(publicCheck));
+  } catch (error) {
+    console.error('Erro ao gerar card da verificação:', error);
+    res.status(500).json({ error: 'Erro ao gerar card' });
+  }
+}
+
+router.get('/:id/card.svg', (req, res) => sendCard(req, res, 'svg'));
+router.get('/:id/card.png', (req, res) => sendCard(req, res, 'png'));
+
+// Situação do usuário no programa de revisores da comunidade
+router.get('/reviewers/me', authenticateUser, async (req, res) => {
+  try {
+    const reviewer = await getReviewer(req.user.id);
+    res.json({ revisor: Boolean(reviewer && reviewer.status === 'ativo'), dados: reviewer || null });
+  } catch (error) {
+    console.error('Erro ao buscar revisor:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Verificação visível para o usuário: a própria, uma compartilhada publicamente ou qualquer uma para admins
+const canViewCheck = (check, user) => check.user_id === user.id || check.compartilhavel === true || user.role === 'admin';
+
+// Contra-análise de um revisor da comunidade: veredito, links de evidência e notas.
+// Em verificações reaproveitadas de imagens, a revisão vale para a verificação original.
+router.post('/:id/reviews', authenticateUser, async (req, res) => {
+  try {
+    const reviewer = await getReviewer(req.user.id);
+    if (!reviewer || reviewer.status !== 'ativo') {
+      return res.status(403).json({ error: 'Apenas revisores da comunidade podem enviar revisões' });
+    }
+
+    const { review, error: validationError } = normalizeReview(req.body || {});
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: found, error: findError } = await supabase
+      .from('fake_news_checks')
+      .select('id, user_id, resultado, situacao, compartilhavel, verificacao_original_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (findError || !found || !canViewCheck(found, req.user)) {
+      return res.status(404).json({ error: 'Verificação não encontrada' });
+    }
+
+    let check = found;
+    if (found.verificacao_original_id) {
+      const { data: original } = await supabase
+        .from('fake_news_checks')
+        .select('id, user_id, resultado, situacao')
+        .eq('id', found.verificacao_original_id)
+        .maybeSingle();
+      if (original) check = original;
+    }
+
+    if (check.user_id === req.user.id) {
+      return res.status(403).json({ error: 'Não é possível revisar a própria verificação' });
+    }
+
+    const result = await submitReview(check, reviewer, review);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      revisao: result.review,
+      situacao: result.situacao,
+      veredito_publico: publicVerdict({ ...check, situacao: result.situacao }),
+      revisoes: result.revisoes
     });
+  } catch (error) {
+    console.error('Erro ao enviar revisão:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Revisões da comunidade para uma verificação (sem identificar os revisores)
+router.get('/:id/reviews', authenticateUser, async (req, res) => {
+  try {
+    const { data: found, error } = await supabase
+      .from('fake_news_checks')
+      .select('id, user_id, resultado, resultado_final, situacao, compartilhavel, verificacao_original_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error || !found || !canViewCheck(found, req.user)) {
+      return res.status(404).json({ error: 'Verificação não encontrada' });
+    }
+
+    let check = found;
+    if (found.verificacao_original_id) {
+      const { data: original } = await supabase
+        .from('fake_news_checks')
+        .select('id, resultado, resultado_final, situacao')
+        .eq('id', found.verificacao_original_id)
+        .maybeSingle();
+      if (original) check = original;
+    }
+
+    const reviews = await loadReviews(check.id);
+    res.json({
+      situacao: check.situacao || 'ia',
+      veredito_publico: publicVerdict(check),
+      resumo: summarizeReviews(check, reviews),
+      revisoes: reviews.map(({ reviewer_id, ...review }) => ({
+        ...review,
+        minha: reviewer_id === req.user.id
+      }))
+    });
+  } catch (error) {
+    console.error('Erro ao buscar revisões:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
@@ -332,7 +715,7 @@ router.post('/:id/feedback', authenticateUser, async (req, res) => {
     // Verificar se a verificação existe
     const { data: check, error: checkError } = await supabase
       .from('fake_news_checks')
-      .select('id')
+      .select('id, prompt_versions, verificacao_original_id')
       .eq('id', id)
       .single();
 
@@ -342,18 +725,24 @@ router.post('/:id/feedback', authenticateUser, async (req, res) => {
       });
     }
 
-    // Inserir feedback
-    const { data: feedback, error: feedbackError } = await supabase
+    // Inserir feedback. Um voto por usuário e verificação: um novo voto substitui o anterior
+    const feedbackRow = { check_id: id, user_id: userId, tipo_feedback, comentario };
+    let firstVote = true;
+    let { data: feedback, error: feedbackError } = await supabase
       .from('fake_news_feedback')
-      .upsert({
-        check_id: id,
-        user_id: userId,
-        tipo_feedback,
-        comentario
-      })
+      .insert(feedbackRow)
       .select()
       .single();
 
+    if (feedbackError?.code === '23505') {
+      firstVote = false;
+      ({ data: feedback, error: feedbackError } = await supabase
+        .from('fake_news_feedback')
+        .upsert(feedbackRow, { onConflict: 'check_id,user_id' })
+        .select()
+        .single());
+    }
+
     if (feedbackError) {
       return res.status(500).json({ 
         error: 'Erro ao salvar feedback',
@@ -361,13 +750,28 @@ router.post('/:id/feedback', authenticateUser, async (req, res) => {
       });
     }
 
-    // Atualizar contadores na tabela principal
+    // Atualizar contadores na tabela principal. Em verificações reaproveitadas de imagens,
+    // os contadores da comunidade ficam na verificação original.
+    const counterCheckId = check.verificacao_original_id || id;
     if (tipo_feedback === 'concordo') {
-      await supabase.rpc('increment_feedback_positivo', { check_id: id });
+      await supabase.rpc('increment_feedback_positivo', { check_id: counterCheckId });
     } else if (tipo_feedback === 'discordo') {
-      await supabase.rpc('increment_feedback_negativo', { check_id: id });
+      await supabase.rpc('increment_feedback_negativo', { check_id: counterCheckId });
     } else if (tipo_feedback === 'denuncia') {
-      await supabase.rpc('increment_denuncias', { check_id: id });
+      await supabase.rpc('increment_denuncias', { check_id: counterCheckId });
+    }
+
+    // Concordância/discordância do usuário é atribuída às versões de prompt usadas na análise.
+    // Só o primeiro voto conta; mudar o voto depois só atualiza o feedback
+    if (firstVote && tipo_feedback !== 'denuncia') {
+      await recordPromptOutcome({
+        promptRefs: check.prompt_versions,
+        outcome: 'fake_news_feedback',
+        score: tipo_feedback === 'concordo' ? 1 : -1,
+        userId,
+        referenceType: 'fake_news_check',
+        referenceId: id
+      });
     }
 
     res.json({ 
@@ -1,9 +1,29 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { authenticateUser } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { smartDispatcher } = require('../services/aiService');
+const { getPrompt, withPromptVersions } = require('../services/promptRegistry');
+const { indexPolitician, getKnowledgeStatus, buildKnowledgeContext, passageReferences } = require('../services/politicianKnowledge');
+const { getAgentPrompt } = require('../services/agentPersona');
+const {
+  AGENT_PROMPT_COLUMNS,
+  normalizePromptInput,
+  publishPrompt,
+  listVersions,
+  findVersion,
+  versionSummary,
+  saveDraft,
+  discardDraft,
+  draftSummary,
+  resolvePromptRef,
+  comparePrompts
+} = require('../services/agentPrompts');
 const router = express.Router();
 
+// Mensagens anteriores do sandbox do agente reenviadas ao modelo
+const SANDBOX_MAX_HISTORY = 10;
+
 // Listar políticos
 router.get('/', async (req, res) => {
   try {
@@ -807,53 +827,304 @@ router.get('/me/stats', authenticateUser, async (req, res) => {
   }
 });
 
-// Endpoint para atualizar o prompt do agente do político logado
+// Político do usuário logado e o agente dele (com `politicians` para montar a persona).
+// Responde o erro e retorna null quando não houver político aprovado ou agente ativo.
+async function findOwnAgent(req, res) {
+  const userEmail = req.user?.email;
+  if (!userEmail) {
+    res.status(400).json({ error: 'Usuário autenticado sem e-mail vinculado.' });
+    return null;
+  }
+
+  const { data: politician, error: polErr } = await supabase
+    .from('politicians')
+    .select(`id, name, position, state, party, government_plan, main_ideologies, politician_agents ( ${AGENT_PROMPT_COLUMNS}, is_active )`)
+    .eq('email', userEmail)
+    .eq('is_active', true)
+    .eq('is_approved', true)
+    .single();
+
+  if (polErr || !politician) {
+    res.status(404).json({ error: 'Político não encontrado ou não aprovado.' });
+    return null;
+  }
+
+  const agent = politician.politician_agents;
+  if (!agent?.id || !agent?.is_active) {
+    res.status(404).json({ error: 'Agente do político não encontrado ou inativo.' });
+    return null;
+  }
+
+  return { ...agent, politician_id: politician.id, politicians: politician };
+}
+
+// Endpoint para atualizar o prompt do agente do político logado. Cada alteração publica uma
+// nova versão (com autor e nota opcional em `note`), que passa a valer no chat do agente.
 router.put('/me/agent/prompt', authenticateUser, async (req, res) => {
   try {
-    const userEmail = req.user?.email;
-    const { trained_prompt } = req.body || {};
+    const input = normalizePromptInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
 
-    if (!userEmail) {
-      return res.status(400).json({ error: 'Usuário autenticado sem e-mail vinculado.' });
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    const { created, version } = await publishPrompt(agent, { content: input.content, note: input.note, user: req.user });
+
+    res.json({
+      success: true,
+      data: { id: agent.id, trained_prompt: version.conteudo, version: versionSummary(version, version.versao) },
+      message: created ? `Prompt do agente atualizado (versão ${version.versao})` : 'Prompt sem alterações em relação à versão publicada'
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar prompt do agente (/politicians/me/agent/prompt):', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Versões publicadas do prompt do agente, da mais recente para a mais antiga
+router.get('/me/agent/prompt/versions', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    const versions = await listVersions(agent.id);
+    res.json({
+      success: true,
+      data: versions.map(version => versionSummary(version, agent.prompt_version)),
+      versao_atual: agent.prompt_version || null,
+      rascunho: draftSummary(agent)
+    });
+  } catch (error) {
+    console.error('Erro no endpoint /politicians/me/agent/prompt/versions:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Comparação entre duas versões do prompt (?de=3&ate=5). Cada lado aceita o número da
+// versão, "atual" ou "rascunho"; `ate` padrão é a versão atual (ou o rascunho, se `de` for a atual).
+router.get('/me/agent/prompt/diff', authenticateUser, async (req, res) => {
+  try {
+    if (!req.query.de) {
+      return res.status(400).json({ error: 'Informe a versão de origem em ?de= (número, "atual" ou "rascunho")' });
     }
-    if (!trained_prompt || typeof trained_prompt !== 'string') {
-      return res.status(400).json({ error: 'Campo trained_prompt é obrigatório e deve ser uma string.' });
+
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    const defaultTarget = String(req.query.de).toLowerCase() === 'atual' ? 'rascunho' : 'atual';
+    const from = await resolvePromptRef(agent, req.query.de);
+    const to = await resolvePromptRef(agent, req.query.ate || defaultTarget);
+    const failed = [from, to].find(side => side.error);
+    if (failed) {
+      return res.status(failed.status || 400).json({ error: failed.error });
     }
 
-    // Buscar político e agente
-    const { data: politician, error: polErr } = await supabase
-      .from('politicians')
-      .select('id, politician_agents ( id, is_active )')
-      .eq('email', userEmail)
-      .eq('is_active', true)
-      .eq('is_approved', true)
-      .single();
+    res.json({ success: true, data: comparePrompts(from, to) });
+  } catch (error) {
+    console.error('Erro no endpoint /politicians/me/agent/prompt/diff:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
 
-    if (polErr || !politician) {
-      return res.status(404).json({ error: 'Político não encontrado ou não aprovado.' });
+router.get('/me/agent/prompt/versions/:version', authenticateUser, async (req, res) => {
+  try {
+    const number = parseInt(req.params.version, 10);
+    if (!/^\d+$/.test(req.params.version) || number < 1) {
+      return res.status(400).json({ error: 'Número de versão inválido' });
     }
 
-    const agentId = politician?.politician_agents?.id;
-    if (!agentId || !politician?.politician_agents?.is_active) {
-      return res.status(404).json({ error: 'Agente do político não encontrado ou inativo.' });
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    const version = await findVersion(agent.id, number);
+    if (!version) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
     }
 
-    // Atualizar prompt do agente
-    const { data: updated, error: updErr } = await supabase
-      .from('politician_agents')
-      .update({ trained_prompt })
-      .eq('id', agentId)
-      .select('id, trained_prompt')
-      .single();
+    res.json({ success: true, data: { ...versionSummary(version, agent.prompt_version), conteudo: version.conteudo } });
+  } catch (error) {
+    console.error('Erro no endpoint /politicians/me/agent/prompt/versions/:version:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
 
-    if (updErr) {
-      console.error('Erro ao atualizar prompt do agente:', updErr);
-      return res.status(500).json({ error: 'Erro ao atualizar prompt do agente' });
+// Restaurar uma versão antiga: publica uma nova versão com o mesmo conteúdo
+router.post('/me/agent/prompt/versions/:version/restore', authenticateUser, async (req, res) => {
+  try {
+    const number = parseInt(req.params.version, 10);
+    if (!/^\d+$/.test(req.params.version) || number < 1) {
+      return res.status(400).json({ error: 'Número de versão inválido' });
     }
 
-    res.json({ success: true, data: updated, message: 'Prompt do agente atualizado com sucesso' });
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    const version = await findVersion(agent.id, number);
+    if (!version) {
+      return res.status(404).json({ error: 'Versão não encontrada' });
+    }
+
+    const note = String(req.body?.note || '').trim() || `Restauração da versão ${number}`;
+    const { created, version: published } = await publishPrompt(agent, {
+      content: version.conteudo,
+      note,
+      user: req.user,
+      origem: 'restauracao',
+      restauradaDe: number
+    });
+
+    res.json({
+      success: true,
+      data: versionSummary(published, published.versao),
+      message: created ? `Versão ${number} restaurada como versão ${published.versao}` : `A versão ${number} já é o prompt publicado`
+    });
   } catch (error) {
-    console.error('Erro ao atualizar prompt do agente (/politicians/me/agent/prompt):', error);
+    console.error('Erro no endpoint /politicians/me/agent/prompt/versions/:version/restore:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Rascunho do prompt: testado no sandbox sem afetar o agente publicado
+router.get('/me/agent/prompt/draft', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    res.json({ success: true, data: draftSummary(agent) });
+  } catch (error) {
+    console.error('Erro no endpoint /politicians/me/agent/prompt/draft:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.put('/me/agent/prompt/draft', authenticateUser, async (req, res) => {
+  try {
+    const input = normalizePromptInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    const updated = await saveDraft(agent.id, { content: input.content, note: input.note, user: req.user });
+    res.json({ success: true, data: draftSummary(updated), message: 'Rascunho salvo' });
+  } catch (error) {
+    console.error('Erro ao salvar rascunho (/politicians/me/agent/prompt/draft):', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+router.delete('/me/agent/prompt/draft', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    await discardDraft(agent.id);
+    res.json({ success: true, message: 'Rascunho descartado' });
+  } catch (error) {
+    console.error('Erro ao descartar rascunho (/politicians/me/agent/prompt/draft):', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Publicar o rascunho como nova versão do prompt
+router.post('/me/agent/prompt/draft/publish', authenticateUser, async (req, res) => {
+  try {
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    if (!agent.draft_prompt) {
+      return res.status(404).json({ error: 'O agente não tem rascunho para publicar.' });
+    }
+
+    const note = String(req.body?.note || '').trim() || agent.draft_note || null;
+    const { created, version } = await publishPrompt(agent, {
+      content: agent.draft_prompt,
+      note,
+      user: req.user,
+      origem: 'rascunho'
+    });
+    if (!created) {
+      await discardDraft(agent.id);
+    }
+
+    res.json({
+      success: true,
+      data: versionSummary(version, version.versao),
+      message: created ? `Rascunho publicado como versão ${version.versao}` : 'O rascunho é igual ao prompt publicado'
+    });
+  } catch (error) {
+    console.error('Erro ao publicar rascunho (/politicians/me/agent/prompt/draft/publish):', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Chat de teste (sandbox) com o rascunho ou com o prompt publicado. Não grava conversa,
+// sessão nem memória, e não conta na cota do agente, mas tem limite de mensagens por hora
+// (AGENT_SANDBOX_RATE_LIMIT). O histórico vem do cliente em `history`.
+router.post('/me/agent/sandbox', authenticateUser, rateLimit('agent_sandbox'), async (req, res) => {
+  try {
+    const { message, history = [], prompt = 'rascunho' } = req.body || {};
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'Mensagem é obrigatória' });
+    }
+    if (!['rascunho', 'atual'].includes(prompt)) {
+      return res.status(400).json({ error: 'Campo prompt deve ser "rascunho" ou "atual"' });
+    }
+    if (!Array.isArray(history) || history.some(item => !['user', 'assistant'].includes(item?.role) || typeof item?.content !== 'string')) {
+      return res.status(400).json({ error: 'history deve ser uma lista de { role: "user" | "assistant", content }' });
+    }
+
+    const agent = await findOwnAgent(req, res);
+    if (!agent) return;
+
+    const draft = prompt === 'rascunho';
+    if (draft && !agent.draft_prompt) {
+      return res.status(404).json({ error: 'O agente não tem rascunho. Salve um rascunho ou use prompt: "atual".' });
+    }
+
+    let knowledge = { indexado: false, passages: [], content: null, prompts: [] };
+    try {
+      knowledge = await buildKnowledgeContext(agent.politician_id, message, { userId: req.user.id });
+    } catch (knowledgeError) {
+      console.warn('⚠️ Não foi possível recuperar trechos do plano no sandbox:', knowledgeError.message);
+    }
+
+    const agentPrompt = await getAgentPrompt(agent, { userId: req.user.id, knowledge, draft });
+    const systemPrompt = [agentPrompt.content, knowledge.content].filter(Boolean).join('\n\n');
+
+    try {
+      const result = await smartDispatcher(message, systemPrompt, {
+        temperature: 0.8,
+        history: history.slice(-SANDBOX_MAX_HISTORY).map(({ role, content }) => ({ role, content })),
+        usage: withPromptVersions({
+          feature: 'agent_sandbox',
+          userId: req.user.id,
+          plan: req.user.plan,
+          metadata: { agent_id: agent.id, prompt, agent_prompt_version: draft ? null : agent.prompt_version || null }
+        }, [agentPrompt, ...knowledge.prompts])
+      });
+
+      res.json({
+        success: true,
+        data: {
+          message: result.content,
+          prompt,
+          versao: draft ? null : agent.prompt_version || null,
+          referencias: passageReferences(knowledge.passages, result.content),
+          model: result.model || null,
+          provider: result.provider || null
+        }
+      });
+    } catch (dispatcherError) {
+      console.error('Erro no dispatcher do sandbox do agente:', dispatcherError.message);
+      res.status(503).json({ error: 'Não foi possível gerar a resposta do agente agora. Tente novamente em alguns minutos.' });
+    }
+  } catch (error) {
+    console.error('Erro no endpoint /politicians/me/agent/sandbox:', error);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
@@ -928,13 +1199,26 @@ router.get('/me/agent/suggestions', authenticateUser, async (req, res) => {
       return res.status(404).json({ error: 'Agente do político não encontrado ou inativo.' });
     }
 
-    const systemPrompt = `Você é um especialista em engenharia de prompts para agentes de políticos brasileiros.\nContexto do político:\n- Nome: ${politician.name}\n- Cargo: ${politician.position}\n- Estado: ${politician.state || 'Nacional'}\n- Partido: ${politician.party}\n- Plano de governo: ${politician.government_plan || 'Não especificado'}\n- Ideologias principais: ${Array.isArray(politician.main_ideologies) ? politician.main_ideologies.join(', ') : (politician.main_ideologies || 'Não especificado')}\n\nObjetivo: gerar sugestões claras e práticas para melhorar o prompt do agente, mantendo coerência com o perfil do político e linguagem adequada.`;
+    const suggestionsPrompt = await getPrompt('agent_prompt_suggestions', {
+      userId: req.user.id,
+      variables: {
+        name: politician.name,
+        position: politician.position,
+        state: politician.state || 'Nacional',
+        party: politician.party,
+        government_plan: politician.government_plan || 'Não especificado',
+        main_ideologies: Array.isArray(politician.main_ideologies) ? politician.main_ideologies.join(', ') : (politician.main_ideologies || 'Não especificado')
+      }
+    });
+    const systemPrompt = suggestionsPrompt.content;
 
     const userMessage = `Prompt atual do agente:\n\"\"\"\n${agent.trained_prompt || 'Sem prompt definido'}\n\"\"\"\n\nProduza exatamente 5 sugestões objetivas para aprimorar o prompt acima. Formate sua resposta EXCLUSIVAMENTE como um JSON array de strings, por exemplo: [\"sugestão 1\", \"sugestão 2\", ...]. As sugestões devem ser curtas (1 frase), específicas, e sem explicações adicionais.`;
 
     let suggestions = [];
     try {
-      const result = await smartDispatcher(userMessage, systemPrompt);
+      const result = await smartDispatcher(userMessage, systemPrompt, {
+        usage: withPromptVersions({ feature: 'prompt_suggestions', userId: req.user.id, plan: req.user.plan, metadata: { agent_id: agent.id } }, [suggestionsPrompt])
+      });
       const text = result?.content || '';
       const jsonMatch = text.match(/\[[\s\S]*\]/);
       if (jsonMatch) {
@@ -958,6 +1242,62 @@ router.get('/me/agent/suggestions', authenticateUser, async (req, res) => {
   }
 });
 
+// Endpoint para a situação do índice do plano de governo e dos posts usado pelo agente
+router.get('/me/knowledge', authenticateUser, async (req, res) => {
+  try {
+    const userEmail = req.user?.email;
+    if (!userEmail) {
+      return res.status(400).json({ error: 'Usuário autenticado sem e-mail vinculado.' });
+    }
+
+    const { data: politician, error: polErr } = await supabase
+      .from('politicians')
+      .select('id')
+      .eq('email', userEmail)
+      .eq('is_active', true)
+      .eq('is_approved', true)
+      .single();
+
+    if (polErr || !politician) {
+      return res.status(404).json({ error: 'Político não encontrado ou não aprovado.' });
+    }
+
+    const status = await getKnowledgeStatus(politician.id);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error('Erro no endpoint /politicians/me/knowledge:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Endpoint para reindexar o plano de governo (texto e PDF) e os posts publicados do político logado
+router.post('/me/knowledge/reindex', authenticateUser, async (req, res) => {
+  try {
+    const userEmail = req.user?.email;
+    if (!userEmail) {
+      return res.status(400).json({ error: 'Usuário autenticado sem e-mail vinculado.' });
+    }
+
+    const { data: politician, error: polErr } = await supabase
+      .from('politicians')
+      .select('id')
+      .eq('email', userEmail)
+      .eq('is_active', true)
+      .eq('is_approved', true)
+      .single();
+
+    if (polErr || !politician) {
+      return res.status(404).json({ error: 'Político não encontrado ou não aprovado.' });
+    }
+
+    const stats = await indexPolitician(politician.id);
+    res.json({ success: true, data: stats, message: 'Plano de governo e publicações indexados' });
+  } catch (error) {
+    console.error('Erro no endpoint /politicians/me/knowledge/reindex:', error);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 // Ranking de políticos por atividade
 router.get('/ranking', async (req, res) => {
   try {
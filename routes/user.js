@@ -1,6 +1,6 @@
 const express = require('express');
 const { authenticateUser } = require('../middleware/auth');
-const { checkUserLimits } = require('../services/aiService');
+const { getEntitlements, resolvePlan } = require('../services/entitlements');
 const { supabase } = require('../config/supabase');
 
 const router = express.Router();
@@ -10,51 +10,18 @@ router.get('/usage-stats', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;
     
-    // Buscar informações do plano do usuário
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('subscription_plan')
-      .eq('id', userId)
-      .single();
-    
-    if (userError) {
-      console.error('Erro ao buscar dados do usuário:', userError);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Erro ao buscar dados do usuário' 
-      });
-    }
+    const entitlements = await getEntitlements(userId, req.user.plan);
     
-    const userPlan = userData?.subscription_plan || 'gratuito';
-    
-    // Verificar limites para cada funcionalidade
-    const features = ['fake_news', 'ai_creative', 'political_agents'];
+    // Mantém o formato antigo: { used, limit, remaining, canUse } por funcionalidade
     const usageStats = {};
-    
+    const features = ['fake_news', 'ai_creative', 'political_agents'];
     for (const feature of features) {
-      try {
-        // Se não temos o serviço aiService, vamos usar valores padrão
-        const limitCheck = {
-          used: 0,
-          limit: userPlan === 'gratuito' ? 5 : 50,
-          remaining: userPlan === 'gratuito' ? 5 : 50,
-          canUse: true
-        };
-        
-        usageStats[feature] = limitCheck;
-      } catch (error) {
-        console.error(`Erro ao verificar limites para ${feature}:`, error);
-        usageStats[feature] = {
-          used: 0,
-          limit: 0,
-          remaining: 0,
-          canUse: false
-        };
-      }
+      const { used, limit, remaining, canUse } = entitlements[feature];
+      usageStats[feature] = { used, limit, remaining, canUse };
     }
     
     // Adicionar informações do plano
-    usageStats.plan = userPlan;
+    usageStats.plan = resolvePlan(req.user.plan);
     usageStats.resetTime = '00:00'; // Horário de reset dos limites
     
     res.json({
@@ -71,6 +38,28 @@ router.get('/usage-stats', authenticateUser, async (req, res) => {
   }
 });
 
+// Rota para obter a cota restante de cada funcionalidade do plano
+router.get('/entitlements', authenticateUser, async (req, res) => {
+  try {
+    const entitlements = await getEntitlements(req.user.id, req.user.plan);
+    
+    res.json({
+      success: true,
+      data: {
+        plan: resolvePlan(req.user.plan),
+        entitlements
+      }
+    });
+    
+  } catch (error) {
+    console.error('Erro ao obter cotas do plano:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Erro interno do servidor' 
+    });
+  }
+});
+
 // Rota para obter histórico de uso semanal
 router.get('/usage-history', authenticateUser, async (req, res) => {
   try {
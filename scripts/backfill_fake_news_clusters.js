@@ -0,0 +1,80 @@
+require('dotenv').config();
+const { supabase } = require('../config/supabase');
+const { loadClaims } = require('../services/fakeNewsClaims');
+const { assignCluster } = require('../services/rumorClusters');
+
+// Agrupa verificações antigas (sem cluster_id), das mais antigas para as mais recentes,
+// para que o representante de cada boato seja a primeira verificação dele
+async function backfillClusters({ dryRun = false, limit = 5000, batchSize = 200 } = {}) {
+  console.log('🚀 Iniciando agrupamento de verificações de fake news...');
+  console.log(`⚙️ Opções: dryRun=${dryRun}, limit=${limit}`);
+
+  let processed = 0;
+  let assignedCount = 0;
+  let errorCount = 0;
+  let cursor = null;
+
+  while (processed < limit) {
+    let query = supabase
+      .from('fake_news_checks')
+      .select('*')
+      .is('cluster_id', null)
+      .order('created_at', { ascending: true })
+      .limit(Math.min(batchSize, limit - processed));
+    if (cursor) {
+      query = query.gt('created_at', cursor);
+    }
+
+    const { data: checks, error } = await query;
+
+    if (error) {
+      console.error('❌ Erro ao buscar verificações:', error.message);
+      process.exit(1);
+    }
+    if (!checks || checks.length === 0) break;
+
+    const claimsByCheck = await loadClaims(checks.map(check => check.id));
+
+    for (const check of checks) {
+      processed++;
+      cursor = check.created_at;
+      if (dryRun) {
+        console.log(`🧪 Dry-run: agruparia verificação ${check.id} (${check.tipo_input})`);
+        continue;
+      }
+
+      const clusterId = await assignCluster(check, { claims: claimsByCheck.get(check.id) || [] });
+      if (clusterId) {
+        assignedCount++;
+      } else {
+        errorCount++;
+        console.error(`❌ Verificação ${check.id} não foi agrupada`);
+      }
+    }
+  }
+
+  console.log('🏁 Agrupamento concluído.');
+  console.log(`📊 Resultado: agrupadas=${assignedCount}, erros=${errorCount}, processadas=${processed}`);
+  return { assignedCount, errorCount, processed };
+}
+
+function parseArgs(argv) {
+  const args = { dryRun: false, limit: 5000 };
+  argv.slice(2).forEach((arg) => {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg.startsWith('--limit=')) args.limit = parseInt(arg.split('=')[1], 10) || args.limit;
+  });
+  return args;
+}
+
+(async () => {
+  try {
+    const result = await backfillClusters(parseArgs(process.argv));
+    if (result.errorCount > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌ Erro geral ao executar agrupamento:', err);
+    process.exit(1);
+  }
+})();
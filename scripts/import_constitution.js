@@ -0,0 +1,163 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { supabase } = require('../config/supabase');
+const { htmlToText, parseConstitution } = require('../services/constitutionParser');
+const {
+  amendmentLabel,
+  parseAmendmentRef,
+  ensureAmendments,
+  recordArticleVersions
+} = require('../services/constitutionHistory');
+
+// Importa o texto da Constituição (arquivo .txt ou .html salvo do site do Planalto) para
+// constitution_articles. Reimportar atualiza os artigos existentes (mesmo documento e número)
+// e grava uma nova versão de cada artigo cujo texto mudou (ver constitutionHistory.js).
+//
+// Uso: node scripts/import_constitution.js caminho/constituicao.html [--dry-run]
+//        [--emenda=EC136/2025] [--vigente-desde=2025-09-09]
+//
+// --emenda: emenda que produziu as mudanças deste texto (padrão: deduzida das notas do texto)
+// --vigente-desde: início da vigência das novas versões (padrão: promulgação da emenda)
+
+// O HTML do Planalto é servido em windows-1252; se a leitura em UTF-8 produzir caracteres
+// inválidos, o arquivo é relido em latin1
+function readSource(file) {
+  const buffer = fs.readFileSync(file);
+  const utf8 = buffer.toString('utf8');
+  const text = utf8.includes('\ufffd') ? buffer.toString('latin1') : utf8;
+  const isHtml = /\.html?$/i.test(file) || /<(html|body|p)\b/i.test(text.slice(0, 2000));
+  return isHtml ? htmlToText(text) : text;
+}
+
+// Emenda informada na importação: cadastra se ainda não existir e completa a data de promulgação
+// (ensureAmendments preenche a data de emendas já cadastradas sem ela)
+async function resolveAmendment(ref, vigenteDesde) {
+  const ano = ref.ano || (vigenteDesde ? parseInt(vigenteDesde.slice(0, 4), 10) : null);
+  const amendments = await ensureAmendments([{ ...ref, ano, promulgada_em: vigenteDesde }]);
+  const amendment = amendments.get(`${ref.tipo}|${ref.numero}`);
+  if (!amendment) {
+    console.error(`❌ Emenda ${ref.tipo} ${ref.numero} não cadastrada: informe o ano (--emenda=${ref.tipo}${ref.numero}/AAAA) ou --vigente-desde`);
+    process.exit(1);
+  }
+
+  return amendment;
+}
+
+async function importConstitution({ file, dryRun = false, batchSize = 100, amendmentRef = null, vigenteDesde = null }) {
+  console.log('🚀 Iniciando importação da Constituição...');
+  console.log(`⚙️ Opções: arquivo=${file}, dryRun=${dryRun}, emenda=${amendmentRef ? `${amendmentRef.tipo}${amendmentRef.numero}` : 'automática'}, vigenteDesde=${vigenteDesde || 'automática'}`);
+
+  const articles = parseConstitution(readSource(file));
+  if (articles.length === 0) {
+    console.error('❌ Nenhum artigo encontrado no arquivo');
+    process.exit(1);
+  }
+
+  const byDocument = articles.reduce((acc, article) => {
+    acc[article.documento] = (acc[article.documento] || 0) + 1;
+    return acc;
+  }, {});
+  console.log(`📄 Artigos lidos: ${Object.entries(byDocument).map(([doc, total]) => `${doc}=${total}`).join(', ')}`);
+
+  // Números repetidos indicam problema na leitura (ex.: texto revogado não removido)
+  const seen = new Set();
+  const duplicates = articles.filter(article => {
+    const key = `${article.documento}|${article.numero}|${article.sufixo}`;
+    if (seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  });
+  if (duplicates.length > 0) {
+    console.error(`❌ Artigos repetidos: ${duplicates.map(article => article.rotulo).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    articles.slice(0, 3).forEach(article => console.log(`🧪 ${article.rotulo} (${article.titulo || 'sem título'}): ${article.caput.slice(0, 80)}`));
+    console.log(`🧪 Dry-run: ${articles.length} artigos seriam importados`);
+    return { imported: 0, errorCount: 0 };
+  }
+
+  const amendment = amendmentRef ? await resolveAmendment(amendmentRef, vigenteDesde) : null;
+  if (amendment) {
+    console.log(`📜 Mudanças atribuídas à ${amendmentLabel(amendment)}`);
+  }
+
+  let imported = 0;
+  let errorCount = 0;
+  const versions = { criadas: 0, alteradas: 0, inalteradas: 0 };
+  const now = new Date().toISOString();
+  for (let i = 0; i < articles.length; i += batchSize) {
+    const batch = articles.slice(i, i + batchSize);
+    const { data: saved, error } = await supabase
+      .from('constitution_articles')
+      .upsert(batch.map(({ emendas, ...article }) => ({ ...article, updated_at: now })), { onConflict: 'documento,numero,sufixo' })
+      .select('id, documento, numero, sufixo');
+
+    if (error) {
+      errorCount += batch.length;
+      console.error(`❌ Erro ao importar artigos ${batch[0].rotulo} a ${batch[batch.length - 1].rotulo}:`, error.message);
+      continue;
+    }
+
+    imported += batch.length;
+    const ids = new Map((saved || []).map(row => [`${row.documento}|${row.numero}|${row.sufixo}`, row.id]));
+    const withIds = batch
+      .map(article => ({ ...article, id: ids.get(`${article.documento}|${article.numero}|${article.sufixo}`) }))
+      .filter(article => article.id);
+
+    try {
+      const stats = await recordArticleVersions(withIds, { amendment, vigenteDesde });
+      Object.keys(versions).forEach(key => { versions[key] += stats[key]; });
+    } catch (versionError) {
+      errorCount += batch.length;
+      console.error(`❌ Erro ao registrar versões dos artigos ${batch[0].rotulo} a ${batch[batch.length - 1].rotulo}:`, versionError.message);
+      continue;
+    }
+    console.log(`✅ ${imported}/${articles.length} artigos importados`);
+  }
+
+  console.log('🏁 Importação concluída.');
+  console.log(`📊 Resultado: importados=${imported}, erros=${errorCount}`);
+  console.log(`📚 Versões: novas=${versions.criadas}, alteradas=${versions.alteradas}, sem mudança=${versions.inalteradas}`);
+  return { imported, errorCount };
+}
+
+function parseArgs(argv) {
+  const args = { file: null, dryRun: false, amendmentRef: null, vigenteDesde: null };
+  argv.slice(2).forEach((arg) => {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg.startsWith('--emenda=')) args.amendmentRef = parseAmendmentRef(arg.split('=')[1]) || false;
+    else if (arg.startsWith('--vigente-desde=')) args.vigenteDesde = arg.split('=')[1];
+    else if (!arg.startsWith('--')) args.file = path.resolve(arg);
+  });
+  return args;
+}
+
+(async () => {
+  try {
+    const args = parseArgs(process.argv);
+    if (!args.file || !fs.existsSync(args.file)) {
+      console.error('❌ Uso: node scripts/import_constitution.js <arquivo .txt ou .html> [--dry-run]');
+      process.exit(1);
+    }
+
+    if (args.amendmentRef === false) {
+      console.error('❌ Emenda inválida. Use, por exemplo, --emenda=EC136/2025 ou --emenda=ECR5');
+      process.exit(1);
+    }
+    if (args.vigenteDesde && (!/^\d{4}-\d{2}-\d{2}$/.test(args.vigenteDesde) || Number.isNaN(Date.parse(args.vigenteDesde)))) {
+      console.error('❌ Data inválida em --vigente-desde. Use AAAA-MM-DD');
+      process.exit(1);
+    }
+
+    const result = await importConstitution(args);
+    if (result.errorCount > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌ Erro geral ao importar a Constituição:', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { supabase } = require('../config/supabase');
+const { indexPolitician } = require('../services/politicianKnowledge');
+
+// Indexa o plano de governo (texto e PDF) e os posts publicados dos políticos para a
+// recuperação de trechos no chat dos agentes. Fontes sem mudança são mantidas.
+//
+// Uso: node scripts/index_politician_knowledge.js <id do político>
+//      node scripts/index_politician_knowledge.js --all   (todos os políticos ativos com agente)
+
+async function listPoliticianIds() {
+  const { data, error } = await supabase
+    .from('politician_agents')
+    .select('politician_id')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return [...new Set((data || []).map(agent => agent.politician_id).filter(Boolean))];
+}
+
+(async () => {
+  try {
+    const target = process.argv[2];
+    if (!target) {
+      console.error('❌ Uso: node scripts/index_politician_knowledge.js <id do político> | --all');
+      process.exit(1);
+    }
+
+    const ids = target === '--all' ? await listPoliticianIds() : [target];
+    console.log(`📚 Indexando ${ids.length} político(s)...`);
+
+    let failures = 0;
+    for (const id of ids) {
+      try {
+        const stats = await indexPolitician(id);
+        if (!stats) {
+          console.warn(`⚠️ Político ${id} não encontrado`);
+          failures++;
+          continue;
+        }
+        console.log(`✅ ${id}: ${stats.fontes} fonte(s), ${stats.indexadas} indexada(s), ${stats.inalteradas} sem mudança, ${stats.removidas} removida(s), ${stats.trechos} trecho(s)`);
+        stats.erros.forEach(item => console.warn(`   ⚠️ ${item.fonte}: ${item.erro}`));
+      } catch (error) {
+        console.error(`❌ Erro ao indexar ${id}:`, error.message);
+        failures++;
+      }
+    }
+
+    if (failures > 0) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌ Erro geral ao indexar planos de governo:', err);
+    process.exit(1);
+  }
+})();
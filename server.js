@@ -108,6 +108,10 @@ app.use('/api/admin/content-moderation', require('./routes/contentModeration'));
 app.use('/api/admin/financial', require('./routes/financialReports'));
 app.use('/api/admin/store', require('./routes/storeManagement'));
 app.use('/api/admin/politicians', require('./routes/adminPoliticians'));
+app.use('/api/admin/ai', require('./routes/adminAI'));
+app.use('/api/admin/prompts', require('./routes/adminPrompts'));
+app.use('/api/admin/fact-checks', require('./routes/adminFactChecks'));
+app.use('/api/admin/fake-news-reviews', require('./routes/adminFakeNewsReviews'));
 app.use('/api/manifestations', require('./routes/manifestations'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/plans', require('./routes/plans'));
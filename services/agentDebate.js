@@ -0,0 +1,235 @@
+const { supabase } = require('../config/supabase');
+const { smartDispatcher } = require('./aiService');
+const { getPrompt, withPromptVersions } = require('./promptRegistry');
+const { PERSONA_COLUMNS, getAgentPrompt } = require('./agentPersona');
+const { buildKnowledgeContext } = require('./politicianKnowledge');
+
+const MAX_ROUNDS = 4;
+const DEFAULT_ROUNDS = 2;
+const MAX_TOPIC_CHARS = 300;
+// Tamanho das falas e do resumo do moderador (tokens)
+const TURN_MAX_TOKENS = 400;
+const MODERATOR_MAX_TOKENS = 600;
+
+const DEBATE_COLUMNS = 'id, user_id, agent_a_id, agent_b_id, tema, rodadas, turnos, resumo_moderador, status, compartilhavel, compartilhado_em, created_at';
+
+// Página pública do debate no frontend
+function publicDebateUrl(debateId) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5121').replace(/\/+$/, '');
+  return `${base}/agentes/debates/${debateId}`;
+}
+
+// Valida o corpo de POST /api/agents/debate
+function normalizeDebateRequest(body = {}) {
+  const agentIds = Array.isArray(body.agent_ids) ? body.agent_ids.map(id => String(id || '').trim()) : [];
+  const topic = String(body.topic || '').replace(/\s+/g, ' ').trim();
+  const rounds = body.rounds === undefined ? DEFAULT_ROUNDS : parseInt(body.rounds, 10);
+
+  if (agentIds.length !== 2 || agentIds.some(id => !id)) {
+    return { error: 'Informe os dois agentes do debate em agent_ids' };
+  }
+  if (agentIds[0] === agentIds[1]) {
+    return { error: 'Escolha dois agentes diferentes' };
+  }
+  if (!topic) {
+    return { error: 'Tema do debate (topic) é obrigatório' };
+  }
+  if (topic.length > MAX_TOPIC_CHARS) {
+    return { error: `Tema muito longo (máximo de ${MAX_TOPIC_CHARS} caracteres)` };
+  }
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+    return { error: `Número de rodadas (rounds) deve ser entre 1 e ${MAX_ROUNDS}` };
+  }
+
+  return { agentIds, topic, rounds, moderator: body.moderator !== false };
+}
+
+// Agentes ativos do debate, na ordem pedida (null se algum não existir ou estiver inativo)
+async function loadDebateAgents(agentIds) {
+  const { data, error } = await supabase
+    .from('politician_agents')
+    .select(`id, politician_id, is_active, trained_prompt, prompt_version, politicians ( ${PERSONA_COLUMNS}, photo_url )`)
+    .in('id', agentIds)
+    .eq('is_active', true);
+
+  if (error) throw error;
+  const agents = agentIds.map(id => (data || []).find(agent => agent.id === id));
+  return agents.every(agent => agent?.politicians) ? agents : null;
+}
+
+const participantSummary = (agent) => ({
+  agent_id: agent.id,
+  nome: agent.politicians.name,
+  cargo: agent.politicians.position,
+  partido: agent.politicians.party,
+  estado: agent.politicians.state,
+  foto: agent.politicians.photo_url || null
+});
+
+// Entrada do turno do ponto de vista de um agente: as próprias falas anteriores são as
+// respostas do assistente; a abertura e as falas do oponente chegam como mensagens do usuário.
+function turnInput(turns, agentId, opening) {
+  const history = [];
+  let pending = [opening];
+  for (const turn of turns) {
+    if (turn.agent_id === agentId) {
+      history.push({ role: 'user', content: pending.join('\n\n') });
+      history.push({ role: 'assistant', content: turn.conteudo });
+      pending = [];
+    } else {
+      pending.push(`${turn.nome}: ${turn.conteudo}`);
+    }
+  }
+  return { history, message: pending.join('\n\n') };
+}
+
+const formatTranscript = (turns) => turns
+  .map(turn => `[Rodada ${turn.rodada}] ${turn.nome}: ${turn.conteudo}`)
+  .join('\n\n');
+
+// Conduz o debate: em cada rodada o agente A fala e o agente B responde, cada um com a sua
+// persona e os trechos do próprio plano sobre o tema. Se um turno falhar, o debate termina
+// como 'interrompido' com as falas já geradas. onTurn/onModerator permitem transmitir o
+// andamento (SSE).
+async function runDebate({ id, userId, plan, agents, topic, rounds, moderator = true, signal, onTurn, onModerator }) {
+  const speakers = await Promise.all(agents.map(async (agent) => {
+    let knowledge = null;
+    try {
+      knowledge = await buildKnowledgeContext(agent.politician_id, topic, { userId });
+    } catch (knowledgeError) {
+      console.warn('⚠️ Não foi possível recuperar trechos do plano para o debate:', knowledgeError.message);
+    }
+    const persona = await getAgentPrompt(agent, { userId, knowledge });
+    return { agent, persona, knowledge };
+  }));
+
+  const opening = `Tema do debate: ${topic}`;
+  const turns = [];
+  let status = 'concluido';
+
+  for (let round = 1; round <= rounds && status === 'concluido'; round++) {
+    for (const [index, speaker] of speakers.entries()) {
+      const opponent = speakers[1 - index].agent.politicians.name;
+      const debatePrompt = await getPrompt('agent_debate', {
+        userId,
+        variables: { opponent, topic, round: String(round), rounds: String(rounds) }
+      });
+      const systemPrompt = [speaker.persona.content, speaker.knowledge?.content, debatePrompt.content].filter(Boolean).join('\n\n');
+      const { history, message } = turnInput(turns, speaker.agent.id, opening);
+
+      try {
+        const result = await smartDispatcher(message, systemPrompt, {
+          history,
+          temperature: 0.8,
+          maxTokens: TURN_MAX_TOKENS,
+          signal,
+          usage: withPromptVersions(
+            { feature: 'agent_debate', userId, plan, metadata: { debate_id: id, agent_id: speaker.agent.id } },
+            [speaker.persona, debatePrompt, ...(speaker.knowledge?.prompts || [])]
+          )
+        });
+
+        const turn = {
+          rodada: round,
+          agent_id: speaker.agent.id,
+          nome: speaker.agent.politicians.name,
+          conteudo: result.content,
+          provider: result.provider || null,
+          model: result.model || null,
+          created_at: new Date().toISOString()
+        };
+        turns.push(turn);
+        if (onTurn) onTurn(turn);
+      } catch (dispatcherError) {
+        console.error(`Erro no turno do debate ${id} (rodada ${round}):`, dispatcherError.message);
+        status = 'interrompido';
+        break;
+      }
+    }
+  }
+
+  let summary = null;
+  if (moderator && status === 'concluido' && !signal?.aborted) {
+    try {
+      const moderatorPrompt = await getPrompt('agent_debate_moderator', { userId, variables: { topic } });
+      const result = await smartDispatcher(`Transcrição do debate:\n\n${formatTranscript(turns)}`, moderatorPrompt.content, {
+        temperature: 0.3,
+        maxTokens: MODERATOR_MAX_TOKENS,
+        signal,
+        usage: withPromptVersions({ feature: 'agent_debate', userId, plan, metadata: { debate_id: id, moderator: true } }, [moderatorPrompt])
+      });
+      summary = result.content;
+      if (onModerator) onModerator(summary);
+    } catch (moderatorError) {
+      console.warn('⚠️ Não foi possível gerar o resumo do moderador:', moderatorError.message);
+    }
+  }
+
+  return { turnos: turns, resumo_moderador: summary, status };
+}
+
+async function saveDebate(debate) {
+  const { data, error } = await supabase
+    .from('agent_debates')
+    .insert({ ...debate, created_at: new Date().toISOString() })
+    .select(DEBATE_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findDebate(debateId) {
+  const { data, error } = await supabase
+    .from('agent_debates')
+    .select(DEBATE_COLUMNS)
+    .eq('id', debateId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Transcrição como é exibida (e compartilhada): sem o usuário que criou o debate
+function publicDebate(debate, participants) {
+  return {
+    id: debate.id,
+    tema: debate.tema,
+    rodadas: debate.rodadas,
+    status: debate.status,
+    participantes: participants,
+    turnos: (debate.turnos || []).map(({ rodada, agent_id, nome, conteudo, created_at }) => ({ rodada, agent_id, nome, conteudo, created_at })),
+    resumo_moderador: debate.resumo_moderador,
+    compartilhavel: debate.compartilhavel,
+    url: debate.compartilhavel ? publicDebateUrl(debate.id) : null,
+    created_at: debate.created_at
+  };
+}
+
+// Participantes de um debate salvo (agentes inativos continuam aparecendo na transcrição)
+async function loadParticipants(debate) {
+  const { data, error } = await supabase
+    .from('politician_agents')
+    .select(`id, politicians ( ${PERSONA_COLUMNS}, photo_url )`)
+    .in('id', [debate.agent_a_id, debate.agent_b_id]);
+
+  if (error) throw error;
+  return [debate.agent_a_id, debate.agent_b_id]
+    .map(id => (data || []).find(agent => agent.id === id))
+    .filter(agent => agent?.politicians)
+    .map(participantSummary);
+}
+
+module.exports = {
+  MAX_ROUNDS,
+  DEBATE_COLUMNS,
+  publicDebateUrl,
+  normalizeDebateRequest,
+  loadDebateAgents,
+  participantSummary,
+  runDebate,
+  saveDebate,
+  findDebate,
+  publicDebate,
+  loadParticipants
+};
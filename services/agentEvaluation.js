@@ -0,0 +1,430 @@
+const { supabase } = require('../config/supabase');
+const { smartDispatcher } = require('./aiService');
+const { getPrompt, withPromptVersions } = require('./promptRegistry');
+const { getAgentPrompt } = require('./agentPersona');
+const { buildKnowledgeContext } = require('./politicianKnowledge');
+const { getUserSpend } = require('./aiUsageLedger');
+
+// Perguntas ativas por agente (cada uma é uma chamada ao modelo, mais uma com o juiz)
+const MAX_QUESTIONS = parseInt(process.env.AGENT_EVAL_MAX_QUESTIONS) || 20;
+// Nota mínima (0-1) para a resposta ser aprovada
+const PASS_SCORE = parseFloat(process.env.AGENT_EVAL_PASS_SCORE) || 0.7;
+// Parcela mínima (0-1) dos termos de um ponto esperado que a resposta precisa conter
+const KEY_POINT_COVERAGE = parseFloat(process.env.AGENT_EVAL_KEY_POINT_COVERAGE) || 0.6;
+// Gasto máximo (USD) de cada usuário com avaliações por dia (UTC), conferido no ledger de IA
+const DAILY_BUDGET_USD = parseFloat(process.env.AGENT_EVAL_DAILY_BUDGET_USD) || 1;
+
+const MAX_QUESTION_CHARS = 500;
+const MAX_ITEMS = 10;
+const MAX_ITEM_CHARS = 200;
+const MAX_RUBRIC_CHARS = 1000;
+const ANSWER_MAX_TOKENS = 600;
+const JUDGE_MAX_TOKENS = 400;
+
+const QUESTION_COLUMNS = 'id, agent_id, pergunta, pontos_esperados, afirmacoes_proibidas, rubrica, ativa, created_at, updated_at';
+const RUN_SUMMARY_COLUMNS = 'id, agent_id, prompt, prompt_version, juiz, status, total, aprovadas, nota_media, comparacao, created_at';
+const RUN_COLUMNS = `${RUN_SUMMARY_COLUMNS}, resultados, executado_por`;
+
+const STOPWORDS = new Set([
+  'a', 'ao', 'aos', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'em', 'na', 'nas', 'no', 'nos',
+  'o', 'os', 'ou', 'para', 'pela', 'pelas', 'pelo', 'pelos', 'por', 'que', 'se', 'sua', 'suas', 'seu', 'seus',
+  'um', 'uma', 'uns', 'umas', 'mais', 'muito', 'sobre', 'ser', 'vai', 'vou'
+]);
+
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Radical simples para tolerar plural ("escola" x "escolas", "professor" x "professores")
+const stem = (word) => (word.length > 4 ? word.replace(/(es|s)$/, '') : word);
+
+const termsOf = (text) => normalize(text)
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+// Lista de textos curtos vinda do corpo (pontos esperados / afirmações proibidas)
+function normalizeItems(value, label) {
+  if (value === undefined || value === null) return { items: [] };
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    return { error: `${label} deve ser uma lista de textos` };
+  }
+
+  const items = [...new Set(value.map(item => item.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+  if (items.length > MAX_ITEMS) {
+    return { error: `${label}: no máximo ${MAX_ITEMS} itens` };
+  }
+  if (items.some(item => item.length > MAX_ITEM_CHARS)) {
+    return { error: `${label}: cada item pode ter no máximo ${MAX_ITEM_CHARS} caracteres` };
+  }
+  return { items };
+}
+
+// Valida uma pergunta de referência. Com partial (edição), só os campos enviados são validados;
+// current é a pergunta gravada, usada para garantir que sobre ao menos um critério.
+function normalizeGoldenQuestion(body = {}, { partial = false, current = null } = {}) {
+  const fields = {};
+
+  if (!partial || body.pergunta !== undefined) {
+    const question = typeof body.pergunta === 'string' ? body.pergunta.replace(/\s+/g, ' ').trim() : '';
+    if (!question) {
+      return { error: 'Campo pergunta é obrigatório' };
+    }
+    if (question.length > MAX_QUESTION_CHARS) {
+      return { error: `Pergunta muito longa (máximo de ${MAX_QUESTION_CHARS} caracteres)` };
+    }
+    fields.pergunta = question;
+  }
+
+  for (const key of ['pontos_esperados', 'afirmacoes_proibidas']) {
+    if (partial && body[key] === undefined) continue;
+    const { items, error } = normalizeItems(body[key], key);
+    if (error) return { error };
+    fields[key] = items;
+  }
+
+  if (!partial || body.rubrica !== undefined) {
+    const rubric = body.rubrica === null || body.rubrica === undefined ? '' : String(body.rubrica).trim();
+    if (rubric.length > MAX_RUBRIC_CHARS) {
+      return { error: `Rubrica muito longa (máximo de ${MAX_RUBRIC_CHARS} caracteres)` };
+    }
+    fields.rubrica = rubric || null;
+  }
+
+  if (body.ativa !== undefined) {
+    if (typeof body.ativa !== 'boolean') {
+      return { error: 'Campo ativa deve ser verdadeiro ou falso' };
+    }
+    fields.ativa = body.ativa;
+  } else if (!partial) {
+    fields.ativa = true;
+  }
+
+  const expected = fields.pontos_esperados ?? current?.pontos_esperados ?? [];
+  const forbidden = fields.afirmacoes_proibidas ?? current?.afirmacoes_proibidas ?? [];
+  if (expected.length === 0 && forbidden.length === 0) {
+    return { error: 'Informe ao menos um ponto esperado ou uma afirmação proibida' };
+  }
+
+  return { fields };
+}
+
+async function listGoldenQuestions(agentId, { activeOnly = false } = {}) {
+  let query = supabase
+    .from('agent_golden_questions')
+    .select(QUESTION_COLUMNS)
+    .eq('agent_id', agentId);
+
+  if (activeOnly) {
+    query = query.eq('ativa', true);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function findGoldenQuestion(agentId, questionId) {
+  const { data, error } = await supabase
+    .from('agent_golden_questions')
+    .select(QUESTION_COLUMNS)
+    .eq('id', questionId)
+    .eq('agent_id', agentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Parcela dos termos de um item presentes na resposta. Alternativas separadas por "|"
+// ("hospitais regionais | hospital regional") valem a melhor cobertura entre elas.
+function itemCoverage(item, answerTerms) {
+  return Math.max(0, ...item.split('|').map((alternative) => {
+    const terms = [...new Set(termsOf(alternative))];
+    if (terms.length === 0) return 0;
+    return terms.filter(term => answerTerms.has(term)).length / terms.length;
+  }));
+}
+
+// Checagem por palavras-chave: um ponto esperado é coberto quando a resposta contém ao menos
+// KEY_POINT_COVERAGE dos termos dele; uma afirmação proibida é violada quando a resposta
+// contém todos os termos dela. Não entende paráfrase nem negação (para isso há o juiz).
+function scoreAnswer(answer, question) {
+  const answerTerms = new Set(termsOf(answer));
+
+  const pontos = (question.pontos_esperados || []).map((ponto) => {
+    const cobertura = itemCoverage(ponto, answerTerms);
+    return { ponto, coberto: cobertura >= KEY_POINT_COVERAGE, cobertura: Math.round(cobertura * 100) / 100 };
+  });
+  const violacoes = (question.afirmacoes_proibidas || []).filter(item => itemCoverage(item, answerTerms) === 1);
+
+  const covered = pontos.filter(ponto => ponto.coberto).length;
+  return { pontos, violacoes, nota: pontos.length > 0 ? covered / pontos.length : 1 };
+}
+
+const formatList = (items) => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '(nenhum)');
+
+// Juiz opcional: o modelo avalia o sentido da resposta. Itens que não estão na pergunta
+// são descartados; falhas retornam null e a avaliação fica só com as palavras-chave.
+async function judgeAnswer({ agent, question, answer, userId, plan, signal }) {
+  const judgePrompt = await getPrompt('agent_evaluation_judge', {
+    userId,
+    variables: { name: agent.politicians?.name || 'avaliado' }
+  });
+
+  const message = [
+    `Pergunta: ${question.pergunta}`,
+    `Pontos esperados:\n${formatList(question.pontos_esperados || [])}`,
+    `Afirmações proibidas:\n${formatList(question.afirmacoes_proibidas || [])}`,
+    question.rubrica ? `Critérios adicionais: ${question.rubrica}` : null,
+    `Resposta do agente:\n${answer}`
+  ].filter(Boolean).join('\n\n');
+
+  try {
+    const result = await smartDispatcher(message, judgePrompt.content, {
+      temperature: 0,
+      maxTokens: JUDGE_MAX_TOKENS,
+      signal,
+      usage: withPromptVersions({
+        feature: 'agent_evaluation',
+        userId,
+        plan,
+        metadata: { agent_id: agent.id, question_id: question.id, judge: true }
+      }, [judgePrompt])
+    });
+
+    const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('JSON não encontrado na resposta');
+    const verdict = JSON.parse(jsonMatch[0]);
+
+    const nota = Number(verdict.nota);
+    if (!Number.isFinite(nota)) throw new Error('Nota ausente na resposta do juiz');
+
+    const pick = (values, allowed) => (Array.isArray(values) ? values : [])
+      .map(value => String(value).trim())
+      .filter(value => allowed.includes(value));
+
+    return {
+      nota: Math.min(Math.max(nota, 0), 10),
+      pontos_cobertos: pick(verdict.pontos_cobertos, question.pontos_esperados || []),
+      violacoes: pick(verdict.violacoes, question.afirmacoes_proibidas || []),
+      justificativa: String(verdict.justificativa || '').trim() || null
+    };
+  } catch (judgeError) {
+    console.warn(`⚠️ Juiz não avaliou a pergunta ${question.id}:`, judgeError.message);
+    return null;
+  }
+}
+
+// Nota final (0-100): cobertura dos pontos esperados, na média com a nota do juiz quando ele
+// avaliou. Com violação, a nota é zero. As violações consideradas são as do juiz (que lê o
+// sentido) quando ele avaliou, ou as das palavras-chave.
+function finalScore(keywords, judge) {
+  const violations = judge ? judge.violacoes : keywords.violacoes;
+  const score = judge ? (keywords.nota + judge.nota / 10) / 2 : keywords.nota;
+  const nota = violations.length > 0 ? 0 : Math.round(score * 100);
+  return { nota, aprovada: violations.length === 0 && nota >= PASS_SCORE * 100 };
+}
+
+// Gasto do usuário com avaliações no dia (UTC) e se ainda cabe uma nova execução
+async function getEvaluationBudget(userId, now = new Date()) {
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const spent = await getUserSpend(userId, { since: since.toISOString(), feature: 'agent_evaluation' });
+  return { spent, limit: DAILY_BUDGET_USD, available: spent < DAILY_BUDGET_USD };
+}
+
+// Roda as perguntas ativas contra o prompt publicado ou o rascunho (draft), com os mesmos
+// trechos do plano que o chat usaria. Perguntas sem resposta do modelo ficam com erro e a
+// execução como 'parcial'. withinBudget é conferido antes de cada pergunta: quando o gasto
+// diário acaba, as perguntas restantes ficam sem resposta. onResult permite transmitir o
+// andamento (SSE).
+async function runEvaluation({ agent, questions, draft = false, judge = false, userId, plan, signal, withinBudget, onResult }) {
+  const resultados = [];
+  let overBudget = false;
+
+  for (const question of questions) {
+    if (signal?.aborted) break;
+
+    const base = {
+      question_id: question.id,
+      pergunta: question.pergunta,
+      pontos_esperados: question.pontos_esperados || [],
+      afirmacoes_proibidas: question.afirmacoes_proibidas || []
+    };
+
+    overBudget = overBudget || Boolean(withinBudget && !(await withinBudget()));
+    if (overBudget) {
+      const result = { ...base, resposta: null, nota: null, aprovada: false, erro: 'Limite diário de gastos com avaliações atingido' };
+      resultados.push(result);
+      if (onResult) onResult(result);
+      continue;
+    }
+
+    let knowledge = null;
+    try {
+      knowledge = await buildKnowledgeContext(agent.politician_id, question.pergunta, { userId });
+    } catch (knowledgeError) {
+      console.warn('⚠️ Não foi possível recuperar trechos do plano na avaliação:', knowledgeError.message);
+    }
+
+    const agentPrompt = await getAgentPrompt(agent, { userId, knowledge, draft });
+    const systemPrompt = [agentPrompt.content, knowledge?.content].filter(Boolean).join('\n\n');
+
+    let answer;
+    try {
+      answer = await smartDispatcher(question.pergunta, systemPrompt, {
+        temperature: 0.3,
+        maxTokens: ANSWER_MAX_TOKENS,
+        signal,
+        usage: withPromptVersions({
+          feature: 'agent_evaluation',
+          userId,
+          plan,
+          metadata: {
+            agent_id: agent.id,
+            question_id: question.id,
+            prompt: draft ? 'rascunho' : 'atual',
+            agent_prompt_version: draft ? null : agent.prompt_version || null
+          }
+        }, [agentPrompt, ...(knowledge?.prompts || [])])
+      });
+    } catch (dispatcherError) {
+      console.error(`Erro ao avaliar a pergunta ${question.id} do agente ${agent.id}:`, dispatcherError.message);
+      const result = { ...base, resposta: null, nota: null, aprovada: false, erro: 'O modelo não respondeu a esta pergunta' };
+      resultados.push(result);
+      if (onResult) onResult(result);
+      continue;
+    }
+
+    const keywords = scoreAnswer(answer.content, question);
+    const verdict = judge ? await judgeAnswer({ agent, question, answer: answer.content, userId, plan, signal }) : null;
+
+    const result = {
+      ...base,
+      resposta: answer.content,
+      palavras_chave: keywords,
+      juiz: verdict,
+      ...finalScore(keywords, verdict),
+      provider: answer.provider || null,
+      model: answer.model || null
+    };
+    resultados.push(result);
+    if (onResult) onResult(result);
+  }
+
+  const answered = resultados.filter(result => result.nota !== null);
+  const notaMedia = answered.length > 0
+    ? Math.round((answered.reduce((sum, result) => sum + result.nota, 0) / answered.length) * 100) / 100
+    : null;
+
+  return {
+    resultados,
+    total: resultados.length,
+    aprovadas: resultados.filter(result => result.aprovada).length,
+    nota_media: notaMedia,
+    status: answered.length === questions.length ? 'concluido' : 'parcial'
+  };
+}
+
+// Última execução com o prompt publicado: a referência para as próximas, do rascunho ou
+// de uma nova versão
+async function latestPublishedRun(agentId) {
+  const { data, error } = await supabase
+    .from('agent_evaluation_runs')
+    .select(RUN_COLUMNS)
+    .eq('agent_id', agentId)
+    .eq('prompt', 'atual')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Diferença para a execução de referência: perguntas que deixaram de ser aprovadas
+// (regressões) ou passaram a ser (melhorias). Perguntas sem resposta não entram.
+function compareRuns(previous, current) {
+  if (!previous) return null;
+
+  const before = new Map((previous.resultados || [])
+    .filter(result => result.nota !== null)
+    .map(result => [result.question_id, result]));
+
+  const regressoes = [];
+  const melhorias = [];
+  for (const result of current.resultados) {
+    const old = before.get(result.question_id);
+    if (!old || result.nota === null) continue;
+    const change = { question_id: result.question_id, pergunta: result.pergunta, nota_anterior: old.nota, nota: result.nota };
+    if (old.aprovada && !result.aprovada) regressoes.push(change);
+    if (!old.aprovada && result.aprovada) melhorias.push(change);
+  }
+
+  const previousScore = previous.nota_media === null ? null : Number(previous.nota_media);
+  return {
+    run_id: previous.id,
+    prompt: previous.prompt,
+    prompt_version: previous.prompt_version,
+    nota_media: previousScore,
+    delta: previousScore !== null && current.nota_media !== null
+      ? Math.round((current.nota_media - previousScore) * 100) / 100
+      : null,
+    regressoes,
+    melhorias,
+    created_at: previous.created_at
+  };
+}
+
+// Grava a execução já comparada com a última do prompt publicado
+async function saveRun({ agent, draft, judge, userId, result }) {
+  const previous = await latestPublishedRun(agent.id);
+
+  const { data, error } = await supabase
+    .from('agent_evaluation_runs')
+    .insert({
+      agent_id: agent.id,
+      prompt: draft ? 'rascunho' : 'atual',
+      prompt_version: draft ? null : agent.prompt_version || null,
+      juiz: judge,
+      status: result.status,
+      total: result.total,
+      aprovadas: result.aprovadas,
+      nota_media: result.nota_media,
+      resultados: result.resultados,
+      comparacao: compareRuns(previous, result),
+      executado_por: userId || null,
+      created_at: new Date().toISOString()
+    })
+    .select(RUN_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function findRun(agentId, runId) {
+  const { data, error } = await supabase
+    .from('agent_evaluation_runs')
+    .select(RUN_COLUMNS)
+    .eq('id', runId)
+    .eq('agent_id', agentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  MAX_QUESTIONS,
+  getEvaluationBudget,
+  QUESTION_COLUMNS,
+  RUN_SUMMARY_COLUMNS,
+  normalizeGoldenQuestion,
+  listGoldenQuestions,
+  findGoldenQuestion,
+  scoreAnswer,
+  runEvaluation,
+  saveRun,
+  findRun
+};
@@ -0,0 +1,143 @@
+const { supabase } = require('../config/supabase');
+
+// Quantas memórias do usuário entram no prompt do agente
+const MAX_MEMORIES_IN_PROMPT = 12;
+const MAX_FACT_CHARS = 60;
+
+// Temas de política pública reconhecidos nas perguntas (comparação sem acentos)
+const TOPICS = {
+  saude: { label: 'Saúde', terms: ['saude', 'sus', 'hospital', 'posto de saude', 'medico', 'vacina'] },
+  educacao: { label: 'Educação', terms: ['educacao', 'escola', 'ensino', 'universidade', 'creche', 'professor'] },
+  seguranca: { label: 'Segurança pública', terms: ['seguranca', 'policia', 'violencia', 'criminalidade', 'assalto'] },
+  emprego: { label: 'Emprego e renda', terms: ['emprego', 'desemprego', 'salario', 'renda', 'trabalhador'] },
+  moradia: { label: 'Moradia', terms: ['moradia', 'habitacao', 'aluguel', 'minha casa minha vida', 'sem teto'] },
+  transporte: { label: 'Transporte', terms: ['transporte', 'onibus', 'metro', 'mobilidade', 'transito', 'tarifa'] },
+  meio_ambiente: { label: 'Meio ambiente', terms: ['meio ambiente', 'desmatamento', 'clima', 'poluicao', 'queimada'] },
+  saneamento: { label: 'Saneamento', terms: ['saneamento', 'esgoto', 'agua tratada', 'coleta de lixo'] },
+  economia: { label: 'Economia', terms: ['economia', 'inflacao', 'imposto', 'juros', 'custo de vida'] },
+  previdencia: { label: 'Previdência', terms: ['previdencia', 'aposentadoria', 'inss'] },
+  assistencia_social: { label: 'Assistência social', terms: ['bolsa familia', 'assistencia social', 'fome', 'cesta basica'] },
+  agricultura: { label: 'Agricultura', terms: ['agricultura', 'reforma agraria', 'agricultor', 'agronegocio'] },
+  cultura: { label: 'Cultura', terms: ['cultura', 'lei rouanet', 'artistas'] },
+  direitos_humanos: { label: 'Direitos humanos', terms: ['direitos humanos', 'racismo', 'lgbt', 'feminicidio', 'indigena'] }
+};
+
+const PROFESSIONS = [
+  'professor', 'professora', 'medico', 'medica', 'enfermeiro', 'enfermeira', 'estudante',
+  'agricultor', 'agricultora', 'aposentado', 'aposentada', 'comerciante', 'motorista',
+  'servidor publico', 'servidora publica', 'empresario', 'empresaria', 'autonomo', 'autonoma',
+  'desempregado', 'desempregada', 'policial', 'advogado', 'advogada', 'engenheiro', 'engenheira'
+];
+
+const NAME = "[A-ZÀ-Ý][\\wÀ-ÿ'-]+(?:\\s+(?:d[aeo]s?\\s+)?[A-ZÀ-Ý][\\wÀ-ÿ'-]+){0,3}";
+const CITY_PATTERNS = [
+  new RegExp(`\\b(?:[Mm]oro|[Vv]ivo|[Rr]esido)\\s+(?:em|no|na|nos|nas)\\s+(${NAME})`),
+  new RegExp(`\\b[Ss]ou\\s+(?:de|do|da)\\s+(${NAME})`),
+  new RegExp(`\\b[Mm]inha cidade (?:é|e)\\s+(${NAME})`)
+];
+
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const hasTerm = (text, term) => new RegExp(`\\b${term}s?\\b`).test(text);
+
+// Fatos e temas que valem lembrar de uma mensagem do usuário
+function extractMemories(message) {
+  const text = String(message || '');
+  const normalized = normalize(text);
+  const memories = [];
+
+  for (const pattern of CITY_PATTERNS) {
+    const match = text.match(pattern);
+    // Siglas ("sou do PT") e o país não dizem a cidade
+    if (match && !/^[A-Z]{2,5}$/.test(match[1]) && match[1] !== 'Brasil') {
+      memories.push({ tipo: 'fato', chave: 'cidade', valor: match[1].trim().slice(0, MAX_FACT_CHARS) });
+      break;
+    }
+  }
+
+  const profession = PROFESSIONS.find(name => new RegExp(`\\bsou (?:um |uma )?${name}\\b`).test(normalized));
+  if (profession) {
+    memories.push({ tipo: 'fato', chave: 'profissao', valor: profession });
+  }
+
+  for (const [key, topic] of Object.entries(TOPICS)) {
+    if (topic.terms.some(term => hasTerm(normalized, term))) {
+      memories.push({ tipo: 'topico', chave: key, valor: topic.label });
+    }
+  }
+
+  return memories;
+}
+
+async function loadMemories(userId, { limit = MAX_MEMORIES_IN_PROMPT } = {}) {
+  const { data, error } = await supabase
+    .from('agent_user_memories')
+    .select('id, tipo, chave, valor, vezes, agent_id, created_at, updated_at')
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Guarda o que a mensagem revela sobre o usuário: fatos são substituídos pelo valor mais
+// recente; temas acumulam quantas vezes foram perguntados
+async function rememberFromMessage(userId, agentId, message) {
+  const memories = extractMemories(message);
+  if (memories.length === 0) return [];
+
+  const { data: existing, error } = await supabase
+    .from('agent_user_memories')
+    .select('tipo, chave, vezes')
+    .eq('user_id', userId)
+    .in('chave', memories.map(memory => memory.chave));
+
+  if (error) throw error;
+
+  const now = new Date().toISOString();
+  const counts = new Map((existing || []).map(row => [`${row.tipo}|${row.chave}`, row.vezes || 0]));
+  const { error: upsertError } = await supabase
+    .from('agent_user_memories')
+    .upsert(memories.map(memory => ({
+      user_id: userId,
+      ...memory,
+      vezes: (counts.get(`${memory.tipo}|${memory.chave}`) || 0) + 1,
+      agent_id: agentId,
+      updated_at: now
+    })), { onConflict: 'user_id,tipo,chave' });
+
+  if (upsertError) throw upsertError;
+  return memories;
+}
+
+const FACT_LABELS = { cidade: 'Onde mora', profissao: 'Profissão' };
+
+// Trecho acrescentado ao prompt de sistema do agente com o que já se sabe do usuário
+function formatMemoryContext(memories) {
+  const facts = memories.filter(memory => memory.tipo === 'fato');
+  const topics = memories
+    .filter(memory => memory.tipo === 'topico')
+    .sort((a, b) => b.vezes - a.vezes)
+    .map(memory => memory.valor);
+
+  if (facts.length === 0 && topics.length === 0) return null;
+
+  const lines = facts.map(memory => `- ${FACT_LABELS[memory.chave] || memory.chave}: ${memory.valor}`);
+  if (topics.length > 0) {
+    lines.push(`- Temas sobre os quais já perguntou: ${topics.join(', ')}`);
+  }
+
+  return `O que você sabe sobre este eleitor de conversas anteriores (use quando for relevante, sem repetir a lista):
+${lines.join('\n')}`;
+}
+
+module.exports = {
+  extractMemories,
+  loadMemories,
+  rememberFromMessage,
+  formatMemoryContext
+};
@@ -0,0 +1,44 @@
+const { getPrompt } = require('./promptRegistry');
+const { planOverview } = require('./politicianKnowledge');
+
+// Campos do político usados na persona do agente
+const PERSONA_COLUMNS = 'id, name, position, state, party, government_plan, main_ideologies';
+
+// Prompt de sistema com a persona do agente. É o prompt publicado pelo político
+// (politician_agents.trained_prompt, versionado em agent_prompt_versions) ou, com draft, o
+// rascunho em teste no sandbox. Agentes sem prompt próprio usam o modelo agent_chat, em que o
+// plano entra só como visão geral quando já está indexado (knowledge.indexado).
+// agent: linha de politician_agents com `politicians` (PERSONA_COLUMNS)
+async function getAgentPrompt(agent, { userId, knowledge = null, draft = false } = {}) {
+  const ownPrompt = draft ? agent.draft_prompt : agent.trained_prompt;
+  if (ownPrompt) {
+    return {
+      key: 'agent_trained_prompt',
+      versionId: null,
+      version: draft ? null : agent.prompt_version || null,
+      variant: draft ? 'rascunho' : 'publicado',
+      content: ownPrompt
+    };
+  }
+
+  const politician = agent.politicians;
+  const plan = knowledge?.indexado ? planOverview(politician.government_plan) : politician.government_plan;
+
+  return getPrompt('agent_chat', {
+    userId,
+    variables: {
+      name: politician.name,
+      position: politician.position,
+      state_label: politician.state ? `de ${politician.state}` : '',
+      state: politician.state || 'Nacional',
+      party: politician.party,
+      government_plan: plan || 'Não especificado',
+      main_ideologies: politician.main_ideologies || 'Conservadora'
+    }
+  });
+}
+
+module.exports = {
+  PERSONA_COLUMNS,
+  getAgentPrompt
+};
@@ -0,0 +1,236 @@
+const { supabase } = require('../config/supabase');
+const { diffLines } = require('./textDiff');
+
+const MAX_PROMPT_CHARS = 20000;
+const MAX_NOTE_CHARS = 500;
+// Tentativas de gravar a próxima versão quando outra edição simultânea pega o mesmo número
+const MAX_VERSION_ATTEMPTS = 3;
+
+const VERSION_COLUMNS = 'id, agent_id, versao, conteudo, nota, origem, restaurada_de, autor_id, autor_nome, created_at';
+const AGENT_PROMPT_COLUMNS = 'id, trained_prompt, prompt_version, draft_prompt, draft_note, draft_updated_at, draft_updated_by';
+
+// Autor gravado na versão a partir do usuário autenticado
+const authorFrom = (user) => ({
+  autor_id: user?.id || null,
+  autor_nome: user?.full_name || user?.email || null
+});
+
+// Valida o texto do prompt e a nota da mudança vindos do corpo da requisição
+function normalizePromptInput(body = {}) {
+  const content = body.trained_prompt;
+  const note = body.note === undefined || body.note === null ? null : String(body.note).trim();
+
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    return { error: 'Campo trained_prompt é obrigatório e deve ser uma string.' };
+  }
+  if (content.length > MAX_PROMPT_CHARS) {
+    return { error: `Prompt muito longo (máximo de ${MAX_PROMPT_CHARS} caracteres).` };
+  }
+  if (note && note.length > MAX_NOTE_CHARS) {
+    return { error: `Nota muito longa (máximo de ${MAX_NOTE_CHARS} caracteres).` };
+  }
+
+  return { content: content.trim(), note: note || null };
+}
+
+async function latestVersion(agentId) {
+  const { data, error } = await supabase
+    .from('agent_prompt_versions')
+    .select(VERSION_COLUMNS)
+    .eq('agent_id', agentId)
+    .order('versao', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+async function insertVersion(agentId, fields) {
+  const { data, error } = await supabase
+    .from('agent_prompt_versions')
+    .insert({ agent_id: agentId, ...fields, created_at: new Date().toISOString() })
+    .select(VERSION_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Versão 1 com o prompt com que o agente foi criado (agentes criados pelo admin ou na aprovação)
+async function recordInitialVersion(agent, user = null) {
+  if (!agent?.trained_prompt) return null;
+
+  const version = await insertVersion(agent.id, {
+    versao: 1,
+    conteudo: agent.trained_prompt,
+    nota: 'Versão inicial',
+    origem: 'inicial',
+    ...authorFrom(user)
+  });
+
+  const { error } = await supabase
+    .from('politician_agents')
+    .update({ prompt_version: 1 })
+    .eq('id', agent.id);
+
+  if (error) throw error;
+  return version;
+}
+
+// Publica um novo prompt: grava a próxima versão e passa a usá-la no chat do agente.
+// Sem mudança em relação à versão publicada, nada é gravado (retorna created: false).
+// agent: { id, trained_prompt } atual
+async function publishPrompt(agent, { content, note = null, user = null, origem = 'edicao', restauradaDe = null }) {
+  let version;
+  for (let attempt = 1; !version; attempt++) {
+    try {
+      let latest = await latestVersion(agent.id);
+      // Agente anterior ao versionamento: o prompt atual vira a versão 1 antes da nova
+      if (!latest && agent.trained_prompt && agent.trained_prompt !== content) {
+        latest = await recordInitialVersion(agent);
+      }
+
+      if (latest && latest.conteudo === content) {
+        return { created: false, version: latest };
+      }
+
+      version = await insertVersion(agent.id, {
+        versao: (latest?.versao || 0) + 1,
+        conteudo: content,
+        nota: note,
+        origem,
+        restaurada_de: restauradaDe,
+        ...authorFrom(user)
+      });
+    } catch (error) {
+      // Número já usado por uma publicação simultânea (UNIQUE agent_id, versao): relê a última
+      if (error?.code !== '23505' || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+      console.warn(`⚠️ Versão do prompt do agente ${agent.id} gravada por outra edição, tentando de novo`);
+    }
+  }
+
+  const update = { trained_prompt: content, prompt_version: version.versao };
+  if (origem === 'rascunho') {
+    Object.assign(update, { draft_prompt: null, draft_note: null, draft_updated_at: null, draft_updated_by: null });
+  }
+
+  const { error } = await supabase
+    .from('politician_agents')
+    .update(update)
+    .eq('id', agent.id);
+
+  if (error) throw error;
+  return { created: true, version };
+}
+
+async function listVersions(agentId) {
+  const { data, error } = await supabase
+    .from('agent_prompt_versions')
+    .select(VERSION_COLUMNS)
+    .eq('agent_id', agentId)
+    .order('versao', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function findVersion(agentId, number) {
+  const { data, error } = await supabase
+    .from('agent_prompt_versions')
+    .select(VERSION_COLUMNS)
+    .eq('agent_id', agentId)
+    .eq('versao', number)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+const versionSummary = (version, currentVersion) => ({
+  versao: version.versao,
+  nota: version.nota,
+  origem: version.origem,
+  restaurada_de: version.restaurada_de,
+  autor: version.autor_nome,
+  caracteres: version.conteudo.length,
+  atual: version.versao === currentVersion,
+  created_at: version.created_at
+});
+
+// Rascunho do agente (um por agente); publicado vira a próxima versão
+async function saveDraft(agentId, { content, note, user }) {
+  const { data, error } = await supabase
+    .from('politician_agents')
+    .update({
+      draft_prompt: content,
+      draft_note: note,
+      draft_updated_at: new Date().toISOString(),
+      draft_updated_by: user?.id || null
+    })
+    .eq('id', agentId)
+    .select(AGENT_PROMPT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function discardDraft(agentId) {
+  const { error } = await supabase
+    .from('politician_agents')
+    .update({ draft_prompt: null, draft_note: null, draft_updated_at: null, draft_updated_by: null })
+    .eq('id', agentId);
+
+  if (error) throw error;
+}
+
+const draftSummary = (agent) => (agent.draft_prompt ? {
+  conteudo: agent.draft_prompt,
+  nota: agent.draft_note,
+  updated_at: agent.draft_updated_at
+} : null);
+
+// Lado de uma comparação: número da versão, "atual" ou "rascunho"
+async function resolvePromptRef(agent, value) {
+  const reference = String(value || '').trim().toLowerCase();
+  if (reference === 'rascunho') {
+    if (!agent.draft_prompt) return { error: 'O agente não tem rascunho', status: 404 };
+    return { label: 'rascunho', content: agent.draft_prompt };
+  }
+  if (reference === 'atual') {
+    return { label: agent.prompt_version ? `v${agent.prompt_version}` : 'atual', versao: agent.prompt_version || null, content: agent.trained_prompt || '' };
+  }
+
+  const number = parseInt(reference.replace(/^v/, ''), 10);
+  if (!/^v?\d+$/.test(reference) || number < 1) {
+    return { error: `Versão inválida: ${value}. Use o número da versão, "atual" ou "rascunho"` };
+  }
+
+  const version = await findVersion(agent.id, number);
+  if (!version) return { error: `Versão ${number} não encontrada`, status: 404 };
+  return { label: `v${number}`, versao: number, content: version.conteudo };
+}
+
+function comparePrompts(from, to) {
+  return {
+    de: from.label,
+    ate: to.label,
+    alterado: from.content !== to.content,
+    ...diffLines(from.content, to.content)
+  };
+}
+
+module.exports = {
+  AGENT_PROMPT_COLUMNS,
+  normalizePromptInput,
+  recordInitialVersion,
+  publishPrompt,
+  listVersions,
+  findVersion,
+  versionSummary,
+  saveDraft,
+  discardDraft,
+  draftSummary,
+  resolvePromptRef,
+  comparePrompts
+};
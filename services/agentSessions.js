@@ -0,0 +1,76 @@
+const { supabase } = require('../config/supabase');
+
+const TITLE_MAX_CHARS = 80;
+
+const SESSION_COLUMNS = 'id, agent_id, user_id, titulo, mensagens, ultima_mensagem_em, created_at, updated_at';
+
+// Título da sessão a partir da primeira mensagem
+function sessionTitle(message) {
+  const clean = String(message || '').replace(/\s+/g, ' ').trim();
+  return clean.length > TITLE_MAX_CHARS ? `${clean.slice(0, TITLE_MAX_CHARS - 1).trim()}…` : clean;
+}
+
+// Sessão do usuário com o agente (null se não existir ou for de outro usuário/agente)
+async function findSession(sessionId, { agentId, userId }) {
+  const { data, error } = await supabase
+    .from('agent_sessions')
+    .select(SESSION_COLUMNS)
+    .eq('id', sessionId)
+    .eq('agent_id', agentId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function createSession({ agentId, userId, firstMessage }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('agent_sessions')
+    .insert({
+      agent_id: agentId,
+      user_id: userId,
+      titulo: sessionTitle(firstMessage),
+      mensagens: 0,
+      created_at: now,
+      updated_at: now
+    })
+    .select(SESSION_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Grava o turno (pergunta e resposta) na sessão e atualiza o contador da sessão
+async function saveTurn(session, { message, response }) {
+  const { error } = await supabase
+    .from('agent_conversations')
+    .insert({
+      agent_id: session.agent_id,
+      user_id: session.user_id,
+      session_id: session.id,
+      user_message: message,
+      agent_response: response
+    });
+
+  if (error) {
+    console.error('Erro ao salvar conversa com agente:', error);
+    return;
+  }
+
+  // Incremento feito no banco: turnos simultâneos na mesma sessão não perdem contagem
+  const { error: sessionError } = await supabase.rpc('record_agent_session_turn', { target_session_id: session.id });
+
+  if (sessionError) {
+    console.warn('⚠️ Erro ao atualizar sessão do agente:', sessionError.message);
+  }
+}
+
+module.exports = {
+  SESSION_COLUMNS,
+  findSession,
+  createSession,
+  saveTurn
+};
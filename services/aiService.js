@@ -1,346 +1,335 @@
 const { supabase } = require('../config/supabase');
-
-// Função para analisar metadados de imagem sem enviar o conteúdo completo
-function analyzeImageMetadata(dataUrl) {
-  try {
-    // Extrair informações do data URL
-    const [header, base64Data] = dataUrl.split(',');
-    const mimeMatch = header.match(/data:image\/(\w+)/);
-    const format = mimeMatch ? mimeMatch[1].toUpperCase() : 'UNKNOWN';
-    
-    // Calcular tamanho aproximado
-    const sizeBytes = Math.round((base64Data.length * 3) / 4);
-    const sizeKB = Math.round(sizeBytes / 1024);
-    const size = sizeKB > 1024 ? `${Math.round(sizeKB / 1024)}MB` : `${sizeKB}KB`;
-    
-    // Verificar se contém indicadores de C2PA nos metadados
-    // C2PA geralmente aparece em formatos como JPEG, PNG, WebP
-    const hasC2PA = base64Data.includes('c2pa') || 
-                    base64Data.includes('C2PA') || 
-                    base64Data.includes('contentauthenticity') ||
-                    header.includes('c2pa');
-    
-    return {
-      format,
-      size,
-      hasC2PA,
-      sizeBytes
-    };
-  } catch (error) {
-    console.error('Erro ao analisar metadados da imagem:', error);
-    return {
-      format: 'UNKNOWN',
-      size: 'UNKNOWN',
-      hasC2PA: false,
-      sizeBytes: 0
-    };
+const aiConfig = require('../config/ai');
+const { resolveChain, hasConfiguredProvider } = require('./llmProviders');
+const modelHealth = require('./modelHealth');
+const { computeCost, recordUsage } = require('./aiUsageLedger');
+const { getPrompt, toPromptRefs, withPromptVersions } = require('./promptRegistry');
+const guardrails = require('./aiGuardrails');
+const { analyzeImageMetadata, describeImageEvidence } = require('./imageMetadata');
+const { normalizeClaims, deriveVerdict } = require('./fakeNewsClaims');
+const { searchKnowledgeBase, formatKnowledgeContext, citeKnowledge } = require('./factCheckKnowledge');
+
+// Monta o array de mensagens a partir do prompt de sistema, do histórico da conversa
+// e da mensagem do usuário (string ou objeto de mensagem já formatado, como no caso de imagens)
+function buildMessages(message, systemPrompt, history = []) {
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
   }
-}
-
-// Limites por plano
-const PLAN_LIMITS = {
-  gratuito: 10,
-  engajado: 50,
-  premium: 200
-};
-
-// Verificar limites de uso do usuário
-async function checkUserLimits(userId, userPlan = 'gratuito') {
-  try {
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Contar conversas de hoje
-    const { count: todayUsage, error } = await supabase
-      .from('ai_conversations')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', today + 'T00:00:00.000Z')
-      .lt('created_at', today + 'T23:59:59.999Z');
-
-    if (error) {
-      console.warn('⚠️ Supabase indisponível ao checar limites, usando padrão de desenvolvimento');
-      const limitFallback = PLAN_LIMITS[userPlan] || PLAN_LIMITS.gratuito;
-      return {
-        canUse: true,
-        used: 0,
-        limit: limitFallback,
-        remaining: limitFallback
-      };
-    }
-
-    const limit = PLAN_LIMITS[userPlan] || PLAN_LIMITS.gratuito;
-    const used = todayUsage || 0;
-    const remaining = Math.max(0, limit - used);
-    const canUse = used < limit;
-
-    return {
-      canUse,
-      used,
-      limit,
-      remaining
-    };
-  } catch (error) {
-    console.error('Error in checkUserLimits:', error);
-    return {
-      canUse: false,
-      used: 0,
-      limit: 0,
-      remaining: 0
-    };
+  messages.push(...history);
+  if (message && typeof message === 'object' && message.role) {
+    messages.push(message);
+  } else {
+    messages.push({ role: 'user', content: message });
   }
+  return messages;
 }
 
-// Lista de modelos gratuitos da OpenRouter para fallback inteligente
-const FREE_OPENROUTER_MODELS = [
-  'meta-llama/llama-3.3-70b-instruct:free',
-  'google/gemini-2.0-flash-exp:free',
-  'nvidia/llama-3.1-nemotron-ultra-253b-v1:free',
-  'google/gemma-3-27b-it:free',
-  'qwen/qwq-32b:free',
-  'deepseek/deepseek-chat-v3-0324:free',
-  'google/gemini-2.5-pro-exp-03-25:free',
-  'mistralai/mistral-small-3.1-24b-instruct:free',
-  'meta-llama/llama-4-maverick:free',
-  'meta-llama/llama-4-scout:free'
-];
+// Verifica a resposta contra a política de saída e registra na moderação as trocas bloqueadas,
+// modificadas ou com prompt injection. Em streaming os trechos já passaram pela mesma política
+// antes de serem enviados (ver smartDispatcherStream), então o conteúdo final coincide com o enviado.
+async function applyOutputGuardrails(result, { usage, inputText, injection, inputPii, streaming }) {
+  const output = guardrails.screenOutput(result.content);
+  const inputModified = injection.length > 0 || Object.keys(inputPii).length > 0;
+  if (!output.modified && !inputModified) return;
 
-// Função para chamar OpenRouter com modelo específico
-async function callOpenRouterModel(message, systemPrompt, model) {
-  const openRouterKey = process.env.OPENROUTER_API_KEY;
-  
-  if (!openRouterKey) {
-    throw new Error('OPENROUTER_API_KEY não configurada');
+  if (output.modified) {
+    result.content = output.content;
   }
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 25000); // 25 segundos timeout
-
-  try {
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openRouterKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://esquerdai.com',
-        'X-Title': 'EsquerdaGPT - Assistente IA Progressista'
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: message
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
-      }),
-      signal: controller.signal
-    });
+  result.guardrail = {
+    blocked: output.blocked,
+    injection,
+    inputPii,
+    outputViolations: output.violations,
+    outputPii: output.pii
+  };
 
-    clearTimeout(timeoutId);
+  if (output.blocked) {
+    console.log(`🛡️ Resposta bloqueada pela política de saída (${output.violations.map(v => v.rule).join(', ')})`);
+  }
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      console.error(`Erro no modelo ${model}:`, response.status, errorData);
-      throw new Error(`OpenRouter API Error: ${response.status}`);
+  await guardrails.recordGuardrailEvent({
+    usage,
+    action: output.blocked ? 'blocked' : (output.modified || Object.keys(inputPii).length > 0 ? 'modified' : 'flagged'),
+    input: inputText,
+    output: result.content,
+    details: {
+      injection,
+      inputPii,
+      outputViolations: output.violations,
+      outputPii: output.pii,
+      provider: result.provider,
+      model: result.model,
+      streamed: Boolean(streaming)
     }
-
-    const data = await response.json();
-    return {
-      content: data.choices[0]?.message?.content || 'Desculpe, não consegui processar sua mensagem.',
-      tokensUsed: data.usage?.total_tokens || 100,
-      model: model,
-      provider: 'openrouter',
-      cost: 0
-    };
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
-  }
+  });
 }
 
-// Função para chamar Together.ai API como fallback final
-async function callTogetherAPI(message, systemPrompt) {
-  const togetherKey = process.env.TOGETHER_API_KEY;
-  
-  if (!togetherKey) {
-    throw new Error('TOGETHER_API_KEY não configurada');
+// Percorre a cadeia de provedores configurada em config/ai.js (AI_PROVIDER_CHAIN),
+// delegando a chamada efetiva para `invoke` (completa ou em streaming)
+async function runDispatcher(message, systemPrompt, options, invoke) {
+  const attempts = modelHealth.orderByHealth(resolveChain(options.chain));
+  const usage = options.usage || {};
+  const input = guardrails.screenInput(buildMessages(message, systemPrompt, options.history), usage.feature);
+  const inputText = guardrails.messageText(input.messages[input.messages.length - 1]);
+  const startedAt = Date.now();
+
+  if (input.blocked) {
+    console.log(`🛡️ Entrada bloqueada pelos guardrails (${input.injection.join(', ')})`);
+    await guardrails.recordGuardrailEvent({
+      usage,
+      action: 'blocked',
+      input: inputText,
+      output: null,
+      details: { injection: input.injection, inputPii: input.pii }
+    });
+    const blocked = guardrails.blockedResult();
+    if (options.streaming && options.onToken) options.onToken(blocked.content);
+    return { ...blocked, guardrail: { blocked: true, injection: input.injection } };
   }
 
-  const response = await fetch('https://api.together.xyz/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${togetherKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: message
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.7
-    })
-  });
+  let lastError = null;
+  let gateError = null;
+  let currentStep = null;
 
-  if (!response.ok) {
-    const errorData = await response.text();
-    console.error('Erro na Together.ai API:', response.status, errorData);
-    throw new Error(`Together API Error: ${response.status}`);
-  }
+  for (const attempt of attempts) {
+    const { provider, model } = attempt;
 
-  const data = await response.json();
-  return {
-    content: data.choices[0]?.message?.content || 'Desculpe, não consegui processar sua mensagem.',
-    tokensUsed: data.usage?.total_tokens || 100,
-    model: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo',
-    provider: 'together',
-    cost: 0
-  };
-}
+    // Etapas com onStatus só são tentadas quando a etapa anterior falhou com um desses códigos
+    if (attempt.step !== currentStep) {
+      currentStep = attempt.step;
+      gateError = lastError;
+    }
+    if (attempt.onStatus && !(gateError && attempt.onStatus.includes(gateError.status))) {
+      continue;
+    }
+    if (!provider.isConfigured()) {
+      continue;
+    }
+
+    // Circuito aberto: pula o modelo, mas herda o último erro dele para as etapas seguintes
+    if (!modelHealth.isAvailable(provider.name, model)) {
+      const health = modelHealth.getModelHealth(provider.name, model);
+      console.log(`⏭️ Pulando ${provider.name}/${model} (circuito aberto até ${health.openUntil})`);
+      lastError = Object.assign(new Error(health.lastError || 'Circuito aberto'), { status: health.lastErrorStatus });
+      continue;
+    }
 
-// Sistema de dispatcher inteligente que tenta múltiplas LLMs
-async function smartDispatcher(message, systemPrompt) {
-  const openRouterKey = process.env.OPENROUTER_API_KEY;
-  const togetherKey = process.env.TOGETHER_API_KEY;
-  
-  // Primeiro, tenta o Claude 3.5 Sonnet (modelo principal)
-  if (openRouterKey) {
+    if (Date.now() - startedAt > aiConfig.DISPATCH_DEADLINE_MS) {
+      console.log(`⏱️ Prazo total do dispatcher (${aiConfig.DISPATCH_DEADLINE_MS}ms) esgotado`);
+      break;
+    }
+
+    const attemptStartedAt = Date.now();
     try {
-      console.log('🎯 Tentando Claude 3.5 Sonnet...');
-      const result = await callOpenRouterModel(message, systemPrompt, 'anthropic/claude-3.5-sonnet');
-      console.log('✅ Claude 3.5 Sonnet funcionou!');
+      console.log(`🔄 Tentando ${provider.name}/${model}...`);
+      // Provedores de terceiros recebem as mensagens sem CPF, telefone e e-mail
+      const trusted = guardrails.isTrustedProvider(provider.name);
+      const result = await invoke(provider, {
+        messages: trusted ? input.messages : input.redactedMessages,
+        model,
+        maxTokens: options.maxTokens || aiConfig.DEFAULT_MAX_TOKENS,
+        temperature: options.temperature ?? aiConfig.DEFAULT_TEMPERATURE,
+        timeoutMs: options.timeoutMs,
+        signal: options.signal
+      });
+      const latencyMs = Date.now() - attemptStartedAt;
+      modelHealth.recordSuccess(provider.name, model, latencyMs);
+      console.log(`✅ ${provider.name}/${model} funcionou!`);
+
+      result.cost = computeCost(result.provider, result.model, result.promptTokens, result.completionTokens);
+      await recordUsage({
+        ...usage,
+        provider: result.provider,
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        totalTokens: result.tokensUsed,
+        cost: result.cost,
+        latencyMs
+      });
+
+      await applyOutputGuardrails(result, {
+        usage,
+        inputText,
+        injection: input.injection,
+        inputPii: trusted ? {} : input.pii,
+        streaming: options.streaming
+      });
       return result;
     } catch (error) {
-      console.log('❌ Claude 3.5 Sonnet falhou:', error.message);
-      
-      // Se for erro 402 (sem créditos), tenta os modelos gratuitos
-      if (error.message.includes('402')) {
-        console.log('💡 Tentando modelos gratuitos da OpenRouter...');
-        
-        for (const model of FREE_OPENROUTER_MODELS) {
-          try {
-            console.log(`🔄 Tentando ${model}...`);
-            const result = await callOpenRouterModel(message, systemPrompt, model);
-            console.log(`✅ ${model} funcionou!`);
-            return result;
-          } catch (modelError) {
-            console.log(`❌ ${model} falhou:`, modelError.message);
-            continue; // Tenta o próximo modelo
-          }
-        }
-        
-        console.log('⚠️ Todos os modelos gratuitos da OpenRouter falharam');
+      console.log(`❌ ${provider.name}/${model} falhou:`, error.message);
+      lastError = error;
+      // Cancelamento pelo cliente não diz nada sobre a saúde do modelo
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      modelHealth.recordFailure(provider.name, model, error, Date.now() - attemptStartedAt);
+      // Falhas após o início do streaming não podem ser refeitas em outro provedor
+      if (error.fatal) {
+        throw error;
       }
     }
   }
-  
-  // Se OpenRouter falhou completamente, tenta Together.ai
-  if (togetherKey) {
+
+  console.log('🆘 Todos os provedores de IA falharam');
+  const error = new Error('Todos os provedores de IA falharam');
+  error.cause = lastError;
+  throw error;
+}
+
+// Sistema de dispatcher inteligente. Todas as funcionalidades de IA passam por aqui.
+// options.usage ({ feature, userId, plan, metadata }) identifica a chamada no ledger de uso.
+async function smartDispatcher(message, systemPrompt, options = {}) {
+  return runDispatcher(message, systemPrompt, options, (provider, params) => provider.chat(params));
+}
+
+// Variante em streaming: options.onToken recebe cada trecho gerado, já verificado pela política
+// de saída. O fallback para o próximo provedor só acontece enquanto nenhum token tiver sido emitido.
+async function smartDispatcherStream(message, systemPrompt, options = {}) {
+  let emitted = false;
+  const onText = (text) => {
+    emitted = true;
+    if (options.onToken) options.onToken(text);
+  };
+
+  return runDispatcher(message, systemPrompt, { ...options, streaming: true }, async (provider, params) => {
+    const screen = guardrails.createOutputScreen(onText);
     try {
-      console.log('🔄 Tentando Together.ai como fallback...');
-      const result = await callTogetherAPI(message, systemPrompt);
-      console.log('✅ Together.ai funcionou!');
+      const result = await provider.chatStream({ ...params, onToken: (token) => screen.push(token) });
+      screen.finish();
       return result;
     } catch (error) {
-      console.log('❌ Together.ai também falhou:', error.message);
+      if (emitted) error.fatal = true;
+      throw error;
     }
-  }
-  
-  // Se tudo falhou, retorna fallback interno
-  console.log('🆘 Usando fallback interno');
-  throw new Error('Todos os provedores de IA falharam');
+  });
 }
 
-// Gerar resposta da IA usando sistema de dispatcher inteligente
-async function generateResponse(message) {
-  const openRouterKey = process.env.OPENROUTER_API_KEY;
-  const togetherKey = process.env.TOGETHER_API_KEY;
-  
-  if (!openRouterKey && !togetherKey) {
-    console.warn('Nenhuma chave de API configurada, usando resposta de fallback');
-    const fallbackResponses = [
-      "Como progressista, defendo justiça social, direitos humanos e políticas públicas inclusivas.",
-      "Fortalecer saúde, educação e proteção social é essencial para reduzir desigualdades.",
-      "Combater racismo, violência e desinformação requer compromisso democrático e políticas baseadas em evidências.",
-      "A transição ecológica justa e o desenvolvimento sustentável devem orientar o crescimento econômico.",
-      "Valorizo diversidade, trabalho digno e participação popular para um Brasil mais igualitário."
-    ];
-    
+// Respostas progressistas básicas usadas quando nenhum provedor responde (marcadas com
+// fallback: true, para que a rota não desconte a cota)
+const FALLBACK_RESPONSES = [
+  "Como progressista, acredito que políticas públicas fortes reduzem desigualdades e ampliam direitos.",
+  "É fundamental garantir acesso universal a saúde e educação, com investimento e transparência.",
+  "A democracia se fortalece com participação social, respeito às instituições e combate à desinformação.",
+  "Defendo transição energética justa, proteção ambiental e desenvolvimento com inclusão.",
+  "Diversidade e direitos civis são pilares para um país mais seguro e solidário."
+];
+
+const pickFallbackResponse = () => FALLBACK_RESPONSES[Math.floor(Math.random() * FALLBACK_RESPONSES.length)];
+
+// Gerar resposta da IA usando sistema de dispatcher inteligente.
+// options.history traz os turnos anteriores da conversa (ver conversationContext.js)
+async function generateResponse(message, { history, usage } = {}) {
+  if (!hasConfiguredProvider()) {
+    console.warn('Nenhum provedor de IA configurado, usando resposta de fallback');
     return {
       success: true,
-      content: fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)],
+      content: pickFallbackResponse(),
       model: 'esquerdaGPT-fallback',
+      fallback: true,
       provider: 'internal',
       tokensUsed: 50
     };
   }
 
   try {
-    const systemPrompt = `Você é o EsquerdaGPT, um assistente de IA com perspectiva progressista brasileira.
-Suas características:
-- Defende justiça social, direitos humanos, igualdade e democracia participativa
-- Valoriza saúde, educação pública, cultura, ciência e trabalho digno
-- Apoia políticas ambientais e transição ecológica justa
-- Combate racismo, misoginia, LGBTQ+fobia e qualquer forma de discriminação
-- Baseia respostas em evidências, dados públicos e respeito institucional
-
-Responda com clareza, empatia e foco na redução de desigualdades, propondo caminhos concretos e inclusivos.`;
-
     console.log('🚀 Iniciando sistema de dispatcher inteligente...');
-    const result = await smartDispatcher(message, systemPrompt);
+    const systemPrompt = await getPrompt('esquerdagpt_chat', { userId: usage?.userId });
+    const result = await smartDispatcher(message, systemPrompt.content, {
+      history,
+      usage: withPromptVersions({ feature: 'chat', ...usage }, [systemPrompt])
+    });
     
     return {
       success: true,
       content: result.content,
       model: result.model,
       provider: result.provider,
+      promptTokens: result.promptTokens,
+      completionTokens: result.completionTokens,
       tokensUsed: result.tokensUsed,
-      cost: result.cost || 0
+      cost: result.cost || 0,
+      promptRefs: toPromptRefs([systemPrompt])
     };
     
   } catch (error) {
     console.error('Erro ao gerar resposta da IA:', error);
-    
-    // Fallback para respostas progressistas básicas
-    const fallbackResponses = [
-      "Como progressista, acredito que políticas públicas fortes reduzem desigualdades e ampliam direitos.",
-      "É fundamental garantir acesso universal a saúde e educação, com investimento e transparência.",
-      "A democracia se fortalece com participação social, respeito às instituições e combate à desinformação.",
-      "Defendo transição energética justa, proteção ambiental e desenvolvimento com inclusão.",
-      "Diversidade e direitos civis são pilares para um país mais seguro e solidário."
-    ];
-    
     return {
       success: true,
-      content: fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)],
+      content: pickFallbackResponse(),
       model: 'esquerdaGPT-fallback',
+      fallback: true,
       provider: 'fallback',
       tokensUsed: 50
     };
   }
 }
 
+// Versão em streaming de generateResponse; onToken recebe cada trecho gerado.
+// Se nada tiver sido emitido quando todos os provedores falharem, envia o fallback inteiro.
+async function generateResponseStream(message, { onToken, signal, history, usage } = {}) {
+  let emitted = false;
+  const emit = (token) => {
+    emitted = true;
+    if (onToken) onToken(token);
+  };
+
+  const fallback = (provider) => {
+    const content = pickFallbackResponse();
+    emit(content);
+    return {
+      success: true,
+      content,
+      model: 'esquerdaGPT-fallback',
+      fallback: true,
+      provider,
+      tokensUsed: 50
+    };
+  };
+
+  if (!hasConfiguredProvider()) {
+    console.warn('Nenhum provedor de IA configurado, usando resposta de fallback');
+    return fallback('internal');
+  }
+
+  try {
+    const systemPrompt = await getPrompt('esquerdagpt_chat', { userId: usage?.userId });
+    const result = await smartDispatcherStream(message, systemPrompt.content, {
+      onToken: emit,
+      signal,
+      history,
+      usage: withPromptVersions({ feature: 'chat', ...usage }, [systemPrompt])
+    });
+    return {
+      success: true,
+      content: result.content,
+      model: result.model,
+      provider: result.provider,
+      promptTokens: result.promptTokens,
+      completionTokens: result.completionTokens,
+      tokensUsed: result.tokensUsed,
+      cost: result.cost || 0,
+      promptRefs: toPromptRefs([systemPrompt])
+    };
+  } catch (error) {
+    console.error('Erro ao gerar resposta da IA em streaming:', error);
+    if (emitted || signal?.aborted) {
+      return { success: false, error: error.message };
+    }
+    return fallback('fallback');
+  }
+}
+
 // Salvar conversa no banco de dados
-async function saveConversation(userId, conversationId, userMessage, aiResponse, tokensUsed, model, provider) {
+async function saveConversation(userId, conversationId, userMessage, aiResponse, tokensUsed, model, provider, promptRefs = []) {
   try {
     console.log('💾 Salvando conversa no banco de dados...');
     console.log('📋 Estrutura real da tabela ai_conversations: id, user_id, conversation_id, message, response, tokens_used, created_at, model_used, provider_used');
     
     // Usar a estrutura real da tabela ai_conversations
-    const { error: conversationError } = await supabase
+    const { data: savedMessage, error: conversationError } = await supabase
       .from('ai_conversations')
       .insert({
         user_id: userId,
@@ -350,8 +339,11 @@ async function saveConversation(userId, conversationId, userMessage, aiResponse,
         tokens_used: tokensUsed || 0,
         model_used: model || 'unknown',
         provider_used: provider || 'unknown',
+        prompt_versions: promptRefs,
         created_at: new Date().toISOString()
-      });
+      })
+      .select('id')
+      .single();
 
     if (conversationError) {
       console.error('Error saving conversation:', conversationError);
@@ -364,7 +356,8 @@ async function saveConversation(userId, conversationId, userMessage, aiResponse,
     console.log('⚠️ Tabela ai_messages não tem estrutura compatível - pulando salvamento de mensagens individuais');
 
     return {
-      success: true
+      success: true,
+      id: savedMessage?.id || null
     };
   } catch (error) {
     console.error('Error in saveConversation:', error);
@@ -418,86 +411,52 @@ async function getUserConversations(userId, limit = 50) {
 }
 
 // Função específica para análise de fake news
-async function analyzeFakeNews(content, contentType = 'texto') {
+// options.usage identifica usuário/plano no ledger de uso de IA
+async function analyzeFakeNews(content, contentType = 'texto', options = {}) {
   try {
-    let analysisPrompt = '';
-    
+    const userId = options.usage?.userId;
+    const isImage = contentType === 'imagem' && content.startsWith('data:image/');
+    let analysisPrompt;
+    let imageEvidence = null;
+
     if (contentType === 'link') {
-      analysisPrompt = `Você é um especialista em verificação de fatos e detecção de fake news. 
-Analise o seguinte link/URL e determine se o conteúdo é:
-- VERDADE: Informação verificada e confiável
-- TENDENCIOSO: Parcialmente verdadeiro mas com viés
-- FAKE: Informação falsa ou enganosa
-
-Link para análise: ${content}
-
-Responda APENAS no seguinte formato JSON:
-{
-  "resultado": "verdade|tendencioso|fake",
-  "confianca": 85,
-  "explicacao": "Explicação detalhada da análise",
-  "fontes": ["fonte1.com", "fonte2.com"]
-}`;
-    } else if (contentType === 'imagem' && content.startsWith('data:image/')) {
+      analysisPrompt = await getPrompt('fake_news_link', { userId, variables: { content } });
+    } else if (isImage) {
       // Para imagens, usar análise visual com IA
       console.log('🖼️ Analisando imagem com IA...');
-      const imageInfo = analyzeImageMetadata(content);
-      console.log('📊 Metadados da imagem:', imageInfo);
-      
-      analysisPrompt = `Você é um especialista em verificação de fatos e análise de imagens.
-Analise esta imagem e determine se é:
-- VERDADE: Imagem autêntica e não manipulada
-- TENDENCIOSO: Imagem real mas usada fora de contexto ou com informações parciais
-- FAKE: Imagem manipulada, gerada por IA, ou completamente falsa
-
-Descreva detalhadamente:
-1. O que você vê na imagem (pessoas, objetos, cenário, etc.)
-2. Sinais de manipulação digital ou geração por IA
-3. Qualidade da imagem e possíveis inconsistências
-4. Contexto provável da imagem
-
-Informações técnicas: Formato ${imageInfo.format}, Tamanho: ${imageInfo.size}${imageInfo.hasC2PA ? ', Contém metadados C2PA (indicador de autenticidade)' : ', Sem metadados C2PA'}
-
-Responda APENAS no seguinte formato JSON:
-{
-  "resultado": "verdade|tendencioso|fake",
-  "confianca": 85,
-  "explicacao": "Descrição detalhada do que foi observado na imagem e análise de autenticidade",
-  "fontes": ["fonte1.com", "fonte2.com"]
-}`;
+      imageEvidence = analyzeImageMetadata(content);
+      console.log('📊 Metadados da imagem:', describeImageEvidence(imageEvidence));
+
+      analysisPrompt = await getPrompt('fake_news_image', {
+        userId,
+        variables: { image_info: describeImageEvidence(imageEvidence) }
+      });
     } else {
-      analysisPrompt = `Você é um especialista em verificação de fatos e detecção de fake news.
-Analise o seguinte conteúdo e determine se é:
-- VERDADE: Informação verificada e confiável
-- TENDENCIOSO: Parcialmente verdadeiro mas com viés
-- FAKE: Informação falsa ou enganosa
-
-Conteúdo para análise:
-${content}
-
-Responda APENAS no seguinte formato JSON:
-{
-  "resultado": "verdade|tendencioso|fake",
-  "confianca": 85,
-  "explicacao": "Explicação detalhada da análise baseada em fatos verificáveis",
-  "fontes": ["fonte1.com", "fonte2.com"]
-}`;
+      analysisPrompt = await getPrompt('fake_news_text', { userId, variables: { content } });
     }
+    const systemPrompt = await getPrompt('fake_news_system', { userId });
+    const prompts = [systemPrompt, analysisPrompt];
+
+    // Checagens da base curada relacionadas ao texto (ou ao artigo extraído do link)
+    const knowledge = isImage ? [] : await searchKnowledgeBase(content);
+    const systemContent = knowledge.length > 0
+      ? `${systemPrompt.content}\n\n${formatKnowledgeContext(knowledge)}`
+      : systemPrompt.content;
 
     console.log('🔍 Iniciando análise de fake news...');
     
     // Preparar o prompt final
-    let finalPrompt = analysisPrompt;
+    let finalPrompt = analysisPrompt.content;
     
     // Para imagens, incluir a imagem no prompt
-    if (contentType === 'imagem' && content.startsWith('data:image/')) {
+    if (isImage) {
       console.log('🔄 Preparando prompt com imagem para IA...');
       finalPrompt = {
         role: 'user',
         content: [
           {
             type: 'text',
-            text: analysisPrompt
+            text: analysisPrompt.content
           },
           {
             type: 'image_url',
@@ -513,7 +472,8 @@ Responda APENAS no seguinte formato JSON:
     console.log('📤 Enviando para análise de IA...');
     const result = await smartDispatcher(
       finalPrompt,
-      'Você é um verificador de fatos. Responda APENAS em JSON válido. Se o conteúdo for um fato objetivo confirmado por fontes (ex.: dados oficiais, registros históricos), classifique como "verdade". Use "tendencioso" apenas quando houver viés ou parcialidade. Nunca retorne "tendencioso" com confiança acima de 80 se a própria explicação confirmar o fato.'
+      systemContent,
+      { usage: withPromptVersions({ feature: 'fake_news', ...options.usage, metadata: { contentType, knowledge_ids: knowledge.map(entry => entry.id) } }, prompts) }
     );
     console.log('📥 Resposta da IA recebida:', result);
     console.log('✅ Análise concluída:', result);
@@ -556,28 +516,38 @@ Responda APENAS no seguinte formato JSON:
       analysisResult.fontes = ['Análise baseada em IA'];
     }
 
-    // Harmonizar classificação com a explicação para evitar incoerências
-    try {
-      const exp = (analysisResult.explicacao || '').toLowerCase();
-      const ct = (content || '').toLowerCase();
-      const mentionsFact = exp.includes('fato') || exp.includes('verificado') || exp.includes('amplamente documentado') || exp.includes('confirmado');
-      const mentionsPresidentBR = (exp + ' ' + ct).includes('presidente do brasil');
-      const clearlyTrueByExplanation = mentionsFact || mentionsPresidentBR || exp.includes('foi') && exp.includes('presidente');
-
-      // Se a explicação afirma claramente um fato objetivo, não classificar como tendencioso
-      if (analysisResult.resultado === 'tendencioso' && (clearlyTrueByExplanation || analysisResult.confianca >= 90)) {
-        analysisResult.resultado = 'verdade';
-        if (!analysisResult.confianca || analysisResult.confianca < 80) {
-          analysisResult.confianca = 90;
+    const checagens = citeKnowledge(knowledge, analysisResult.checagens_usadas);
+    delete analysisResult.checagens_usadas;
+
+    // Afirmações individuais: quando presentes, o veredito geral é derivado delas
+    analysisResult.afirmacoes = normalizeClaims(analysisResult.afirmacoes);
+    if (analysisResult.afirmacoes.length > 0) {
+      Object.assign(analysisResult, deriveVerdict(analysisResult.afirmacoes));
+      analysisResult.fontes = [...new Set([...analysisResult.fontes, ...analysisResult.afirmacoes.flatMap(claim => claim.fontes)])];
+    } else {
+      // Harmonizar classificação com a explicação para evitar incoerências
+      try {
+        const exp = (analysisResult.explicacao || '').toLowerCase();
+        const ct = (content || '').toLowerCase();
+        const mentionsFact = exp.includes('fato') || exp.includes('verificado') || exp.includes('amplamente documentado') || exp.includes('confirmado');
+        const mentionsPresidentBR = (exp + ' ' + ct).includes('presidente do brasil');
+        const clearlyTrueByExplanation = mentionsFact || mentionsPresidentBR || exp.includes('foi') && exp.includes('presidente');
+
+        // Se a explicação afirma claramente um fato objetivo, não classificar como tendencioso
+        if (analysisResult.resultado === 'tendencioso' && (clearlyTrueByExplanation || analysisResult.confianca >= 90)) {
+          analysisResult.resultado = 'verdade';
+          if (!analysisResult.confianca || analysisResult.confianca < 80) {
+            analysisResult.confianca = 90;
+          }
         }
-      }
 
-      // Evitar confiança excessiva para "tendencioso"
-      if (analysisResult.resultado === 'tendencioso' && analysisResult.confianca > 80) {
-        analysisResult.confianca = 80;
+        // Evitar confiança excessiva para "tendencioso"
+        if (analysisResult.resultado === 'tendencioso' && analysisResult.confianca > 80) {
+          analysisResult.confianca = 80;
+        }
+      } catch (normError) {
+        console.warn('Falha ao harmonizar classificação:', normError?.message || normError);
       }
-    } catch (normError) {
-      console.warn('Falha ao harmonizar classificação:', normError?.message || normError);
     }
 
     return {
@@ -585,7 +555,11 @@ Responda APENAS no seguinte formato JSON:
       ...analysisResult,
       model: result.model,
       provider: result.provider,
-      tokensUsed: result.tokensUsed
+      tokensUsed: result.tokensUsed,
+      cost: result.cost,
+      evidencias: imageEvidence,
+      checagens,
+      promptRefs: toPromptRefs(prompts)
     };
     
   } catch (error) {
@@ -598,16 +572,19 @@ Responda APENAS no seguinte formato JSON:
       confianca: 30,
       explicacao: 'Não foi possível analisar o conteúdo no momento. Tente novamente mais tarde ou verifique manualmente com fontes confiáveis.',
       fontes: ['Sistema temporariamente indisponível'],
+      afirmacoes: [],
+      checagens: [],
       error: error.message
     };
   }
 }
 
 module.exports = {
-  checkUserLimits,
   generateResponse,
+  generateResponseStream,
   saveConversation,
   getUserConversations,
   smartDispatcher,
+  smartDispatcherStream,
   analyzeFakeNews
 };
\ No newline at end of file
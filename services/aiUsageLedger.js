@@ -0,0 +1,108 @@
+const { supabase } = require('../config/supabase');
+const aiConfig = require('../config/ai');
+
+// Custo em USD de uma chamada, a partir da tabela de preços por 1M de tokens
+function computeCost(provider, model, promptTokens = 0, completionTokens = 0) {
+  if (aiConfig.FREE_PROVIDERS.includes(provider) || (model && model.endsWith(':free'))) {
+    return 0;
+  }
+
+  const price = aiConfig.PRICE_TABLE[model] || aiConfig.PRICE_TABLE.default;
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1000000;
+  return Number(cost.toFixed(6));
+}
+
+// Registra uma chamada de LLM no ledger unificado. Falhas de gravação não interrompem a requisição.
+async function recordUsage({ userId, plan, feature, provider, model, promptTokens, completionTokens, totalTokens, cost, latencyMs, metadata }) {
+  try {
+    const { error } = await supabase
+      .from('ai_usage_ledger')
+      .insert({
+        user_id: userId || null,
+        plan: plan || null,
+        feature: feature || 'unknown',
+        provider,
+        model,
+        prompt_tokens: promptTokens || 0,
+        completion_tokens: completionTokens || 0,
+        total_tokens: totalTokens || (promptTokens || 0) + (completionTokens || 0),
+        cost_usd: cost || 0,
+        latency_ms: latencyMs || null,
+        metadata: metadata || {},
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.warn('⚠️ Erro ao registrar uso de IA no ledger:', error.message);
+    }
+  } catch (error) {
+    console.warn('⚠️ Falha ao registrar uso de IA no ledger:', error.message);
+  }
+}
+
+// Linha agregada pela função ai_usage_report no formato do relatório
+function toBucket(row) {
+  const costUsd = Number(row.cost_usd) || 0;
+  const uniqueUsers = Number(row.unique_users) || 0;
+  return {
+    key: row.key,
+    calls: Number(row.calls) || 0,
+    prompt_tokens: Number(row.prompt_tokens) || 0,
+    completion_tokens: Number(row.completion_tokens) || 0,
+    total_tokens: Number(row.total_tokens) || 0,
+    cost_usd: Number(costUsd.toFixed(6)),
+    unique_users: uniqueUsers,
+    cost_per_user_usd: uniqueUsers > 0 ? Number((costUsd / uniqueUsers).toFixed(6)) : 0
+  };
+}
+
+// Relatório de gastos agregado por funcionalidade, modelo, plano e dia. A soma é feita no
+// banco (ai_usage_report): ler as linhas do ledger esbarraria no limite de linhas da API.
+async function getUsageReport({ startDate, endDate, feature, plan } = {}) {
+  const { data: rows, error } = await supabase.rpc('ai_usage_report', {
+    start_date: startDate,
+    end_date: endDate,
+    feature_filter: feature || null,
+    plan_filter: plan || null
+  });
+
+  if (error) {
+    throw new Error(`Erro ao consultar ledger de IA: ${error.message}`);
+  }
+
+  const buckets = (dimension) => (rows || [])
+    .filter(row => row.dimension === dimension)
+    .map(toBucket)
+    .sort((a, b) => b.cost_usd - a.cost_usd);
+
+  return {
+    period: { start: startDate, end: endDate },
+    totals: buckets('total')[0] || toBucket({ key: 'total' }),
+    byFeature: buckets('feature'),
+    byModel: buckets('model'),
+    byPlan: buckets('plan'),
+    byDay: buckets('day').sort((a, b) => a.key.localeCompare(b.key))
+  };
+}
+
+// Gasto em USD do usuário desde `since`, somado no banco (ai_usage_spend)
+async function getUserSpend(userId, { since, feature } = {}) {
+  const { data, error } = await supabase.rpc('ai_usage_spend', {
+    target_user_id: userId,
+    since,
+    feature_filter: feature || null
+  });
+
+  if (error) {
+    throw new Error(`Erro ao consultar gasto no ledger de IA: ${error.message}`);
+  }
+
+  return Number(data) || 0;
+}
+
+module.exports = {
+  computeCost,
+  recordUsage,
+  getUsageReport,
+  getUserSpend
+};
@@ -0,0 +1,235 @@
+const { supabase } = require('../config/supabase');
+const { VERDICTS, normalizeVerdict } = require('./factCheckKnowledge');
+
+// Reputação mínima (0-100) para a revisão contar na contestação do veredito da IA,
+// e quantos revisores com essa reputação precisam discordar da IA para contestar
+const MIN_TRUSTED_REPUTATION = parseInt(process.env.FAKE_NEWS_REVIEW_MIN_REPUTATION) || 60;
+const DISPUTE_MIN_REVIEWERS = parseInt(process.env.FAKE_NEWS_REVIEW_DISPUTE_MIN) || 2;
+
+const INITIAL_REPUTATION = 50;
+// Ajuste por revisão avaliada pela moderação: errar custa mais do que acertar rende
+const REPUTATION_GAIN = 5;
+const REPUTATION_LOSS = 10;
+const MAX_EVIDENCE_LINKS = 5;
+const MAX_NOTES_CHARS = 2000;
+
+const REVIEW_COLUMNS = 'id, check_id, reviewer_id, resultado, evidencias, notas, reputacao_no_envio, avaliacao, created_at, updated_at';
+
+function adjustReputation(reputation, avaliacao) {
+  const delta = avaliacao === 'confirmada' ? REPUTATION_GAIN : -REPUTATION_LOSS;
+  return Math.max(0, Math.min(100, (reputation ?? INITIAL_REPUTATION) + delta));
+}
+
+// Veredito exibido publicamente: contestado enquanto a moderação não decide; depois, o confirmado
+function publicVerdict(check) {
+  if (check.situacao === 'contestada') return 'contestado';
+  return check.resultado_final || check.resultado;
+}
+
+async function getReviewer(userId) {
+  if (!userId) return null;
+  const { data, error } = await supabase
+    .from('fake_news_reviewers')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Valida a contra-análise enviada pelo revisor: veredito, links de evidência (ao menos um) e notas
+function normalizeReview(input) {
+  const resultado = normalizeVerdict(input.resultado || input.veredito);
+  const evidencias = (Array.isArray(input.evidencias) ? input.evidencias : [])
+    .map(link => String(link).trim())
+    .filter(Boolean);
+  const notas = String(input.notas || '').trim();
+
+  if (!resultado) return { error: `Veredito inválido. Use: ${VERDICTS.join(', ')}` };
+  if (evidencias.length === 0) return { error: 'Informe ao menos um link de evidência' };
+  if (evidencias.length > MAX_EVIDENCE_LINKS) return { error: `Máximo de ${MAX_EVIDENCE_LINKS} links de evidência` };
+  if (!evidencias.every(isHttpUrl)) return { error: 'Links de evidência devem ser endereços http(s)' };
+  if (notas.length > MAX_NOTES_CHARS) return { error: `Notas com no máximo ${MAX_NOTES_CHARS} caracteres` };
+
+  return { review: { resultado, evidencias, notas: notas || null } };
+}
+
+// Grava (ou atualiza, enquanto não moderada) a revisão do revisor para a verificação.
+// A reputação do momento do envio fica registrada e é a que conta para a contestação.
+// Depois da decisão da moderação não entram novas revisões: elas não seriam mais avaliadas
+// e, com o veredito final já público, acertá-lo não diria nada sobre o revisor.
+async function submitReview(check, reviewer, review) {
+  if (check.situacao === 'confirmada') {
+    return { error: 'Verificação já decidida pela moderação não recebe novas revisões', status: 409 };
+  }
+
+  const { data: existing, error: findError } = await supabase
+    .from('fake_news_reviews')
+    .select('id, avaliacao')
+    .eq('check_id', check.id)
+    .eq('reviewer_id', reviewer.user_id)
+    .maybeSingle();
+
+  if (findError) throw findError;
+  if (existing && existing.avaliacao !== 'pendente') {
+    return { error: 'Revisão já avaliada pela moderação não pode ser alterada', status: 409 };
+  }
+
+  const now = new Date().toISOString();
+  const payload = {
+    ...review,
+    reputacao_no_envio: reviewer.reputacao,
+    updated_at: now
+  };
+
+  const query = existing
+    ? supabase.from('fake_news_reviews').update(payload).eq('id', existing.id)
+    : supabase.from('fake_news_reviews').insert({
+      ...payload,
+      check_id: check.id,
+      reviewer_id: reviewer.user_id,
+      avaliacao: 'pendente',
+      created_at: now
+    });
+
+  const { data, error } = await query.select(REVIEW_COLUMNS).single();
+  if (error) throw error;
+
+  if (!existing) {
+    const { error: counterError } = await supabase
+      .from('fake_news_reviewers')
+      .update({ revisoes_enviadas: (reviewer.revisoes_enviadas || 0) + 1, updated_at: now })
+      .eq('user_id', reviewer.user_id);
+    if (counterError) console.warn('⚠️ Erro ao atualizar contador do revisor:', counterError.message);
+  }
+
+  const dispute = await evaluateDispute(check);
+  return { review: data, created: !existing, ...dispute };
+}
+
+async function loadReviews(checkId) {
+  const { data, error } = await supabase
+    .from('fake_news_reviews')
+    .select(REVIEW_COLUMNS)
+    .eq('check_id', checkId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Contagem das revisões por veredito, separando as de revisores com reputação alta
+function summarizeReviews(check, reviews) {
+  const summary = { total: reviews.length, confiaveis: 0, discordam_da_ia: 0, por_resultado: { verdade: 0, tendencioso: 0, fake: 0 } };
+  for (const review of reviews) {
+    summary.por_resultado[review.resultado] = (summary.por_resultado[review.resultado] || 0) + 1;
+    if (review.reputacao_no_envio >= MIN_TRUSTED_REPUTATION) {
+      summary.confiaveis++;
+      if (review.resultado !== check.resultado) summary.discordam_da_ia++;
+    }
+  }
+  return summary;
+}
+
+// Contesta o veredito da IA quando revisores confiáveis suficientes discordam dele: o veredito
+// público passa a "contestado" e a verificação entra na fila da moderação. Verificações já
+// decididas pela moderação não voltam para a fila.
+async function evaluateDispute(check) {
+  const reviews = await loadReviews(check.id);
+  const summary = summarizeReviews(check, reviews);
+
+  if (check.situacao && check.situacao !== 'ia') {
+    return { situacao: check.situacao, revisoes: summary };
+  }
+  if (summary.discordam_da_ia < DISPUTE_MIN_REVIEWERS) {
+    return { situacao: 'ia', revisoes: summary };
+  }
+
+  const { error } = await supabase
+    .from('fake_news_checks')
+    .update({
+      situacao: 'contestada',
+      moderacao_pendente: true,
+      contestada_em: new Date().toISOString()
+    })
+    .eq('id', check.id);
+
+  if (error) throw error;
+  console.log(`⚖️ Verificação ${check.id} contestada por ${summary.discordam_da_ia} revisores`);
+  return { situacao: 'contestada', revisoes: summary };
+}
+
+// Decisão da moderação: fixa o veredito final, tira da fila e avalia as revisões pendentes.
+// Quem acertou o veredito final ganha reputação; quem errou, perde.
+async function resolveCheck(check, { resultado, notas, moderatorId }) {
+  const now = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('fake_news_checks')
+    .update({
+      resultado_final: resultado,
+      situacao: 'confirmada',
+      moderacao_pendente: false,
+      moderacao_notas: notas || null,
+      moderada_por: moderatorId,
+      moderada_em: now
+    })
+    .eq('id', check.id);
+
+  if (updateError) throw updateError;
+
+  const reviews = (await loadReviews(check.id)).filter(review => review.avaliacao === 'pendente');
+  const reviewers = [];
+  for (const review of reviews) {
+    const avaliacao = review.resultado === resultado ? 'confirmada' : 'rejeitada';
+    const { error: reviewError } = await supabase
+      .from('fake_news_reviews')
+      .update({ avaliacao, updated_at: now })
+      .eq('id', review.id);
+    if (reviewError) throw reviewError;
+
+    const reviewer = await getReviewer(review.reviewer_id);
+    if (!reviewer) continue;
+
+    const confirmed = (reviewer.revisoes_confirmadas || 0) + (avaliacao === 'confirmada' ? 1 : 0);
+    const rejected = (reviewer.revisoes_rejeitadas || 0) + (avaliacao === 'rejeitada' ? 1 : 0);
+    const reputacao = adjustReputation(reviewer.reputacao, avaliacao);
+
+    const { error: reviewerError } = await supabase
+      .from('fake_news_reviewers')
+      .update({
+        revisoes_confirmadas: confirmed,
+        revisoes_rejeitadas: rejected,
+        reputacao,
+        updated_at: now
+      })
+      .eq('user_id', reviewer.user_id);
+    if (reviewerError) throw reviewerError;
+
+    reviewers.push({ reviewer_id: reviewer.user_id, avaliacao, reputacao_anterior: reviewer.reputacao, reputacao });
+  }
+
+  return { resultado_final: resultado, revisoes_avaliadas: reviewers };
+}
+
+module.exports = {
+  MIN_TRUSTED_REPUTATION,
+  DISPUTE_MIN_REVIEWERS,
+  INITIAL_REPUTATION,
+  adjustReputation,
+  publicVerdict,
+  getReviewer,
+  normalizeReview,
+  submitReview,
+  loadReviews,
+  summarizeReviews,
+  resolveCheck
+};
@@ -0,0 +1,258 @@
+const { supabase } = require('../config/supabase');
+const { smartDispatcher } = require('./aiService');
+const { hasConfiguredProvider } = require('./llmProviders');
+const { getPrompt, toPromptRefs, withPromptVersions } = require('./promptRegistry');
+const { formatDevice, parseDeviceReference, findDevicePath } = require('./constitutionParser');
+
+// Artigos enviados ao modelo por pergunta e tamanho máximo de cada um no prompt
+const QA_MAX_ARTICLES = parseInt(process.env.CONSTITUTION_QA_MAX_ARTICLES) || 6;
+const QA_ARTICLE_MAX_CHARS = 4000;
+const SEARCH_MIN_RANK = 0.01;
+const MAX_QUESTION_CHARS = 1000;
+
+const ARTICLE_COLUMNS = 'id, documento, numero, sufixo, rotulo, titulo, capitulo, secao, caput, texto, dispositivos, ordem';
+
+const DOCUMENTS = ['CF', 'ADCT'];
+
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// "5", "5º", "art. 5", "103-A", "103a" -> { numero, sufixo }
+function parseArticleNumber(value) {
+  const match = String(value || '').trim().match(/^(?:art(?:igo)?\.?\s*)?(\d{1,3})\s*[º°o]?\s*(?:-?\s*([a-z]))?$/i);
+  if (!match) return null;
+  return { numero: parseInt(match[1], 10), sufixo: (match[2] || '').toUpperCase() };
+}
+
+async function getArticle({ documento = 'CF', numero, sufixo = '' }) {
+  const { data, error } = await supabase
+    .from('constitution_articles')
+    .select(ARTICLE_COLUMNS)
+    .eq('documento', documento)
+    .eq('numero', numero)
+    .eq('sufixo', sufixo)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Busca textual nos artigos (ver search_constitution). `matchAll` exige todos os termos
+// (sintaxe de busca web); sem ele, basta compartilhar parte do vocabulário.
+async function searchArticles(text, { limit = 10, matchAll = false, documento = null } = {}) {
+  const query = String(text || '').slice(0, MAX_QUESTION_CHARS).trim();
+  if (!query) return [];
+
+  const { data, error } = await supabase.rpc('search_constitution', {
+    query_text: query,
+    match_count: limit,
+    min_rank: SEARCH_MIN_RANK,
+    match_all: matchAll,
+    only_documento: documento
+  });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Artigos citados explicitamente na pergunta ("art. 5º", "artigo 37", "art. 8º do ADCT")
+function referencedArticles(question) {
+  const references = [];
+  const pattern = /\bart(?:igo)?s?\.?\s*(\d{1,3})\s*[º°o]?(?:\s*-\s*([a-z])\b)?([^.;?!]{0,20})/gi;
+  for (const match of String(question || '').matchAll(pattern)) {
+    references.push({
+      documento: /\badct\b|transit[óo]ri/i.test(match[3]) ? 'ADCT' : 'CF',
+      numero: parseInt(match[1], 10),
+      sufixo: (match[2] || '').toUpperCase()
+    });
+  }
+  return references;
+}
+
+// Artigos para responder a pergunta: primeiro os citados nela, depois os da busca textual
+async function retrieveArticles(question, { limit = QA_MAX_ARTICLES } = {}) {
+  const articles = [];
+  const seen = new Set();
+  const add = (article) => {
+    if (!article || seen.has(article.id) || articles.length >= limit) return;
+    seen.add(article.id);
+    articles.push(article);
+  };
+
+  for (const reference of referencedArticles(question).slice(0, limit)) {
+    add(await getArticle(reference));
+  }
+  for (const article of await searchArticles(question, { limit })) {
+    add(article);
+  }
+  return articles;
+}
+
+// Texto do artigo para o prompt. Artigos longos (o 5º tem 78 incisos) são reduzidos ao caput
+// e aos dispositivos que contêm termos da pergunta.
+function excerptArticle(article, question) {
+  if (article.texto.length <= QA_ARTICLE_MAX_CHARS) return article.texto;
+
+  const terms = normalize(question).split(/[^a-z0-9]+/).filter(term => term.length >= 4);
+  const parts = [`${article.rotulo} ${article.caput}`];
+  let size = parts[0].length;
+  let omitted = false;
+  for (const device of article.dispositivos || []) {
+    const text = formatDevice(device);
+    const relevant = terms.some(term => normalize(text).includes(term));
+    if (relevant && size + text.length <= QA_ARTICLE_MAX_CHARS) {
+      parts.push(text);
+      size += text.length;
+    } else {
+      omitted = true;
+    }
+  }
+  if (omitted) parts.push('[demais dispositivos omitidos]');
+  return parts.join('\n');
+}
+
+function formatArticlesContext(articles, question) {
+  return articles.map(article => [
+    `--- ${article.rotulo}${article.documento === 'ADCT' ? '' : ' (Constituição Federal)'}`,
+    [article.titulo, article.capitulo, article.secao].filter(Boolean).join(' > '),
+    excerptArticle(article, question)
+  ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+// Localiza o artigo de um rótulo de citação ("Art. 5º", "art. 103-A", "ADCT, Art. 8º")
+// entre os artigos recuperados. O que vier depois do número ("Art. 5º, XI") é o dispositivo.
+function matchCitedArticle(label, articles) {
+  const match = String(label || '').match(/art(?:igo)?\.?\s*(\d{1,3})\s*[º°o]?(?:\s*-\s*([a-z])\b)?(.*)$/i);
+  if (!match) return null;
+  const documento = /\badct\b|transit[óo]ri/i.test(label) ? 'ADCT' : 'CF';
+  const article = articles.find(item => item.documento === documento &&
+    item.numero === parseInt(match[1], 10) &&
+    item.sufixo === (match[2] || '').toUpperCase());
+  return article ? { article, rest: match[3].replace(/^[\s,]+/, '').replace(/\b(da CF|do ADCT)\b/i, '').trim() } : null;
+}
+
+// Confere as citações do modelo com os artigos recuperados e anexa o texto exato do
+// dispositivo citado. Citações de artigos que não foram enviados ao modelo são descartadas;
+// dispositivo inexistente vira citação do caput.
+function resolveCitations(citations, articles) {
+  const resolved = [];
+  const seen = new Set();
+  let discarded = 0;
+
+  for (const citation of Array.isArray(citations) ? citations : []) {
+    const label = typeof citation === 'string' ? citation : citation?.artigo;
+    const cited = matchCitedArticle(label, articles);
+    if (!cited) {
+      discarded++;
+      continue;
+    }
+
+    const { article } = cited;
+    const reference = (typeof citation === 'object' && citation.dispositivo) || cited.rest;
+    const path = reference && !/^caput$/i.test(reference) ? findDevicePath(article, parseDeviceReference(reference)) : null;
+    const dispositivo = path ? path.map(device => device.rotulo.replace(/\.$/, '')).join(', ') : null;
+
+    const key = `${article.id}|${dispositivo || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    resolved.push({
+      artigo_id: article.id,
+      documento: article.documento,
+      artigo: article.rotulo,
+      numero: article.sufixo ? `${article.numero}-${article.sufixo}` : String(article.numero),
+      dispositivo,
+      citacao: dispositivo ? `${article.rotulo}, ${dispositivo}` : article.rotulo,
+      texto: path ? formatDevice(path[path.length - 1]) : article.texto.split('\n')[0]
+    });
+  }
+
+  return { citacoes: resolved, descartadas: discarded };
+}
+
+// Resumo do artigo nas respostas (sem a árvore de dispositivos)
+const articleSummary = (article) => ({
+  id: article.id,
+  documento: article.documento,
+  rotulo: article.rotulo,
+  numero: article.sufixo ? `${article.numero}-${article.sufixo}` : String(article.numero),
+  titulo: article.titulo,
+  capitulo: article.capitulo,
+  secao: article.secao,
+  caput: article.caput
+});
+
+// Responde uma pergunta sobre a Constituição com base nos artigos recuperados.
+// Sem artigos relevantes ou sem provedor de IA, não chama o modelo (`consumiu_ia: false`).
+async function answerQuestion(question, { usage } = {}) {
+  const articles = await retrieveArticles(question);
+  const base = { pergunta: question, artigos: articles.map(articleSummary) };
+
+  if (articles.length === 0) {
+    return { ...base, resposta: null, citacoes: [], sem_resultados: true, consumiu_ia: false };
+  }
+  if (!hasConfiguredProvider()) {
+    console.warn('Nenhum provedor de IA configurado para perguntas sobre a Constituição');
+    return { ...base, resposta: null, citacoes: [], indisponivel: true, consumiu_ia: false };
+  }
+
+  const systemPrompt = await getPrompt('constitution_qa', {
+    userId: usage?.userId,
+    variables: { articles: formatArticlesContext(articles, question) }
+  });
+
+  let result;
+  try {
+    result = await smartDispatcher(question, systemPrompt.content, {
+      temperature: 0.2,
+      usage: withPromptVersions({
+        feature: 'constitution_qa',
+        ...usage,
+        metadata: { article_ids: articles.map(article => article.id) }
+      }, [systemPrompt])
+    });
+  } catch (error) {
+    console.error('Erro ao responder pergunta sobre a Constituição:', error);
+    return { ...base, resposta: null, citacoes: [], indisponivel: true, consumiu_ia: false };
+  }
+
+  let answer;
+  try {
+    const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('JSON não encontrado na resposta');
+    answer = JSON.parse(jsonMatch[0]);
+  } catch (parseError) {
+    console.warn('Erro ao fazer parse da resposta sobre a Constituição:', parseError.message);
+    answer = { resposta: result.content.trim(), citacoes: [] };
+  }
+
+  const { citacoes, descartadas } = resolveCitations(answer.citacoes, articles);
+  if (descartadas > 0) {
+    console.warn(`⚠️ ${descartadas} citação(ões) da resposta não correspondem aos artigos recuperados`);
+  }
+
+  return {
+    ...base,
+    resposta: String(answer.resposta || '').trim() || null,
+    citacoes,
+    consumiu_ia: true,
+    model: result.model,
+    provider: result.provider,
+    tokensUsed: result.tokensUsed,
+    promptRefs: toPromptRefs([systemPrompt])
+  };
+}
+
+module.exports = {
+  DOCUMENTS,
+  MAX_QUESTION_CHARS,
+  parseArticleNumber,
+  getArticle,
+  searchArticles,
+  retrieveArticles,
+  resolveCitations,
+  articleSummary,
+  answerQuestion
+};
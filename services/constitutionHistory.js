@@ -0,0 +1,315 @@
+const { supabase } = require('../config/supabase');
+const { amendmentNotes } = require('./constitutionParser');
+const { diffLines } = require('./textDiff');
+
+// Data de promulgação da Constituição: vigência da redação original
+const ORIGINAL_DATE = '1988-10-05';
+
+const AMENDMENT_COLUMNS = 'id, tipo, numero, ano, promulgada_em, ementa';
+const VERSION_COLUMNS = `id, article_id, versao, amendment_id, caput, texto, dispositivos, vigente_desde, vigente_ate, created_at, constitution_amendments(${AMENDMENT_COLUMNS})`;
+
+const amendmentKey = ({ tipo = 'EC', numero }) => `${tipo}|${numero}`;
+
+// Datas de promulgação conhecidas sem depender das notas do texto: as seis emendas de revisão
+const KNOWN_PROMULGATION_DATES = {
+  'ECR|1': '1994-03-01',
+  'ECR|2': '1994-06-07',
+  'ECR|3': '1994-06-07',
+  'ECR|4': '1994-06-07',
+  'ECR|5': '1994-06-07',
+  'ECR|6': '1994-06-07'
+};
+
+function amendmentLabel(amendment) {
+  if (!amendment) return null;
+  return `${amendment.tipo === 'ECR' ? 'Emenda Constitucional de Revisão' : 'Emenda Constitucional'} nº ${amendment.numero}${amendment.ano ? `, de ${amendment.ano}` : ''}`;
+}
+
+const amendmentSummary = (amendment) => (amendment ? {
+  id: amendment.id,
+  tipo: amendment.tipo,
+  numero: amendment.numero,
+  ano: amendment.ano,
+  rotulo: amendmentLabel(amendment),
+  promulgada_em: amendment.promulgada_em,
+  ementa: amendment.ementa
+} : null);
+
+// "115", "EC115", "EC 115/2022", "ECR5", "ecr-5/1994" -> { tipo, numero, ano }
+function parseAmendmentRef(value) {
+  const match = String(value || '').trim().match(/^(ecr|ec)?\s*-?\s*(?:n[º°o.]*\s*)?(\d{1,3})(?:\s*\/\s*(\d{4}))?$/i);
+  if (!match) return null;
+  return {
+    tipo: (match[1] || 'EC').toUpperCase(),
+    numero: parseInt(match[2], 10),
+    ano: match[3] ? parseInt(match[3], 10) : null
+  };
+}
+
+// Mais recente primeiro: por ano e, no mesmo ano, pelo número
+const byNewest = (a, b) => (b.ano - a.ano) || (b.numero - a.numero);
+
+async function findAmendment({ tipo = 'EC', numero }) {
+  const { data, error } = await supabase
+    .from('constitution_amendments')
+    .select(AMENDMENT_COLUMNS)
+    .eq('tipo', tipo)
+    .eq('numero', numero)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Completa a data de promulgação de uma emenda já cadastrada sem ela, e a vigência das versões
+// de artigos gravadas antes de a data ser conhecida (primeira importação com notas da emenda)
+async function fillPromulgationDate(amendment, promulgadaEm) {
+  const { error } = await supabase
+    .from('constitution_amendments')
+    .update({ promulgada_em: promulgadaEm, updated_at: new Date().toISOString() })
+    .eq('id', amendment.id);
+  if (error) throw error;
+
+  const { error: versionsError } = await supabase
+    .from('constitution_article_versions')
+    .update({ vigente_desde: promulgadaEm })
+    .eq('amendment_id', amendment.id)
+    .is('vigente_desde', null);
+  if (versionsError) throw versionsError;
+
+  return { ...amendment, promulgada_em: promulgadaEm };
+}
+
+// Garante o cadastro das emendas citadas ({ tipo, numero, ano, promulgada_em }); retorna Map
+// chave -> emenda. A data de promulgação vem da referência ou da tabela de datas conhecidas.
+async function ensureAmendments(refs) {
+  const unique = new Map();
+  refs.forEach(ref => {
+    const key = amendmentKey(ref);
+    const promulgadaEm = ref.promulgada_em || unique.get(key)?.promulgada_em || KNOWN_PROMULGATION_DATES[key] || null;
+    unique.set(key, { ...ref, promulgada_em: promulgadaEm });
+  });
+  if (unique.size === 0) return new Map();
+
+  const { data: existing, error } = await supabase
+    .from('constitution_amendments')
+    .select(AMENDMENT_COLUMNS)
+    .in('numero', [...new Set([...unique.values()].map(ref => ref.numero))]);
+
+  if (error) throw error;
+
+  const found = new Map();
+  for (const amendment of existing || []) {
+    const key = amendmentKey(amendment);
+    const promulgadaEm = unique.get(key)?.promulgada_em;
+    found.set(key, !amendment.promulgada_em && promulgadaEm ? await fillPromulgationDate(amendment, promulgadaEm) : amendment);
+  }
+
+  const missing = [...unique.entries()].filter(([key, ref]) => !found.has(key) && ref.ano);
+  if (missing.length > 0) {
+    const now = new Date().toISOString();
+    const { data: created, error: insertError } = await supabase
+      .from('constitution_amendments')
+      .insert(missing.map(([, ref]) => ({
+        tipo: ref.tipo,
+        numero: ref.numero,
+        ano: ref.ano,
+        promulgada_em: ref.promulgada_em,
+        created_at: now,
+        updated_at: now
+      })))
+      .select(AMENDMENT_COLUMNS);
+
+    if (insertError) throw insertError;
+    (created || []).forEach(amendment => found.set(amendmentKey(amendment), amendment));
+  }
+
+  return found;
+}
+
+// Registra (somando ao que já existe) os artigos alterados por cada emenda.
+// links: [{ amendment_id, article_id, efeito, dispositivo }]
+async function linkAmendmentArticles(links) {
+  if (links.length === 0) return;
+
+  const merged = new Map();
+  for (const link of links) {
+    const key = `${link.amendment_id}|${link.article_id}`;
+    const entry = merged.get(key) || { amendment_id: link.amendment_id, article_id: link.article_id, efeitos: new Set(), dispositivos: new Set() };
+    if (link.efeito) entry.efeitos.add(link.efeito);
+    if (link.dispositivo) entry.dispositivos.add(link.dispositivo);
+    merged.set(key, entry);
+  }
+
+  const { data: existing, error } = await supabase
+    .from('constitution_amendment_articles')
+    .select('amendment_id, article_id, efeitos, dispositivos')
+    .in('article_id', [...new Set(links.map(link => link.article_id))]);
+
+  if (error) throw error;
+  for (const row of existing || []) {
+    const entry = merged.get(`${row.amendment_id}|${row.article_id}`);
+    if (!entry) continue;
+    (row.efeitos || []).forEach(efeito => entry.efeitos.add(efeito));
+    (row.dispositivos || []).forEach(dispositivo => entry.dispositivos.add(dispositivo));
+  }
+
+  const { error: upsertError } = await supabase
+    .from('constitution_amendment_articles')
+    .upsert([...merged.values()].map(entry => ({
+      amendment_id: entry.amendment_id,
+      article_id: entry.article_id,
+      efeitos: [...entry.efeitos],
+      dispositivos: [...entry.dispositivos]
+    })), { onConflict: 'amendment_id,article_id' });
+
+  if (upsertError) throw upsertError;
+}
+
+// Grava uma nova versão para cada artigo importado cujo texto mudou (ou a primeira, se
+// ainda não houver) e fecha a versão anterior. A emenda da nova versão é a informada na
+// importação ou, na falta dela, a emenda mais recente citada nas notas do artigo que ainda
+// não aparecia na versão anterior. articles: artigos do parser com `id` do banco.
+async function recordArticleVersions(articles, { amendment = null, vigenteDesde = null } = {}) {
+  const stats = { criadas: 0, alteradas: 0, inalteradas: 0 };
+  if (articles.length === 0) return stats;
+
+  const amendments = await ensureAmendments(articles.flatMap(article => article.emendas || []));
+
+  const { data: openVersions, error } = await supabase
+    .from('constitution_article_versions')
+    .select('id, article_id, versao, texto')
+    .in('article_id', articles.map(article => article.id))
+    .is('vigente_ate', null);
+
+  if (error) throw error;
+  const currentByArticle = new Map((openVersions || []).map(version => [version.article_id, version]));
+
+  const links = [];
+  const today = new Date().toISOString().slice(0, 10);
+  for (const article of articles) {
+    const notes = article.emendas || [];
+    notes.forEach(note => {
+      const noted = amendments.get(amendmentKey(note));
+      if (noted) links.push({ amendment_id: noted.id, article_id: article.id, efeito: note.efeito, dispositivo: note.dispositivo });
+    });
+
+    const current = currentByArticle.get(article.id);
+    if (current && current.texto === article.texto) {
+      stats.inalteradas++;
+      continue;
+    }
+
+    const previousNotes = new Set(current ? amendmentNotes(current.texto).map(amendmentKey) : []);
+    const candidates = notes.filter(note => !previousNotes.has(amendmentKey(note))).sort(byNewest);
+    const versionAmendment = amendment || (candidates[0] ? amendments.get(amendmentKey(candidates[0])) : null);
+    const startsAt = vigenteDesde ||
+      versionAmendment?.promulgada_em ||
+      (current ? today : (notes.length === 0 ? ORIGINAL_DATE : null));
+
+    if (current) {
+      const { error: closeError } = await supabase
+        .from('constitution_article_versions')
+        .update({ vigente_ate: startsAt })
+        .eq('id', current.id);
+      if (closeError) throw closeError;
+    }
+
+    const { error: insertError } = await supabase
+      .from('constitution_article_versions')
+      .insert({
+        article_id: article.id,
+        versao: current ? current.versao + 1 : 1,
+        amendment_id: versionAmendment?.id || null,
+        caput: article.caput,
+        texto: article.texto,
+        dispositivos: article.dispositivos,
+        vigente_desde: startsAt,
+        vigente_ate: null,
+        created_at: new Date().toISOString()
+      });
+    if (insertError) throw insertError;
+
+    if (current && versionAmendment) {
+      // Sem nota da emenda no texto, a mudança é registrada como nova redação do artigo
+      const noted = notes.some(note => amendmentKey(note) === amendmentKey(versionAmendment));
+      links.push({ amendment_id: versionAmendment.id, article_id: article.id, efeito: noted ? null : 'redacao' });
+    }
+    stats[current ? 'alteradas' : 'criadas']++;
+  }
+
+  await linkAmendmentArticles(links);
+  return stats;
+}
+
+async function loadArticleVersions(articleId) {
+  const { data, error } = await supabase
+    .from('constitution_article_versions')
+    .select(VERSION_COLUMNS)
+    .eq('article_id', articleId)
+    .order('versao', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+const versionSummary = (version) => ({
+  id: version.id,
+  versao: version.versao,
+  vigente_desde: version.vigente_desde,
+  vigente_ate: version.vigente_ate,
+  vigente: !version.vigente_ate,
+  emenda: amendmentSummary(version.constitution_amendments)
+});
+
+// Versão em vigor na data (AAAA-MM-DD). A primeira versão sem data de início vale desde sempre.
+function versionAt(versions, date) {
+  return versions.find(version => (!version.vigente_desde || version.vigente_desde <= date) &&
+    (!version.vigente_ate || date < version.vigente_ate)) || null;
+}
+
+// Referência de versão na comparação: uma data ou uma emenda. Para uma emenda, é a versão
+// que ela produziu no artigo ou, se ela não mudou o artigo, a vigente na sua promulgação.
+async function resolveVersion(versions, value) {
+  const reference = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(reference)) {
+    if (Number.isNaN(Date.parse(reference))) return { error: `Data inválida: ${reference}` };
+    return { version: versionAt(versions, reference), referencia: { data: reference } };
+  }
+
+  const ref = parseAmendmentRef(reference);
+  if (!ref) return { error: `Referência inválida: ${reference}. Use uma data (AAAA-MM-DD) ou uma emenda (ex.: EC115)` };
+
+  const amendment = await findAmendment(ref);
+  if (!amendment) return { error: `Emenda não encontrada: ${reference}`, status: 404 };
+
+  const produced = versions.find(version => version.amendment_id === amendment.id);
+  if (produced) return { version: produced, referencia: { emenda: amendmentSummary(amendment) } };
+  if (!amendment.promulgada_em) {
+    return { error: `${amendmentLabel(amendment)} não alterou este artigo e não tem data de promulgação cadastrada` };
+  }
+  return { version: versionAt(versions, amendment.promulgada_em), referencia: { emenda: amendmentSummary(amendment) } };
+}
+
+// Comparação entre duas versões do artigo (`de` é a mais antiga)
+function compareVersions(from, to) {
+  return {
+    de: versionSummary(from),
+    ate: versionSummary(to),
+    alterado: from.texto !== to.texto,
+    ...diffLines(from.texto, to.texto)
+  };
+}
+
+module.exports = {
+  amendmentLabel,
+  amendmentSummary,
+  parseAmendmentRef,
+  findAmendment,
+  ensureAmendments,
+  recordArticleVersions,
+  loadArticleVersions,
+  versionSummary,
+  resolveVersion,
+  compareVersions
+};
@@ -0,0 +1,280 @@
+// Leitura do texto da Constituição (.txt ou .html do Planalto) em estrutura:
+// título > capítulo > seção > artigo > parágrafo > inciso > alínea.
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  ordm: 'º', ordf: 'ª', sect: '§', deg: '°', ndash: '–', mdash: '—', hellip: '…',
+  laquo: '«', raquo: '»', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’',
+  ccedil: 'ç', Ccedil: 'Ç', ntilde: 'ñ', Ntilde: 'Ñ'
+};
+const ACCENTS = { acute: '\u0301', grave: '\u0300', circ: '\u0302', tilde: '\u0303', uml: '\u0308' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    if (NAMED_ENTITIES[entity] !== undefined) return NAMED_ENTITIES[entity];
+    // Vogais acentuadas: &aacute; &Ecirc; &otilde; ...
+    const accented = entity.match(/^([a-z])(acute|grave|circ|tilde|uml)$/i);
+    return accented ? `${accented[1]}${ACCENTS[accented[2]]}`.normalize('NFC') : match;
+  });
+}
+
+// HTML para texto, uma linha por parágrafo. Trechos riscados (<strike>, <s>, <del>) são
+// removidos: no site do Planalto eles marcam a redação revogada.
+function htmlToText(html) {
+  return decodeEntities(String(html || '')
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(strike|s|del)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+const ORDINAL = '(?:º|°|o(?![a-zà-ú]))?';
+const SUFFIX = '(?:\\s*-\\s*([A-Z]))?';
+
+const TITLE_PATTERN = /^T[ÍI]TULO\s+([IVXLC]+)\b\s*[-–—.]?\s*(.*)$/i;
+const CHAPTER_PATTERN = /^CAP[ÍI]TULO\s+([IVXLC]+(?:-[A-Z])?)\b\s*[-–—.]?\s*(.*)$/i;
+const SECTION_PATTERN = /^SE[ÇC][ÃA]O\s+([IVXLC]+(?:-[A-Z])?)\b\s*[-–—.]?\s*(.*)$/i;
+const SUBSECTION_PATTERN = /^SUBSE[ÇC][ÃA]O\s+([IVXLC]+)\b\s*[-–—.]?\s*(.*)$/i;
+const ADCT_PATTERN = /^ATO DAS DISPOSI[ÇC][ÕO]ES CONSTITUCIONAIS TRANSIT[ÓO]RIAS/i;
+const ARTICLE_PATTERN = new RegExp(`^Art\\.?\\s*(\\d+)\\s*${ORDINAL}${SUFFIX}\\s*[.:-]?\\s*(.*)$`);
+const PARAGRAPH_PATTERN = new RegExp(`^§\\s*(\\d+)\\s*${ORDINAL}${SUFFIX}\\s*[.:-]?\\s*(.*)$`);
+const SOLE_PARAGRAPH_PATTERN = /^Par[áa]grafo [úu]nico\s*[.:-]?\s*(.*)$/i;
+const ITEM_PATTERN = /^([IVXLC]+)(?:\s*-\s*([A-Z]))?\s*[-–—]\s*(.*)$/;
+const SUBITEM_PATTERN = /^([a-z])\s*\)\s*(.*)$/;
+
+const ordinal = (number) => (number < 10 ? `${number}º` : String(number));
+
+function articleLabel({ documento, numero, sufixo }) {
+  const label = `Art. ${ordinal(numero)}${sufixo ? `-${sufixo}` : ''}`;
+  return documento === 'ADCT' ? `ADCT, ${label}` : label;
+}
+
+// Chave de busca de um dispositivo: "§1", "§1-a", "pu" (parágrafo único), "xi", "a"
+function deviceKey(tipo, rotulo) {
+  if (tipo === 'paragrafo') {
+    return /[úu]nico/i.test(rotulo) ? 'pu' : rotulo.replace(/[\sº°]/g, '').toLowerCase();
+  }
+  return rotulo.replace(/[\s)]/g, '').toLowerCase();
+}
+
+// Converte um trecho de citação ("§ 3º, II", "inciso XI, alínea a", "parágrafo único")
+// no caminho de chaves de dispositivo
+function parseDeviceReference(reference) {
+  return String(reference || '')
+    .split(',')
+    .map(part => part.trim()
+      .replace(/^(inciso|inc\.|al[íi]nea|al\.|item)\s+/i, '')
+      .replace(/["'“”)]/g, '')
+      .trim())
+    .filter(Boolean)
+    .map(part => {
+      if (/par[áa]grafo [úu]nico/i.test(part)) return 'pu';
+      const paragraph = part.match(/^(?:§|par[áa]grafo)\s*(\d+)\s*[º°o]?(?:\s*-\s*([a-z]))?$/i);
+      if (paragraph) return `§${paragraph[1]}${paragraph[2] ? `-${paragraph[2].toLowerCase()}` : ''}`;
+      return part.replace(/\s+/g, '').toLowerCase();
+    });
+}
+
+function createDevice(tipo, rotulo, texto) {
+  return { tipo, rotulo, chave: deviceKey(tipo, rotulo), texto, itens: [] };
+}
+
+// Como no texto oficial: "Art. 5º", mas "Art. 14." e "§ 10."
+const withPeriod = (label) => (/[º.]$/.test(label) ? label : `${label}.`);
+
+function formatDevice(device, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const head = device.tipo === 'inciso'
+    ? `${device.rotulo} - ${device.texto}`
+    : device.tipo === 'alinea'
+      ? `${device.rotulo}) ${device.texto}`
+      : `${withPeriod(device.rotulo)} ${device.texto}`;
+  return [`${indent}${head}`, ...device.itens.map(item => formatDevice(item, depth + 1))].join('\n');
+}
+
+// Texto corrido do artigo, com os dispositivos em linhas próprias
+function formatArticle(article) {
+  return [`${withPeriod(articleLabel(article))} ${article.caput}`.trim(), ...article.dispositivos.map(device => formatDevice(device))].join('\n');
+}
+
+// Notas do texto compilado que indicam a emenda responsável pela redação atual:
+// "(Redação dada pela Emenda Constitucional nº 19, de 1998)", "(Incluído pela ...)",
+// "(Revogado pela Emenda Constitucional de Revisão nº 5, de 1994)". Algumas trazem a data
+// completa ("..., de 4 de junho de 1998"), que vira a data de promulgação da emenda.
+const AMENDMENT_NOTE_PATTERN = /\((reda[çc][ãa]o dada|inclu[íi]d[oa]|acrescentad[oa]|revogad[oa])\s+pel[oa]\s+emenda constitucional\s+(de revis[ãa]o\s+)?n[º°o.]*\s*(\d+)\s*,?\s*de\s*(?:(\d{1,2})[º°o]?\s+de\s+([a-zç]+)\s+de\s+)?(\d{4})/gi;
+const NOTE_EFFECTS = { reda: 'redacao', incl: 'inclusao', acre: 'inclusao', revo: 'revogacao' };
+const MONTHS = ['janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+
+const normalizeNote = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+function noteDate(day, monthName, year) {
+  const month = MONTHS.indexOf(normalizeNote(monthName || ''));
+  if (!day || month === -1) return null;
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function amendmentNotes(text) {
+  return [...String(text || '').matchAll(AMENDMENT_NOTE_PATTERN)].map(match => ({
+    tipo: match[2] ? 'ECR' : 'EC',
+    numero: parseInt(match[3], 10),
+    ano: parseInt(match[6], 10),
+    promulgada_em: noteDate(match[4], match[5], match[6]),
+    efeito: NOTE_EFFECTS[normalizeNote(match[1]).slice(0, 4)]
+  }));
+}
+
+// Emendas citadas nas notas do artigo, com o dispositivo de cada nota (null = caput)
+function articleAmendments(article) {
+  const notes = amendmentNotes(article.caput).map(note => ({ ...note, dispositivo: null }));
+  const walk = (devices, parents) => devices.forEach(device => {
+    const path = [...parents, device.rotulo.replace(/\.$/, '')];
+    amendmentNotes(device.texto).forEach(note => notes.push({ ...note, dispositivo: path.join(', ') }));
+    walk(device.itens, path);
+  });
+  walk(article.dispositivos, []);
+  return notes;
+}
+
+// Estrutura o texto completo. Cada artigo leva título, capítulo e seção em que está, o caput,
+// a árvore de dispositivos e as emendas citadas nas notas. Texto antes do primeiro artigo
+// (preâmbulo) é ignorado.
+function parseConstitution(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .filter(Boolean);
+
+  const articles = [];
+  const context = { documento: 'CF', titulo: null, capitulo: null, secao: null };
+  let pendingHeading = null;
+  let article = null;
+  let paragraph = null;
+  let item = null;
+  let last = null;
+
+  const closeArticle = () => {
+    if (!article) return;
+    article.texto = formatArticle(article);
+    article.emendas = articleAmendments(article);
+    articles.push(article);
+    article = null;
+  };
+
+  const setHeading = (level, number, name, clears) => {
+    context[level] = name ? `${number} - ${name}` : number;
+    clears.forEach(key => { context[key] = null; });
+    pendingHeading = name ? null : level;
+  };
+
+  for (const line of lines) {
+    let match;
+
+    if (ADCT_PATTERN.test(line)) {
+      closeArticle();
+      Object.assign(context, { documento: 'ADCT', titulo: null, capitulo: null, secao: null });
+      pendingHeading = null;
+      continue;
+    }
+    if ((match = line.match(TITLE_PATTERN))) {
+      closeArticle();
+      setHeading('titulo', `Título ${match[1].toUpperCase()}`, match[2], ['capitulo', 'secao']);
+      continue;
+    }
+    if ((match = line.match(CHAPTER_PATTERN))) {
+      closeArticle();
+      setHeading('capitulo', `Capítulo ${match[1].toUpperCase()}`, match[2], ['secao']);
+      continue;
+    }
+    if ((match = line.match(SECTION_PATTERN)) || (match = line.match(SUBSECTION_PATTERN))) {
+      closeArticle();
+      setHeading('secao', `Seção ${match[1].toUpperCase()}`, match[2], []);
+      continue;
+    }
+
+    if ((match = line.match(ARTICLE_PATTERN))) {
+      closeArticle();
+      pendingHeading = null;
+      article = {
+        documento: context.documento,
+        numero: parseInt(match[1], 10),
+        sufixo: match[2] || '',
+        titulo: context.titulo,
+        capitulo: context.capitulo,
+        secao: context.secao,
+        caput: match[3],
+        dispositivos: [],
+        ordem: articles.length + 1
+      };
+      article.rotulo = articleLabel(article);
+      paragraph = null;
+      item = null;
+      last = article;
+      continue;
+    }
+
+    if (pendingHeading) {
+      // Nome do título/capítulo/seção na linha seguinte ao número
+      context[pendingHeading] = `${context[pendingHeading]} - ${line}`;
+      pendingHeading = null;
+      continue;
+    }
+    if (!article) continue;
+
+    if ((match = line.match(PARAGRAPH_PATTERN)) || (match = line.match(SOLE_PARAGRAPH_PATTERN))) {
+      const sole = match.length === 2;
+      const rotulo = sole ? 'Parágrafo único.' : `§ ${ordinal(parseInt(match[1], 10))}${match[2] ? `-${match[2]}` : ''}`;
+      paragraph = createDevice('paragrafo', rotulo, sole ? match[1] : match[3]);
+      article.dispositivos.push(paragraph);
+      item = null;
+      last = paragraph;
+    } else if ((match = line.match(ITEM_PATTERN))) {
+      item = createDevice('inciso', `${match[1]}${match[2] ? `-${match[2]}` : ''}`, match[3]);
+      (paragraph ? paragraph.itens : article.dispositivos).push(item);
+      last = item;
+    } else if ((match = line.match(SUBITEM_PATTERN)) && item) {
+      const subitem = createDevice('alinea', match[1], match[2]);
+      item.itens.push(subitem);
+      last = subitem;
+    } else if (last === article) {
+      article.caput = `${article.caput} ${line}`.trim();
+    } else {
+      last.texto = `${last.texto} ${line}`.trim();
+    }
+  }
+  closeArticle();
+
+  return articles;
+}
+
+// Dispositivos do artigo ao longo do caminho de chaves (ver parseDeviceReference),
+// do parágrafo até o mais interno; null se algum não existir
+function findDevicePath(article, path) {
+  let devices = article.dispositivos || [];
+  const found = [];
+  for (const key of path) {
+    const device = devices.find(item => item.chave === key);
+    if (!device) return null;
+    found.push(device);
+    devices = device.itens;
+  }
+  return found;
+}
+
+module.exports = {
+  htmlToText,
+  parseConstitution,
+  articleLabel,
+  formatArticle,
+  formatDevice,
+  amendmentNotes,
+  parseDeviceReference,
+  findDevicePath
+};
@@ -0,0 +1,152 @@
+const { supabase } = require('../config/supabase');
+const aiConfig = require('../config/ai');
+const { estimateTokens } = require('./llmProviders');
+const { getPrompt, withPromptVersions } = require('./promptRegistry');
+
+// Onde ficam os turnos e o resumo de cada tipo de conversa. Os turnos são lidos como
+// { message, response, created_at } a partir das colunas de cada tabela.
+const CONVERSATION_SOURCES = {
+  chat: {
+    turnsTable: 'ai_conversations',
+    summariesTable: 'ai_conversation_summaries',
+    idColumn: 'conversation_id',
+    messageColumn: 'message',
+    responseColumn: 'response'
+  },
+  agent: {
+    turnsTable: 'agent_conversations',
+    summariesTable: 'agent_session_summaries',
+    idColumn: 'session_id',
+    messageColumn: 'user_message',
+    responseColumn: 'agent_response'
+  }
+};
+
+const turnTokens = (turn) => estimateTokens(turn.message) + estimateTokens(turn.response);
+
+const turnToMessages = (turn) => [
+  { role: 'user', content: turn.message },
+  { role: 'assistant', content: turn.response }
+];
+
+// Carrega o resumo acumulado e os turnos ainda não resumidos de uma conversa do usuário
+async function loadConversationTurns(userId, conversationId, source = CONVERSATION_SOURCES.chat) {
+  const { data: summaryRow, error: summaryError } = await supabase
+    .from(source.summariesTable)
+    .select('summary, summarized_until, turns_summarized')
+    .eq(source.idColumn, conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (summaryError) {
+    console.warn('⚠️ Não foi possível carregar resumo da conversa:', summaryError.message);
+  }
+
+  // Os CONTEXT_MAX_TURNS turnos mais recentes (busca decrescente, devolvidos em ordem cronológica)
+  let query = supabase
+    .from(source.turnsTable)
+    .select(`${source.messageColumn}, ${source.responseColumn}, created_at`)
+    .eq(source.idColumn, conversationId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(aiConfig.CONTEXT_MAX_TURNS);
+
+  if (summaryRow?.summarized_until) {
+    query = query.gt('created_at', summaryRow.summarized_until);
+  }
+
+  const { data: turns, error } = await query;
+  if (error) {
+    throw new Error(`Erro ao carregar histórico da conversa: ${error.message}`);
+  }
+
+  return {
+    summary: summaryError ? null : summaryRow,
+    turns: (turns || [])
+      .reverse()
+      .map(turn => ({ message: turn[source.messageColumn], response: turn[source.responseColumn], created_at: turn.created_at }))
+      .filter(turn => turn.message && turn.response)
+  };
+}
+
+// Gera um novo resumo incorporando o resumo anterior e os turnos que saíram do orçamento
+async function summarizeTurns(previousSummary, turns, dispatcher, usage) {
+  const transcript = turns
+    .map(turn => `Usuário: ${turn.message}\nAssistente: ${turn.response}`)
+    .join('\n\n');
+
+  const prompt = `${previousSummary ? `Resumo anterior:\n${previousSummary}\n\n` : ''}Novos trechos da conversa:\n${transcript}\n\nAtualize o resumo incorporando os novos trechos.`;
+
+  const systemPrompt = await getPrompt('chat_summary', { userId: usage?.userId });
+  const result = await dispatcher(prompt, systemPrompt.content, {
+    maxTokens: aiConfig.CONTEXT_SUMMARY_MAX_TOKENS,
+    temperature: 0.2,
+    usage: withPromptVersions({ feature: 'chat_summary', ...usage }, [systemPrompt])
+  });
+
+  return result.content.trim();
+}
+
+// Reconstrói o contexto de uma conversa como array de mensagens dentro do orçamento de tokens.
+// Turnos mais antigos que não cabem são condensados em um resumo persistido na tabela de
+// resumos da origem (ai_conversation_summaries no chat, agent_session_summaries nos agentes).
+async function buildConversationContext(userId, conversationId, { dispatcher, usage, tokenBudget = aiConfig.CONTEXT_TOKEN_BUDGET, source = 'chat' } = {}) {
+  if (!conversationId) {
+    return { history: [], summary: null, turnsIncluded: 0 };
+  }
+
+  const conversationSource = CONVERSATION_SOURCES[source];
+  const { summary: summaryRow, turns } = await loadConversationTurns(userId, conversationId, conversationSource);
+  let summary = summaryRow?.summary || null;
+
+  // Seleciona os turnos mais recentes que cabem no orçamento (reservando espaço para o resumo)
+  const budget = tokenBudget - (summary ? aiConfig.CONTEXT_SUMMARY_MAX_TOKENS : 0);
+  let used = 0;
+  let firstIncluded = turns.length;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const cost = turnTokens(turns[i]);
+    if (used + cost > budget) break;
+    used += cost;
+    firstIncluded = i;
+  }
+
+  const overflow = turns.slice(0, firstIncluded);
+  const recent = turns.slice(firstIncluded);
+
+  if (overflow.length > 0 && dispatcher) {
+    try {
+      summary = await summarizeTurns(summary, overflow, dispatcher, { userId, ...usage });
+      const { error: upsertError } = await supabase
+        .from(conversationSource.summariesTable)
+        .upsert({
+          [conversationSource.idColumn]: conversationId,
+          user_id: userId,
+          summary,
+          summarized_until: overflow[overflow.length - 1].created_at,
+          turns_summarized: (summaryRow?.turns_summarized || 0) + overflow.length,
+          updated_at: new Date().toISOString()
+        }, { onConflict: `${conversationSource.idColumn},user_id` });
+
+      if (upsertError) {
+        console.warn('⚠️ Erro ao salvar resumo da conversa:', upsertError.message);
+      }
+    } catch (summaryError) {
+      // Sem resumo novo: os turnos antigos simplesmente ficam fora do contexto
+      console.warn('⚠️ Falha ao resumir turnos antigos, descartando-os do contexto:', summaryError.message);
+    }
+  }
+
+  const history = [];
+  if (summary) {
+    history.push({ role: 'system', content: `Resumo da conversa até aqui:\n${summary}` });
+  }
+  for (const turn of recent) {
+    history.push(...turnToMessages(turn));
+  }
+
+  return { history, summary, turnsIncluded: recent.length };
+}
+
+module.exports = {
+  buildConversationContext
+};
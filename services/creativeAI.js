@@ -0,0 +1,160 @@
+const { supabase } = require('../config/supabase');
+const { smartDispatcher } = require('./aiService');
+const { getPrompt, withPromptVersions } = require('./promptRegistry');
+
+const TONES = {
+  formal: 'respeitoso e profissional',
+  casual: 'descontraído e acessível',
+  inspirational: 'motivador e inspirador',
+  humorous: 'bem-humorado e cativante'
+};
+
+// Extensão pedida ao modelo e teto de tokens correspondente
+const LENGTHS = {
+  short: { words: '50 a 100 palavras', maxTokens: 300 },
+  medium: { words: '150 a 300 palavras', maxTokens: 700 },
+  long: { words: '400 a 600 palavras', maxTokens: 1400 }
+};
+
+const MAX_VARIANTS = 3;
+
+// Modelos embutidos, usados quando não há modelo ativo cadastrado pelo admin para o tipo.
+// Placeholders: {{prompt}}, {{tone}} e {{length}}.
+const DEFAULT_TEMPLATES = {
+  social_post: {
+    name: 'Post para redes sociais',
+    prompt_template: 'Escreva um post para redes sociais sobre: {{prompt}}\nTom: {{tone}}. Extensão: {{length}}.\nTermine com 3 a 5 hashtags relevantes ao tema.'
+  },
+  speech: {
+    name: 'Discurso',
+    prompt_template: 'Escreva um discurso para ser lido em voz alta sobre: {{prompt}}\nTom: {{tone}}. Extensão: {{length}}.\nComece com uma saudação ao público, desenvolva os argumentos e encerre com um chamado à ação.'
+  },
+  press_release: {
+    name: 'Nota à imprensa',
+    prompt_template: 'Escreva uma nota à imprensa sobre: {{prompt}}\nTom: {{tone}}. Extensão: {{length}}.\nUse título, linha fina, lide respondendo o quê, quem, quando e onde, e um espaço para citação de porta-voz entre colchetes.'
+  },
+  email: {
+    name: 'E-mail de mobilização',
+    prompt_template: 'Escreva um e-mail de mobilização sobre: {{prompt}}\nTom: {{tone}}. Extensão: {{length}}.\nInclua uma linha "Assunto:" no início e um único chamado à ação claro no final.'
+  },
+  thread: {
+    name: 'Thread',
+    prompt_template: 'Escreva uma thread para redes sociais sobre: {{prompt}}\nTom: {{tone}}. Extensão total: {{length}}.\nNumere os posts (1/, 2/, ...), cada um com no máximo 280 caracteres.'
+  },
+  meme: {
+    name: 'Conceito de meme',
+    prompt_template: 'Crie o conceito de um meme sobre: {{prompt}}\nTom: {{tone}}.\nDescreva a imagem sugerida, o texto superior e o texto inferior.'
+  },
+  video_script: {
+    name: 'Roteiro de vídeo',
+    prompt_template: 'Escreva um roteiro de vídeo sobre: {{prompt}}\nTom: {{tone}}. Extensão da fala: {{length}}.\nDivida em introdução, desenvolvimento e conclusão, com indicações de cena entre colchetes.'
+  }
+};
+
+const CREATIVE_TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+// Busca o modelo a usar: o id informado (se ativo e do mesmo tipo), senão o padrão ativo do tipo
+// cadastrado pelo admin, senão o modelo embutido.
+async function resolveTemplate(type, templateId) {
+  if (templateId) {
+    const { data: template, error } = await supabase
+      .from('creative_templates')
+      .select('*')
+      .eq('id', templateId)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (!error && template && template.type === type) {
+      return template;
+    }
+  }
+
+  const { data: templates, error } = await supabase
+    .from('creative_templates')
+    .select('*')
+    .eq('type', type)
+    .eq('is_active', true)
+    .order('is_default', { ascending: false })
+    .order('updated_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.warn('⚠️ Não foi possível carregar modelos da IA Criativa:', error.message);
+  }
+
+  if (templates && templates.length > 0) {
+    return templates[0];
+  }
+
+  return DEFAULT_TEMPLATES[type] ? { id: null, type, ...DEFAULT_TEMPLATES[type] } : null;
+}
+
+function renderTemplate(text, values) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+function clampVariants(value) {
+  const count = parseInt(value) || 1;
+  return Math.min(Math.max(count, 1), MAX_VARIANTS);
+}
+
+// Gera N variantes de conteúdo. Com `refine`, reescreve um conteúdo anterior seguindo a instrução.
+async function generateCreativeContent({ type, prompt, tone, length, template, variants = 1, refine, usage }) {
+  const lengthConfig = LENGTHS[length] || LENGTHS.medium;
+  const values = {
+    prompt,
+    tone: TONES[tone] || tone || TONES.inspirational,
+    length: lengthConfig.words
+  };
+
+  let userPrompt = renderTemplate(template.prompt_template, values);
+  if (refine) {
+    userPrompt = `${userPrompt}\n\nVersão anterior:\n"""\n${refine.previousContent}\n"""\n\nReescreva a versão anterior aplicando este ajuste: ${refine.instruction}`;
+  }
+
+  const basePrompt = await getPrompt('creative_system', { userId: usage?.userId });
+  const systemPrompt = template.system_prompt
+    ? `${basePrompt.content}\n\n${renderTemplate(template.system_prompt, values)}`
+    : basePrompt.content;
+
+  const count = clampVariants(variants);
+  const results = await Promise.allSettled(
+    Array.from({ length: count }, (_, index) => smartDispatcher(userPrompt, systemPrompt, {
+      maxTokens: lengthConfig.maxTokens,
+      // Temperaturas levemente diferentes para as variantes não saírem iguais
+      temperature: Math.min(0.7 + index * 0.15, 1.1),
+      usage: withPromptVersions({
+        feature: 'ai_creative',
+        ...usage,
+        metadata: { type, template_id: template.id || null, variant: index, refine: Boolean(refine), ...(usage?.metadata || {}) }
+      }, [basePrompt])
+    }))
+  );
+
+  const generated = results
+    .filter(result => result.status === 'fulfilled' && result.value.content)
+    .map(result => ({
+      content: result.value.content.trim(),
+      model: result.value.model,
+      provider: result.value.provider,
+      tokensUsed: result.value.tokensUsed || 0
+    }));
+
+  if (generated.length === 0) {
+    const failure = results.find(result => result.status === 'rejected');
+    throw new Error(failure?.reason?.message || 'Nenhuma variante gerada');
+  }
+
+  return generated;
+}
+
+module.exports = {
+  CREATIVE_TYPES,
+  TONES,
+  LENGTHS,
+  MAX_VARIANTS,
+  DEFAULT_TEMPLATES,
+  clampVariants,
+  resolveTemplate,
+  generateCreativeContent
+};
@@ -0,0 +1,192 @@
+const { supabase } = require('../config/supabase');
+const entitlementsConfig = require('../config/entitlements');
+
+// Normaliza o nome do plano (maiúsculas, aliases legados, planos desconhecidos -> gratuito)
+function resolvePlan(plan) {
+  const normalized = String(plan || '').trim().toLowerCase();
+  const resolved = entitlementsConfig.PLAN_ALIASES[normalized] || normalized;
+  return entitlementsConfig.PLAN_ENTITLEMENTS[resolved] ? resolved : entitlementsConfig.DEFAULT_PLAN;
+}
+
+function getPlanRule(plan, feature) {
+  const rules = entitlementsConfig.PLAN_ENTITLEMENTS[resolvePlan(plan)] || {};
+  return rules[feature] || { limit: 0, window: 'day' };
+}
+
+// Início e fim (exclusivo) da janela atual em UTC
+function getWindowBounds(window, now = new Date()) {
+  if (window === 'month') {
+    return {
+      start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+  };
+}
+
+function buildEntitlement(plan, feature, rule, used, bounds) {
+  const unlimited = rule.limit === -1;
+  return {
+    feature,
+    plan: resolvePlan(plan),
+    window: rule.window,
+    limit: rule.limit,
+    used,
+    remaining: unlimited ? -1 : Math.max(0, rule.limit - used),
+    canUse: unlimited || used < rule.limit,
+    resetsAt: bounds.end.toISOString()
+  };
+}
+
+// Cota atual de uma funcionalidade para o usuário, contando os usos registrados na janela
+async function getEntitlement(userId, plan, feature) {
+  if (!entitlementsConfig.FEATURES[feature]) {
+    throw new Error(`Funcionalidade desconhecida: ${feature}`);
+  }
+
+  const rule = getPlanRule(plan, feature);
+  const bounds = getWindowBounds(rule.window);
+
+  // Funcionalidade fora do plano ou requisição sem usuário: não há o que contar
+  if (rule.limit === 0 || !userId) {
+    return buildEntitlement(plan, feature, rule, 0, bounds);
+  }
+
+  const { count, error } = await supabase
+    .from('entitlement_usage')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('feature', feature)
+    .gte('created_at', bounds.start.toISOString())
+    .lt('created_at', bounds.end.toISOString());
+
+  // Sem como contar o uso, a cota não é liberada
+  if (error) {
+    throw new Error(`Erro ao consultar uso de ${feature}: ${error.message}`);
+  }
+
+  return buildEntitlement(plan, feature, rule, count || 0, bounds);
+}
+
+// Confere a cota e reserva `amount` usos numa única operação no banco (consume_entitlement),
+// para que requisições simultâneas não passem todas pela checagem. Retorna a cota antes desta
+// requisição, se o uso foi concedido e os ids reservados (ver releaseEntitlementUsage).
+async function consumeEntitlement(userId, plan, feature, { amount = 1, metadata = {} } = {}) {
+  if (!entitlementsConfig.FEATURES[feature]) {
+    throw new Error(`Funcionalidade desconhecida: ${feature}`);
+  }
+
+  const rule = getPlanRule(plan, feature);
+  const bounds = getWindowBounds(rule.window);
+
+  if (rule.limit === 0) {
+    return { entitlement: buildEntitlement(plan, feature, rule, 0, bounds), granted: false, usageIds: [] };
+  }
+  if (!userId) {
+    return { entitlement: buildEntitlement(plan, feature, rule, 0, bounds), granted: true, usageIds: [] };
+  }
+
+  const { data, error } = await supabase.rpc('consume_entitlement', {
+    target_user_id: userId,
+    target_feature: feature,
+    usage_limit: rule.limit,
+    window_start: bounds.start.toISOString(),
+    window_end: bounds.end.toISOString(),
+    amount,
+    usage_metadata: metadata
+  });
+
+  const result = Array.isArray(data) ? data[0] : data;
+  if (error || !result) {
+    throw new Error(`Erro ao reservar uso de ${feature}: ${error?.message || 'resposta vazia'}`);
+  }
+
+  return {
+    entitlement: buildEntitlement(plan, feature, rule, result.used || 0, bounds),
+    granted: Boolean(result.granted),
+    usageIds: result.usage_ids || []
+  };
+}
+
+// Registra uma tentativa numa rota com limite de frequência (config RATE_LIMITS), usando a
+// mesma reserva atômica das cotas com a funcionalidade `rate:<chave>` e uma janela deslizante.
+// Tentativas recusadas não são registradas.
+async function consumeRateLimit(userId, key, { metadata = {}, now = new Date() } = {}) {
+  const rule = entitlementsConfig.RATE_LIMITS[key];
+  if (!rule) {
+    throw new Error(`Limite de frequência desconhecido: ${key}`);
+  }
+  if (!userId) {
+    return { granted: true, limit: rule.limit, used: 0, windowMinutes: rule.windowMinutes };
+  }
+
+  const { data, error } = await supabase.rpc('consume_entitlement', {
+    target_user_id: userId,
+    target_feature: `rate:${key}`,
+    usage_limit: rule.limit,
+    window_start: new Date(now.getTime() - rule.windowMinutes * 60000).toISOString(),
+    // Folga para o NOW() do banco, que pode estar à frente do relógio da API
+    window_end: new Date(now.getTime() + 60000).toISOString(),
+    amount: 1,
+    usage_metadata: metadata
+  });
+
+  const result = Array.isArray(data) ? data[0] : data;
+  if (error || !result) {
+    throw new Error(`Erro ao conferir limite de ${key}: ${error?.message || 'resposta vazia'}`);
+  }
+
+  return { granted: Boolean(result.granted), limit: rule.limit, used: result.used || 0, windowMinutes: rule.windowMinutes };
+}
+
+// Devolve usos reservados por consumeEntitlement (requisição sem resultado ou com fallback)
+async function releaseEntitlementUsage(usageIds) {
+  if (!usageIds || usageIds.length === 0) return;
+  try {
+    const { error } = await supabase
+      .from('entitlement_usage')
+      .delete()
+      .in('id', usageIds);
+
+    if (error) {
+      console.warn('⚠️ Erro ao devolver uso reservado:', error.message);
+    }
+  } catch (error) {
+    console.warn('⚠️ Falha ao devolver uso reservado:', error.message);
+  }
+}
+
+// Cotas de todas as funcionalidades do plano
+async function getEntitlements(userId, plan) {
+  const features = Object.keys(entitlementsConfig.FEATURES);
+  const entries = await Promise.all(features.map(feature => getEntitlement(userId, plan, feature)));
+  return entries.reduce((acc, entry) => {
+    acc[entry.feature] = entry;
+    return acc;
+  }, {});
+}
+
+// Cota como ficará depois dos `count` usos da requisição atual (para devolver na resposta)
+function afterUse(entitlement, count = 1) {
+  if (!entitlement) return null;
+  const used = entitlement.used + count;
+  return {
+    ...entitlement,
+    used,
+    remaining: entitlement.limit === -1 ? -1 : Math.max(0, entitlement.limit - used),
+    canUse: entitlement.limit === -1 || used < entitlement.limit
+  };
+}
+
+module.exports = {
+  resolvePlan,
+  getEntitlement,
+  getEntitlements,
+  consumeEntitlement,
+  consumeRateLimit,
+  releaseEntitlementUsage,
+  afterUse
+};
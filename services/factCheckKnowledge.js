@@ -0,0 +1,155 @@
+const { supabase } = require('../config/supabase');
+
+// Quantidade de checagens da base incluídas no prompt e relevância mínima (ts_rank)
+const KB_MATCHES = parseInt(process.env.FACT_CHECK_KB_MATCHES) || 3;
+const KB_MIN_RANK = parseFloat(process.env.FACT_CHECK_KB_MIN_RANK) || 0.01;
+const MAX_QUERY_CHARS = 2000;
+
+const VERDICTS = ['verdade', 'tendencioso', 'fake'];
+// Sinônimos aceitos na importação
+const VERDICT_ALIASES = {
+  verdadeiro: 'verdade',
+  true: 'verdade',
+  enganoso: 'tendencioso',
+  impreciso: 'tendencioso',
+  distorcido: 'tendencioso',
+  misleading: 'tendencioso',
+  falso: 'fake',
+  false: 'fake'
+};
+
+function normalizeVerdict(value) {
+  const verdict = String(value || '').trim().toLowerCase();
+  return VERDICTS.includes(verdict) ? verdict : (VERDICT_ALIASES[verdict] || null);
+}
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value || '').split(/[|;\n]/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Valida e normaliza uma checagem vinda do admin (formulário, JSON ou linha de CSV)
+function normalizeEntry(input) {
+  const claim = String(input.claim || input.afirmacao || '').trim();
+  const verdict = normalizeVerdict(input.verdict || input.veredito || input.resultado);
+  const checkedAt = input.checked_at || input.data || null;
+
+  if (!claim) return { error: 'Afirmação (claim) é obrigatória' };
+  if (!verdict) return { error: `Veredito inválido: ${input.verdict || input.veredito || input.resultado || '(vazio)'}` };
+  if (checkedAt && Number.isNaN(Date.parse(checkedAt))) return { error: `Data inválida: ${checkedAt}` };
+
+  return {
+    entry: {
+      claim,
+      verdict,
+      summary: String(input.summary || input.resumo || '').trim() || null,
+      sources: splitList(input.sources || input.fontes),
+      checked_at: checkedAt ? new Date(checkedAt).toISOString().slice(0, 10) : null,
+      tags: splitList(input.tags).map(tag => tag.toLowerCase())
+    }
+  };
+}
+
+// CSV com cabeçalho (separador vírgula ou ponto e vírgula, campos entre aspas duplas)
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...lines] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const columns = header.map(column => column.trim().toLowerCase());
+  return lines.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+}
+
+// Checagens ativas mais parecidas com o texto (busca textual em português, ver search_fact_checks)
+async function searchKnowledgeBase(text, { limit = KB_MATCHES } = {}) {
+  const query = String(text || '').slice(0, MAX_QUERY_CHARS).trim();
+  if (!query) return [];
+
+  const { data, error } = await supabase.rpc('search_fact_checks', {
+    query_text: query,
+    match_count: limit,
+    min_rank: KB_MIN_RANK
+  });
+
+  if (error) {
+    console.warn('⚠️ Erro ao buscar na base de checagens:', error.message);
+    return [];
+  }
+
+  return data || [];
+}
+
+// Trecho acrescentado ao prompt de sistema com as checagens encontradas
+function formatKnowledgeContext(entries) {
+  const lines = entries.map((entry, index) => [
+    `[KB-${index + 1}] Afirmação: ${entry.claim}`,
+    `Veredito: ${entry.verdict}`,
+    entry.checked_at ? `Checada em: ${entry.checked_at}` : null,
+    entry.summary ? `Resumo: ${entry.summary}` : null,
+    entry.sources?.length ? `Fontes: ${entry.sources.join(', ')}` : null
+  ].filter(Boolean).join(' | '));
+
+  return `Checagens já verificadas pela equipe, relacionadas ao conteúdo (têm prioridade sobre o seu conhecimento quando tratarem do mesmo fato):
+${lines.join('\n')}
+Se usar alguma delas, inclua no JSON o campo "checagens_usadas" com os rótulos, por exemplo ["KB-1"], e cite as fontes dela em "fontes".`;
+}
+
+// Checagens incluídas no prompt, marcando as que o modelo declarou ter usado
+function citeKnowledge(entries, cited) {
+  const labels = new Set(Array.isArray(cited) ? cited.map(label => String(label).trim().toUpperCase()) : []);
+  return entries.map((entry, index) => ({
+    id: entry.id,
+    claim: entry.claim,
+    verdict: entry.verdict,
+    summary: entry.summary,
+    sources: entry.sources || [],
+    checked_at: entry.checked_at,
+    citada: labels.has(`KB-${index + 1}`)
+  }));
+}
+
+module.exports = {
+  VERDICTS,
+  normalizeVerdict,
+  normalizeEntry,
+  parseCsv,
+  searchKnowledgeBase,
+  formatKnowledgeContext,
+  citeKnowledge
+};
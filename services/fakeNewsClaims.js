@@ -0,0 +1,122 @@
+const { supabase } = require('../config/supabase');
+
+const VERDICTS = ['verdade', 'tendencioso', 'fake'];
+const MAX_CLAIMS = 10;
+
+const CLAIM_COLUMNS = 'id, check_id, posicao, texto, resultado, confianca, explicacao, fontes';
+
+// Normaliza as afirmações devolvidas pelo modelo, descartando itens sem texto
+function normalizeClaims(rawClaims) {
+  if (!Array.isArray(rawClaims)) return [];
+
+  return rawClaims
+    .filter(claim => claim && typeof claim.texto === 'string' && claim.texto.trim())
+    .slice(0, MAX_CLAIMS)
+    .map((claim, index) => {
+      const confianca = Number(claim.confianca);
+      return {
+        posicao: index + 1,
+        texto: claim.texto.trim(),
+        resultado: VERDICTS.includes(claim.resultado) ? claim.resultado : 'tendencioso',
+        confianca: confianca >= 0 && confianca <= 100 ? Math.round(confianca) : 50,
+        explicacao: typeof claim.explicacao === 'string' ? claim.explicacao.trim() : '',
+        fontes: Array.isArray(claim.fontes) ? claim.fontes.filter(fonte => typeof fonte === 'string') : []
+      };
+    });
+}
+
+// Veredito geral a partir das afirmações: todas verdadeiras → verdade; metade ou mais falsas → fake;
+// qualquer outra mistura (falsas junto de verdadeiras, ou tendenciosas) → tendencioso.
+// A confiança é a média das afirmações com o mesmo veredito do geral, ou de todas quando não há nenhuma.
+function deriveVerdict(claims) {
+  const counts = summarizeClaims(claims);
+
+  let resultado = 'tendencioso';
+  if (counts.verdade === counts.total) {
+    resultado = 'verdade';
+  } else if (counts.fake * 2 >= counts.total) {
+    resultado = 'fake';
+  }
+
+  const matching = claims.filter(claim => claim.resultado === resultado);
+  const pool = matching.length > 0 ? matching : claims;
+  const confianca = Math.round(pool.reduce((total, claim) => total + claim.confianca, 0) / pool.length);
+
+  return { resultado, confianca };
+}
+
+function summarizeClaims(claims) {
+  const counts = { total: claims.length, verdade: 0, tendencioso: 0, fake: 0 };
+  for (const claim of claims) {
+    counts[claim.resultado] = (counts[claim.resultado] || 0) + 1;
+  }
+  return counts;
+}
+
+// Grava as afirmações de uma verificação. Em caso de erro, devolve as afirmações sem id.
+async function saveClaims(checkId, claims) {
+  if (!checkId || claims.length === 0) return claims;
+
+  const { data, error } = await supabase
+    .from('fake_news_claims')
+    .insert(claims.map(claim => ({
+      check_id: checkId,
+      posicao: claim.posicao,
+      texto: claim.texto,
+      resultado: claim.resultado,
+      confianca: claim.confianca,
+      explicacao: claim.explicacao,
+      fontes: claim.fontes
+    })))
+    .select(CLAIM_COLUMNS);
+
+  if (error) {
+    console.warn('⚠️ Erro ao salvar afirmações da verificação:', error.message);
+    return claims;
+  }
+
+  return (data || []).sort((a, b) => a.posicao - b.posicao);
+}
+
+async function loadClaims(checkIds) {
+  const byCheck = new Map();
+  if (checkIds.length === 0) return byCheck;
+
+  const { data, error } = await supabase
+    .from('fake_news_claims')
+    .select(CLAIM_COLUMNS)
+    .in('check_id', checkIds)
+    .order('posicao', { ascending: true });
+
+  if (error) {
+    console.warn('⚠️ Erro ao carregar afirmações das verificações:', error.message);
+    return byCheck;
+  }
+
+  for (const claim of data || []) {
+    if (!byCheck.has(claim.check_id)) byCheck.set(claim.check_id, []);
+    byCheck.get(claim.check_id).push(claim);
+  }
+  return byCheck;
+}
+
+// Acrescenta `afirmacoes` e `resumo_afirmacoes` a uma lista de verificações
+async function attachClaims(checks) {
+  const list = checks || [];
+  const byCheck = await loadClaims(list.map(check => check.id));
+
+  return list.map(check => {
+    const afirmacoes = byCheck.get(check.id) || [];
+    return { ...check, afirmacoes, resumo_afirmacoes: summarizeClaims(afirmacoes) };
+  });
+}
+
+module.exports = {
+  MAX_CLAIMS,
+  normalizeClaims,
+  deriveVerdict,
+  summarizeClaims,
+  saveClaims,
+  loadClaims,
+  attachClaims
+};
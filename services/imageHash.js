@@ -0,0 +1,62 @@
+const { supabase } = require('../config/supabase');
+
+// Distância de Hamming máxima (em bits, de 64) para considerar duas imagens a mesma
+const MAX_HAMMING_DISTANCE = parseInt(process.env.FAKE_NEWS_IMAGE_MATCH_DISTANCE) || 6;
+
+// dHash de 64 bits: a imagem é reduzida a 9x8 em tons de cinza e cada bit indica se um pixel é
+// mais claro que o vizinho à direita. Recompressão, redimensionamento e pequenos ajustes de cor
+// mudam poucos bits, então cópias da mesma imagem ficam a uma distância pequena.
+// O sharp é carregado sob demanda: sem o binário nativo, só o reconhecimento de imagens deixa de funcionar.
+async function computeImageHash(dataUrl) {
+  const sharp = require('sharp');
+  const base64Data = String(dataUrl).split(',')[1] || '';
+  const pixels = await sharp(Buffer.from(base64Data, 'base64'))
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const index = row * 9 + col;
+      hash = (hash << 1n) | (pixels[index] > pixels[index + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Verificação original (não reaproveitada) mais próxima do hash, dentro do limite de distância
+async function findMatchingImageCheck(imageHash) {
+  const { data: matches, error } = await supabase.rpc('match_fake_news_image', {
+    target_hash: imageHash,
+    max_distance: MAX_HAMMING_DISTANCE
+  });
+
+  if (error) {
+    console.warn('⚠️ Erro ao buscar imagens já verificadas:', error.message);
+    return null;
+  }
+
+  const match = Array.isArray(matches) ? matches[0] : matches;
+  if (!match) return null;
+
+  const { data: check, error: checkError } = await supabase
+    .from('fake_news_checks')
+    .select('*')
+    .eq('id', match.id)
+    .maybeSingle();
+
+  if (checkError || !check) return null;
+
+  return { ...check, distance: match.distance };
+}
+
+module.exports = {
+  MAX_HAMMING_DISTANCE,
+  computeImageHash,
+  findMatchingImageCheck
+};
@@ -0,0 +1,530 @@
+const { X509Certificate } = require('crypto');
+
+// Extração de evidências de procedência de imagens: manifestos C2PA (JUMBF em segmentos APP11
+// do JPEG ou chunks caBX do PNG) e campos EXIF. A assinatura C2PA é lida, mas não verificada
+// criptograficamente; o resultado indica isso em `signatureVerified`.
+
+const MAX_JUMBF_DEPTH = 16;
+const MAX_CBOR_DEPTH = 32;
+const CBOR_BREAK = Symbol('break');
+
+// Tipos de origem IPTC que indicam mídia gerada ou composta por IA
+const AI_SOURCE_TYPES = /trainedAlgorithmicMedia|compositeWithTrainedAlgorithmicMedia|algorithmicMedia|compositeSynthetic/i;
+const AI_GENERATOR_NAMES = /firefly|dall[\s·-]?e|openai|midjourney|stable diffusion|imagen|gemini|bing image creator|copilot designer/i;
+
+// Decodificador CBOR (RFC 8949) mínimo, suficiente para claims, assertions e COSE_Sign1 do C2PA
+function decodeCbor(buffer) {
+  let offset = 0;
+
+  const ensure = (length) => {
+    if (offset + length > buffer.length) throw new Error('CBOR truncado');
+  };
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    if (info === 24) { ensure(1); return buffer.readUInt8(offset++); }
+    if (info === 25) { ensure(2); const value = buffer.readUInt16BE(offset); offset += 2; return value; }
+    if (info === 26) { ensure(4); const value = buffer.readUInt32BE(offset); offset += 4; return value; }
+    if (info === 27) { ensure(8); const value = Number(buffer.readBigUInt64BE(offset)); offset += 8; return value; }
+    if (info === 31) return -1;
+    throw new Error('CBOR inválido');
+  };
+
+  const readHalfFloat = () => {
+    ensure(2);
+    const half = buffer.readUInt16BE(offset);
+    offset += 2;
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+    let value;
+    if (exponent === 0) value = mantissa * 2 ** -24;
+    else if (exponent !== 31) value = (mantissa + 1024) * 2 ** (exponent - 25);
+    else value = mantissa === 0 ? Infinity : NaN;
+    return half & 0x8000 ? -value : value;
+  };
+
+  const readItem = (depth) => {
+    if (depth > MAX_CBOR_DEPTH) throw new Error('CBOR profundo demais');
+    ensure(1);
+    const initial = buffer.readUInt8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22) return null;
+      if (info === 23) return undefined;
+      if (info === 25) return readHalfFloat();
+      if (info === 26) { ensure(4); const value = buffer.readFloatBE(offset); offset += 4; return value; }
+      if (info === 27) { ensure(8); const value = buffer.readDoubleBE(offset); offset += 8; return value; }
+      if (info === 31) return CBOR_BREAK;
+      return readLength(info);
+    }
+
+    const length = readLength(info);
+
+    switch (major) {
+      case 0:
+        return length;
+      case 1:
+        return -1 - length;
+      case 2:
+      case 3: {
+        let bytes;
+        if (length === -1) {
+          const chunks = [];
+          for (let chunk = readItem(depth + 1); chunk !== CBOR_BREAK; chunk = readItem(depth + 1)) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+          }
+          bytes = Buffer.concat(chunks);
+        } else {
+          ensure(length);
+          bytes = buffer.subarray(offset, offset + length);
+          offset += length;
+        }
+        return major === 2 ? bytes : bytes.toString('utf8');
+      }
+      case 4: {
+        const items = [];
+        if (length === -1) {
+          for (let item = readItem(depth + 1); item !== CBOR_BREAK; item = readItem(depth + 1)) items.push(item);
+        } else {
+          for (let i = 0; i < length; i++) items.push(readItem(depth + 1));
+        }
+        return items;
+      }
+      case 5: {
+        const map = {};
+        const readPair = (key) => { map[String(key)] = readItem(depth + 1); };
+        if (length === -1) {
+          for (let key = readItem(depth + 1); key !== CBOR_BREAK; key = readItem(depth + 1)) readPair(key);
+        } else {
+          for (let i = 0; i < length; i++) readPair(readItem(depth + 1));
+        }
+        return map;
+      }
+      case 6:
+        // Tags (ex: 18 = COSE_Sign1) não mudam a leitura do valor
+        return readItem(depth + 1);
+      default:
+        throw new Error('CBOR inválido');
+    }
+  };
+
+  return readItem(0);
+}
+
+// Caixas ISO BMFF/JUMBF: LBox (4 bytes), TBox (4 bytes) e XLBox opcional (8 bytes)
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < header || offset + size > end) break;
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+// Superbox JUMBF ('jumb'): descrição ('jumd' com UUID de tipo e rótulo), superboxes filhas e caixas de conteúdo
+function parseSuperbox(buffer, box, depth = 0) {
+  const node = { label: null, type: null, children: [], contents: [] };
+  if (depth > MAX_JUMBF_DEPTH) return node;
+
+  for (const child of readBoxes(buffer, box.start, box.end)) {
+    if (child.type === 'jumd') {
+      if (child.end - child.start < 17) continue;
+      node.type = buffer.subarray(child.start, child.start + 16).toString('hex');
+      const toggles = buffer.readUInt8(child.start + 16);
+      if (toggles & 0x02) {
+        const labelEnd = buffer.indexOf(0, child.start + 17);
+        node.label = buffer.toString('utf8', child.start + 17, labelEnd === -1 || labelEnd > child.end ? child.end : labelEnd);
+      }
+    } else if (child.type === 'jumb') {
+      node.children.push(parseSuperbox(buffer, child, depth + 1));
+    } else {
+      node.contents.push({ type: child.type, data: buffer.subarray(child.start, child.end) });
+    }
+  }
+
+  return node;
+}
+
+// Localiza a manifest store C2PA (superbox com rótulo 'c2pa') dentro de um bloco JUMBF
+function findManifestStore(jumbf) {
+  for (const box of readBoxes(jumbf)) {
+    if (box.type !== 'jumb') continue;
+    const node = parseSuperbox(jumbf, box);
+    if (node.label === 'c2pa') return node;
+  }
+  return null;
+}
+
+const findChild = (node, predicate) => node?.children.find(child => predicate(child.label || ''));
+
+function contentCbor(node) {
+  const box = node?.contents.find(content => content.type === 'cbor');
+  if (!box) return null;
+  try {
+    return decodeCbor(box.data);
+  } catch (error) {
+    return null;
+  }
+}
+
+function contentJson(node) {
+  const box = node?.contents.find(content => content.type === 'json');
+  if (!box) return null;
+  try {
+    return JSON.parse(box.data.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Campo de um nome distinto X.509 ("CN=Fulano\nO=Empresa")
+const distinguishedField = (dn, field) => {
+  const line = String(dn || '').split('\n').find(part => part.startsWith(`${field}=`));
+  return line ? line.slice(field.length + 1) : null;
+};
+
+// Certificado do assinante: cabeçalho x5chain (rótulo 33) do COSE_Sign1, protegido ou não
+function parseSigner(signatureNode) {
+  const cose = contentCbor(signatureNode);
+  if (!Array.isArray(cose) || cose.length < 4) return null;
+
+  let protectedHeader = {};
+  if (Buffer.isBuffer(cose[0]) && cose[0].length > 0) {
+    try {
+      protectedHeader = decodeCbor(cose[0]) || {};
+    } catch (error) {
+      protectedHeader = {};
+    }
+  }
+  const unprotectedHeader = cose[1] && typeof cose[1] === 'object' ? cose[1] : {};
+  const chain = protectedHeader['33'] || unprotectedHeader['33'] || unprotectedHeader.x5chain;
+  const leaf = Array.isArray(chain) ? chain[0] : chain;
+  if (!Buffer.isBuffer(leaf)) return null;
+
+  try {
+    const certificate = new X509Certificate(leaf);
+    return {
+      name: distinguishedField(certificate.subject, 'CN') || distinguishedField(certificate.subject, 'O'),
+      organization: distinguishedField(certificate.subject, 'O'),
+      issuer: distinguishedField(certificate.issuer, 'CN') || distinguishedField(certificate.issuer, 'O'),
+      validFrom: certificate.validFrom,
+      validTo: certificate.validTo
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function describeGenerator(claim) {
+  if (!claim) return null;
+  if (typeof claim.claim_generator === 'string') return claim.claim_generator;
+  const info = Array.isArray(claim.claim_generator_info) ? claim.claim_generator_info[0] : claim.claim_generator_info;
+  if (info?.name) return info.version ? `${info.name} ${info.version}` : info.name;
+  return null;
+}
+
+// Resume a manifest store: o manifesto ativo é o último da store
+function summarizeManifestStore(store) {
+  const manifests = store.children;
+  const active = manifests[manifests.length - 1];
+  if (!active) return null;
+
+  const claim = contentCbor(findChild(active, label => label === 'c2pa.claim.v2' || label === 'c2pa.claim'));
+  const assertionStore = findChild(active, label => label === 'c2pa.assertions');
+  const assertions = (assertionStore?.children || []).map(child => child.label).filter(Boolean);
+
+  const actions = (assertionStore?.children || [])
+    .filter(child => /^c2pa\.actions(\.v2)?(__\d+)?$/.test(child.label || ''))
+    .flatMap(child => (contentCbor(child) || contentJson(child) || {}).actions || [])
+    .map(action => ({
+      action: action.action || null,
+      when: action.when || null,
+      softwareAgent: typeof action.softwareAgent === 'string' ? action.softwareAgent : action.softwareAgent?.name || null,
+      digitalSourceType: action.digitalSourceType || null
+    }));
+
+  const generator = describeGenerator(claim);
+  const aiSignals = [];
+  for (const action of actions) {
+    if (action.digitalSourceType && AI_SOURCE_TYPES.test(action.digitalSourceType)) {
+      aiSignals.push(`${action.action || 'ação'}: ${action.digitalSourceType.split('/').pop()}`);
+    }
+  }
+  if (generator && AI_GENERATOR_NAMES.test(generator)) {
+    aiSignals.push(`gerador: ${generator}`);
+  }
+
+  return {
+    manifestCount: manifests.length,
+    activeManifest: active.label,
+    claimGenerator: generator,
+    title: claim?.['dc:title'] || null,
+    format: claim?.['dc:format'] || null,
+    signer: parseSigner(findChild(active, label => label === 'c2pa.signature')),
+    signatureVerified: false,
+    actions,
+    assertions,
+    aiGenerated: aiSignals.length > 0,
+    aiSignals
+  };
+}
+
+// EXIF (TIFF): IFD0, sub-IFD Exif e presença de GPS
+const EXIF_TAGS = {
+  0x010f: 'make',
+  0x0110: 'model',
+  0x0131: 'software',
+  0x0132: 'dateTime',
+  0x013b: 'artist',
+  0x8298: 'copyright',
+  0x9003: 'dateTimeOriginal',
+  0x9004: 'dateTimeDigitized',
+  0xa434: 'lensModel'
+};
+
+function parseExif(tiff) {
+  if (tiff.length < 8) return null;
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+  const little = byteOrder === 'II';
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const exif = {};
+  const visited = new Set();
+
+  const readIfd = (ifdOffset) => {
+    if (visited.has(ifdOffset) || ifdOffset + 2 > tiff.length) return;
+    visited.add(ifdOffset);
+    const count = u16(ifdOffset);
+
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (entry + 12 > tiff.length) break;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const length = u32(entry + 4);
+
+      if (tag === 0x8769 && type === 4) {
+        readIfd(u32(entry + 8));
+      } else if (tag === 0x8825) {
+        exif.hasGps = true;
+      } else if (EXIF_TAGS[tag] && type === 2) {
+        const valueOffset = length <= 4 ? entry + 8 : u32(entry + 8);
+        if (valueOffset + length > tiff.length) continue;
+        const value = tiff.toString('latin1', valueOffset, valueOffset + length).replace(/\0+$/, '').trim();
+        if (value) exif[EXIF_TAGS[tag]] = value;
+      }
+    }
+  };
+
+  readIfd(u32(4));
+  return Object.keys(exif).length > 0 ? exif : null;
+}
+
+const SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+// Segmentos JPEG até o início dos dados da imagem (SOS)
+function parseJpeg(buffer) {
+  const result = { width: null, height: null, exif: null, jumbf: null };
+  const app11 = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) break;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) { offset++; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { offset += 2; continue; }
+    if (marker === 0xd9 || marker === 0xda) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (length < 2 || offset + 2 + length > buffer.length) break;
+    const data = buffer.subarray(offset + 4, offset + 2 + length);
+
+    if (marker === 0xe1 && data.toString('latin1', 0, 6) === 'Exif\0\0') {
+      result.exif = parseExif(data.subarray(6));
+    } else if (marker === 0xeb && data.length > 16 && data.toString('latin1', 0, 2) === 'JP') {
+      app11.push(data);
+    } else if (SOF_MARKERS.has(marker) && data.length >= 5) {
+      result.height = data.readUInt16BE(1);
+      result.width = data.readUInt16BE(3);
+    }
+
+    offset += 2 + length;
+  }
+
+  result.jumbf = reassembleApp11(app11);
+  return result;
+}
+
+// JPEG XT: cada segmento APP11 traz CI 'JP', instância (En), sequência (Z) e repete o
+// cabeçalho da caixa JUMBF; os segmentos da mesma instância são concatenados em ordem.
+function reassembleApp11(segments) {
+  if (segments.length === 0) return null;
+
+  const byInstance = new Map();
+  for (const segment of segments) {
+    const instance = segment.readUInt16BE(2);
+    if (!byInstance.has(instance)) byInstance.set(instance, []);
+    byInstance.get(instance).push({ sequence: segment.readUInt32BE(4), payload: segment.subarray(8) });
+  }
+
+  const boxes = [];
+  for (const parts of byInstance.values()) {
+    parts.sort((a, b) => a.sequence - b.sequence);
+    const chunks = parts.map((part, index) => {
+      if (index === 0) return part.payload;
+      const header = part.payload.readUInt32BE(0) === 1 ? 16 : 8;
+      return part.payload.subarray(header);
+    });
+    boxes.push(Buffer.concat(chunks));
+  }
+
+  return Buffer.concat(boxes);
+}
+
+function parsePng(buffer) {
+  const result = { width: null, height: null, exif: null, jumbf: null };
+  const jumbfChunks = [];
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const dataEnd = offset + 8 + length;
+    if (dataEnd > buffer.length) break;
+    const data = buffer.subarray(offset + 8, dataEnd);
+
+    if (type === 'IHDR' && length >= 8) {
+      result.width = data.readUInt32BE(0);
+      result.height = data.readUInt32BE(4);
+    } else if (type === 'caBX') {
+      jumbfChunks.push(data);
+    } else if (type === 'eXIf') {
+      result.exif = parseExif(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset = dataEnd + 4;
+  }
+
+  result.jumbf = jumbfChunks.length > 0 ? Buffer.concat(jumbfChunks) : null;
+  return result;
+}
+
+const formatSize = (sizeBytes) => {
+  const sizeKB = Math.round(sizeBytes / 1024);
+  return sizeKB > 1024 ? `${Math.round(sizeKB / 1024)}MB` : `${sizeKB}KB`;
+};
+
+// Analisa uma imagem em data URL e devolve evidências estruturadas de formato, C2PA e EXIF
+function analyzeImageMetadata(dataUrl) {
+  try {
+    const [header, base64Data = ''] = String(dataUrl).split(',');
+    const mimeMatch = header.match(/data:image\/([\w+.-]+)/);
+    const buffer = Buffer.from(base64Data, 'base64');
+    const isJpeg = buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8;
+    const isPng = buffer.length > 8 && buffer.toString('latin1', 1, 4) === 'PNG';
+    const format = isJpeg ? 'JPEG' : isPng ? 'PNG' : (mimeMatch ? mimeMatch[1].toUpperCase() : 'UNKNOWN');
+
+    const parsed = isJpeg ? parseJpeg(buffer) : isPng ? parsePng(buffer) : { width: null, height: null, exif: null, jumbf: null };
+
+    let c2pa = null;
+    let c2paError = null;
+    if (parsed.jumbf) {
+      try {
+        const store = findManifestStore(parsed.jumbf);
+        c2pa = store ? summarizeManifestStore(store) : null;
+      } catch (error) {
+        c2paError = error.message;
+      }
+    }
+
+    return {
+      format,
+      size: formatSize(buffer.length),
+      sizeBytes: buffer.length,
+      width: parsed.width,
+      height: parsed.height,
+      hasC2PA: Boolean(c2pa),
+      c2pa,
+      c2paError,
+      exif: parsed.exif
+    };
+  } catch (error) {
+    console.error('Erro ao analisar metadados da imagem:', error);
+    return {
+      format: 'UNKNOWN',
+      size: 'UNKNOWN',
+      sizeBytes: 0,
+      width: null,
+      height: null,
+      hasC2PA: false,
+      c2pa: null,
+      c2paError: null,
+      exif: null
+    };
+  }
+}
+
+// Texto curto com as evidências, enviado ao modelo junto com a imagem
+function describeImageEvidence(info) {
+  const parts = [`Formato ${info.format}, Tamanho: ${info.size}${info.width ? `, ${info.width}x${info.height}px` : ''}`];
+
+  if (info.c2pa) {
+    const c2pa = info.c2pa;
+    parts.push(`Manifesto C2PA presente (assinatura não verificada criptograficamente)${c2pa.claimGenerator ? `, gerador: ${c2pa.claimGenerator}` : ''}${c2pa.signer?.name ? `, assinado por: ${c2pa.signer.name}` : ''}`);
+    if (c2pa.actions.length > 0) {
+      parts.push(`Ações registradas: ${c2pa.actions.map(a => a.digitalSourceType ? `${a.action} (${a.digitalSourceType.split('/').pop()})` : a.action).join(', ')}`);
+    }
+    if (c2pa.aiGenerated) {
+      parts.push(`O manifesto declara conteúdo gerado por IA: ${c2pa.aiSignals.join('; ')}`);
+    }
+  } else {
+    parts.push('Sem metadados C2PA');
+  }
+
+  if (info.exif) {
+    const exif = info.exif;
+    const camera = [exif.make, exif.model].filter(Boolean).join(' ');
+    const exifParts = [
+      camera && `câmera ${camera}`,
+      exif.software && `software ${exif.software}`,
+      (exif.dateTimeOriginal || exif.dateTime) && `data ${exif.dateTimeOriginal || exif.dateTime}`,
+      exif.hasGps && 'com coordenadas GPS'
+    ].filter(Boolean);
+    parts.push(`EXIF: ${exifParts.join(', ') || 'presente, sem campos relevantes'}`);
+  } else {
+    parts.push('Sem EXIF');
+  }
+
+  return parts.join('. ');
+}
+
+module.exports = {
+  analyzeImageMetadata,
+  describeImageEvidence,
+  decodeCbor,
+  parseExif
+};
@@ -0,0 +1,326 @@
+const aiConfig = require('../config/ai');
+
+// Erro padronizado dos provedores; `status` segue o código HTTP quando existir
+function createProviderError(message, status, provider, model) {
+  const error = new Error(message);
+  error.status = status;
+  error.provider = provider;
+  error.model = model;
+  return error;
+}
+
+// Estimativa simples de tokens (~4 caracteres por token) para quando o provedor não informa
+function estimateTokens(text) {
+  if (!text) return 0;
+  const value = typeof text === 'string' ? text : JSON.stringify(text);
+  return Math.max(1, Math.ceil(value.length / 4));
+}
+
+function getMessageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+// Encadeia um AbortSignal externo (ex.: cliente desconectou) ao controller interno
+function linkAbortSignal(signal, controller) {
+  if (!signal) return;
+  if (signal.aborted) {
+    controller.abort();
+  } else {
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+}
+
+// Adaptador para qualquer API compatível com /chat/completions da OpenAI
+function createOpenAICompatibleProvider(name, config) {
+  const requiresApiKey = config.requiresApiKey !== false;
+
+  const buildRequest = ({ messages, model, maxTokens, temperature, stream }) => {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(config.headers || {})
+    };
+    if (config.apiKey) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+
+    const body = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: `${config.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      options: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      }
+    };
+  };
+
+  const ensureOk = async (response, finalModel) => {
+    if (!response.ok) {
+      const errorData = await response.text();
+      console.error(`Erro no modelo ${finalModel} (${name}):`, response.status, errorData);
+      throw createProviderError(`${name} API Error: ${response.status}`, response.status, name, finalModel);
+    }
+  };
+
+  return {
+    name,
+    defaultModel: config.defaultModel,
+
+    isConfigured() {
+      return Boolean(config.baseUrl) && (!requiresApiKey || Boolean(config.apiKey));
+    },
+
+    async chat({ messages, model, maxTokens, temperature, timeoutMs, signal }) {
+      if (!this.isConfigured()) {
+        throw createProviderError(`Provedor ${name} não configurado`, null, name, model);
+      }
+
+      const finalModel = model || config.defaultModel;
+      const limitMs = timeoutMs || aiConfig.REQUEST_TIMEOUT_MS;
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), limitMs);
+      linkAbortSignal(signal, controller);
+
+      try {
+        const request = buildRequest({ messages, model: finalModel, maxTokens, temperature });
+        const response = await fetch(request.url, { ...request.options, signal: controller.signal });
+        await ensureOk(response, finalModel);
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (!content) {
+          throw createProviderError(`${name} retornou resposta vazia`, response.status, name, finalModel);
+        }
+
+        const promptTokens = data.usage?.prompt_tokens ?? estimateTokens(messages);
+        const completionTokens = data.usage?.completion_tokens ?? estimateTokens(content);
+
+        return {
+          content,
+          model: data.model || finalModel,
+          provider: name,
+          promptTokens,
+          completionTokens,
+          tokensUsed: data.usage?.total_tokens ?? (promptTokens + completionTokens),
+          cost: 0
+        };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw createProviderError(`${name} timeout após ${limitMs}ms`, 408, name, finalModel);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    },
+
+    // Streaming via SSE do provedor; o timeout é de inatividade (reinicia a cada chunk)
+    async chatStream({ messages, model, maxTokens, temperature, timeoutMs, signal, onToken }) {
+      if (!this.isConfigured()) {
+        throw createProviderError(`Provedor ${name} não configurado`, null, name, model);
+      }
+
+      const finalModel = model || config.defaultModel;
+      const idleMs = timeoutMs || aiConfig.STREAM_IDLE_TIMEOUT_MS;
+      const controller = new AbortController();
+      let timeoutId = setTimeout(() => controller.abort(), idleMs);
+      const resetIdle = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), idleMs);
+      };
+      linkAbortSignal(signal, controller);
+
+      let content = '';
+      let usage = null;
+      let responseModel = finalModel;
+
+      try {
+        const request = buildRequest({ messages, model: finalModel, maxTokens, temperature, stream: true });
+        const response = await fetch(request.url, { ...request.options, signal: controller.signal });
+        await ensureOk(response, finalModel);
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of response.body) {
+          resetIdle();
+          buffer += decoder.decode(chunk, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice(5).trim();
+            if (!payload || payload === '[DONE]') continue;
+
+            let data;
+            try {
+              data = JSON.parse(payload);
+            } catch (parseError) {
+              continue;
+            }
+
+            if (data.model) responseModel = data.model;
+            if (data.usage) usage = data.usage;
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) {
+              content += delta;
+              if (onToken) onToken(delta);
+            }
+          }
+        }
+
+        if (!content) {
+          throw createProviderError(`${name} retornou resposta vazia`, response.status, name, finalModel);
+        }
+
+        const promptTokens = usage?.prompt_tokens ?? estimateTokens(messages);
+        const completionTokens = usage?.completion_tokens ?? estimateTokens(content);
+
+        return {
+          content,
+          model: responseModel,
+          provider: name,
+          promptTokens,
+          completionTokens,
+          tokensUsed: usage?.total_tokens ?? (promptTokens + completionTokens),
+          cost: 0
+        };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          const reason = signal?.aborted ? 'cancelado pelo cliente' : `sem dados por ${idleMs}ms`;
+          throw createProviderError(`${name} stream ${reason}`, 408, name, finalModel);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  };
+}
+
+// Provedor determinístico: mesma entrada, mesma saída, sem chamadas de rede
+function createMockProvider(name, config) {
+  return {
+    name,
+    defaultModel: config.defaultModel,
+
+    isConfigured() {
+      return true;
+    },
+
+    async chatStream(params) {
+      const result = await this.chat(params);
+      const pieces = result.content.match(/\S+\s*/g) || [result.content];
+      for (const piece of pieces) {
+        if (params.onToken) params.onToken(piece);
+      }
+      return result;
+    },
+
+    async chat({ messages, model }) {
+      const finalModel = model || config.defaultModel;
+      const lastUser = [...(messages || [])].reverse().find(m => m.role === 'user');
+      const content = config.response || `[${finalModel}] ${getMessageText(lastUser).slice(0, 200)}`;
+      const promptTokens = estimateTokens(messages);
+      const completionTokens = estimateTokens(content);
+
+      return {
+        content,
+        model: finalModel,
+        provider: name,
+        promptTokens,
+        completionTokens,
+        tokensUsed: promptTokens + completionTokens,
+        cost: 0
+      };
+    }
+  };
+}
+
+const ADAPTERS = {
+  openrouter: createOpenAICompatibleProvider,
+  together: createOpenAICompatibleProvider,
+  local: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+const registry = new Map();
+
+function registerProvider(name, provider) {
+  registry.set(name, provider);
+}
+
+function getProvider(name) {
+  return registry.get(name) || null;
+}
+
+function listProviders() {
+  return Array.from(registry.values()).map(provider => ({
+    name: provider.name,
+    defaultModel: provider.defaultModel,
+    configured: provider.isConfigured()
+  }));
+}
+
+// Expande a cadeia configurada em tentativas { provider, model, onStatus, step }
+function resolveChain(chain = aiConfig.PROVIDER_CHAIN) {
+  const attempts = [];
+
+  chain.forEach((step, index) => {
+    const provider = getProvider(step.provider);
+    if (!provider) {
+      console.warn(`⚠️ Provedor desconhecido na cadeia de IA: ${step.provider}`);
+      return;
+    }
+    const models = Array.isArray(step.models) && step.models.length > 0
+      ? step.models
+      : [provider.defaultModel];
+
+    for (const model of models) {
+      attempts.push({ provider, model, onStatus: step.onStatus || null, step: index });
+    }
+  });
+
+  return attempts;
+}
+
+function hasConfiguredProvider(chain = aiConfig.PROVIDER_CHAIN) {
+  return resolveChain(chain).some(attempt => attempt.provider.isConfigured());
+}
+
+for (const [name, config] of Object.entries(aiConfig.PROVIDERS)) {
+  const adapter = ADAPTERS[name] || createOpenAICompatibleProvider;
+  registerProvider(name, adapter(name, config));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveChain,
+  hasConfiguredProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  estimateTokens,
+  getMessageText
+};
@@ -0,0 +1,156 @@
+const aiConfig = require('../config/ai');
+
+// Estado de saúde por provedor/modelo, mantido em memória em cada instância do servidor.
+// Cada entrada guarda uma janela móvel das últimas chamadas e o estado do circuit breaker.
+const healthState = new Map();
+
+const keyFor = (provider, model) => `${provider}/${model}`;
+
+function getEntry(provider, model) {
+  const key = keyFor(provider, model);
+  if (!healthState.has(key)) {
+    healthState.set(key, {
+      provider,
+      model,
+      window: [],
+      totalCalls: 0,
+      totalFailures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastErrorStatus: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+      openUntil: null
+    });
+  }
+  return healthState.get(key);
+}
+
+function pushOutcome(entry, outcome) {
+  entry.window.push(outcome);
+  if (entry.window.length > aiConfig.HEALTH_WINDOW_SIZE) {
+    entry.window.shift();
+  }
+  entry.totalCalls++;
+}
+
+function recordSuccess(provider, model, latencyMs) {
+  const entry = getEntry(provider, model);
+  pushOutcome(entry, { ok: true, latencyMs, at: Date.now() });
+  entry.consecutiveFailures = 0;
+  entry.lastSuccessAt = new Date().toISOString();
+  entry.openUntil = null;
+}
+
+function recordFailure(provider, model, error, latencyMs) {
+  const entry = getEntry(provider, model);
+  pushOutcome(entry, { ok: false, latencyMs, at: Date.now() });
+  entry.totalFailures++;
+  entry.consecutiveFailures++;
+  entry.lastError = error?.message || String(error);
+  entry.lastErrorStatus = error?.status || null;
+  entry.lastErrorAt = new Date().toISOString();
+
+  // 402 (sem créditos) não se resolve sozinho em segundos: abre o circuito imediatamente
+  const threshold = entry.lastErrorStatus === 402 ? 1 : aiConfig.CIRCUIT_FAILURE_THRESHOLD;
+  if (entry.consecutiveFailures >= threshold) {
+    entry.openUntil = Date.now() + aiConfig.CIRCUIT_COOLDOWN_MS;
+    console.warn(`⚡ Circuito aberto para ${keyFor(provider, model)} por ${Math.round(aiConfig.CIRCUIT_COOLDOWN_MS / 1000)}s`);
+  }
+}
+
+// Circuito fechado ou já expirado (half-open: permite uma nova tentativa após o cool-down)
+function isAvailable(provider, model) {
+  const entry = healthState.get(keyFor(provider, model));
+  return !entry || !entry.openUntil || entry.openUntil <= Date.now();
+}
+
+function summarize(entry) {
+  const calls = entry.window.length;
+  const successes = entry.window.filter(o => o.ok).length;
+  const latencies = entry.window.filter(o => o.ok).map(o => o.latencyMs);
+  const avgLatencyMs = latencies.length > 0
+    ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+    : null;
+
+  return {
+    provider: entry.provider,
+    model: entry.model,
+    // Suavização de Laplace: modelos sem histórico começam em 50%
+    successRate: Number(((successes + 1) / (calls + 2)).toFixed(3)),
+    windowCalls: calls,
+    avgLatencyMs,
+    totalCalls: entry.totalCalls,
+    totalFailures: entry.totalFailures,
+    consecutiveFailures: entry.consecutiveFailures,
+    lastError: entry.lastError,
+    lastErrorStatus: entry.lastErrorStatus,
+    lastErrorAt: entry.lastErrorAt,
+    lastSuccessAt: entry.lastSuccessAt,
+    circuitOpen: Boolean(entry.openUntil && entry.openUntil > Date.now()),
+    openUntil: entry.openUntil ? new Date(entry.openUntil).toISOString() : null
+  };
+}
+
+function getModelHealth(provider, model) {
+  const entry = healthState.get(keyFor(provider, model));
+  return entry ? summarize(entry) : summarize(getEntry(provider, model));
+}
+
+function listModelHealth() {
+  return Array.from(healthState.values()).map(summarize);
+}
+
+// Ordena as tentativas de uma mesma etapa por saúde: disponíveis primeiro, depois maior
+// taxa de sucesso e menor latência. Empates mantêm a ordem configurada.
+function orderByHealth(attempts) {
+  const scored = attempts.map((attempt, index) => {
+    const health = getModelHealth(attempt.provider.name, attempt.model);
+    return {
+      attempt,
+      index,
+      available: isAvailable(attempt.provider.name, attempt.model),
+      successRate: health.successRate,
+      latency: health.avgLatencyMs ?? Number.MAX_SAFE_INTEGER
+    };
+  });
+
+  scored.sort((a, b) => {
+    if (a.attempt.step !== b.attempt.step) return a.attempt.step - b.attempt.step;
+    if (a.available !== b.available) return a.available ? -1 : 1;
+    if (a.successRate !== b.successRate) return b.successRate - a.successRate;
+    if (a.latency !== b.latency) return a.latency - b.latency;
+    return a.index - b.index;
+  });
+
+  return scored.map(item => item.attempt);
+}
+
+function resetModelHealth(provider, model) {
+  if (provider && model) {
+    return healthState.delete(keyFor(provider, model)) ? 1 : 0;
+  }
+  if (provider) {
+    let removed = 0;
+    for (const [key, entry] of healthState.entries()) {
+      if (entry.provider === provider) {
+        healthState.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+  const removed = healthState.size;
+  healthState.clear();
+  return removed;
+}
+
+module.exports = {
+  recordSuccess,
+  recordFailure,
+  isAvailable,
+  getModelHealth,
+  listModelHealth,
+  orderByHealth,
+  resetModelHealth
+};
@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { downloadPublicFile, decodeEntities } = require('./urlExtractor');
+const { getPrompt } = require('./promptRegistry');
+
+// Tamanho dos trechos indexados e sobreposição entre trechos vizinhos (em caracteres)
+const CHUNK_CHARS = 900;
+const CHUNK_OVERLAP_CHARS = 200;
+// Trechos recuperados por pergunta e relevância mínima (ts_rank)
+const MAX_PASSAGES = parseInt(process.env.AGENT_KNOWLEDGE_MAX_PASSAGES) || 4;
+const MIN_RANK = parseFloat(process.env.AGENT_KNOWLEDGE_MIN_RANK) || 0.02;
+const PDF_MAX_BYTES = parseInt(process.env.AGENT_KNOWLEDGE_PDF_MAX_BYTES) || 15 * 1024 * 1024;
+// Com o plano indexado, o prompt do agente leva só o início dele como visão geral
+const PLAN_OVERVIEW_CHARS = 600;
+const MAX_QUERY_CHARS = 1000;
+const INSERT_BATCH_SIZE = 100;
+// Linhas por requisição ao ler listas longas (a API devolve no máximo 1000)
+const PAGE_SIZE = 1000;
+
+const SOURCE_LABELS = {
+  plano: 'Plano de governo',
+  plano_pdf: 'Plano de governo (PDF)',
+  post: 'Publicação'
+};
+
+// Texto corrido de um conteúdo em HTML (posts do blog), preservando parágrafos
+function htmlToPlainText(html) {
+  const text = String(html || '')
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|tr)>/gi, '\n\n')
+    .replace(/<[^>]*>/g, ' ');
+  return decodeEntities(text);
+}
+
+// Divide um parágrafo longo em frases e, se preciso, uma frase longa em pedaços por palavra
+function splitLongUnit(text) {
+  if (text.length <= CHUNK_CHARS) return [text];
+
+  return text.split(/(?<=[.!?;])\s+/).flatMap(sentence => {
+    if (sentence.length <= CHUNK_CHARS) return [sentence];
+    const pieces = [];
+    let current = '';
+    for (const word of sentence.split(' ')) {
+      if (current && current.length + word.length + 1 > CHUNK_CHARS) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+    }
+    if (current) pieces.push(current);
+    return pieces;
+  });
+}
+
+// Trechos de até CHUNK_CHARS, quebrados em parágrafos ou frases. O último pedaço de um trecho
+// é repetido no início do seguinte quando é curto, para não separar uma proposta do contexto.
+function chunkText(text) {
+  const units = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(splitLongUnit);
+
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  for (const unit of units) {
+    if (current.length > 0 && length + unit.length + 1 > CHUNK_CHARS) {
+      chunks.push(current.join('\n'));
+      const last = current[current.length - 1];
+      current = last.length <= CHUNK_OVERLAP_CHARS && last.length + unit.length + 1 <= CHUNK_CHARS ? [last] : [];
+      length = current.reduce((total, item) => total + item.length + 1, 0);
+    }
+    current.push(unit);
+    length += unit.length + 1;
+  }
+  if (current.length > 0) chunks.push(current.join('\n'));
+
+  return chunks;
+}
+
+const hashSource = (text) => crypto
+  .createHash('sha1')
+  .update(`${CHUNK_CHARS}|${CHUNK_OVERLAP_CHARS}|${text}`)
+  .digest('hex');
+
+const sourceKey = (fonte, ref) => `${fonte}|${ref || ''}`;
+
+// Lê todas as páginas de uma consulta ordenada; `buildQuery` monta a consulta a cada página
+async function selectAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Fontes já indexadas do político com o hash e a quantidade de trechos de cada uma,
+// agrupadas no banco (politician_knowledge_sources)
+const loadIndexedSources = (politicianId) => selectAllPages(() => supabase
+  .rpc('politician_knowledge_sources', { target_politician_id: politicianId }));
+
+async function extractPdfText(url) {
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const file = await downloadPublicFile(url, { maxBytes: PDF_MAX_BYTES, contentTypes: /pdf|octet-stream/i });
+  // Cópia própria dos bytes: o pdf.js lê o ArrayBuffer inteiro e Buffers pequenos dividem um
+  // ArrayBuffer compartilhado (pool), o que desloca as posições do arquivo
+  const { text } = await pdfParse(new Uint8Array(file.buffer));
+  return text;
+}
+
+// Fontes indexáveis do político: plano em texto, PDF do plano e posts publicados.
+// Falhas ao ler uma fonte (ex.: PDF fora do ar) vão para `erros` sem interromper as demais.
+async function collectSources(politician, { pdfExtractor = extractPdfText } = {}) {
+  const sources = [];
+  const erros = [];
+
+  if (politician.government_plan && politician.government_plan.trim()) {
+    sources.push({ fonte: 'plano', fonte_ref: '', titulo: SOURCE_LABELS.plano, url: null, texto: politician.government_plan });
+  }
+
+  if (politician.government_plan_pdf_url) {
+    try {
+      const texto = await pdfExtractor(politician.government_plan_pdf_url);
+      if (texto && texto.trim()) {
+        sources.push({
+          fonte: 'plano_pdf',
+          fonte_ref: politician.government_plan_pdf_url,
+          titulo: SOURCE_LABELS.plano_pdf,
+          url: politician.government_plan_pdf_url,
+          texto
+        });
+      } else {
+        erros.push({ fonte: 'plano_pdf', url: politician.government_plan_pdf_url, erro: 'PDF sem texto extraível (documento digitalizado?)' });
+      }
+    } catch (error) {
+      console.warn(`⚠️ Erro ao ler o PDF do plano de governo de ${politician.id}:`, error.message);
+      erros.push({ fonte: 'plano_pdf', url: politician.government_plan_pdf_url, erro: error.message, preservar: true });
+    }
+  }
+
+  const posts = await selectAllPages(() => supabase
+    .from('politician_posts')
+    .select('id, title, content, published_at')
+    .eq('author_id', politician.id)
+    .eq('is_published', true)
+    .order('id', { ascending: true }));
+
+  for (const post of posts) {
+    const texto = `${post.title || ''}\n\n${htmlToPlainText(post.content)}`;
+    if (texto.trim()) {
+      sources.push({ fonte: 'post', fonte_ref: post.id, titulo: post.title || SOURCE_LABELS.post, url: null, texto });
+    }
+  }
+
+  return { sources, erros };
+}
+
+// (Re)indexa o plano de governo, o PDF do plano e os posts publicados do político. Fontes
+// sem mudança desde a última indexação são mantidas; fontes que deixaram de existir (post
+// despublicado, PDF trocado) têm os trechos removidos.
+async function indexPolitician(politicianId, options = {}) {
+  const { data: politician, error } = await supabase
+    .from('politicians')
+    .select('id, name, government_plan, government_plan_pdf_url')
+    .eq('id', politicianId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!politician) return null;
+
+  const { sources, erros } = await collectSources(politician, options);
+
+  const existing = await loadIndexedSources(politicianId);
+  const indexed = new Map(existing.map(row => [sourceKey(row.fonte, row.fonte_ref), row.fonte_hash]));
+
+  const stats = { fontes: sources.length, indexadas: 0, inalteradas: 0, removidas: 0, trechos: 0, erros };
+  const keep = new Set(erros.filter(item => item.preservar).map(item => sourceKey(item.fonte, item.url)));
+  const now = new Date().toISOString();
+
+  for (const source of sources) {
+    const key = sourceKey(source.fonte, source.fonte_ref);
+    const hash = hashSource(source.texto);
+    keep.add(key);
+    if (indexed.get(key) === hash) {
+      stats.inalteradas++;
+      continue;
+    }
+
+    if (indexed.has(key)) {
+      const { error: deleteError } = await supabase
+        .from('politician_knowledge_chunks')
+        .delete()
+        .eq('politician_id', politicianId)
+        .eq('fonte', source.fonte)
+        .eq('fonte_ref', source.fonte_ref);
+      if (deleteError) throw deleteError;
+    }
+
+    const rows = chunkText(source.texto).map((conteudo, posicao) => ({
+      politician_id: politicianId,
+      fonte: source.fonte,
+      fonte_ref: source.fonte_ref,
+      titulo: source.titulo,
+      url: source.url,
+      posicao,
+      conteudo,
+      fonte_hash: hash,
+      created_at: now
+    }));
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const { error: insertError } = await supabase
+        .from('politician_knowledge_chunks')
+        .insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+      if (insertError) throw insertError;
+    }
+    stats.indexadas++;
+  }
+
+  for (const key of indexed.keys()) {
+    if (keep.has(key)) continue;
+    const [fonte, ...ref] = key.split('|');
+    const { error: deleteError } = await supabase
+      .from('politician_knowledge_chunks')
+      .delete()
+      .eq('politician_id', politicianId)
+      .eq('fonte', fonte)
+      .eq('fonte_ref', ref.join('|'));
+    if (deleteError) throw deleteError;
+    stats.removidas++;
+  }
+
+  const { count } = await supabase
+    .from('politician_knowledge_chunks')
+    .select('id', { count: 'exact', head: true })
+    .eq('politician_id', politicianId);
+  stats.trechos = count || 0;
+  stats.erros = erros.map(({ preservar, ...item }) => item);
+
+  const { error: statusError } = await supabase
+    .from('politician_knowledge_index')
+    .upsert({
+      politician_id: politicianId,
+      fontes: stats.fontes,
+      trechos: stats.trechos,
+      erros: stats.erros,
+      indexed_at: now
+    }, { onConflict: 'politician_id' });
+  if (statusError) throw statusError;
+
+  return stats;
+}
+
+// Situação do índice do político: última indexação e trechos por fonte
+async function getKnowledgeStatus(politicianId) {
+  const [{ data: status, error }, indexedSources] = await Promise.all([
+    supabase
+      .from('politician_knowledge_index')
+      .select('fontes, trechos, erros, indexed_at')
+      .eq('politician_id', politicianId)
+      .maybeSingle(),
+    loadIndexedSources(politicianId)
+  ]);
+
+  if (error) throw error;
+
+  const sources = indexedSources.map(source => ({
+    fonte: source.fonte,
+    post_id: source.fonte === 'post' ? source.fonte_ref : null,
+    titulo: source.titulo,
+    url: source.url,
+    trechos: source.trechos
+  }));
+
+  return {
+    indexado: Boolean(status),
+    indexed_at: status?.indexed_at || null,
+    trechos: status?.trechos || 0,
+    erros: status?.erros || [],
+    fontes: sources
+  };
+}
+
+// Trechos do político mais relevantes para a pergunta, numerados para citação ([1], [2]...).
+// `indexado` é false quando o político ainda não tem nada indexado.
+async function retrievePassages(politicianId, question, { limit = MAX_PASSAGES } = {}) {
+  const { data: status, error: statusError } = await supabase
+    .from('politician_knowledge_index')
+    .select('trechos')
+    .eq('politician_id', politicianId)
+    .maybeSingle();
+
+  if (statusError) throw statusError;
+  if (!status || !status.trechos) return { indexado: false, passages: [] };
+
+  const { data, error } = await supabase.rpc('search_politician_knowledge', {
+    target_politician_id: politicianId,
+    query_text: String(question || '').slice(0, MAX_QUERY_CHARS),
+    match_count: limit,
+    min_rank: MIN_RANK
+  });
+
+  if (error) throw error;
+  return {
+    indexado: true,
+    passages: (data || []).map((row, index) => ({ ...row, ref: index + 1 }))
+  };
+}
+
+const passageSource = (passage) => (passage.fonte === 'post'
+  ? `${SOURCE_LABELS.post}: ${passage.titulo}`
+  : SOURCE_LABELS[passage.fonte] || passage.titulo);
+
+function formatPassages(passages) {
+  return passages
+    .map(passage => `[${passage.ref}] (${passageSource(passage)})\n${passage.conteudo}`)
+    .join('\n\n');
+}
+
+// Contexto recuperado para o prompt de sistema do agente. Sem índice, retorna content null e
+// o agente segue só com o plano inline; com índice e sem trechos relevantes, instrui o agente
+// a dizer que o tema não está no plano.
+async function buildKnowledgeContext(politicianId, question, { userId } = {}) {
+  const { indexado, passages } = await retrievePassages(politicianId, question);
+  if (!indexado) return { indexado, passages, content: null, prompts: [] };
+
+  const prompt = passages.length > 0
+    ? await getPrompt('agent_knowledge', { userId, variables: { passages: formatPassages(passages) } })
+    : await getPrompt('agent_knowledge_empty', { userId });
+
+  return { indexado, passages, content: prompt.content, prompts: [prompt] };
+}
+
+// Início do plano para a visão geral no prompt do agente quando o restante vem por recuperação
+function planOverview(plan) {
+  const text = String(plan || '').replace(/\s+/g, ' ').trim();
+  return text.length > PLAN_OVERVIEW_CHARS ? `${text.slice(0, PLAN_OVERVIEW_CHARS).trim()}…` : text;
+}
+
+// Referências devolvidas junto com a resposta do agente (citada = referenciada como [n])
+function passageReferences(passages, response) {
+  return passages.map(passage => ({
+    ref: passage.ref,
+    fonte: passage.fonte,
+    rotulo: passageSource(passage),
+    post_id: passage.fonte === 'post' ? passage.fonte_ref : null,
+    url: passage.url,
+    trecho: passage.conteudo.length > 280 ? `${passage.conteudo.slice(0, 280).trim()}…` : passage.conteudo,
+    citada: String(response || '').includes(`[${passage.ref}]`)
+  }));
+}
+
+module.exports = {
+  SOURCE_LABELS,
+  chunkText,
+  htmlToPlainText,
+  extractPdfText,
+  indexPolitician,
+  getKnowledgeStatus,
+  retrievePassages,
+  buildKnowledgeContext,
+  planOverview,
+  passageReferences
+};
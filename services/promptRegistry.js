@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const promptsConfig = require('../config/prompts');
+
+// Cache em memória por chave: { prompt, published, candidate, loadedAt }.
+// Entradas sem registro no banco também são guardadas para não consultar a cada chamada.
+const promptCache = new Map();
+
+function renderPrompt(content, variables = {}) {
+  return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match
+  ));
+}
+
+// Placeholders usados no texto de um prompt
+function extractVariables(content) {
+  const names = new Set();
+  for (const match of String(content || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+async function loadPrompt(key) {
+  const cached = promptCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < promptsConfig.PROMPT_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const entry = { prompt: null, published: null, candidate: null, loadedAt: Date.now() };
+
+  try {
+    const { data: prompt, error } = await supabase
+      .from('prompts')
+      .select('*')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (prompt) {
+      entry.prompt = prompt;
+      const versionIds = [prompt.published_version_id, prompt.candidate_version_id].filter(Boolean);
+      if (versionIds.length > 0) {
+        const { data: versions, error: versionsError } = await supabase
+          .from('prompt_versions')
+          .select('id, version, content')
+          .in('id', versionIds);
+
+        if (versionsError) throw versionsError;
+
+        entry.published = (versions || []).find(v => v.id === prompt.published_version_id) || null;
+        entry.candidate = (versions || []).find(v => v.id === prompt.candidate_version_id) || null;
+      }
+    }
+  } catch (error) {
+    // Banco indisponível: mantém a última versão conhecida, se houver, senão usa o padrão do código
+    console.warn(`⚠️ Não foi possível carregar o prompt ${key}:`, error.message);
+    if (cached) return cached;
+  }
+
+  promptCache.set(key, entry);
+  return entry;
+}
+
+// Bucket estável de 0 a 99 por usuário e prompt, para o usuário ver sempre a mesma versão no teste A/B
+function trafficBucket(key, userId) {
+  if (!userId) return Math.floor(Math.random() * 100);
+  return crypto.createHash('md5').update(`${key}:${userId}`).digest().readUInt32BE(0) % 100;
+}
+
+// Resolve o prompt a usar: versão candidata (se o usuário cair no teste A/B), versão publicada
+// ou o padrão de config/prompts.js. Retorna o texto já com as variáveis aplicadas.
+async function getPrompt(key, { variables = {}, userId } = {}) {
+  const entry = await loadPrompt(key);
+  const traffic = entry.prompt?.candidate_traffic || 0;
+
+  let version = entry.published;
+  let variant = 'published';
+  if (entry.candidate && traffic > 0 && trafficBucket(key, userId) < traffic) {
+    version = entry.candidate;
+    variant = 'candidate';
+  }
+
+  if (!version) {
+    const fallback = promptsConfig.DEFAULT_PROMPTS[key];
+    if (!fallback) {
+      throw new Error(`Prompt desconhecido: ${key}`);
+    }
+    return { key, versionId: null, version: 0, variant: 'default', content: renderPrompt(fallback.content, variables) };
+  }
+
+  return { key, versionId: version.id, version: version.version, variant, content: renderPrompt(version.content, variables) };
+}
+
+// Referências gravadas junto ao resultado (fake_news_checks, ai_conversations) para atribuir feedback depois
+function toPromptRefs(prompts) {
+  return prompts.map(prompt => ({ key: prompt.key, version_id: prompt.versionId, version: prompt.version, variant: prompt.variant }));
+}
+
+// IDs de versão enviados no metadata do ledger de uso, usados para contar exposições
+function promptVersionIds(prompts) {
+  return prompts.map(prompt => prompt.versionId).filter(Boolean);
+}
+
+function withPromptVersions(usage, prompts) {
+  return {
+    ...usage,
+    metadata: { ...(usage?.metadata || {}), prompt_version_ids: promptVersionIds(prompts) }
+  };
+}
+
+function invalidatePrompt(key) {
+  if (key) {
+    promptCache.delete(key);
+  } else {
+    promptCache.clear();
+  }
+}
+
+// Registra um resultado (ex: feedback de fake news, joinha no chat) para cada versão envolvida
+async function recordPromptOutcome({ promptRefs, outcome, score, userId, referenceType, referenceId }) {
+  const rows = (promptRefs || [])
+    .filter(ref => ref && ref.version_id)
+    .map(ref => ({
+      prompt_key: ref.key,
+      prompt_version_id: ref.version_id,
+      outcome,
+      score,
+      user_id: userId || null,
+      reference_type: referenceType,
+      reference_id: referenceId ? String(referenceId) : null,
+      created_at: new Date().toISOString()
+    }));
+
+  if (rows.length === 0) return;
+
+  try {
+    const { error } = await supabase.from('prompt_outcomes').insert(rows);
+    if (error) {
+      console.warn('⚠️ Erro ao registrar resultado de prompt:', error.message);
+    }
+  } catch (error) {
+    console.warn('⚠️ Falha ao registrar resultado de prompt:', error.message);
+  }
+}
+
+// Exposições (chamadas no ledger) e resultados agregados por versão de um prompt
+async function getPromptStats(promptId, key) {
+  const { data: versions, error: versionsError } = await supabase
+    .from('prompt_versions')
+    .select('id, version, note, published_at, created_at')
+    .eq('prompt_id', promptId)
+    .order('version', { ascending: false });
+
+  if (versionsError) throw versionsError;
+
+  // Contagens por versão e tipo de resultado somadas no banco (prompt_outcome_stats)
+  const { data: outcomes, error: outcomesError } = await supabase.rpc('prompt_outcome_stats', { target_prompt_key: key });
+
+  if (outcomesError) throw outcomesError;
+
+  return Promise.all((versions || []).map(async (version) => {
+    const { count: exposures } = await supabase
+      .from('ai_usage_ledger')
+      .select('*', { count: 'exact', head: true })
+      .contains('metadata', { prompt_version_ids: [version.id] });
+
+    const versionOutcomes = (outcomes || []).filter(o => o.prompt_version_id === version.id);
+    const byOutcome = versionOutcomes.reduce((acc, o) => {
+      acc[o.outcome] = { positive: Number(o.positive) || 0, negative: Number(o.negative) || 0 };
+      return acc;
+    }, {});
+    const positive = Object.values(byOutcome).reduce((sum, o) => sum + o.positive, 0);
+    const negative = Object.values(byOutcome).reduce((sum, o) => sum + o.negative, 0);
+
+    return {
+      ...version,
+      exposures: exposures || 0,
+      positive,
+      negative,
+      // Aprovação com suavização de Laplace, comparável entre versões com poucos votos
+      approval: Number(((positive + 1) / (positive + negative + 2)).toFixed(3)),
+      byOutcome
+    };
+  }));
+}
+
+module.exports = {
+  renderPrompt,
+  extractVariables,
+  getPrompt,
+  toPromptRefs,
+  promptVersionIds,
+  withPromptVersions,
+  invalidatePrompt,
+  recordPromptOutcome,
+  getPromptStats
+};
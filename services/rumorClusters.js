@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { redactPii } = require('./aiGuardrails');
+
+// Similaridade de Jaccard estimada mínima para um texto entrar em um agrupamento existente
+const TEXT_SIMILARITY = parseFloat(process.env.FAKE_NEWS_CLUSTER_SIMILARITY) || 0.5;
+
+// MinHash com 64 funções, dividido em 16 faixas de 4 valores para LSH: dois textos com
+// similaridade 0,5 compartilham ao menos uma faixa com probabilidade de ~64%; com 0,8, ~100%.
+const NUM_HASHES = 64;
+const BAND_ROWS = 4;
+const SHINGLE_SIZE = 3;
+const SUMMARY_MAX_CHARS = 280;
+
+// Parâmetros fixos das funções de hash (a * h + b mod 2^32), gerados com semente fixa para que
+// as assinaturas gravadas no banco continuem comparáveis entre processos e deploys
+const HASH_PARAMS = (() => {
+  let state = 0x2f6b1d3a;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+  return Array.from({ length: NUM_HASHES }, () => ({ a: next() | 1, b: next() }));
+})();
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|igshid|mc_cid|mc_eid|ref|ref_src|s|si|amp)$/i;
+
+// Endereço canônico para agrupar links: sem www, fragmento, parâmetros de rastreamento e barra final
+function canonicalizeUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    for (const key of Array.from(url.searchParams.keys())) {
+      if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    }
+    url.searchParams.sort();
+    const path = url.pathname.replace(/\/amp\/?$/, '/').replace(/\/+$/, '') || '/';
+    return `${url.protocol === 'http:' ? 'https:' : url.protocol}//${url.host}${path}${url.search}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Minúsculas, sem acentos, links, emojis e pontuação; correntes mudam muito nesses detalhes
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function shingles(normalized) {
+  const words = normalized.split(' ').filter(Boolean);
+  if (words.length <= SHINGLE_SIZE) return new Set(words.length ? [words.join(' ')] : []);
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return set;
+}
+
+function minhashSignature(text) {
+  const hashes = Array.from(shingles(normalizeText(text)), fnv1a);
+  if (hashes.length === 0) return null;
+
+  return HASH_PARAMS.map(({ a, b }) => {
+    let min = 0xffffffff;
+    for (const hash of hashes) {
+      const value = (Math.imul(a, hash) + b) >>> 0;
+      if (value < min) min = value;
+    }
+    return min;
+  });
+}
+
+function bandKeys(signature) {
+  const keys = [];
+  for (let band = 0; band * BAND_ROWS < signature.length; band++) {
+    const rows = signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS).join('.');
+    keys.push(`${band}:${crypto.createHash('md5').update(rows).digest('hex').slice(0, 16)}`);
+  }
+  return keys;
+}
+
+// Fração de posições iguais: estimativa da similaridade de Jaccard entre os conjuntos de shingles
+function signatureSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+function truncateAtWord(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > max * 0.6 ? cut.lastIndexOf(' ') : max).trim()}…`;
+}
+
+// Resumo exibido publicamente: nunca o conteúdo bruto. Usa as afirmações extraídas pela análise,
+// o título do artigo ou, em último caso, o texto sem dados pessoais e truncado.
+function buildSummary(check, claims = []) {
+  if (claims.length > 0) {
+    return truncateAtWord(claims.slice(0, 3).map(claim => claim.texto).join(' • '), SUMMARY_MAX_CHARS);
+  }
+  if (check.tipo_input === 'link') {
+    const artigo = check.artigo || {};
+    const title = artigo.titulo ? `${artigo.titulo}${artigo.site ? ` (${artigo.site})` : ''}` : null;
+    return title || canonicalizeUrl(check.conteudo) || 'Link';
+  }
+  if (check.tipo_input === 'imagem') {
+    return 'Imagem compartilhada';
+  }
+  return truncateAtWord(redactPii(String(check.conteudo || '').replace(/\s+/g, ' ').trim()).text, SUMMARY_MAX_CHARS);
+}
+
+async function findClusterByKey(tipo, chave) {
+  const { data, error } = await supabase
+    .from('fake_news_clusters')
+    .select('id')
+    .eq('tipo', tipo)
+    .eq('chave', chave)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.id || null;
+}
+
+// Agrupamento de texto mais parecido entre os candidatos que compartilham alguma faixa LSH
+async function findSimilarTextCluster(signature, keys) {
+  const { data: bands, error } = await supabase
+    .from('fake_news_cluster_bands')
+    .select('cluster_id')
+    .in('banda', keys);
+
+  if (error) throw error;
+  const candidateIds = [...new Set((bands || []).map(band => band.cluster_id))];
+  if (candidateIds.length === 0) return null;
+
+  const { data: candidates, error: candidatesError } = await supabase
+    .from('fake_news_clusters')
+    .select('id, assinatura')
+    .in('id', candidateIds);
+
+  if (candidatesError) throw candidatesError;
+
+  let best = null;
+  for (const candidate of candidates || []) {
+    const similarity = signatureSimilarity(signature, candidate.assinatura);
+    if (similarity >= TEXT_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { id: candidate.id, similarity };
+    }
+  }
+  return best?.id || null;
+}
+
+async function createCluster({ tipo, chave = null, assinatura = null, check, claims }) {
+  const now = new Date().toISOString();
+  const { data: cluster, error } = await supabase
+    .from('fake_news_clusters')
+    .insert({
+      tipo,
+      chave,
+      assinatura,
+      resumo: buildSummary(check, claims),
+      resultado: check.resultado,
+      contagem_resultados: { [check.resultado]: 1 },
+      verificacoes: 1,
+      verificacao_representante_id: check.id,
+      primeira_verificacao_em: check.created_at || now,
+      ultima_verificacao_em: check.created_at || now,
+      created_at: now,
+      updated_at: now
+    })
+    .select('id')
+    .single();
+
+  // Outra verificação do mesmo link ou imagem criou o agrupamento ao mesmo tempo: usa o dela
+  if (error?.code === '23505' && chave) {
+    const existingId = await findClusterByKey(tipo, chave);
+    if (existingId) return existingId;
+  }
+  if (error) throw error;
+
+  if (assinatura) {
+    const { error: bandsError } = await supabase
+      .from('fake_news_cluster_bands')
+      .insert(bandKeys(assinatura).map(banda => ({ cluster_id: cluster.id, banda })));
+    if (bandsError) throw bandsError;
+  }
+
+  return cluster.id;
+}
+
+// Recalcula contagens, veredito agregado (o mais frequente; empate fica como tendencioso) e
+// datas a partir das verificações do agrupamento. A soma é feita no banco
+// (refresh_fake_news_cluster): ler as verificações esbarraria no limite de linhas da API.
+async function refreshCluster(clusterId) {
+  const { error } = await supabase.rpc('refresh_fake_news_cluster', { target_cluster_id: clusterId });
+  if (error) throw error;
+}
+
+// Coloca uma verificação salva no agrupamento do mesmo boato (link canônico, hash da imagem ou
+// texto parecido), criando um novo quando não há. Falhas são registradas e não interrompem a análise.
+async function assignCluster(check, { claims = [] } = {}) {
+  try {
+    let clusterId = null;
+
+    if (check.tipo_input === 'imagem') {
+      if (check.verificacao_original_id) {
+        const { data: original } = await supabase
+          .from('fake_news_checks')
+          .select('cluster_id')
+          .eq('id', check.verificacao_original_id)
+          .maybeSingle();
+        clusterId = original?.cluster_id || null;
+      }
+      if (!clusterId && check.hash_imagem) {
+        clusterId = await findClusterByKey('imagem', check.hash_imagem) ||
+          await createCluster({ tipo: 'imagem', chave: check.hash_imagem, check, claims });
+      }
+    } else if (check.tipo_input === 'link') {
+      const url = canonicalizeUrl(check.artigo?.url_canonica || check.conteudo);
+      if (url) {
+        clusterId = await findClusterByKey('link', url) ||
+          await createCluster({ tipo: 'link', chave: url, check, claims });
+      }
+    } else {
+      const signature = minhashSignature(check.conteudo);
+      if (signature) {
+        clusterId = await findSimilarTextCluster(signature, bandKeys(signature)) ||
+          await createCluster({ tipo: 'texto', assinatura: signature, check, claims });
+      }
+    }
+
+    if (!clusterId) return null;
+
+    const { error } = await supabase
+      .from('fake_news_checks')
+      .update({ cluster_id: clusterId })
+      .eq('id', check.id);
+    if (error) throw error;
+
+    await refreshCluster(clusterId);
+    return clusterId;
+  } catch (error) {
+    console.warn('⚠️ Erro ao agrupar verificação de fake news:', error.message);
+    return null;
+  }
+}
+
+// Boatos em alta: agrupamentos com mais verificações na janela, desempatados pelo crescimento
+// em relação à janela anterior de mesmo tamanho
+async function getTrendingClusters({ windowHours = 24, limit = 10 } = {}) {
+  const { data: ranking, error } = await supabase.rpc('trending_fake_news_clusters', {
+    window_hours: windowHours,
+    max_results: limit
+  });
+
+  if (error) throw error;
+  if (!ranking || ranking.length === 0) return [];
+
+  const ids = ranking.map(row => row.cluster_id);
+  const { data: clusters, error: clustersError } = await supabase
+    .from('fake_news_clusters')
+    .select('*')
+    .in('id', ids);
+
+  if (clustersError) throw clustersError;
+  const byId = new Map((clusters || []).map(cluster => [cluster.id, cluster]));
+
+  return ranking
+    .filter(row => byId.has(row.cluster_id))
+    .map(row => {
+      const cluster = byId.get(row.cluster_id);
+      const recent = Number(row.recentes) || 0;
+      const previous = Number(row.anteriores) || 0;
+      return {
+        id: cluster.id,
+        tipo: cluster.tipo,
+        resumo: cluster.resumo,
+        resultado: cluster.resultado,
+        contagem_resultados: cluster.contagem_resultados || {},
+        verificacoes: cluster.verificacoes,
+        verificacoes_janela: recent,
+        verificacoes_janela_anterior: previous,
+        velocidade_por_hora: Math.round((recent / windowHours) * 100) / 100,
+        crescimento: recent - previous,
+        primeira_verificacao_em: cluster.primeira_verificacao_em,
+        ultima_verificacao_em: cluster.ultima_verificacao_em,
+        verificacao_representante_id: cluster.verificacao_representante_id
+      };
+    });
+}
+
+module.exports = {
+  canonicalizeUrl,
+  normalizeText,
+  minhashSignature,
+  signatureSimilarity,
+  buildSummary,
+  assignCluster,
+  refreshCluster,
+  getTrendingClusters
+};
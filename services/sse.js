@@ -0,0 +1,49 @@
+// Utilitários para respostas em Server-Sent Events (text/event-stream)
+
+// O cliente pede streaming com { stream: true } no corpo ou Accept: text/event-stream
+function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  return req.body?.stream === true || req.body?.stream === 'true' || accept.includes('text/event-stream');
+}
+
+// Abre o stream e devolve helpers para enviar eventos. `signal` é abortado se o
+// cliente desconectar antes do fim, permitindo cancelar a chamada ao provedor.
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream
+};
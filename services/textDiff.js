@@ -0,0 +1,119 @@
+// Diferença entre dois textos: por linha e, nas linhas alteradas, por palavra
+
+// Tamanho máximo da tabela da maior subsequência comum (linhas x colunas, 2 bytes cada).
+// Acima disso o trecho diferente vira uma remoção seguida de uma adição.
+const MAX_LCS_CELLS = 1000000;
+
+// Operações (igual, removido, adicionado) que transformam `a` em `b`, pela maior
+// subsequência comum. O início e o fim iguais ficam fora da tabela; `exata` é false quando
+// o trecho do meio era grande demais para ela.
+function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(valor => ({ tipo: 'igual', valor }));
+  const tail = a.slice(endA).map(valor => ({ tipo: 'igual', valor }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_LCS_CELLS) {
+    return {
+      ops: [...head, ...midA.map(valor => ({ tipo: 'removido', valor })), ...midB.map(valor => ({ tipo: 'adicionado', valor })), ...tail],
+      exata: false
+    };
+  }
+
+  const lcs = new Uint16Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = head;
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ tipo: 'igual', valor: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      ops.push({ tipo: 'removido', valor: midA[i++] });
+    } else {
+      ops.push({ tipo: 'adicionado', valor: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ tipo: 'removido', valor: midA[i++] });
+  while (j < midB.length) ops.push({ tipo: 'adicionado', valor: midB[j++] });
+  return { ops: [...ops, ...tail], exata: true };
+}
+
+// Junta operações seguidas do mesmo tipo em um trecho de texto
+function mergeWords(ops) {
+  const parts = [];
+  for (const op of ops) {
+    const last = parts[parts.length - 1];
+    if (last && last.tipo === op.tipo) {
+      last.texto += op.valor;
+    } else {
+      parts.push({ tipo: op.tipo, texto: op.valor });
+    }
+  }
+  return parts;
+}
+
+// Diferença palavra a palavra (os espaços ficam grudados na palavra anterior)
+function diffWords(before, after) {
+  const tokenize = (text) => String(text || '').match(/\S+\s*|\s+/g) || [];
+  return mergeWords(diffSequences(tokenize(before), tokenize(after)).ops);
+}
+
+// Diferença linha a linha. Blocos de linhas removidas seguidos de adicionadas são pareados
+// como "alterado", com a diferença por palavra em `partes`. `aproximada` indica textos
+// grandes demais para a comparação exata (ver MAX_LCS_CELLS).
+function diffLines(before, after) {
+  const split = (text) => (text ? String(text).split('\n') : []);
+  const { ops, exata } = diffSequences(split(before), split(after));
+
+  const lines = [];
+  const summary = { iguais: 0, adicionadas: 0, removidas: 0, alteradas: 0 };
+  for (let k = 0; k < ops.length;) {
+    if (ops[k].tipo === 'igual') {
+      lines.push({ tipo: 'igual', texto: ops[k].valor });
+      summary.iguais++;
+      k++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].tipo === 'removido') removed.push(ops[k++].valor);
+    while (k < ops.length && ops[k].tipo === 'adicionado') added.push(ops[k++].valor);
+
+    const paired = Math.min(removed.length, added.length);
+    for (let n = 0; n < paired; n++) {
+      lines.push({ tipo: 'alterado', antes: removed[n], depois: added[n], partes: diffWords(removed[n], added[n]) });
+      summary.alteradas++;
+    }
+    removed.slice(paired).forEach(texto => { lines.push({ tipo: 'removido', texto }); summary.removidas++; });
+    added.slice(paired).forEach(texto => { lines.push({ tipo: 'adicionado', texto }); summary.adicionadas++; });
+  }
+
+  return { linhas: lines, resumo: summary, aproximada: !exata };
+}
+
+module.exports = {
+  diffWords,
+  diffLines
+};
@@ -0,0 +1,461 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Limites do download de páginas para o detector de fake news
+const FETCH_TIMEOUT_MS = parseInt(process.env.FAKE_NEWS_FETCH_TIMEOUT_MS) || 10000;
+const FETCH_MAX_BYTES = parseInt(process.env.FAKE_NEWS_FETCH_MAX_BYTES) || 2 * 1024 * 1024;
+// Texto do artigo enviado ao modelo
+const MAX_ARTICLE_CHARS = 12000;
+const MIN_PARAGRAPH_CHARS = 40;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; DireitaAI-FactCheck/1.0; +https://direitai.com)';
+
+function createFetchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Faixas que não podem ser buscadas: rede interna, loopback, link-local, CGNAT, multicast e reservadas
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+// Os 8 grupos de 16 bits de um endereço IPv6 (aceita '::' e IPv4 no final)
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+// IPv4 embutido em endereços IPv6 que o sistema entrega a um host IPv4: mapeado (::ffff:a.b.c.d),
+// NAT64 (64:ff9b::/96) e 6to4 (2002::/16). O URL do Node reescreve esses endereços em hexadecimal
+// (ex.: [::ffff:127.0.0.1] vira ::ffff:7f00:1), então a comparação é feita sobre os grupos.
+function embeddedIPv4(address) {
+  const groups = ipv6Groups(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  const zeroUntil = (end) => groups.slice(0, end).every(group => group === 0);
+
+  if (zeroUntil(5) && groups[5] === 0xffff) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return toIPv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+  return null;
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) return blockedAddresses.check(address, 'ipv4');
+  if (!net.isIPv6(address)) return true;
+
+  const ipv4 = embeddedIPv4(address);
+  if (ipv4) return blockedAddresses.check(ipv4, 'ipv4');
+  return blockedAddresses.check(address.split('%')[0], 'ipv6');
+}
+
+function assertPublicUrl(target) {
+  const parsed = new URL(target);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw createFetchError('Apenas links http e https são suportados', 'EINVALIDURL');
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    throw createFetchError(`Endereço não permitido: ${hostname}`, 'EBLOCKEDADDRESS');
+  }
+  return parsed;
+}
+
+// Resolução de DNS que recusa endereços internos (vale também para redirecionamentos)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(createFetchError(`Endereço não permitido: ${hostname}`, 'EBLOCKEDADDRESS'));
+    }
+    callback(null, address, family);
+  });
+}
+
+function detectCharset(contentType, head) {
+  const fromHeader = /charset=["']?([\w-]+)/i.exec(contentType || '');
+  if (fromHeader) return fromHeader[1];
+  const fromMeta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(head);
+  return fromMeta ? fromMeta[1] : 'utf-8';
+}
+
+function decodeBody(buffer, contentType) {
+  const charset = detectCharset(contentType, buffer.subarray(0, 4096).toString('latin1'));
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Lê a resposta até o fim ou até `maxBytes`; `truncated` indica que o limite foi atingido
+async function readLimited(stream, maxBytes) {
+  const chunks = [];
+  let received = 0;
+  let truncated = false;
+  await new Promise((resolve, reject) => {
+    stream.on('data', (chunk) => {
+      chunks.push(chunk);
+      received += chunk.length;
+      if (received >= maxBytes) {
+        truncated = received > maxBytes;
+        stream.destroy();
+        resolve();
+      }
+    });
+    stream.on('end', resolve);
+    stream.on('close', resolve);
+    stream.on('error', reject);
+  });
+
+  return { body: Buffer.concat(chunks).subarray(0, maxBytes), truncated };
+}
+
+// Confere o endereço de fato conectado: IPs literais não passam pelo `lookup`, e a
+// conexão é recusada antes de qualquer byte da requisição ser enviado
+function guardSocket(socket) {
+  socket.once('connect', () => {
+    if (socket.remoteAddress && isPrivateAddress(socket.remoteAddress)) {
+      socket.destroy(createFetchError(`Endereço não permitido: ${socket.remoteAddress}`, 'EBLOCKEDADDRESS'));
+    }
+  });
+  return socket;
+}
+
+class PublicHttpAgent extends http.Agent {
+  createConnection(options, callback) {
+    return guardSocket(super.createConnection(options, callback));
+  }
+}
+
+class PublicHttpsAgent extends https.Agent {
+  createConnection(options, callback) {
+    return guardSocket(super.createConnection(options, callback));
+  }
+}
+
+const publicHttpAgent = new PublicHttpAgent({ lookup: publicLookup });
+const publicHttpsAgent = new PublicHttpsAgent({ lookup: publicLookup });
+
+// Baixa um arquivo público inteiro (ex.: PDF do plano de governo). Diferente das páginas,
+// um arquivo maior que o limite é recusado, já que truncado ele não pode ser lido.
+async function downloadPublicFile(url, { timeoutMs = FETCH_TIMEOUT_MS, maxBytes = FETCH_MAX_BYTES, contentTypes = null } = {}) {
+  assertPublicUrl(url);
+
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    timeout: timeoutMs,
+    signal: AbortSignal.timeout(timeoutMs),
+    maxRedirects: 5,
+    beforeRedirect: (options) => assertPublicUrl(options.href),
+    httpAgent: publicHttpAgent,
+    httpsAgent: publicHttpsAgent,
+    headers: { 'User-Agent': USER_AGENT },
+    validateStatus: status => status >= 200 && status < 400
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (contentTypes && contentType && !contentTypes.test(contentType)) {
+    response.data.destroy();
+    throw createFetchError(`Tipo de arquivo não suportado (${contentType.split(';')[0]})`, 'EUNSUPPORTEDTYPE');
+  }
+
+  const { body, truncated } = await readLimited(response.data, maxBytes);
+  if (truncated) {
+    throw createFetchError(`Arquivo maior que o limite de ${Math.round(maxBytes / 1024 / 1024)} MB`, 'ETOOLARGE');
+  }
+
+  return {
+    url: response.request?.res?.responseUrl || url,
+    contentType,
+    buffer: body
+  };
+}
+
+// Fetcher padrão: baixa a página via HTTP com limite de tempo e de tamanho. Páginas maiores que
+// o limite são truncadas (o texto principal costuma estar no início do documento).
+// Um fetcher é uma função async (url) => { url, status, contentType, html }.
+function createHttpFetcher({ timeoutMs = FETCH_TIMEOUT_MS, maxBytes = FETCH_MAX_BYTES } = {}) {
+  const httpAgent = new PublicHttpAgent({ lookup: publicLookup });
+  const httpsAgent = new PublicHttpsAgent({ lookup: publicLookup });
+
+  return async function fetchPage(url) {
+    assertPublicUrl(url);
+
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: timeoutMs,
+      signal: AbortSignal.timeout(timeoutMs),
+      maxRedirects: 5,
+      beforeRedirect: (options) => assertPublicUrl(options.href),
+      httpAgent,
+      httpsAgent,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1',
+        'Accept-Language': 'pt-BR,pt;q=0.9,en;q=0.5'
+      },
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      response.data.destroy();
+      throw createFetchError(`O link não aponta para uma página HTML (${contentType.split(';')[0]})`, 'ENOTHTML');
+    }
+
+    const { body } = await readLimited(response.data, maxBytes);
+    return {
+      url: response.request?.res?.responseUrl || url,
+      status: response.status,
+      contentType,
+      html: decodeBody(body, contentType)
+    };
+  };
+}
+
+// Fetcher de páginas salvas (fixtures), indexadas por URL
+function createFixtureFetcher(pages) {
+  return async function fetchFixture(url) {
+    const html = pages instanceof Map ? pages.get(url) : pages[url];
+    if (html === undefined) {
+      throw createFetchError(`Página não encontrada: ${url}`, 'ENOTFOUND');
+    }
+    return { url, status: 200, contentType: 'text/html; charset=utf-8', html };
+  };
+}
+
+let pageFetcher = createHttpFetcher();
+
+function setPageFetcher(fetcher) {
+  pageFetcher = fetcher || createHttpFetcher();
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', middot: '·', ordf: 'ª', ordm: 'º',
+  aacute: 'á', Aacute: 'Á', agrave: 'à', Agrave: 'À', acirc: 'â', Acirc: 'Â', atilde: 'ã', Atilde: 'Ã',
+  eacute: 'é', Eacute: 'É', ecirc: 'ê', Ecirc: 'Ê', iacute: 'í', Iacute: 'Í', oacute: 'ó', Oacute: 'Ó',
+  ocirc: 'ô', Ocirc: 'Ô', otilde: 'õ', Otilde: 'Õ', uacute: 'ú', Uacute: 'Ú', uuml: 'ü', Uuml: 'Ü',
+  ccedil: 'ç', Ccedil: 'Ç'
+};
+
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (error) {
+        return match;
+      }
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+}
+
+const cleanText = (html) => decodeEntities(String(html || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '').trim();
+  }
+  return attributes;
+}
+
+// <meta> indexadas por property/name/itemprop (a primeira ocorrência vence)
+function collectMeta(html) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  }
+  return meta;
+}
+
+const ARTICLE_TYPES = /^(Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BlogPosting|Report|WebPage)$/;
+
+// Item schema.org de artigo nos blocos JSON-LD (o tipo mais específico vence a WebPage)
+function findJsonLdArticle(html) {
+  const items = [];
+  for (const [, json] of html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const parsed = JSON.parse(json.trim());
+      const stack = Array.isArray(parsed) ? [...parsed] : [parsed];
+      while (stack.length > 0) {
+        const item = stack.shift();
+        if (!item || typeof item !== 'object') continue;
+        if (Array.isArray(item['@graph'])) stack.push(...item['@graph']);
+        items.push(item);
+      }
+    } catch (error) {
+      // JSON-LD malformado é comum; ignorar o bloco
+    }
+  }
+
+  const typesOf = (item) => (Array.isArray(item['@type']) ? item['@type'] : [item['@type']]).filter(Boolean);
+  const articles = items.filter(item => typesOf(item).some(type => ARTICLE_TYPES.test(type)));
+  return articles.find(item => !typesOf(item).includes('WebPage')) || articles[0] || null;
+}
+
+function jsonLdAuthor(author) {
+  if (!author) return null;
+  if (typeof author === 'string') return author;
+  if (Array.isArray(author)) return author.map(jsonLdAuthor).filter(Boolean).join(', ') || null;
+  return author.name || null;
+}
+
+function resolveUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(value, base).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Remove trechos que não fazem parte do texto principal
+function stripBoilerplate(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|iframe|template|form|button|select)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(nav|header|footer|aside|figure)\b[\s\S]*?<\/\1>/gi, ' ');
+}
+
+function paragraphsOf(html) {
+  return Array.from(html.matchAll(/<(p|h2|h3|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi))
+    .map(([, tag, inner]) => ({ tag: tag.toLowerCase(), text: cleanText(inner) }))
+    .filter(({ tag, text }) => (tag === 'p' || tag === 'blockquote' ? text.length >= MIN_PARAGRAPH_CHARS : text.length > 0 && text.length <= 200));
+}
+
+// Texto principal no estilo readability: o bloco (<article>, <main> ou o corpo) com mais texto em
+// parágrafos longos. Intertítulos (h2/h3) entram no texto, mas não contam na escolha do bloco.
+function extractMainText(html) {
+  const cleaned = stripBoilerplate(html);
+  const candidates = [
+    ...Array.from(cleaned.matchAll(/<article\b[^>]*>([\s\S]*?)<\/article>/gi), match => match[1]),
+    ...Array.from(cleaned.matchAll(/<main\b[^>]*>([\s\S]*?)<\/main>/gi), match => match[1]),
+    (/<body\b[^>]*>([\s\S]*)<\/body>/i.exec(cleaned) || [null, cleaned])[1]
+  ];
+
+  let best = [];
+  let bestScore = 0;
+  for (const candidate of candidates) {
+    const paragraphs = paragraphsOf(candidate);
+    const score = paragraphs
+      .filter(({ tag }) => tag === 'p' || tag === 'blockquote')
+      .reduce((total, { text }) => total + text.length, 0);
+    if (score > bestScore) {
+      best = paragraphs;
+      bestScore = score;
+    }
+  }
+
+  return best.map(({ text }) => text).join('\n\n');
+}
+
+// Extrai título, autor, data, OpenGraph, URL canônica e texto principal de um HTML
+function extractArticle(html, pageUrl) {
+  const meta = collectMeta(html);
+  const jsonLd = findJsonLdArticle(html);
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const h1 = /<h1\b[^>]*>([\s\S]*?)<\/h1>/i.exec(html);
+  const canonicalTag = Array.from(html.matchAll(/<link\b[^>]*>/gi))
+    .map(([tag]) => parseAttributes(tag))
+    .find(attributes => (attributes.rel || '').toLowerCase().split(/\s+/).includes('canonical'));
+  const timeTag = /<time\b[^>]*datetime=["']([^"']+)["']/i.exec(html);
+
+  let text = extractMainText(html);
+  if (typeof jsonLd?.articleBody === 'string' && jsonLd.articleBody.length > text.length) {
+    text = cleanText(jsonLd.articleBody);
+  }
+
+  const openGraph = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (key.startsWith('og:')) openGraph[key.slice(3)] = value;
+  }
+
+  return {
+    url: pageUrl,
+    canonicalUrl: resolveUrl(canonicalTag?.href, pageUrl) || resolveUrl(meta['og:url'], pageUrl) || pageUrl,
+    title: meta['og:title'] || meta['twitter:title'] || (jsonLd?.headline ? cleanText(jsonLd.headline) : null) ||
+      (titleTag ? cleanText(titleTag[1]) : null) || (h1 ? cleanText(h1[1]) : null),
+    author: meta.author || meta['article:author'] || jsonLdAuthor(jsonLd?.author) || meta['parsely-author'] || null,
+    publishedAt: meta['article:published_time'] || jsonLd?.datePublished || meta.date || meta.pubdate ||
+      meta['parsely-pub-date'] || (timeTag ? timeTag[1] : null),
+    modifiedAt: meta['article:modified_time'] || jsonLd?.dateModified || null,
+    siteName: meta['og:site_name'] || jsonLd?.publisher?.name || null,
+    description: meta['og:description'] || meta.description || meta['twitter:description'] || null,
+    image: resolveUrl(meta['og:image'] || meta['twitter:image'], pageUrl),
+    openGraph,
+    text: text.length > MAX_ARTICLE_CHARS ? `${text.slice(0, MAX_ARTICLE_CHARS)}…` : text,
+    wordCount: text ? text.split(/\s+/).length : 0,
+    truncated: text.length > MAX_ARTICLE_CHARS
+  };
+}
+
+// Baixa a página com o fetcher configurado (ou o informado) e extrai o artigo
+async function extractArticleFromUrl(url, { fetcher } = {}) {
+  const page = await (fetcher || pageFetcher)(url);
+  const article = extractArticle(page.html || '', page.url || url);
+  return { ...article, requestedUrl: url, status: page.status };
+}
+
+// Texto enviado ao modelo no lugar do link
+function formatArticleForAnalysis(article) {
+  const lines = [`Endereço: ${article.canonicalUrl || article.url}`];
+  if (article.siteName) lines.push(`Site: ${article.siteName}`);
+  if (article.title) lines.push(`Título: ${article.title}`);
+  if (article.author) lines.push(`Autor: ${article.author}`);
+  if (article.publishedAt) lines.push(`Publicado em: ${article.publishedAt}`);
+  if (article.description) lines.push(`Resumo: ${article.description}`);
+  lines.push('', 'Texto extraído da página:', article.text || '(não foi possível extrair o texto principal)');
+  return lines.join('\n');
+}
+
+module.exports = {
+  FETCH_TIMEOUT_MS,
+  FETCH_MAX_BYTES,
+  createHttpFetcher,
+  createFixtureFetcher,
+  setPageFetcher,
+  downloadPublicFile,
+  decodeEntities,
+  extractArticle,
+  extractArticleFromUrl,
+  formatArticleForAnalysis,
+  isPrivateAddress
+};
@@ -0,0 +1,190 @@
+const QRCode = require('qrcode');
+const { redactPii } = require('./aiGuardrails');
+const { publicVerdict } = require('./communityReviews');
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const EXPLANATION_MAX_CHARS = 240;
+
+const VERDICT_STYLES = {
+  verdade: { label: 'VERDADE', color: '#15803d', background: '#dcfce7' },
+  tendencioso: { label: 'TENDENCIOSO', color: '#b45309', background: '#fef3c7' },
+  fake: { label: 'FAKE NEWS', color: '#b91c1c', background: '#fee2e2' },
+  contestado: { label: 'CONTESTADO', color: '#6d28d9', background: '#ede9fe' }
+};
+
+const TYPE_LABELS = {
+  texto: 'Texto',
+  link: 'Link',
+  imagem: 'Imagem'
+};
+
+// Página pública do resultado no frontend (destino do QR code e do og:url)
+function publicResultUrl(checkId) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5121').replace(/\/+$/, '');
+  return `${base}/fake-news/${checkId}`;
+}
+
+function truncate(text, max) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > max * 0.6 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+// Texto gerado pela IA pode citar trechos do conteúdo enviado; dados pessoais são removidos
+const sanitize = (text) => redactPii(String(text || '')).text;
+
+// Versão pública de uma verificação compartilhável. Nunca inclui o conteúdo enviado,
+// o usuário, metadados da imagem nem o histórico: só o veredito e o que a análise produziu.
+// `apiBaseUrl` é usado para o endereço absoluto da imagem do card (og:image).
+function buildPublicCheck(check, claims = [], { apiBaseUrl = '' } = {}) {
+  const resultado = publicVerdict(check);
+  const style = VERDICT_STYLES[resultado] || VERDICT_STYLES.tendencioso;
+  const afirmacoes = claims.map(claim => ({
+    texto: sanitize(claim.texto),
+    resultado: claim.resultado,
+    confianca: claim.confianca
+  }));
+  const artigo = check.tipo_input === 'link' && check.artigo && !check.artigo.erro
+    ? { titulo: check.artigo.titulo || null, site: check.artigo.site || null, url: check.artigo.url_canonica || check.artigo.url || null }
+    : null;
+
+  const explicacao = sanitize(check.explicacao);
+  const assunto = afirmacoes[0]?.texto || artigo?.titulo || null;
+  const url = publicResultUrl(check.id);
+
+  return {
+    id: check.id,
+    tipo: check.tipo_input,
+    // Veredito público: "contestado" enquanto revisores e IA divergem, depois o da moderação
+    resultado,
+    resultado_ia: check.resultado,
+    situacao: check.situacao || 'ia',
+    rotulo: style.label,
+    confianca: check.confianca,
+    explicacao,
+    afirmacoes,
+    fontes: check.fontes || [],
+    artigo,
+    verificada_em: check.created_at,
+    url,
+    og: {
+      title: assunto ? `${style.label}: ${truncate(assunto, 90)}` : `${style.label} - Detector de Fake News`,
+      description: truncate(explicacao, 200),
+      url,
+      image: `${apiBaseUrl}/api/fake-news/${check.id}/card.png`,
+      image_width: CARD_WIDTH,
+      image_height: CARD_HEIGHT,
+      type: 'article'
+    }
+  };
+}
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Quebra em linhas de até `maxChars` caracteres (sem medir a fonte; o card usa largura fixa)
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let current = '';
+  let truncated = false;
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (current && `${current} ${word}`.length > maxChars) {
+      lines.push(current);
+      current = word;
+      if (lines.length === maxLines) {
+        truncated = true;
+        break;
+      }
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (!truncated && current) lines.push(current);
+  if (truncated) lines[maxLines - 1] = `${lines[maxLines - 1].replace(/[\s.,;:…]+$/, '')}…`;
+  return lines;
+}
+
+// QR code como um único path SVG, um quadrado por módulo escuro
+function qrPath(text, { x, y, size }) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const quiet = 2;
+  const scale = size / (modules.size + quiet * 2);
+  const parts = [];
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        const px = (x + (col + quiet) * scale).toFixed(2);
+        const py = (y + (row + quiet) * scale).toFixed(2);
+        parts.push(`M${px} ${py}h${scale.toFixed(2)}v${scale.toFixed(2)}h-${scale.toFixed(2)}z`);
+      }
+    }
+  }
+  return `<rect x="${x}" y="${y}" width="${size}" height="${size}" rx="12" fill="#ffffff"/><path d="${parts.join('')}" fill="#111827"/>`;
+}
+
+// Card 1200x630 (proporção de og:image) com veredito, confiança, explicação curta e QR code
+function renderCardSvg(publicCheck) {
+  const style = VERDICT_STYLES[publicCheck.resultado] || VERDICT_STYLES.tendencioso;
+  const subject = publicCheck.afirmacoes[0]?.texto || publicCheck.artigo?.titulo || '';
+  const subjectLines = wrapText(subject ? `“${truncate(subject, 150)}”` : '', 42, 2);
+  const explanationLines = wrapText(truncate(publicCheck.explicacao, EXPLANATION_MAX_CHARS), 58, 4);
+  const confidence = Math.max(0, Math.min(100, Number(publicCheck.confianca) || 0));
+  const date = publicCheck.verificada_em
+    ? new Date(publicCheck.verificada_em).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+    : '';
+  const host = (() => {
+    try {
+      return new URL(publicCheck.url).host;
+    } catch (error) {
+      return '';
+    }
+  })();
+
+  const textBlock = (lines, { x, y, lineHeight, size, weight = 400, color }) => lines
+    .map((line, index) => `<text x="${x}" y="${y + index * lineHeight}" font-size="${size}" font-weight="${weight}" fill="${color}">${escapeXml(line)}</text>`)
+    .join('');
+
+  const subjectTop = 250;
+  const explanationTop = subjectTop + subjectLines.length * 40 + (subjectLines.length ? 24 : 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="DejaVu Sans, Arial, Helvetica, sans-serif">
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="#f8fafc"/>
+<rect width="${CARD_WIDTH}" height="14" fill="${style.color}"/>
+<text x="64" y="84" font-size="28" font-weight="700" fill="#111827">Detector de Fake News</text>
+<text x="64" y="118" font-size="22" fill="#6b7280">${escapeXml([
+    TYPE_LABELS[publicCheck.tipo] || 'Conteúdo',
+    date ? `verificado em ${date}` : null,
+    publicCheck.situacao === 'confirmada' ? 'confirmado pela moderação' : null
+  ].filter(Boolean).join(' · '))}</text>
+<rect x="64" y="146" width="${style.label.length * 30 + 64}" height="72" rx="36" fill="${style.background}" stroke="${style.color}" stroke-width="3"/>
+<text x="96" y="194" font-size="40" font-weight="700" fill="${style.color}">${style.label}</text>
+<text x="${style.label.length * 30 + 156}" y="194" font-size="30" font-weight="700" fill="#374151">${publicCheck.resultado === 'contestado' ? 'em revisão' : `${confidence}% de confiança`}</text>
+${textBlock(subjectLines, { x: 64, y: subjectTop + 28, lineHeight: 40, size: 30, weight: 700, color: '#111827' })}
+${textBlock(explanationLines, { x: 64, y: explanationTop + 24, lineHeight: 34, size: 24, color: '#374151' })}
+<rect x="64" y="${CARD_HEIGHT - 88}" width="${Math.round(7.4 * confidence)}" height="10" rx="5" fill="${style.color}"/>
+<rect x="${64 + Math.round(7.4 * confidence)}" y="${CARD_HEIGHT - 88}" width="${740 - Math.round(7.4 * confidence)}" height="10" rx="5" fill="#e5e7eb"/>
+<text x="64" y="${CARD_HEIGHT - 40}" font-size="20" fill="#6b7280">Veja a análise completa e as fontes${host ? ` em ${escapeXml(host)}` : ''}</text>
+${qrPath(publicCheck.url, { x: 876, y: 150, size: 260 })}
+<text x="1006" y="440" font-size="18" fill="#6b7280" text-anchor="middle">Aponte a câmera</text>
+</svg>`;
+}
+
+// PNG via sharp (carregado sob demanda, como no hash de imagens)
+async function renderCardPng(publicCheck) {
+  const sharp = require('sharp');
+  return sharp(Buffer.from(renderCardSvg(publicCheck))).png().toBuffer();
+}
+
+module.exports = {
+  publicResultUrl,
+  buildPublicCheck,
+  renderCardSvg,
+  renderCardPng
+};
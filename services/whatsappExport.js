@@ -0,0 +1,232 @@
+const { normalizeText } = require('./rumorClusters');
+
+// Máximo de mensagens analisadas por exportação (cada uma é uma análise de IA e conta na cota)
+const MAX_ANALYZED_MESSAGES = parseInt(process.env.FAKE_NEWS_WHATSAPP_MAX_MESSAGES) || 10;
+const MIN_MESSAGE_CHARS = 20;
+// Sem marcação de encaminhada na exportação, mensagens longas ou com link são tratadas como correntes
+const CHAIN_MIN_CHARS = 200;
+const CHAIN_WITH_LINK_MIN_CHARS = 60;
+
+// Cabeçalho de mensagem nos formatos do Android ("12/10/2024 14:32 - ") e do iPhone
+// ("[12/10/2024, 14:32:10] "), com ano de 2 ou 4 dígitos e horário de 12 ou 24 horas
+const HEADER_PATTERN = /^\[?(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s?m\.?)?\]?\s*(?:-\s+)?(.*)$/i;
+const SENDER_PATTERN = /^([^:\n]{1,80}?):\s(.*)$/s;
+
+const FORWARDED_MANY_PATTERN = /^(encaminhada com frequ[eê]ncia|forwarded many times)(\s*[:.-]\s*|$)/i;
+const FORWARDED_PATTERN = /^(encaminhada|forwarded)(\s*[:.-]\s*|$)/i;
+const DELETED_PATTERN = /^(esta mensagem foi apagada|mensagem apagada|você apagou esta mensagem|this message was deleted|you deleted this message)\.?$/i;
+const EDITED_PATTERN = /\s*<(mensagem editada|this message was edited)>\s*$/i;
+
+const HIDDEN_MEDIA_PATTERN = /^<?(m[ií]dia oculta|arquivo de m[ií]dia oculto|media omitted|(imagem|v[ií]deo|[aá]udio|figurinha|documento|gif|sticker|image|video|audio|document) (ocultad[oa]|oculto|oculta|omitid[oa]|omitted))>?$/i;
+const ATTACHED_PATTERN = /^<(?:anexado|attached):\s*(.+?)>$/i;
+const FILE_ATTACHED_PATTERN = /^(.+?\.[a-z0-9]{2,5})\s+\((arquivo anexado|file attached)\)$/i;
+
+const MEDIA_TYPES = [
+  { tipo: 'imagem', pattern: /\.(jpe?g|png|heic|webp)$|photo|imagem|image|img-/i },
+  { tipo: 'video', pattern: /\.(mp4|3gp|mov)$|video|v[ií]deo|vid-/i },
+  { tipo: 'audio', pattern: /\.(opus|ogg|m4a|mp3|aac)$|audio|[aá]udio|ptt-|aud-/i },
+  { tipo: 'figurinha', pattern: /sticker|figurinha|stk-/i },
+  { tipo: 'documento', pattern: /\.(pdf|docx?|xlsx?|pptx?|txt|csv|zip)$|documento|document|doc-/i }
+];
+
+// Marcas invisíveis de direção de texto que o WhatsApp insere antes de anexos e avisos
+const stripMarks = (line) => line.replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g, '');
+
+function mediaType(name) {
+  const match = MEDIA_TYPES.find(({ pattern }) => pattern.test(name));
+  return match ? match.tipo : 'arquivo';
+}
+
+function parseMediaLine(line) {
+  const trimmed = line.trim();
+  if (HIDDEN_MEDIA_PATTERN.test(trimmed)) {
+    const tipo = mediaType(trimmed);
+    return { arquivo: null, tipo: tipo === 'arquivo' ? 'midia' : tipo, oculta: true };
+  }
+  const attached = trimmed.match(ATTACHED_PATTERN) || trimmed.match(FILE_ATTACHED_PATTERN);
+  if (attached) {
+    return { arquivo: attached[1].trim(), tipo: mediaType(attached[1]), oculta: false };
+  }
+  return null;
+}
+
+// Dia/mês ou mês/dia: exportações brasileiras usam dia primeiro; se algum "mês" passar de 12,
+// o arquivo foi exportado com data no formato americano
+function detectMonthFirst(headers) {
+  let dayFirst = false;
+  let monthFirst = false;
+  for (const [first, second] of headers) {
+    if (first > 12) dayFirst = true;
+    if (second > 12) monthFirst = true;
+  }
+  return monthFirst && !dayFirst;
+}
+
+// Data sem fuso (a exportação usa o horário local do aparelho), no formato ISO
+function toLocalIso(parts, monthFirst) {
+  const [first, second, rawYear, rawHour, minute, second_ = 0, meridiem] = parts;
+  const day = monthFirst ? second : first;
+  const month = monthFirst ? first : second;
+  const year = rawYear < 100 ? 2000 + rawYear : rawYear;
+  let hour = rawHour;
+  if (meridiem) {
+    hour = hour % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+  }
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second_)}`;
+}
+
+function finalizeMessage(message) {
+  const lines = message.linhas;
+  delete message.linhas;
+
+  const textLines = [];
+  for (const rawLine of lines) {
+    let line = rawLine;
+    if (textLines.length === 0 && FORWARDED_MANY_PATTERN.test(line.trim())) {
+      message.encaminhada = true;
+      message.encaminhada_com_frequencia = true;
+      line = line.trim().replace(FORWARDED_MANY_PATTERN, '');
+    } else if (textLines.length === 0 && FORWARDED_PATTERN.test(line.trim())) {
+      message.encaminhada = true;
+      line = line.trim().replace(FORWARDED_PATTERN, '');
+    }
+
+    const media = parseMediaLine(line);
+    if (media) {
+      message.midias.push(media);
+      continue;
+    }
+    if (line.trim() || textLines.length > 0) textLines.push(line);
+  }
+
+  message.texto = textLines.join('\n').replace(EDITED_PATTERN, '').trim();
+  if (DELETED_PATTERN.test(message.texto)) {
+    message.apagada = true;
+    message.texto = '';
+  }
+  return message;
+}
+
+// Lê o .txt de "Exportar conversa" do WhatsApp (Android ou iPhone, português ou inglês).
+// Mensagens de várias linhas são reunidas; avisos do sistema (criação do grupo, criptografia,
+// entradas e saídas) ficam com `sistema: true` e sem remetente.
+function parseWhatsAppExport(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(stripMarks);
+
+  const headers = [];
+  for (const line of lines) {
+    const match = line.match(HEADER_PATTERN);
+    if (match) headers.push([parseInt(match[1]), parseInt(match[2])]);
+  }
+  const monthFirst = detectMonthFirst(headers);
+
+  const messages = [];
+  let current = null;
+  for (const line of lines) {
+    const match = line.match(HEADER_PATTERN);
+    const data = match && toLocalIso([
+      parseInt(match[1]), parseInt(match[2]), parseInt(match[3]),
+      parseInt(match[4]), parseInt(match[5]), parseInt(match[6] || 0), match[7]
+    ], monthFirst);
+
+    if (!data) {
+      // Continuação da mensagem anterior (texto antes do primeiro cabeçalho é descartado)
+      if (current) current.linhas.push(line);
+      continue;
+    }
+
+    if (current) messages.push(finalizeMessage(current));
+
+    const body = match[8];
+    const sender = body.match(SENDER_PATTERN);
+    current = {
+      indice: messages.length + 1,
+      data,
+      remetente: sender ? sender[1].trim() : null,
+      sistema: !sender,
+      encaminhada: false,
+      encaminhada_com_frequencia: false,
+      apagada: false,
+      midias: [],
+      linhas: [sender ? sender[2] : body]
+    };
+  }
+  if (current) messages.push(finalizeMessage(current));
+
+  const participants = new Set(messages.filter(message => message.remetente).map(message => message.remetente));
+  return {
+    formato: monthFirst ? 'mes_dia' : 'dia_mes',
+    mensagens: messages,
+    participantes: [...participants]
+  };
+}
+
+const hasLink = (text) => /https?:\/\/|www\.\S+\.\S+/i.test(text);
+
+// Mensagens a analisar: as encaminhadas com texto ou, quando a exportação não traz a marcação
+// de encaminhada, as que têm cara de corrente (longas ou com link). Cópias do mesmo texto são
+// analisadas uma vez só, contando quantas vezes apareceram; as encaminhadas com frequência e
+// as mais repetidas vêm primeiro.
+function selectForwardedMessages(messages, { limit = MAX_ANALYZED_MESSAGES } = {}) {
+  const candidates = messages.filter(message => !message.sistema && !message.apagada);
+  const hasMarkers = candidates.some(message => message.encaminhada);
+
+  const looksForwarded = hasMarkers
+    ? (message) => message.encaminhada
+    : (message) => message.texto.length >= CHAIN_MIN_CHARS ||
+      (hasLink(message.texto) && message.texto.length >= CHAIN_WITH_LINK_MIN_CHARS);
+
+  const groups = new Map();
+  let mediaOnly = 0;
+  for (const message of candidates) {
+    if (!looksForwarded(message)) continue;
+    if (message.texto.length < MIN_MESSAGE_CHARS) {
+      if (message.midias.length > 0) mediaOnly++;
+      continue;
+    }
+
+    const key = normalizeText(message.texto);
+    const group = groups.get(key);
+    if (group) {
+      group.vezes_na_conversa++;
+      group.encaminhada_com_frequencia = group.encaminhada_com_frequencia || message.encaminhada_com_frequencia;
+      group.remetentes.add(message.remetente);
+    } else {
+      groups.set(key, {
+        ...message,
+        vezes_na_conversa: 1,
+        remetentes: new Set([message.remetente])
+      });
+    }
+  }
+
+  const ranked = [...groups.values()]
+    .map(({ remetentes, ...message }) => ({ ...message, remetentes: remetentes.size }))
+    .sort((a, b) => (b.encaminhada_com_frequencia - a.encaminhada_com_frequencia) ||
+      (b.vezes_na_conversa - a.vezes_na_conversa) ||
+      (a.indice - b.indice));
+
+  return {
+    criterio: hasMarkers ? 'encaminhadas' : 'heuristica',
+    selecionadas: ranked.slice(0, limit),
+    excedentes: Math.max(0, ranked.length - limit),
+    midias_sem_texto: mediaOnly
+  };
+}
+
+// Pontuação para ordenar o resumo: veredito e confiança, reforçados pela circulação na conversa
+function suspicionScore(item) {
+  const weight = { fake: 1, tendencioso: 0.5, verdade: 0 }[item.resultado] ?? 0;
+  const spread = 1 + (item.encaminhada_com_frequencia ? 0.25 : 0) + Math.min(item.vezes_na_conversa - 1, 4) * 0.1;
+  return Math.round(weight * (item.confianca || 0) * spread);
+}
+
+module.exports = {
+  MAX_ANALYZED_MESSAGES,
+  parseWhatsAppExport,
+  selectForwardedMessages,
+  suspicionScore
+};
@@ -0,0 +1,17 @@
+-- Rolling summary of older turns for multi-turn EsquerdaGPT conversations
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.ai_conversation_summaries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id TEXT NOT NULL UNIQUE,
+  user_id UUID NOT NULL,
+  summary TEXT NOT NULL,
+  summarized_until TIMESTAMP WITH TIME ZONE NOT NULL,
+  turns_summarized INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Helpful indexes
+CREATE INDEX IF NOT EXISTS idx_ai_conversation_summaries_user ON public.ai_conversation_summaries(user_id);
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_conversation_created ON public.ai_conversations(conversation_id, created_at);
@@ -0,0 +1,24 @@
+-- Unified ledger of every LLM call (feature, user, plan, model, tokens and cost)
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.ai_usage_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NULL,
+  plan TEXT,
+  feature TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  latency_ms INTEGER,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Helpful indexes
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_created_at ON public.ai_usage_ledger(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_feature ON public.ai_usage_ledger(feature, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_user ON public.ai_usage_ledger(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_plan ON public.ai_usage_ledger(plan, created_at);
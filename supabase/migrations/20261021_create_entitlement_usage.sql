@@ -0,0 +1,13 @@
+-- Usage events counted against plan quotas (services/entitlements.js)
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.entitlement_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  feature TEXT NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Quota lookups filter by user, feature and window start
+CREATE INDEX IF NOT EXISTS idx_entitlement_usage_user_feature ON public.entitlement_usage(user_id, feature, created_at);
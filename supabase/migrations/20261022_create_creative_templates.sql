@@ -0,0 +1,31 @@
+-- Admin-managed Creative AI templates and variant/refinement tracking on ai_generations
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.creative_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  system_prompt TEXT,
+  prompt_template TEXT NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creative_templates_type ON public.creative_templates(type, is_active);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_creative_templates_default_per_type ON public.creative_templates(type) WHERE is_default;
+
+-- Generations now keep every variant and a link to the generation they regenerate/refine
+ALTER TABLE IF EXISTS public.ai_generations
+  ADD COLUMN IF NOT EXISTS template_id UUID NULL REFERENCES public.creative_templates(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS parent_id UUID NULL REFERENCES public.ai_generations(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS refine_instruction TEXT,
+  ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS model TEXT,
+  ADD COLUMN IF NOT EXISTS provider TEXT,
+  ADD COLUMN IF NOT EXISTS tokens_used INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_ai_generations_parent ON public.ai_generations(parent_id);
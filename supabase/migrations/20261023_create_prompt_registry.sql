@@ -0,0 +1,59 @@
+-- Versioned prompt registry with A/B traffic split and outcome attribution
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.prompts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  key TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  variables JSONB NOT NULL DEFAULT '[]'::jsonb,
+  published_version_id UUID NULL,
+  candidate_version_id UUID NULL,
+  candidate_traffic INTEGER NOT NULL DEFAULT 0 CHECK (candidate_traffic BETWEEN 0 AND 99),
+  created_by UUID NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.prompt_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prompt_id UUID NOT NULL REFERENCES public.prompts(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  note TEXT,
+  created_by UUID NULL,
+  published_at TIMESTAMP WITH TIME ZONE NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (prompt_id, version)
+);
+
+ALTER TABLE public.prompts
+  DROP CONSTRAINT IF EXISTS prompts_published_version_fk,
+  ADD CONSTRAINT prompts_published_version_fk FOREIGN KEY (published_version_id) REFERENCES public.prompt_versions(id) ON DELETE SET NULL,
+  DROP CONSTRAINT IF EXISTS prompts_candidate_version_fk,
+  ADD CONSTRAINT prompts_candidate_version_fk FOREIGN KEY (candidate_version_id) REFERENCES public.prompt_versions(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS public.prompt_outcomes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prompt_key TEXT NOT NULL,
+  prompt_version_id UUID NOT NULL REFERENCES public.prompt_versions(id) ON DELETE CASCADE,
+  outcome TEXT NOT NULL,
+  score SMALLINT NOT NULL,
+  user_id UUID NULL,
+  reference_type TEXT,
+  reference_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_versions_prompt ON public.prompt_versions(prompt_id, version);
+CREATE INDEX IF NOT EXISTS idx_prompt_outcomes_key ON public.prompt_outcomes(prompt_key, prompt_version_id);
+-- Exposure counts filter the usage ledger by metadata->prompt_version_ids
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_metadata ON public.ai_usage_ledger USING GIN (metadata jsonb_path_ops);
+
+-- Prompt versions that produced each result, used to attribute feedback
+ALTER TABLE IF EXISTS public.ai_conversations
+  ADD COLUMN IF NOT EXISTS prompt_versions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS feedback SMALLINT NULL;
+
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS prompt_versions JSONB NOT NULL DEFAULT '[]'::jsonb;
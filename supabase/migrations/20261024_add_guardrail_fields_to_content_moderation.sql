@@ -0,0 +1,7 @@
+-- AI guardrail events (blocked/modified exchanges) are queued in content_moderation
+ALTER TABLE IF EXISTS public.content_moderation
+  ADD COLUMN IF NOT EXISTS content TEXT,
+  ADD COLUMN IF NOT EXISTS category TEXT,
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_content_moderation_type_status ON public.content_moderation(content_type, status, created_at);
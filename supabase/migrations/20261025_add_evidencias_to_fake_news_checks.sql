@@ -0,0 +1,3 @@
+-- Structured image provenance evidence (C2PA manifest and EXIF) for fake-news checks
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS evidencias JSONB;
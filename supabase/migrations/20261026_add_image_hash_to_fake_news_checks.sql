@@ -0,0 +1,35 @@
+-- Perceptual hash (64-bit dHash, hex) of checked images, so re-uploads reuse the earlier verdict
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS hash_imagem TEXT,
+  ADD COLUMN IF NOT EXISTS verificacao_original_id UUID REFERENCES public.fake_news_checks(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS vezes_visto INTEGER NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_checks_hash_imagem
+  ON public.fake_news_checks(hash_imagem)
+  WHERE hash_imagem IS NOT NULL AND verificacao_original_id IS NULL;
+
+-- Closest original check within the Hamming distance (bit_count requires PostgreSQL 14+)
+CREATE OR REPLACE FUNCTION public.match_fake_news_image(target_hash TEXT, max_distance INTEGER DEFAULT 6)
+RETURNS TABLE (id UUID, distance INTEGER)
+LANGUAGE sql STABLE AS $$
+  SELECT matches.id, matches.distance
+  FROM (
+    SELECT c.id,
+           c.created_at,
+           bit_count(('x' || c.hash_imagem)::bit(64) # ('x' || target_hash)::bit(64))::integer AS distance
+    FROM public.fake_news_checks c
+    WHERE c.hash_imagem IS NOT NULL
+      AND c.verificacao_original_id IS NULL
+  ) matches
+  WHERE matches.distance <= max_distance
+  ORDER BY matches.distance, matches.created_at
+  LIMIT 1;
+$$;
+
+CREATE OR REPLACE FUNCTION public.increment_vezes_visto(check_id UUID)
+RETURNS void LANGUAGE sql AS $$
+  UPDATE public.fake_news_checks
+  SET vezes_visto = coalesce(vezes_visto, 1) + 1,
+      updated_at = now()
+  WHERE id = check_id;
+$$;
@@ -0,0 +1,3 @@
+-- Metadata of the article extracted from link-type checks (title, author, dates, OpenGraph, canonical URL)
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS artigo JSONB;
@@ -0,0 +1,15 @@
+-- Atomic claims of a fake-news check, each with its own verdict
+CREATE TABLE IF NOT EXISTS public.fake_news_claims (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  check_id UUID NOT NULL REFERENCES public.fake_news_checks(id) ON DELETE CASCADE,
+  posicao INTEGER NOT NULL,
+  texto TEXT NOT NULL,
+  resultado TEXT NOT NULL CHECK (resultado IN ('verdade', 'tendencioso', 'fake')),
+  confianca INTEGER,
+  explicacao TEXT,
+  fontes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_claims_check ON public.fake_news_claims(check_id, posicao);
+CREATE INDEX IF NOT EXISTS idx_fake_news_claims_resultado ON public.fake_news_claims(resultado, created_at);
@@ -0,0 +1,51 @@
+-- Admin-curated knowledge base of verified claims used to ground fake-news analysis
+CREATE TABLE IF NOT EXISTS public.fact_check_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  claim TEXT NOT NULL,
+  verdict TEXT NOT NULL CHECK (verdict IN ('verdade', 'tendencioso', 'fake')),
+  summary TEXT,
+  sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+  checked_at DATE,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('portuguese', coalesce(claim, '') || ' ' || coalesce(summary, ''))
+  ) STORED,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fact_check_entries_search ON public.fact_check_entries USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_fact_check_entries_verdict ON public.fact_check_entries(verdict, checked_at DESC);
+
+-- Best active entries for a text. Terms are OR-ed so a long message matches entries that share
+-- only part of its vocabulary; ts_rank orders by how much they share.
+CREATE OR REPLACE FUNCTION public.search_fact_checks(query_text TEXT, match_count INTEGER DEFAULT 3, min_rank REAL DEFAULT 0.01)
+RETURNS TABLE (
+  id UUID,
+  claim TEXT,
+  verdict TEXT,
+  summary TEXT,
+  sources JSONB,
+  checked_at DATE,
+  tags TEXT[],
+  rank REAL
+)
+LANGUAGE sql STABLE AS $$
+  WITH query AS (
+    SELECT replace(plainto_tsquery('portuguese', query_text)::text, ' & ', ' | ')::tsquery AS terms
+  )
+  SELECT e.id, e.claim, e.verdict, e.summary, e.sources, e.checked_at, e.tags,
+         ts_rank(e.search_vector, query.terms) AS rank
+  FROM public.fact_check_entries e, query
+  WHERE e.is_active
+    AND e.search_vector @@ query.terms
+    AND ts_rank(e.search_vector, query.terms) >= min_rank
+  ORDER BY rank DESC
+  LIMIT match_count;
+$$;
+
+-- Knowledge-base entries offered to the model for each check (citada = cited by the model)
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS checagens JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,60 @@
+-- Rumor clusters: checks of the same rumor (similar text, same canonical link or same image)
+CREATE TABLE IF NOT EXISTS public.fake_news_clusters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tipo TEXT NOT NULL CHECK (tipo IN ('texto', 'link', 'imagem')),
+  -- Canonical URL (links) or perceptual hash (images); NULL for text clusters
+  chave TEXT,
+  -- MinHash signature of the first text in the cluster (64 unsigned 32-bit values)
+  assinatura JSONB,
+  -- Sanitized public summary, never the raw submitted content
+  resumo TEXT NOT NULL,
+  resultado TEXT NOT NULL CHECK (resultado IN ('verdade', 'tendencioso', 'fake')),
+  contagem_resultados JSONB NOT NULL DEFAULT '{}'::jsonb,
+  verificacoes INTEGER NOT NULL DEFAULT 0,
+  verificacao_representante_id UUID REFERENCES public.fake_news_checks(id) ON DELETE SET NULL,
+  primeira_verificacao_em TIMESTAMPTZ,
+  ultima_verificacao_em TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fake_news_clusters_tipo_chave
+  ON public.fake_news_clusters(tipo, chave)
+  WHERE chave IS NOT NULL;
+
+-- LSH bands of text clusters (16 bands of 4 MinHash rows), used to find candidate clusters
+CREATE TABLE IF NOT EXISTS public.fake_news_cluster_bands (
+  cluster_id UUID NOT NULL REFERENCES public.fake_news_clusters(id) ON DELETE CASCADE,
+  banda TEXT NOT NULL,
+  PRIMARY KEY (cluster_id, banda)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_cluster_bands_banda
+  ON public.fake_news_cluster_bands(banda);
+
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS cluster_id UUID REFERENCES public.fake_news_clusters(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_checks_cluster_created
+  ON public.fake_news_checks(cluster_id, created_at)
+  WHERE cluster_id IS NOT NULL;
+
+-- Clusters ranked by checks in the last window, ties broken by growth over the previous window
+CREATE OR REPLACE FUNCTION public.trending_fake_news_clusters(window_hours INTEGER DEFAULT 24, max_results INTEGER DEFAULT 10)
+RETURNS TABLE (cluster_id UUID, recentes INTEGER, anteriores INTEGER)
+LANGUAGE sql STABLE AS $$
+  SELECT counts.cluster_id, counts.recentes, counts.anteriores
+  FROM (
+    SELECT c.cluster_id,
+           max(c.created_at) AS ultima,
+           count(*) FILTER (WHERE c.created_at >= now() - make_interval(hours => window_hours))::integer AS recentes,
+           count(*) FILTER (WHERE c.created_at < now() - make_interval(hours => window_hours))::integer AS anteriores
+    FROM public.fake_news_checks c
+    WHERE c.cluster_id IS NOT NULL
+      AND c.created_at >= now() - make_interval(hours => window_hours * 2)
+    GROUP BY c.cluster_id
+  ) counts
+  WHERE counts.recentes > 0
+  ORDER BY counts.recentes DESC, counts.recentes - counts.anteriores DESC, counts.ultima DESC
+  LIMIT max_results;
+$$;
@@ -0,0 +1,8 @@
+-- Owner opt-in to expose a check through the public result page and verdict card
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS compartilhavel BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS compartilhada_em TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_checks_compartilhavel
+  ON public.fake_news_checks(id)
+  WHERE compartilhavel = true;
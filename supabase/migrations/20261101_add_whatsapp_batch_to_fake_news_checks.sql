@@ -0,0 +1,9 @@
+-- WhatsApp chat exports: each analyzed forward is its own check, grouped by lote_id.
+-- origem_whatsapp keeps forwarding metadata only (no participant names).
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS lote_id UUID,
+  ADD COLUMN IF NOT EXISTS origem_whatsapp JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_checks_lote_id
+  ON public.fake_news_checks(lote_id)
+  WHERE lote_id IS NOT NULL;
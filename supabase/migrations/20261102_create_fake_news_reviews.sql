@@ -0,0 +1,46 @@
+-- Community reviewer program: trusted users submit structured counter-reviews of AI verdicts
+CREATE TABLE IF NOT EXISTS public.fake_news_reviewers (
+  user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'ativo' CHECK (status IN ('ativo', 'suspenso')),
+  -- 0-100; grows when reviews match the moderator's final verdict, drops when they don't
+  reputacao INTEGER NOT NULL DEFAULT 50 CHECK (reputacao BETWEEN 0 AND 100),
+  revisoes_enviadas INTEGER NOT NULL DEFAULT 0,
+  revisoes_confirmadas INTEGER NOT NULL DEFAULT 0,
+  revisoes_rejeitadas INTEGER NOT NULL DEFAULT 0,
+  aprovado_por UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.fake_news_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  check_id UUID NOT NULL REFERENCES public.fake_news_checks(id) ON DELETE CASCADE,
+  reviewer_id UUID NOT NULL REFERENCES public.fake_news_reviewers(user_id) ON DELETE CASCADE,
+  resultado TEXT NOT NULL CHECK (resultado IN ('verdade', 'tendencioso', 'fake')),
+  evidencias JSONB NOT NULL DEFAULT '[]'::jsonb,
+  notas TEXT,
+  -- Reviewer reputation when the review was submitted (what counts toward disputes)
+  reputacao_no_envio INTEGER NOT NULL,
+  avaliacao TEXT NOT NULL DEFAULT 'pendente' CHECK (avaliacao IN ('pendente', 'confirmada', 'rejeitada')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (check_id, reviewer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_reviews_reviewer
+  ON public.fake_news_reviews(reviewer_id, created_at DESC);
+
+-- situacao: 'ia' (AI verdict stands), 'contestada' (disputed by reviewers, awaiting moderation),
+-- 'confirmada' (moderator set resultado_final)
+ALTER TABLE IF EXISTS public.fake_news_checks
+  ADD COLUMN IF NOT EXISTS situacao TEXT NOT NULL DEFAULT 'ia' CHECK (situacao IN ('ia', 'contestada', 'confirmada')),
+  ADD COLUMN IF NOT EXISTS resultado_final TEXT CHECK (resultado_final IN ('verdade', 'tendencioso', 'fake')),
+  ADD COLUMN IF NOT EXISTS moderacao_pendente BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS moderacao_notas TEXT,
+  ADD COLUMN IF NOT EXISTS contestada_em TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS moderada_em TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS moderada_por UUID;
+
+CREATE INDEX IF NOT EXISTS idx_fake_news_checks_moderacao_pendente
+  ON public.fake_news_checks(contestada_em)
+  WHERE moderacao_pendente = true;
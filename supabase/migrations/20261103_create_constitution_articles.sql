@@ -0,0 +1,70 @@
+-- Structured text of the Federal Constitution (and ADCT), one row per article.
+-- dispositivos holds the parágrafo > inciso > alínea tree; texto is the full article as plain text.
+CREATE TABLE IF NOT EXISTS public.constitution_articles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  documento TEXT NOT NULL DEFAULT 'CF' CHECK (documento IN ('CF', 'ADCT')),
+  numero INTEGER NOT NULL,
+  sufixo TEXT NOT NULL DEFAULT '',
+  rotulo TEXT NOT NULL,
+  titulo TEXT,
+  capitulo TEXT,
+  secao TEXT,
+  caput TEXT NOT NULL DEFAULT '',
+  texto TEXT NOT NULL,
+  dispositivos JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ordem INTEGER NOT NULL,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('portuguese', coalesce(texto, ''))
+  ) STORED,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (documento, numero, sufixo)
+);
+
+CREATE INDEX IF NOT EXISTS idx_constitution_articles_search ON public.constitution_articles USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_constitution_articles_ordem ON public.constitution_articles(documento, ordem);
+
+-- Keyword search over the articles. With match_all the query uses web-search syntax (all terms,
+-- "quoted phrases", -exclusions); otherwise terms are OR-ed, as in search_fact_checks, so a
+-- natural-language question still finds the articles that share part of its vocabulary.
+CREATE OR REPLACE FUNCTION public.search_constitution(
+  query_text TEXT,
+  match_count INTEGER DEFAULT 10,
+  min_rank REAL DEFAULT 0.01,
+  match_all BOOLEAN DEFAULT FALSE,
+  only_documento TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  documento TEXT,
+  numero INTEGER,
+  sufixo TEXT,
+  rotulo TEXT,
+  titulo TEXT,
+  capitulo TEXT,
+  secao TEXT,
+  caput TEXT,
+  texto TEXT,
+  dispositivos JSONB,
+  rank REAL,
+  trecho TEXT
+)
+LANGUAGE sql STABLE AS $$
+  WITH query AS (
+    SELECT CASE
+      WHEN match_all THEN websearch_to_tsquery('portuguese', query_text)
+      ELSE replace(plainto_tsquery('portuguese', query_text)::text, ' & ', ' | ')::tsquery
+    END AS terms
+  )
+  SELECT a.id, a.documento, a.numero, a.sufixo, a.rotulo, a.titulo, a.capitulo, a.secao,
+         a.caput, a.texto, a.dispositivos,
+         ts_rank(a.search_vector, query.terms) AS rank,
+         ts_headline('portuguese', a.texto, query.terms,
+           'StartSel=<mark>, StopSel=</mark>, MaxWords=40, MinWords=15, MaxFragments=2') AS trecho
+  FROM public.constitution_articles a, query
+  WHERE a.search_vector @@ query.terms
+    AND ts_rank(a.search_vector, query.terms) >= min_rank
+    AND (only_documento IS NULL OR a.documento = only_documento)
+  ORDER BY rank DESC, a.documento, a.ordem
+  LIMIT match_count;
+$$;
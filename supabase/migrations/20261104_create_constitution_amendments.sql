@@ -0,0 +1,48 @@
+-- Constitutional amendments (Emendas Constitucionais and Emendas Constitucionais de Revisão)
+CREATE TABLE IF NOT EXISTS public.constitution_amendments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tipo TEXT NOT NULL DEFAULT 'EC' CHECK (tipo IN ('EC', 'ECR')),
+  numero INTEGER NOT NULL,
+  ano INTEGER NOT NULL,
+  promulgada_em DATE,
+  ementa TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (tipo, numero)
+);
+
+CREATE INDEX IF NOT EXISTS idx_constitution_amendments_ano ON public.constitution_amendments(ano DESC, numero DESC);
+
+-- Articles touched by each amendment, from the "(Redação dada pela Emenda Constitucional nº ...)"
+-- notes in the official text and from new versions recorded on import.
+-- efeitos: redacao | inclusao | revogacao; dispositivos: labels such as "§ 3º" or "LXXIX" (empty = caput/whole article)
+CREATE TABLE IF NOT EXISTS public.constitution_amendment_articles (
+  amendment_id UUID NOT NULL REFERENCES public.constitution_amendments(id) ON DELETE CASCADE,
+  article_id UUID NOT NULL REFERENCES public.constitution_articles(id) ON DELETE CASCADE,
+  efeitos TEXT[] NOT NULL DEFAULT '{}',
+  dispositivos TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (amendment_id, article_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_constitution_amendment_articles_article ON public.constitution_amendment_articles(article_id);
+
+-- Full-text snapshots of each article over time. The open version (vigente_ate IS NULL) matches
+-- constitution_articles; amendment_id is NULL for the original 1988 wording or when unknown.
+-- vigente_desde may be NULL for a first version imported without a known date.
+CREATE TABLE IF NOT EXISTS public.constitution_article_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  article_id UUID NOT NULL REFERENCES public.constitution_articles(id) ON DELETE CASCADE,
+  versao INTEGER NOT NULL,
+  amendment_id UUID REFERENCES public.constitution_amendments(id) ON DELETE SET NULL,
+  caput TEXT NOT NULL DEFAULT '',
+  texto TEXT NOT NULL,
+  dispositivos JSONB NOT NULL DEFAULT '[]'::jsonb,
+  vigente_desde DATE,
+  vigente_ate DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (article_id, versao)
+);
+
+CREATE INDEX IF NOT EXISTS idx_constitution_article_versions_open ON public.constitution_article_versions(article_id) WHERE vigente_ate IS NULL;
+CREATE INDEX IF NOT EXISTS idx_constitution_article_versions_amendment ON public.constitution_article_versions(amendment_id);
@@ -0,0 +1,48 @@
+-- Multi-turn chat sessions with politician agents
+CREATE TABLE IF NOT EXISTS public.agent_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES public.politician_agents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  titulo TEXT,
+  mensagens INTEGER NOT NULL DEFAULT 0,
+  ultima_mensagem_em TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_sessions_user_agent ON public.agent_sessions(user_id, agent_id, ultima_mensagem_em DESC);
+
+ALTER TABLE IF EXISTS public.agent_conversations
+  ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES public.agent_sessions(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_agent_conversations_session_created ON public.agent_conversations(session_id, created_at);
+
+-- Rolling summary of older turns of a session (same shape as ai_conversation_summaries)
+CREATE TABLE IF NOT EXISTS public.agent_session_summaries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL UNIQUE REFERENCES public.agent_sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+  summary TEXT NOT NULL,
+  summarized_until TIMESTAMPTZ NOT NULL,
+  turns_summarized INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Long-term memory about each user, shared by all agents: facts the user stated
+-- (tipo = 'fato', e.g. chave 'cidade') and topics they asked about (tipo = 'topico').
+-- agent_id records where the memory was last learned.
+CREATE TABLE IF NOT EXISTS public.agent_user_memories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  tipo TEXT NOT NULL CHECK (tipo IN ('fato', 'topico')),
+  chave TEXT NOT NULL,
+  valor TEXT NOT NULL,
+  vezes INTEGER NOT NULL DEFAULT 1,
+  agent_id UUID REFERENCES public.politician_agents(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, tipo, chave)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_user_memories_user ON public.agent_user_memories(user_id, updated_at DESC);
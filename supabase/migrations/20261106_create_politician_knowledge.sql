@@ -0,0 +1,66 @@
+-- Passages of each politician's government plan (text and PDF) and published posts,
+-- retrieved by the politician's agent at chat time
+CREATE TABLE IF NOT EXISTS public.politician_knowledge_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  politician_id UUID NOT NULL REFERENCES public.politicians(id) ON DELETE CASCADE,
+  -- plano = politicians.government_plan, plano_pdf = government_plan_pdf_url, post = politician_posts
+  fonte TEXT NOT NULL CHECK (fonte IN ('plano', 'plano_pdf', 'post')),
+  -- Post id for posts; the PDF url for plano_pdf; '' for plano
+  fonte_ref TEXT NOT NULL DEFAULT '',
+  titulo TEXT,
+  url TEXT,
+  posicao INTEGER NOT NULL,
+  conteudo TEXT NOT NULL,
+  -- Hash of the whole source text, used to skip unchanged sources when reindexing
+  fonte_hash TEXT NOT NULL,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('portuguese', coalesce(titulo, '')), 'B') ||
+    setweight(to_tsvector('portuguese', conteudo), 'A')
+  ) STORED,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (politician_id, fonte, fonte_ref, posicao)
+);
+
+CREATE INDEX IF NOT EXISTS idx_politician_knowledge_chunks_search ON public.politician_knowledge_chunks USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_politician_knowledge_chunks_politician ON public.politician_knowledge_chunks(politician_id, fonte);
+
+-- Last indexing run per politician (status shown to the politician and admins)
+CREATE TABLE IF NOT EXISTS public.politician_knowledge_index (
+  politician_id UUID PRIMARY KEY REFERENCES public.politicians(id) ON DELETE CASCADE,
+  fontes INTEGER NOT NULL DEFAULT 0,
+  trechos INTEGER NOT NULL DEFAULT 0,
+  erros JSONB NOT NULL DEFAULT '[]'::jsonb,
+  indexed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Best passages of one politician for a question. Terms are OR-ed (as in search_fact_checks)
+-- so a conversational question still matches passages that share part of its vocabulary.
+CREATE OR REPLACE FUNCTION public.search_politician_knowledge(
+  target_politician_id UUID,
+  query_text TEXT,
+  match_count INTEGER DEFAULT 4,
+  min_rank REAL DEFAULT 0.02
+)
+RETURNS TABLE (
+  id UUID,
+  fonte TEXT,
+  fonte_ref TEXT,
+  titulo TEXT,
+  url TEXT,
+  posicao INTEGER,
+  conteudo TEXT,
+  rank REAL
+)
+LANGUAGE sql STABLE AS $$
+  WITH query AS (
+    SELECT replace(plainto_tsquery('portuguese', query_text)::text, ' & ', ' | ')::tsquery AS terms
+  )
+  SELECT c.id, c.fonte, c.fonte_ref, c.titulo, c.url, c.posicao, c.conteudo,
+         ts_rank(c.search_vector, query.terms) AS rank
+  FROM public.politician_knowledge_chunks c, query
+  WHERE c.politician_id = target_politician_id
+    AND c.search_vector @@ query.terms
+    AND ts_rank(c.search_vector, query.terms) >= min_rank
+  ORDER BY rank DESC
+  LIMIT match_count;
+$$;
@@ -0,0 +1,19 @@
+-- Debates between two politician agents on a topic, stored as a shareable transcript
+CREATE TABLE IF NOT EXISTS public.agent_debates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  agent_a_id UUID NOT NULL REFERENCES public.politician_agents(id) ON DELETE CASCADE,
+  agent_b_id UUID NOT NULL REFERENCES public.politician_agents(id) ON DELETE CASCADE,
+  tema TEXT NOT NULL,
+  rodadas INTEGER NOT NULL,
+  -- [{ rodada, agent_id, nome, conteudo, provider, model, created_at }], in speaking order
+  turnos JSONB NOT NULL DEFAULT '[]'::jsonb,
+  resumo_moderador TEXT,
+  -- interrompido = a turn failed and the transcript stops at the last generated turn
+  status TEXT NOT NULL DEFAULT 'concluido' CHECK (status IN ('concluido', 'interrompido')),
+  compartilhavel BOOLEAN NOT NULL DEFAULT FALSE,
+  compartilhado_em TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_debates_user ON public.agent_debates(user_id, created_at DESC);
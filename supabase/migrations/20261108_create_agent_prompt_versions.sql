@@ -0,0 +1,36 @@
+-- Published versions of each politician agent's prompt (politician_agents.trained_prompt).
+-- Every save creates a new version; restoring an old version also creates a new one.
+CREATE TABLE IF NOT EXISTS public.agent_prompt_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES public.politician_agents(id) ON DELETE CASCADE,
+  versao INTEGER NOT NULL,
+  conteudo TEXT NOT NULL,
+  nota TEXT,
+  -- inicial = prompt the agent was created with; edicao = saved by the politician or an admin;
+  -- rascunho = draft published; restauracao = copy of an older version
+  origem TEXT NOT NULL DEFAULT 'edicao' CHECK (origem IN ('inicial', 'edicao', 'rascunho', 'restauracao')),
+  restaurada_de INTEGER,
+  autor_id UUID,
+  autor_nome TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (agent_id, versao)
+);
+
+-- Published version currently live, plus a single draft slot tested in the sandbox chat
+ALTER TABLE IF EXISTS public.politician_agents
+  ADD COLUMN IF NOT EXISTS prompt_version INTEGER,
+  ADD COLUMN IF NOT EXISTS draft_prompt TEXT,
+  ADD COLUMN IF NOT EXISTS draft_note TEXT,
+  ADD COLUMN IF NOT EXISTS draft_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS draft_updated_by UUID;
+
+-- Existing prompts become version 1
+INSERT INTO public.agent_prompt_versions (agent_id, versao, conteudo, nota, origem, created_at)
+SELECT a.id, 1, a.trained_prompt, 'Versão inicial', 'inicial', a.created_at
+FROM public.politician_agents a
+WHERE a.trained_prompt IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM public.agent_prompt_versions v WHERE v.agent_id = a.id);
+
+UPDATE public.politician_agents
+SET prompt_version = 1
+WHERE trained_prompt IS NOT NULL AND prompt_version IS NULL;
@@ -0,0 +1,42 @@
+-- Golden questions of each politician agent: what a good answer must cover and must never say
+CREATE TABLE IF NOT EXISTS public.agent_golden_questions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES public.politician_agents(id) ON DELETE CASCADE,
+  pergunta TEXT NOT NULL,
+  -- Key points the answer is expected to cover; alternatives separated by "|"
+  pontos_esperados TEXT[] NOT NULL DEFAULT '{}',
+  -- Statements the answer must not make (e.g. promises outside the plan)
+  afirmacoes_proibidas TEXT[] NOT NULL DEFAULT '{}',
+  -- Extra criteria for the optional LLM judge
+  rubrica TEXT,
+  ativa BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (cardinality(pontos_esperados) > 0 OR cardinality(afirmacoes_proibidas) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_golden_questions_agent ON public.agent_golden_questions(agent_id, created_at);
+
+-- Each run of the golden questions against the published prompt or the draft
+CREATE TABLE IF NOT EXISTS public.agent_evaluation_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES public.politician_agents(id) ON DELETE CASCADE,
+  prompt TEXT NOT NULL CHECK (prompt IN ('atual', 'rascunho')),
+  -- Published version evaluated (NULL for the draft or agents without their own prompt)
+  prompt_version INTEGER,
+  juiz BOOLEAN NOT NULL DEFAULT FALSE,
+  -- parcial = at least one question got no answer from the model
+  status TEXT NOT NULL DEFAULT 'concluido' CHECK (status IN ('concluido', 'parcial')),
+  total INTEGER NOT NULL DEFAULT 0,
+  aprovadas INTEGER NOT NULL DEFAULT 0,
+  nota_media NUMERIC(5, 2),
+  -- [{ question_id, pergunta, resposta, pontos, violacoes, juiz, nota, aprovada, erro }]
+  resultados JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Difference to the latest earlier run of the published prompt: { run_id, nota_media, delta, regressoes, melhorias }
+  comparacao JSONB,
+  executado_por UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_evaluation_runs_agent ON public.agent_evaluation_runs(agent_id, created_at DESC);
@@ -0,0 +1,53 @@
+-- Aggregated AI usage report computed in the database (the API only returns up to 1000 rows,
+-- so summing ledger rows in the app undercounts large periods).
+-- One row per bucket: dimension = total | feature | model | plan | day.
+CREATE OR REPLACE FUNCTION public.ai_usage_report(
+  start_date TIMESTAMPTZ,
+  end_date TIMESTAMPTZ,
+  feature_filter TEXT DEFAULT NULL,
+  plan_filter TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  dimension TEXT,
+  key TEXT,
+  calls BIGINT,
+  prompt_tokens BIGINT,
+  completion_tokens BIGINT,
+  total_tokens BIGINT,
+  cost_usd NUMERIC,
+  unique_users BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  WITH usage_rows AS (
+    SELECT COALESCE(l.feature, 'unknown') AS feature_key,
+           l.provider || '/' || l.model AS model_key,
+           COALESCE(l.plan, 'desconhecido') AS plan_key,
+           to_char(l.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day_key,
+           l.user_id,
+           l.prompt_tokens,
+           l.completion_tokens,
+           l.total_tokens,
+           l.cost_usd
+    FROM public.ai_usage_ledger l
+    WHERE l.created_at >= start_date
+      AND l.created_at <= end_date
+      AND (feature_filter IS NULL OR l.feature = feature_filter)
+      AND (plan_filter IS NULL OR l.plan = plan_filter)
+  )
+  SELECT CASE
+           WHEN GROUPING(feature_key) = 0 THEN 'feature'
+           WHEN GROUPING(model_key) = 0 THEN 'model'
+           WHEN GROUPING(plan_key) = 0 THEN 'plan'
+           WHEN GROUPING(day_key) = 0 THEN 'day'
+           ELSE 'total'
+         END,
+         COALESCE(feature_key, model_key, plan_key, day_key, 'total'),
+         COUNT(*),
+         COALESCE(SUM(usage_rows.prompt_tokens), 0)::BIGINT,
+         COALESCE(SUM(usage_rows.completion_tokens), 0)::BIGINT,
+         COALESCE(SUM(usage_rows.total_tokens), 0)::BIGINT,
+         COALESCE(SUM(usage_rows.cost_usd), 0),
+         COUNT(DISTINCT usage_rows.user_id)
+  FROM usage_rows
+  GROUP BY GROUPING SETS ((), (feature_key), (model_key), (plan_key), (day_key));
+$$;
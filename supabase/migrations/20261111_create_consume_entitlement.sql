@@ -0,0 +1,45 @@
+-- Atomic quota check-and-consume (services/entitlements.js). Requests of the same user and
+-- feature are serialized with an advisory lock, so concurrent requests cannot all pass the
+-- check and exceed the limit. Returns the usage counted before this request and the ids of
+-- the rows inserted, so the API can release them when the request ends without a result.
+CREATE OR REPLACE FUNCTION public.consume_entitlement(
+  target_user_id UUID,
+  target_feature TEXT,
+  usage_limit INTEGER,
+  window_start TIMESTAMPTZ,
+  window_end TIMESTAMPTZ,
+  amount INTEGER DEFAULT 1,
+  usage_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS TABLE (granted BOOLEAN, used INTEGER, usage_ids UUID[])
+LANGUAGE plpgsql AS $$
+DECLARE
+  current_used INTEGER;
+  new_ids UUID[];
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtextextended(target_user_id::text || ':' || target_feature, 0));
+
+  SELECT COUNT(*) INTO current_used
+  FROM public.entitlement_usage u
+  WHERE u.user_id = target_user_id
+    AND u.feature = target_feature
+    AND u.created_at >= window_start
+    AND u.created_at < window_end;
+
+  -- usage_limit = -1 means unlimited
+  IF usage_limit <> -1 AND current_used + amount > usage_limit THEN
+    RETURN QUERY SELECT FALSE, current_used, ARRAY[]::UUID[];
+    RETURN;
+  END IF;
+
+  WITH inserted AS (
+    INSERT INTO public.entitlement_usage (user_id, feature, metadata, created_at)
+    SELECT target_user_id, target_feature, usage_metadata, NOW()
+    FROM generate_series(1, amount)
+    RETURNING id
+  )
+  SELECT array_agg(inserted.id) INTO new_ids FROM inserted;
+
+  RETURN QUERY SELECT TRUE, current_used, COALESCE(new_ids, ARRAY[]::UUID[]);
+END;
+$$;
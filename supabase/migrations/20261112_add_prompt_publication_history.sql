@@ -0,0 +1,19 @@
+-- Publication history of each prompt, used by rollback (routes/adminPrompts.js). Publishing
+-- pushes the version it replaces; rollback pops the last entry, so consecutive rollbacks keep
+-- stepping back instead of alternating between the two most recent versions.
+ALTER TABLE public.prompts
+  ADD COLUMN IF NOT EXISTS published_history UUID[] NOT NULL DEFAULT '{}';
+
+-- Backfill from the versions published so far, oldest first
+UPDATE public.prompts p
+SET published_history = history.ids
+FROM (
+  SELECT v.prompt_id, array_agg(v.id ORDER BY v.published_at) AS ids
+  FROM public.prompt_versions v
+  JOIN public.prompts current_prompt ON current_prompt.id = v.prompt_id
+  WHERE v.published_at IS NOT NULL
+    AND v.id IS DISTINCT FROM current_prompt.published_version_id
+  GROUP BY v.prompt_id
+) history
+WHERE history.prompt_id = p.id
+  AND cardinality(p.published_history) = 0;
@@ -0,0 +1,30 @@
+-- Recomputes a rumor cluster's counts, aggregate verdict and dates from its checks
+-- (services/rumorClusters.js). Aggregating in the database avoids reading every check of a
+-- large cluster through the API, which is capped at 1000 rows per request.
+CREATE OR REPLACE FUNCTION public.refresh_fake_news_cluster(target_cluster_id UUID)
+RETURNS VOID
+LANGUAGE sql AS $$
+  WITH verdicts AS (
+    -- A verdict confirmed by moderation takes precedence over the AI's
+    SELECT COALESCE(c.resultado_final, c.resultado) AS resultado,
+           count(*)::integer AS total,
+           min(c.created_at) AS primeira,
+           max(c.created_at) AS ultima
+    FROM public.fake_news_checks c
+    WHERE c.cluster_id = target_cluster_id
+    GROUP BY 1
+  ),
+  leaders AS (
+    SELECT v.resultado FROM verdicts v
+    WHERE v.total = (SELECT max(total) FROM verdicts)
+  )
+  UPDATE public.fake_news_clusters cluster
+  SET resultado = CASE WHEN (SELECT count(*) FROM leaders) = 1 THEN (SELECT resultado FROM leaders) ELSE 'tendencioso' END,
+      contagem_resultados = (SELECT jsonb_object_agg(v.resultado, v.total) FROM verdicts v),
+      verificacoes = (SELECT sum(v.total)::integer FROM verdicts v),
+      primeira_verificacao_em = (SELECT min(v.primeira) FROM verdicts v),
+      ultima_verificacao_em = (SELECT max(v.ultima) FROM verdicts v),
+      updated_at = now()
+  WHERE cluster.id = target_cluster_id
+    AND EXISTS (SELECT 1 FROM verdicts);
+$$;
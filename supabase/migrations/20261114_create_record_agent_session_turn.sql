@@ -0,0 +1,12 @@
+-- Counts a saved turn on an agent chat session (services/agentSessions.js). The increment
+-- happens in the database so concurrent turns of the same session do not overwrite each other.
+CREATE OR REPLACE FUNCTION public.record_agent_session_turn(target_session_id UUID)
+RETURNS INTEGER
+LANGUAGE sql AS $$
+  UPDATE public.agent_sessions
+  SET mensagens = mensagens + 1,
+      ultima_mensagem_em = NOW(),
+      updated_at = NOW()
+  WHERE id = target_session_id
+  RETURNING mensagens;
+$$;
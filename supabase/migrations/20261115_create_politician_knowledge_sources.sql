@@ -0,0 +1,18 @@
+-- Indexed sources of a politician, one row per source with its chunk count
+-- (services/politicianKnowledge.js). Grouping in the database keeps reindexing and the status
+-- endpoint correct past the API's 1000-row limit on the chunk table. A source whose chunks
+-- disagree on the hash (interrupted reindex) gets a NULL hash so it is indexed again.
+CREATE OR REPLACE FUNCTION public.politician_knowledge_sources(target_politician_id UUID)
+RETURNS TABLE (fonte TEXT, fonte_ref TEXT, fonte_hash TEXT, titulo TEXT, url TEXT, trechos INTEGER)
+LANGUAGE sql STABLE AS $$
+  SELECT c.fonte,
+         c.fonte_ref,
+         CASE WHEN count(DISTINCT c.fonte_hash) = 1 THEN min(c.fonte_hash) END,
+         (array_agg(c.titulo ORDER BY c.posicao))[1],
+         (array_agg(c.url ORDER BY c.posicao))[1],
+         count(*)::integer
+  FROM public.politician_knowledge_chunks c
+  WHERE c.politician_id = target_politician_id
+  GROUP BY c.fonte, c.fonte_ref
+  ORDER BY c.fonte, c.fonte_ref;
+$$;
@@ -0,0 +1,16 @@
+-- Total AI spend of one user since a given moment, optionally for a single feature
+-- (services/aiUsageLedger.js). Summed in the database so the check does not depend on the
+-- API row limit; used as a spending cap for features without a plan quota.
+CREATE OR REPLACE FUNCTION public.ai_usage_spend(
+  target_user_id UUID,
+  since TIMESTAMPTZ,
+  feature_filter TEXT DEFAULT NULL
+)
+RETURNS NUMERIC
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(SUM(l.cost_usd), 0)
+  FROM public.ai_usage_ledger l
+  WHERE l.user_id = target_user_id
+    AND l.created_at >= since
+    AND (feature_filter IS NULL OR l.feature = feature_filter);
+$$;
@@ -0,0 +1,19 @@
+-- Positive and negative outcomes per prompt version and outcome type (services/promptRegistry.js).
+-- Counted in the database: reading the raw prompt_outcomes rows stops at the API row limit
+-- once a prompt has more than 1000 outcomes.
+CREATE OR REPLACE FUNCTION public.prompt_outcome_stats(target_prompt_key TEXT)
+RETURNS TABLE (
+  prompt_version_id UUID,
+  outcome TEXT,
+  positive BIGINT,
+  negative BIGINT
+)
+LANGUAGE sql STABLE AS $$
+  SELECT o.prompt_version_id,
+         o.outcome,
+         COUNT(*) FILTER (WHERE o.score > 0) AS positive,
+         COUNT(*) FILTER (WHERE o.score < 0) AS negative
+  FROM public.prompt_outcomes o
+  WHERE o.prompt_key = target_prompt_key
+  GROUP BY o.prompt_version_id, o.outcome;
+$$;
@@ -0,0 +1,13 @@
+-- Conversation ids come from the client, so a summary row is keyed by conversation and user:
+-- with UNIQUE(conversation_id) alone, another user sending the same id would overwrite the
+-- first user's summary (services/conversationContext.js upserts on both columns).
+ALTER TABLE public.ai_conversation_summaries
+  DROP CONSTRAINT IF EXISTS ai_conversation_summaries_conversation_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_conversation_summaries_conversation_user
+  ON public.ai_conversation_summaries(conversation_id, user_id);
+
+-- Agent session summaries go through the same upsert
+ALTER TABLE public.agent_session_summaries
+  DROP CONSTRAINT IF EXISTS agent_session_summaries_session_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_session_summaries_session_user
+  ON public.agent_session_summaries(session_id, user_id);
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Prompt com três versões publicadas em sequência (v1 → v2 → v3)
+const versions = [1, 2, 3].map(number => ({ id: `v${number}`, prompt_id: 'p1', version: number, content: `texto ${number}` }));
+let prompt = { id: 'p1', key: 'prompt_sem_padrao', published_version_id: 'v3', published_history: ['v1', 'v2'] };
+
+installFakeSupabase((operation) => {
+  const id = operation.filters.find(([method, column]) => method === 'eq' && column === 'id')?.[2];
+  if (operation.table === 'prompts') {
+    if (operation.action === 'update') prompt = { ...prompt, ...operation.payload };
+    return { data: prompt, error: null };
+  }
+  if (operation.table === 'prompt_versions' && operation.action === 'select') {
+    return { data: versions.find(version => version.id === id) || null, error: null };
+  }
+  return { data: null, error: null };
+});
+
+// Autenticação substituída: os testes cobrem só as rotas de administração
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+const passThrough = (req, res, next) => { req.user = { id: 'admin', email: 'admin@example.com' }; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: passThrough, authenticateAdmin: passThrough } };
+
+const app = express();
+app.use(express.json());
+app.use('/prompts', require('../routes/adminPrompts'));
+
+async function rollback(server) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/prompts/${prompt.key}/rollback`, { method: 'POST' });
+  return { status: response.status, body: await response.json() };
+}
+
+test('rollbacks seguidos voltam pelo histórico de publicação', async () => {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  try {
+    const first = await rollback(server);
+    const second = await rollback(server);
+    const third = await rollback(server);
+
+    assert.equal(first.body.published_version, 2);
+    assert.equal(second.body.published_version, 1);
+    assert.deepEqual(prompt.published_history, []);
+    assert.equal(third.status, 400);
+    assert.equal(prompt.published_version_id, 'v1');
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,48 @@
+// Chat com agente sem provedor de IA configurado: a resposta simulada não pode contar na cota
+process.env.AI_PROVIDER_CHAIN = 'local';
+process.env.AI_LOCAL_BASE_URL = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+const agent = { id: 'ag1', politician_id: 'p1', is_active: true, politicians: { name: 'Fulana', position: 'Deputada', state: 'SP' } };
+const fake = installFakeSupabase((operation) => {
+  if (operation.rpc === 'consume_entitlement') return { data: [{ granted: true, used: 0, usage_ids: ['reserva'] }], error: null };
+  if (operation.rpc) return { data: 1, error: null };
+  if (operation.table === 'politician_agents') return { data: agent, error: null };
+  if (operation.table === 'agent_sessions' && operation.action === 'insert') {
+    return { data: { id: 's1', agent_id: 'ag1', user_id: 'u1', mensagens: 0 }, error: null };
+  }
+  return { data: operation.single ? null : [], error: null };
+});
+
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+const auth = (req, res, next) => { req.user = { id: 'u1', plan: 'premium', email: 'u1@example.com' }; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: auth, authenticateAdmin: auth, optionalAuthenticateUser: auth } };
+
+const app = express();
+app.use(express.json());
+app.use('/agents', require('../routes/agents'));
+
+test('resposta simulada devolve o uso reservado e o turno é contado no banco', async () => {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/agents/ag1/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Qual sua proposta para a saúde?' })
+    });
+    assert.equal(response.status, 200);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const release = fake.calls.find(call => call.table === 'entitlement_usage' && call.action === 'delete');
+    assert.deepEqual(release?.filters, [['in', 'id', ['reserva']]]);
+    const turn = fake.calls.find(call => call.rpc === 'record_agent_session_turn');
+    assert.deepEqual(turn.params, { target_session_id: 's1' });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,78 @@
+// Debate com o provedor mock: a cota é descontada por chamada ao modelo que gerou resposta
+process.env.AI_PROVIDER_CHAIN = 'mock';
+process.env.AI_LOCAL_BASE_URL = '';
+process.env.AI_MOCK_RESPONSE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+const agents = ['a1', 'a2'].map((id, i) => ({ id, politician_id: `p${i}`, is_active: true, politicians: { name: `Político ${i}`, position: 'Senador' } }));
+// consume_entitlement com a cota do plano gratuito (5 usos de political_agents no mês)
+let used = 0;
+let nextId = 0;
+const fake = installFakeSupabase((operation) => {
+  if (operation.rpc === 'consume_entitlement') {
+    const { amount, usage_limit: limit } = operation.params;
+    if (used + amount > limit) return { data: [{ granted: false, used, usage_ids: [] }], error: null };
+    const before = used;
+    used += amount;
+    return { data: [{ granted: true, used: before, usage_ids: Array.from({ length: amount }, () => `uso-${nextId++}`) }], error: null };
+  }
+  if (operation.table === 'politician_agents') return { data: agents, error: null };
+  if (operation.table === 'agent_debates' && operation.action === 'insert') return { data: operation.payload, error: null };
+  return { data: operation.single ? null : [], error: null };
+});
+
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+const auth = (req, res, next) => { req.user = { id: 'u1', plan: 'gratuito' }; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: auth, authenticateAdmin: auth, optionalAuthenticateUser: auth } };
+
+const app = express();
+app.use(express.json());
+app.use('/agents', require('../routes/agents'));
+
+async function debate(body) {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/agents/debate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ agent_ids: ['a1', 'a2'], topic: 'Saúde pública', ...body })
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    return response;
+  } finally {
+    server.close();
+  }
+}
+
+const reservations = () => fake.calls.filter(call => call.rpc === 'consume_entitlement').map(call => call.params.amount);
+const released = () => fake.calls
+  .filter(call => call.table === 'entitlement_usage' && call.action === 'delete')
+  .flatMap(call => call.filters.find(([method]) => method === 'in')[2]);
+
+test('debate de 2 rodadas com moderador reserva os 5 usos antes de começar', async () => {
+  const response = await debate({ rounds: 2 });
+
+  assert.equal(response.status, 201);
+  // Um uso reservado pelo middleware e os outros 4 pela rota, todos mantidos
+  assert.deepEqual(reservations(), [1, 4]);
+  assert.deepEqual(released(), []);
+  assert.equal(fake.calls.filter(call => call.table === 'entitlement_usage' && call.action === 'insert').length, 0);
+});
+
+test('cota restante menor que as chamadas do debate é recusada antes de chamar o modelo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  used = 2;
+  const before = fake.calls.filter(call => call.table === 'ai_usage_ledger').length;
+  const response = await debate({ rounds: 2 });
+
+  assert.equal(response.status, 429);
+  assert.equal((await response.json()).error, 'Este debate usa 5 mensagens da sua cota e restam 3');
+  assert.equal(fake.calls.filter(call => call.table === 'ai_usage_ledger').length, before);
+  // O que chegou a ser reservado volta para a cota
+  assert.equal(released().length, 3);
+});
@@ -0,0 +1,107 @@
+// Avaliação com o provedor mock: limite de execuções por usuário e gasto diário no ledger
+process.env.AI_PROVIDER_CHAIN = 'mock';
+process.env.AI_LOCAL_BASE_URL = '';
+process.env.AI_MOCK_RESPONSE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+const agent = { id: 'a1', politician_id: 'p1', is_active: true, trained_prompt: 'Você é o agente.', politicians: { name: 'Político', email: 'politico@example.com' } };
+const questions = ['saúde', 'educação', 'moradia'].map((tema, index) => ({
+  id: `q${index + 1}`, agent_id: 'a1', pergunta: `O que propõe para ${tema}?`, pontos_esperados: [tema], afirmacoes_proibidas: [], ativa: true
+}));
+let granted = true;
+// Gasto devolvido pelo ledger a cada consulta; o último valor se repete
+let spending = [0];
+const fake = installFakeSupabase((operation) => {
+  if (operation.rpc === 'consume_entitlement') return { data: [{ granted, used: 0, usage_ids: ['r1'] }], error: null };
+  if (operation.rpc === 'ai_usage_spend') return { data: String(spending.length > 1 ? spending.shift() : spending[0]), error: null };
+  if (operation.table === 'politician_agents') return { data: agent, error: null };
+  if (operation.table === 'agent_golden_questions') return { data: questions, error: null };
+  if (operation.table === 'agent_evaluation_runs' && operation.action === 'insert') return { data: { id: 'run1', ...operation.payload }, error: null };
+  return { data: operation.single ? null : [], error: null };
+});
+
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+let user = { id: 'u1', plan: 'gratuito', role: 'admin' };
+const auth = (req, res, next) => { req.user = user; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: auth, authenticateAdmin: auth, optionalAuthenticateUser: auth } };
+
+const app = express();
+app.use(express.json());
+app.use('/agents', require('../routes/agents'));
+
+async function evaluate(body = {}) {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/agents/a1/evaluate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+const modelCalls = () => fake.calls.filter(call => call.table === 'ai_usage_ledger' && call.action === 'insert').length;
+
+test('avaliação dentro dos limites registra a execução do usuário', async () => {
+  const response = await evaluate();
+
+  assert.equal(response.status, 201);
+  assert.ok(modelCalls() > 0);
+  const rpc = fake.calls.find(call => call.rpc === 'consume_entitlement');
+  assert.equal(rpc.params.target_feature, 'rate:agent_evaluation');
+  assert.equal(rpc.params.target_user_id, 'u1');
+  assert.equal(fake.calls.find(call => call.rpc === 'ai_usage_spend').params.feature_filter, 'agent_evaluation');
+});
+
+test('limite de execuções atingido recusa a avaliação sem chamar o modelo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  granted = false;
+  const before = modelCalls();
+  const response = await evaluate();
+
+  assert.equal(response.status, 429);
+  assert.equal(modelCalls(), before);
+  granted = true;
+});
+
+test('pedido inválido ou de quem não gerencia o agente não gasta execuções', async () => {
+  const before = fake.calls.filter(call => call.rpc === 'consume_entitlement').length;
+  const invalid = await evaluate({ judge: 'sim' });
+  user = { id: 'u2', plan: 'gratuito', email: 'outro@example.com' };
+  const notOwner = await evaluate();
+  user = { id: 'u1', plan: 'gratuito', role: 'admin' };
+
+  assert.equal(invalid.status, 400);
+  assert.equal(notOwner.status, 403);
+  assert.equal(fake.calls.filter(call => call.rpc === 'consume_entitlement').length, before);
+});
+
+test('gasto que chega ao limite no meio da execução interrompe as perguntas restantes', async () => {
+  spending = [0, 0, 0.4, 1.1];
+  const before = modelCalls();
+  const response = await evaluate();
+
+  assert.equal(response.status, 201);
+  assert.equal(modelCalls() - before, 2);
+  assert.equal(response.body.data.status, 'parcial');
+  assert.equal(response.body.data.resultados[2].erro, 'Limite diário de gastos com avaliações atingido');
+});
+
+test('gasto diário com avaliações esgotado recusa a avaliação sem chamar o modelo', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  spending = [1.2];
+  const before = modelCalls();
+  const response = await evaluate();
+
+  assert.equal(response.status, 429);
+  assert.equal(response.body.gasto.limit, 1);
+  assert.equal(modelCalls(), before);
+});
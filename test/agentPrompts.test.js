@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Outra edição grava a versão 3 entre a leitura da última versão e o insert desta
+let stored = [{ id: 'v2', versao: 2, conteudo: 'prompt 2' }];
+let conflicts = 1;
+const fake = installFakeSupabase((operation) => {
+  if (operation.table !== 'agent_prompt_versions') return { data: null, error: null };
+  if (operation.action === 'insert') {
+    if (conflicts-- > 0) {
+      stored = [{ id: 'v3', versao: 3, conteudo: 'prompt de outra edição' }];
+      return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+    }
+    return { data: { id: 'nova', ...operation.payload }, error: null };
+  }
+  return { data: stored, error: null };
+});
+const { publishPrompt } = require('../services/agentPrompts');
+
+test('publicação simultânea com o mesmo número de versão grava a seguinte', async () => {
+  const result = await publishPrompt({ id: 'agent-1', trained_prompt: 'prompt 2' }, { content: 'prompt novo' });
+
+  assert.equal(result.created, true);
+  assert.equal(result.version.versao, 4);
+  const inserts = fake.calls.filter(call => call.action === 'insert').map(call => call.payload.versao);
+  assert.deepEqual(inserts, [3, 4]);
+  const update = fake.calls.find(call => call.table === 'politician_agents' && call.action === 'update');
+  assert.equal(update.payload.prompt_version, 4);
+});
+
+test('conflito em todas as tentativas propaga o erro', async () => {
+  conflicts = 3;
+  await assert.rejects(
+    publishPrompt({ id: 'agent-1', trained_prompt: 'prompt 2' }, { content: 'outro prompt' }),
+    error => error.code === '23505'
+  );
+});
@@ -0,0 +1,68 @@
+// Dispatcher de IA offline: cadeia só com o provedor mock, sem rede nem banco
+process.env.AI_PROVIDER_CHAIN = 'mock';
+process.env.AI_LOCAL_BASE_URL = '';
+process.env.AI_MOCK_RESPONSE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+const fake = installFakeSupabase();
+const aiConfig = require('../config/ai');
+const llmProviders = require('../services/llmProviders');
+const { smartDispatcher, smartDispatcherStream } = require('../services/aiService');
+
+test('cadeia configurada por lista de provedores e modelos', () => {
+  assert.deepEqual(aiConfig.parseChain('local,mock'), [{ provider: 'local' }, { provider: 'mock' }]);
+  assert.deepEqual(aiConfig.parseChain('openrouter:openai/gpt-4o-mini'), [{ provider: 'openrouter', models: ['openai/gpt-4o-mini'] }]);
+  assert.deepEqual(aiConfig.parseChain('[{"provider":"mock","models":["m1"]}]'), [{ provider: 'mock', models: ['m1'] }]);
+  assert.equal(aiConfig.parseChain(''), aiConfig.parseChain(undefined));
+});
+
+test('provedor local sem AI_LOCAL_BASE_URL não conta como configurado', () => {
+  assert.equal(llmProviders.getProvider('local').isConfigured(), false);
+  assert.equal(llmProviders.hasConfiguredProvider([{ provider: 'local' }]), false);
+  assert.equal(llmProviders.hasConfiguredProvider([{ provider: 'local' }, { provider: 'mock' }]), true);
+});
+
+test('mock é determinístico e o uso vai para o ledger', async () => {
+  const usage = { feature: 'teste', userId: 'u1', plan: 'gratuito' };
+  const first = await smartDispatcher('Olá, mundo', 'Sistema', { usage });
+  const second = await smartDispatcher('Olá, mundo', 'Sistema', { usage });
+
+  assert.equal(first.provider, 'mock');
+  assert.equal(first.model, 'mock-1');
+  assert.equal(first.content, '[mock-1] Olá, mundo');
+  assert.equal(second.content, first.content);
+  assert.equal(first.cost, 0);
+
+  const ledger = fake.calls.filter(call => call.table === 'ai_usage_ledger' && call.action === 'insert');
+  assert.equal(ledger.length, 2);
+  assert.equal(ledger[0].payload.feature, 'teste');
+  assert.equal(ledger[0].payload.provider, 'mock');
+});
+
+test('streaming emite a resposta em trechos', async () => {
+  const tokens = [];
+  // Maior que a margem retida pela verificação de saída, para sair em mais de um trecho
+  const result = await smartDispatcherStream('um dois três '.repeat(20), null, { onToken: token => tokens.push(token) });
+
+  assert.equal(tokens.join(''), result.content);
+  assert.ok(tokens.length > 1);
+});
+
+test('falha de um provedor passa para o próximo da cadeia', async () => {
+  llmProviders.registerProvider('instavel', {
+    name: 'instavel',
+    defaultModel: 'x',
+    isConfigured: () => true,
+    chat: async () => { throw Object.assign(new Error('indisponível'), { status: 503 }); }
+  });
+
+  const result = await smartDispatcher('Oi', null, { chain: [{ provider: 'instavel' }, { provider: 'mock' }] });
+  assert.equal(result.provider, 'mock');
+});
+
+test('sem provedor disponível o dispatcher falha', async () => {
+  await assert.rejects(smartDispatcher('Oi', null, { chain: [{ provider: 'local' }] }), /Todos os provedores de IA falharam/);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Linhas como as devolvidas pela função ai_usage_report (numéricos chegam como texto)
+const reportRows = [
+  { dimension: 'total', key: 'total', calls: 3, prompt_tokens: 111, completion_tokens: 56, total_tokens: 167, cost_usd: '1.750000', unique_users: 2 },
+  { dimension: 'feature', key: 'chat', calls: 2, prompt_tokens: 11, completion_tokens: 6, total_tokens: 17, cost_usd: '0.500000', unique_users: 1 },
+  { dimension: 'feature', key: 'fake_news', calls: 1, prompt_tokens: 100, completion_tokens: 50, total_tokens: 150, cost_usd: '1.250000', unique_users: 1 },
+  { dimension: 'day', key: '2026-10-02', calls: 2, prompt_tokens: 101, completion_tokens: 51, total_tokens: 152, cost_usd: '1.250000', unique_users: 1 },
+  { dimension: 'day', key: '2026-10-01', calls: 1, prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost_usd: '0.500000', unique_users: 1 }
+];
+
+const fake = installFakeSupabase((operation) => (
+  operation.rpc === 'ai_usage_report' ? { data: reportRows, error: null } : { data: [], error: null }
+));
+const { getUsageReport } = require('../services/aiUsageLedger');
+
+test('relatório de uso vem agregado do banco', async () => {
+  const report = await getUsageReport({ startDate: '2026-10-01', endDate: '2026-10-31', feature: 'chat' });
+
+  assert.deepEqual(fake.calls[0].params, { start_date: '2026-10-01', end_date: '2026-10-31', feature_filter: 'chat', plan_filter: null });
+  assert.equal(report.totals.calls, 3);
+  assert.equal(report.totals.cost_usd, 1.75);
+  assert.equal(report.totals.cost_per_user_usd, 0.875);
+  assert.deepEqual(report.byFeature.map(bucket => bucket.key), ['fake_news', 'chat']);
+  assert.deepEqual(report.byDay.map(bucket => bucket.key), ['2026-10-01', '2026-10-02']);
+  assert.deepEqual(report.byPlan, []);
+});
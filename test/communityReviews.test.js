@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Verificação privada de outro usuário, já decidida pela moderação
+const check = { id: 'c1', user_id: 'dono', resultado: 'fake', resultado_final: 'fake', situacao: 'confirmada', compartilhavel: false, verificacao_original_id: null };
+const fake = installFakeSupabase((operation) => {
+  if (operation.table === 'fake_news_checks') return { data: check, error: null };
+  if (operation.table === 'fake_news_reviewers') return { data: { user_id: 'revisor', status: 'ativo', reputacao: 70 }, error: null };
+  return { data: [], error: null };
+});
+
+let currentUser = { id: 'revisor', role: 'user' };
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+const auth = (req, res, next) => { req.user = currentUser; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: auth, authenticateAdmin: auth, optionalAuthenticateUser: auth } };
+
+const { submitReview } = require('../services/communityReviews');
+const app = express();
+app.use(express.json());
+app.use('/fake-news', require('../routes/fakeNews'));
+
+test('revisão de verificação já moderada é recusada em vez de ficar pendente', async () => {
+  const result = await submitReview(check, { user_id: 'revisor', reputacao: 70 }, { resultado: 'fake', evidencias: ['https://exemplo.com'], notas: null });
+
+  assert.equal(result.status, 409);
+  assert.equal(fake.calls.some(call => call.table === 'fake_news_reviews' && call.action !== 'select'), false);
+});
+
+test('revisões de verificação privada só aparecem para o dono e admins', async () => {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  const getReviews = () => fetch(`http://127.0.0.1:${server.address().port}/fake-news/c1/reviews`).then(response => response.status);
+
+  try {
+    assert.equal(await getReviews(), 404);
+    currentUser = { id: 'dono', role: 'user' };
+    assert.equal(await getReviews(), 200);
+    currentUser = { id: 'moderador', role: 'admin' };
+    assert.equal(await getReviews(), 200);
+  } finally {
+    server.close();
+  }
+});
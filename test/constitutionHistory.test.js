@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Emenda 19 já cadastrada sem data; as demais são criadas a partir das notas
+const fake = installFakeSupabase((operation) => {
+  if (operation.table === 'constitution_amendments' && operation.action === 'select') {
+    return { data: [{ id: 'ec19', tipo: 'EC', numero: 19, ano: 1998, promulgada_em: null }], error: null };
+  }
+  if (operation.table === 'constitution_amendments' && operation.action === 'insert') {
+    return { data: operation.payload.map(row => ({ id: `${row.tipo}${row.numero}`.toLowerCase(), ...row })), error: null };
+  }
+  return { data: [], error: null };
+});
+const { ensureAmendments, recordArticleVersions } = require('../services/constitutionHistory');
+const { amendmentNotes } = require('../services/constitutionParser');
+
+const inserted = (table) => fake.calls.filter(call => call.table === table && call.action === 'insert').flatMap(call => [].concat(call.payload));
+
+test('primeira importação usa a data de promulgação das notas e das emendas de revisão', async () => {
+  const texto = 'Art. 1º Texto (Incluído pela Emenda Constitucional nº 45, de 30 de dezembro de 2004)\n§ 1º Outro (Revogado pela Emenda Constitucional de Revisão nº 5, de 1994)';
+  await recordArticleVersions([
+    { id: 'a1', caput: 'Texto', texto, dispositivos: [], emendas: amendmentNotes(texto) }
+  ]);
+
+  const amendments = inserted('constitution_amendments');
+  assert.deepEqual(amendments.map(row => [row.tipo, row.numero, row.promulgada_em]), [['EC', 45, '2004-12-30'], ['ECR', 5, '1994-06-07']]);
+  assert.equal(inserted('constitution_article_versions')[0].vigente_desde, '2004-12-30');
+});
+
+test('data conhecida depois completa a emenda e as versões gravadas sem vigência', async () => {
+  const found = await ensureAmendments([{ tipo: 'EC', numero: 19, ano: 1998, promulgada_em: '1998-06-04' }]);
+
+  assert.equal(found.get('EC|19').promulgada_em, '1998-06-04');
+  const backfill = fake.calls.find(call => call.table === 'constitution_article_versions' && call.action === 'update');
+  assert.deepEqual(backfill.payload, { vigente_desde: '1998-06-04' });
+  assert.deepEqual(backfill.filters, [['eq', 'amendment_id', 'ec19'], ['is', 'vigente_desde', null]]);
+});
@@ -0,0 +1,41 @@
+process.env.AI_CONTEXT_MAX_TURNS = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Banco com 5 turnos; devolve os N mais recentes conforme a ordem e o limite pedidos
+const turns = [1, 2, 3, 4, 5].map(n => ({
+  message: `pergunta ${n}`,
+  response: `resposta ${n}`,
+  created_at: `2026-01-0${n}T00:00:00.000Z`
+}));
+
+const fake = installFakeSupabase((operation) => {
+  if (operation.table !== 'ai_conversations') return { data: null, error: null };
+  const order = operation.filters.find(([method]) => method === 'order');
+  const limit = operation.filters.find(([method]) => method === 'limit');
+  const sorted = order[2].ascending ? [...turns] : [...turns].reverse();
+  return { data: sorted.slice(0, limit[1]), error: null };
+});
+
+const { buildConversationContext } = require('../services/conversationContext');
+
+test('histórico traz os turnos mais recentes em ordem cronológica', async () => {
+  const { history, turnsIncluded } = await buildConversationContext('u1', 'c1', { tokenBudget: 10000 });
+
+  assert.equal(turnsIncluded, 3);
+  assert.deepEqual(history.filter(m => m.role === 'user').map(m => m.content), ['pergunta 3', 'pergunta 4', 'pergunta 5']);
+  assert.ok(fake.calls.some(call => call.table === 'ai_conversations'));
+});
+
+test('resumo é lido e gravado pela conversa e pelo usuário', async () => {
+  const dispatcher = async () => ({ content: 'resumo das primeiras perguntas' });
+  await buildConversationContext('u2', 'c1', { tokenBudget: 12, dispatcher });
+
+  const read = fake.calls.filter(call => call.table === 'ai_conversation_summaries' && call.action === 'select').pop();
+  assert.deepEqual(read.filters.filter(([method]) => method === 'eq'), [['eq', 'conversation_id', 'c1'], ['eq', 'user_id', 'u2']]);
+  const saved = fake.calls.find(call => call.table === 'ai_conversation_summaries' && call.action === 'upsert');
+  assert.equal(saved.payload.user_id, 'u2');
+  assert.deepEqual(saved.options, { onConflict: 'conversation_id,user_id' });
+});
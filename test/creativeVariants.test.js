@@ -0,0 +1,69 @@
+// IA Criativa com o provedor mock: cada variante gerada consome um uso de ai_creative
+process.env.AI_PROVIDER_CHAIN = 'mock';
+process.env.AI_LOCAL_BASE_URL = '';
+process.env.AI_MOCK_RESPONSE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// consume_entitlement com a cota diária do plano engajado (20 gerações)
+let used = 0;
+let nextId = 0;
+const fake = installFakeSupabase((operation) => {
+  if (operation.rpc === 'consume_entitlement') {
+    const { amount, usage_limit: limit } = operation.params;
+    if (used + amount > limit) return { data: [{ granted: false, used, usage_ids: [] }], error: null };
+    const before = used;
+    used += amount;
+    return { data: [{ granted: true, used: before, usage_ids: Array.from({ length: amount }, () => `uso-${nextId++}`) }], error: null };
+  }
+  if (operation.table === 'ai_generations' && operation.action === 'insert') return { data: { id: 'g1' }, error: null };
+  return { data: operation.single ? null : [], error: null };
+});
+
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+const auth = (req, res, next) => { req.user = { id: 'u1', plan: 'engajado' }; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: auth, authenticateAdmin: auth, optionalAuthenticateUser: auth } };
+
+const app = express();
+app.use(express.json());
+app.use('/ai', require('../routes/ai'));
+
+async function generate(body) {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/ai/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'social_post', prompt: 'Convite para a plenária do bairro', ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+const reservations = () => fake.calls.filter(call => call.rpc === 'consume_entitlement').map(call => call.params.amount);
+
+test('três variantes reservam três usos da cota', async () => {
+  const response = await generate({ variants: 3 });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.variants.length, 3);
+  assert.deepEqual(reservations(), [1, 2]);
+  assert.equal(response.body.usage.today, 3);
+});
+
+test('com menos usos restantes que variantes pedidas, gera só as que cabem na cota', async () => {
+  used = 18;
+  const before = reservations().length;
+  const response = await generate({ variants: 3 });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.variants.length, 2);
+  assert.deepEqual(reservations().slice(before), [1, 2, 1]);
+  assert.equal(response.body.usage.remaining, 0);
+});
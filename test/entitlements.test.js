@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// consume_entitlement simulado: `rpcResult` define a resposta das reservas; respostas em
+// `rpcQueue` são usadas antes, uma por chamada
+let rpcResult = { data: [{ granted: true, used: 2, usage_ids: ['r1'] }], error: null };
+const rpcQueue = [];
+const fake = installFakeSupabase((operation) => (operation.rpc ? rpcQueue.shift() || rpcResult : { data: [], error: null }));
+const { requireEntitlement } = require('../middleware/entitlements');
+const { rateLimit } = require('../middleware/rateLimit');
+
+function run(middleware, { user = { id: 'u1', plan: 'gratuito' } } = {}) {
+  const req = { user, originalUrl: '/api/ai/chat', method: 'POST' };
+  const res = Object.assign(new EventEmitter(), {
+    locals: {},
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  });
+  let nextCalled = false;
+  return middleware(req, res, () => { nextCalled = true; }).then(() => ({ req, res, nextCalled }));
+}
+
+const releases = () => fake.calls.filter(call => call.table === 'entitlement_usage' && call.action === 'delete');
+const inserts = () => fake.calls.filter(call => call.table === 'entitlement_usage' && call.action === 'insert');
+
+test('reserva o uso de forma atômica e libera a rota', async () => {
+  const { req, nextCalled } = await run(requireEntitlement('ai_chat'));
+  const rpc = fake.calls.find(call => call.rpc === 'consume_entitlement');
+
+  assert.equal(nextCalled, true);
+  assert.equal(rpc.params.target_feature, 'ai_chat');
+  assert.equal(rpc.params.amount, 1);
+  assert.equal(req.entitlement.used, 2);
+});
+
+test('cota esgotada responde 429', async () => {
+  rpcResult = { data: [{ granted: false, used: 10, usage_ids: [] }], error: null };
+  const { res, nextCalled } = await run(requireEntitlement('ai_chat'));
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+});
+
+test('erro ao consultar a cota recusa a requisição', async () => {
+  rpcResult = { data: null, error: { message: 'timeout' } };
+  const { res, nextCalled } = await run(requireEntitlement('ai_chat'));
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 503);
+});
+
+test('resposta de fallback ou com erro devolve o uso reservado', async () => {
+  rpcResult = { data: [{ granted: true, used: 0, usage_ids: ['r2'] }], error: null };
+  const skipped = await run(requireEntitlement('ai_chat'));
+  skipped.res.locals.skipEntitlementUsage = true;
+  skipped.res.emit('finish');
+
+  rpcResult = { data: [{ granted: true, used: 0, usage_ids: ['r3'] }], error: null };
+  const failed = await run(requireEntitlement('ai_chat'));
+  failed.res.statusCode = 502;
+  failed.res.emit('finish');
+  await new Promise(resolve => setImmediate(resolve));
+
+  const released = releases().map(call => call.filters.find(([method]) => method === 'in')[2]);
+  assert.deepEqual(released, [['r2'], ['r3']]);
+});
+
+test('limite de frequência usa janela deslizante e responde 429 quando atingido', async (t) => {
+  // O log do bloqueio confunde o leitor de resultados do node --test em algumas posições da saída
+  t.mock.method(console, 'log', () => {});
+  rpcResult = { data: [{ granted: false, used: 30, usage_ids: [] }], error: null };
+  const { res, nextCalled } = await run(rateLimit('agent_sandbox'));
+  const rpc = fake.calls.filter(call => call.rpc === 'consume_entitlement').pop();
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(rpc.params.target_feature, 'rate:agent_sandbox');
+  assert.equal(new Date(rpc.params.window_end) - new Date(rpc.params.window_start), 61 * 60000);
+});
+
+test('usos extras são reservados de forma atômica e o que sobrar é devolvido', async () => {
+  rpcResult = { data: [{ granted: true, used: 0, usage_ids: ['r4'] }], error: null };
+  const { req, res } = await run(requireEntitlement('ai_chat'));
+
+  rpcResult = { data: [{ granted: true, used: 1, usage_ids: ['r5', 'r6', 'r7'] }], error: null };
+  assert.equal(await req.entitlementUsage.reserveUpTo(4), 4);
+  const extra = fake.calls.filter(call => call.rpc === 'consume_entitlement').pop();
+  assert.equal(extra.params.amount, 3);
+
+  await req.entitlementUsage.settle(2);
+  res.emit('finish');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(releases().pop().filters.find(([method]) => method === 'in')[2], ['r6', 'r7']);
+  assert.equal(inserts().length, 0);
+});
+
+test('cota menor que o pedido reserva só o que resta', async () => {
+  rpcResult = { data: [{ granted: true, used: 5, usage_ids: ['r8'] }], error: null };
+  const { req } = await run(requireEntitlement('ai_chat'));
+  const before = fake.calls.filter(call => call.rpc === 'consume_entitlement').length;
+
+  // gratuito: 10 por dia; com 6 usados não cabem mais 19, só 4
+  rpcQueue.push(
+    { data: [{ granted: false, used: 6, usage_ids: [] }], error: null },
+    { data: [{ granted: true, used: 6, usage_ids: ['r9', 'r10', 'r11', 'r12'] }], error: null }
+  );
+  const reserved = await req.entitlementUsage.reserveUpTo(20);
+  const attempts = fake.calls.filter(call => call.rpc === 'consume_entitlement').slice(before).map(call => call.params.amount);
+
+  assert.deepEqual(attempts, [19, 4]);
+  assert.equal(reserved, 5);
+});
+
+test('resposta com erro devolve também os usos extras reservados', async () => {
+  rpcResult = { data: [{ granted: true, used: 0, usage_ids: ['r13'] }], error: null };
+  const { req, res } = await run(requireEntitlement('ai_chat'));
+  rpcResult = { data: [{ granted: true, used: 1, usage_ids: ['r14'] }], error: null };
+  await req.entitlementUsage.reserveUpTo(2);
+
+  res.statusCode = 502;
+  res.emit('finish');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(releases().pop().filters.find(([method]) => method === 'in')[2], ['r13', 'r14']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Verificação analisada com uma versão de prompt; fake_news_feedback tem chave única (check_id, user_id)
+const votes = new Set();
+const fake = installFakeSupabase((operation) => {
+  if (operation.table === 'fake_news_checks') {
+    return { data: { id: 'check-1', prompt_versions: [{ key: 'fake_news_analysis', version_id: 'v1' }] }, error: null };
+  }
+  if (operation.table === 'fake_news_feedback' && operation.action === 'insert') {
+    const key = `${operation.payload.check_id}:${operation.payload.user_id}`;
+    if (votes.has(key)) return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+    votes.add(key);
+    return { data: operation.payload, error: null };
+  }
+  if (operation.table === 'fake_news_feedback') return { data: operation.payload, error: null };
+  return { data: null, error: null };
+});
+
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+const auth = (req, res, next) => { req.user = { id: 'u1', plan: 'gratuito' }; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: auth, authenticateAdmin: auth, optionalAuthenticateUser: auth } };
+
+const app = express();
+app.use(express.json());
+app.use('/fake-news', require('../routes/fakeNews'));
+
+test('votos repetidos do mesmo usuário contam uma vez para a versão do prompt', async () => {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  try {
+    for (const tipo_feedback of ['concordo', 'concordo', 'discordo']) {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/fake-news/check-1/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tipo_feedback })
+      });
+      assert.equal(response.status, 200);
+    }
+
+    const outcomes = fake.calls.filter(call => call.table === 'prompt_outcomes' && call.action === 'insert');
+    assert.equal(outcomes.length, 1);
+    assert.equal(outcomes[0].payload[0].score, 1);
+    const upserts = fake.calls.filter(call => call.table === 'fake_news_feedback' && call.action === 'upsert');
+    assert.equal(upserts.length, 2);
+    assert.deepEqual(upserts[1].options, { onConflict: 'check_id,user_id' });
+    assert.equal(upserts[1].payload.tipo_feedback, 'discordo');
+  } finally {
+    server.close();
+  }
+});
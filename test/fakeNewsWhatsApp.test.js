@@ -0,0 +1,66 @@
+// Conversa exportada do WhatsApp com o provedor mock: o lote é reservado na cota antes das análises
+process.env.AI_PROVIDER_CHAIN = 'mock';
+process.env.AI_LOCAL_BASE_URL = '';
+process.env.AI_MOCK_RESPONSE = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// consume_entitlement com a cota mensal do plano gratuito (10 análises), 8 já usadas
+let used = 8;
+let nextId = 0;
+const fake = installFakeSupabase((operation) => {
+  if (operation.rpc === 'consume_entitlement') {
+    const { amount, usage_limit: limit } = operation.params;
+    if (used + amount > limit) return { data: [{ granted: false, used, usage_ids: [] }], error: null };
+    const before = used;
+    used += amount;
+    return { data: [{ granted: true, used: before, usage_ids: Array.from({ length: amount }, () => `uso-${nextId++}`) }], error: null };
+  }
+  if (operation.table === 'fake_news_checks' && operation.action === 'insert') return { data: { id: `check-${nextId++}`, ...operation.payload }, error: null };
+  return { data: operation.single ? null : [], error: null };
+});
+
+const authPath = path.join(__dirname, '..', 'middleware', 'auth.js');
+const auth = (req, res, next) => { req.user = { id: 'u1', plan: 'gratuito' }; next(); };
+require.cache[authPath] = { id: authPath, filename: authPath, loaded: true, exports: { authenticateUser: auth, authenticateAdmin: auth, optionalAuthenticateUser: auth } };
+
+const app = express();
+app.use(express.json());
+app.use('/fake-news', require('../routes/fakeNews'));
+
+const chat = [
+  '12/10/2024 14:32 - Maria: Encaminhada',
+  'A vacina altera o DNA de quem toma, compartilhe antes que apaguem',
+  '12/10/2024 14:35 - João: Encaminhada',
+  'O governo vai confiscar a poupança de todos na segunda-feira',
+  '12/10/2024 14:40 - Ana: Encaminhada',
+  'As urnas eletrônicas foram hackeadas na última eleição, veja o vídeo'
+].join('\n');
+
+test('lote maior que a cota restante analisa só o que foi reservado', async () => {
+  const server = await new Promise(resolve => { const listener = app.listen(0, '127.0.0.1', () => resolve(listener)); });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/fake-news/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'whatsapp', content: chat })
+    });
+    const body = await response.json();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(response.status, 200);
+    assert.equal(body.relatorio.length, 2);
+    const reservations = fake.calls.filter(call => call.rpc === 'consume_entitlement').map(call => call.params.amount);
+    // Um uso do middleware; o lote de 3 não cabe, então só o que resta (1) é reservado
+    assert.deepEqual(reservations, [1, 2, 1]);
+    assert.equal(used, 10);
+    assert.equal(body.relatorio.filter(item => item.indisponivel).length, 0);
+    assert.equal(fake.calls.filter(call => call.table === 'entitlement_usage' && call.action === 'delete').length, 0);
+  } finally {
+    server.close();
+  }
+});
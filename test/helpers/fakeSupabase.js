@@ -0,0 +1,72 @@
+// Cliente Supabase em memória para os testes: substitui config/supabase antes de carregar os
+// serviços, para que nada saia para a rede. Cada consulta resolve com `responder(operação)`,
+// que por padrão devolve lista vazia; inserts ficam registrados em `calls`.
+const path = require('path');
+
+function createFakeSupabase(responder = () => ({ data: [], error: null })) {
+  const calls = [];
+
+  const from = (table) => {
+    const operation = { table, action: 'select', filters: [], payload: null, single: false };
+    const builder = {
+      then(resolve, reject) {
+        calls.push(operation);
+        return Promise.resolve(responder(operation)).then(resolve, reject);
+      }
+    };
+
+    for (const action of ['insert', 'update', 'upsert', 'delete']) {
+      builder[action] = (payload, options) => {
+        operation.action = action;
+        operation.payload = payload;
+        if (options) operation.options = options;
+        return builder;
+      };
+    }
+    for (const method of ['select', 'eq', 'neq', 'in', 'gte', 'lte', 'gt', 'lt', 'is', 'order', 'limit', 'range', 'or', 'ilike', 'textSearch', 'contains']) {
+      builder[method] = (...args) => {
+        if (method !== 'select' || operation.action === 'select') operation.filters.push([method, ...args]);
+        return builder;
+      };
+    }
+    builder.single = builder.maybeSingle = () => {
+      operation.single = true;
+      return builder;
+    };
+
+    return builder;
+  };
+
+  // Como no supabase-js, o resultado de uma função aceita ordenação e paginação
+  const rpc = (name, params) => {
+    const operation = { rpc: name, params, filters: [] };
+    const builder = {
+      then(resolve, reject) {
+        calls.push(operation);
+        return Promise.resolve(responder(operation)).then(resolve, reject);
+      }
+    };
+    for (const method of ['order', 'limit', 'range']) {
+      builder[method] = (...args) => {
+        operation.filters.push([method, ...args]);
+        return builder;
+      };
+    }
+    return builder;
+  };
+
+  return { supabase: { from, rpc }, calls };
+}
+
+// Registra o cliente falso no cache de módulos no lugar de config/supabase
+function installFakeSupabase(responder) {
+  const fake = createFakeSupabase(responder);
+  const modulePath = path.join(__dirname, '..', '..', 'config', 'supabase.js');
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: { supabase: fake.supabase } };
+  return fake;
+}
+
+module.exports = {
+  createFakeSupabase,
+  installFakeSupabase
+};
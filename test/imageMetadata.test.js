@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeImageMetadata, describeImageEvidence } = require('../services/imageMetadata');
+
+// Codificador CBOR mínimo para montar claims e assertions de teste
+function cbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const bytes = Buffer.alloc(3);
+    bytes[0] = (major << 5) | 25;
+    bytes.writeUInt16BE(length, 1);
+    return bytes;
+  };
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === 'string') return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (typeof value === 'number') return head(0, value);
+  if (Array.isArray(value)) return Buffer.concat([head(4, value.length), ...value.map(cbor)]);
+  const entries = Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([key, item]) => [cbor(key), cbor(item)])]);
+}
+
+// Caixa JUMBF (LBox + TBox + conteúdo) e superbox com descrição rotulada
+const box = (type, ...contents) => {
+  const payload = Buffer.concat(contents);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(payload.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+};
+const superbox = (label, ...children) => box('jumb', box('jumd', Buffer.alloc(16), Buffer.from([0x03]), Buffer.from(`${label}\0`)), ...children);
+
+const AI_SOURCE = 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia';
+function manifestStore({ claim = cbor({ claim_generator: 'Adobe Firefly 2.0', 'dc:title': 'arte.jpg', 'dc:format': 'image/jpeg' }) } = {}) {
+  return superbox('c2pa',
+    superbox('urn:uuid:1234',
+      superbox('c2pa.assertions',
+        superbox('c2pa.actions', box('cbor', cbor({ actions: [{ action: 'c2pa.created', digitalSourceType: AI_SOURCE }] })))),
+      superbox('c2pa.claim', box('cbor', claim))));
+}
+
+// Segmento JPEG (marcador + tamanho + dados)
+const segment = (marker, data) => {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+};
+const sof = (width, height) => {
+  const data = Buffer.alloc(6);
+  data.writeUInt8(8, 0);
+  data.writeUInt16BE(height, 1);
+  data.writeUInt16BE(width, 3);
+  return segment(0xc0, data);
+};
+const app11 = (sequence, payload) => {
+  const data = Buffer.alloc(8);
+  data.write('JP', 0, 'latin1');
+  data.writeUInt16BE(1, 2);
+  data.writeUInt32BE(sequence, 4);
+  return segment(0xeb, Buffer.concat([data, payload]));
+};
+const jpeg = (...segments) => Buffer.concat([Buffer.from([0xff, 0xd8]), ...segments, Buffer.from([0xff, 0xda])]);
+
+// TIFF big-endian com IFD0 de campos ASCII ({ tag: texto })
+function tiff(fields) {
+  const entries = Object.entries(fields);
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const values = [];
+  let valueOffset = 8 + ifdSize;
+  const ifd = Buffer.alloc(ifdSize);
+  ifd.writeUInt16BE(entries.length, 0);
+  entries.forEach(([tag, text], index) => {
+    const value = Buffer.from(`${text}\0`, 'latin1');
+    const entry = 2 + index * 12;
+    ifd.writeUInt16BE(Number(tag), entry);
+    ifd.writeUInt16BE(2, entry + 2);
+    ifd.writeUInt32BE(value.length, entry + 4);
+    ifd.writeUInt32BE(valueOffset, entry + 8);
+    values.push(value);
+    valueOffset += value.length;
+  });
+  return Buffer.concat([Buffer.from('MM\0\x2a\0\0\0\x08', 'latin1'), ifd, ...values]);
+}
+const exifSegment = (body) => segment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), body]));
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+};
+function png(...chunks) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(640, 0);
+  ihdr.writeUInt32BE(480, 4);
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), pngChunk('IHDR', ihdr), ...chunks, pngChunk('IEND', Buffer.alloc(0))]);
+}
+
+const dataUrl = (buffer, mime = 'image/jpeg') => `data:${mime};base64,${buffer.toString('base64')}`;
+
+test('JPEG com EXIF e manifesto C2PA dividido em dois segmentos APP11', () => {
+  const store = manifestStore();
+  // O segundo segmento repete o cabeçalho (8 bytes) da caixa JUMBF
+  const split = 40;
+  const image = jpeg(
+    exifSegment(tiff({ 0x010f: 'Canon', 0x0110: 'EOS R6', 0x0131: 'Adobe Photoshop' })),
+    app11(1, store.subarray(0, split)),
+    app11(2, Buffer.concat([store.subarray(0, 8), store.subarray(split)])),
+    sof(800, 600)
+  );
+  const info = analyzeImageMetadata(dataUrl(image));
+
+  assert.equal(info.format, 'JPEG');
+  assert.equal(info.width, 800);
+  assert.equal(info.height, 600);
+  assert.deepEqual(info.exif, { make: 'Canon', model: 'EOS R6', software: 'Adobe Photoshop' });
+  assert.equal(info.hasC2PA, true);
+  assert.equal(info.c2pa.claimGenerator, 'Adobe Firefly 2.0');
+  assert.equal(info.c2pa.title, 'arte.jpg');
+  assert.equal(info.c2pa.aiGenerated, true);
+  assert.deepEqual(info.c2pa.assertions, ['c2pa.actions']);
+  assert.equal(info.c2pa.signatureVerified, false);
+  assert.match(describeImageEvidence(info), /declara conteúdo gerado por IA/);
+});
+
+test('PNG com manifesto C2PA em chunk caBX', () => {
+  const info = analyzeImageMetadata(dataUrl(png(pngChunk('caBX', manifestStore())), 'image/png'));
+
+  assert.equal(info.format, 'PNG');
+  assert.equal(info.width, 640);
+  assert.equal(info.height, 480);
+  assert.equal(info.hasC2PA, true);
+  assert.equal(info.c2pa.actions[0].digitalSourceType, AI_SOURCE);
+  assert.equal(info.exif, null);
+});
+
+test('segmentos APP1 e APP11 truncados ou malformados não derrubam a análise', () => {
+  // IFD declara 5 campos, mas só um cabe no segmento
+  const truncatedExif = tiff({ 0x010f: 'Canon' });
+  truncatedExif.writeUInt16BE(5, 8);
+  // Claim com CBOR cortado no meio
+  const brokenClaim = cbor({ claim_generator: 'Adobe Firefly 2.0' }).subarray(0, 10);
+  const image = jpeg(
+    exifSegment(truncatedExif),
+    exifSegment(Buffer.from('MM\0', 'latin1')),
+    app11(1, manifestStore({ claim: brokenClaim })),
+    sof(320, 240)
+  );
+  const info = analyzeImageMetadata(dataUrl(image));
+
+  assert.equal(info.width, 320);
+  assert.equal(info.hasC2PA, true);
+  assert.equal(info.c2pa.claimGenerator, null);
+  assert.equal(info.c2pa.aiGenerated, true);
+
+  // APP11 com tamanho além do fim do arquivo: a leitura para ali, sem C2PA
+  const cut = jpeg(sof(100, 50), app11(1, manifestStore())).subarray(0, 60);
+  const cutInfo = analyzeImageMetadata(dataUrl(cut));
+  assert.equal(cutInfo.width, 100);
+  assert.equal(cutInfo.hasC2PA, false);
+  assert.equal(cutInfo.c2paError, null);
+});
+
+test('JUMBF sem manifest store e caixas com tamanho inválido são ignorados', () => {
+  const notC2pa = superbox('outra-coisa', box('json', Buffer.from('{}')));
+  const badBox = Buffer.from([0xff, 0xff, 0xff, 0xff, 0x6a, 0x75, 0x6d, 0x62, 0x00]);
+  const info = analyzeImageMetadata(dataUrl(jpeg(app11(1, Buffer.concat([notC2pa, badBox])), sof(10, 10))));
+
+  assert.equal(info.hasC2PA, false);
+  assert.equal(info.c2pa, null);
+});
+
+test('imagem sem metadados', () => {
+  const info = analyzeImageMetadata(dataUrl(jpeg(sof(50, 40))));
+
+  assert.equal(info.hasC2PA, false);
+  assert.equal(info.exif, null);
+  assert.equal(describeImageEvidence(info), 'Formato JPEG, Tamanho: 0KB, 50x40px. Sem metadados C2PA. Sem EXIF');
+
+  const unknown = analyzeImageMetadata(dataUrl(Buffer.from('não é uma imagem'), 'image/webp'));
+  assert.equal(unknown.format, 'WEBP');
+  assert.equal(unknown.width, null);
+  assert.equal(unknown.hasC2PA, false);
+});
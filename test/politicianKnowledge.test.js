@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Político com 1500 posts já indexados e sem mudanças: a lista de fontes chega em duas páginas
+const posts = Array.from({ length: 1500 }, (_, i) => ({ id: `post-${String(i).padStart(4, '0')}`, title: `Post ${i}`, content: `<p>Proposta número ${i}</p>` }));
+const hashes = new Map();
+
+const page = (rows, operation) => {
+  const [, from, to] = operation.filters.find(([method]) => method === 'range');
+  return rows.slice(from, to + 1);
+};
+
+const fake = installFakeSupabase((operation) => {
+  if (operation.table === 'politicians') {
+    return { data: { id: 'pol1', name: 'Fulana', government_plan: null, government_plan_pdf_url: 'http://[::ffff:a9fe:a9fe]/plano.pdf' }, error: null };
+  }
+  if (operation.table === 'politician_posts') return { data: page(posts, operation), error: null };
+  if (operation.rpc === 'politician_knowledge_sources') {
+    const sources = posts.filter(post => hashes.has(post.id)).map(post => ({ fonte: 'post', fonte_ref: post.id, fonte_hash: hashes.get(post.id), titulo: post.title, url: null, trechos: 1 }));
+    return { data: page(sources, operation), error: null };
+  }
+  if (operation.table === 'politician_knowledge_chunks' && operation.action === 'insert') {
+    for (const row of operation.payload) hashes.set(row.fonte_ref, row.fonte_hash);
+  }
+  return { data: null, error: null, count: posts.length };
+});
+const { indexPolitician, getKnowledgeStatus } = require('../services/politicianKnowledge');
+
+test('reindexação lê todas as páginas de posts e de fontes indexadas', async () => {
+  const first = await indexPolitician('pol1');
+  assert.equal(first.indexadas, 1500);
+
+  const second = await indexPolitician('pol1');
+  assert.equal(second.fontes, 1500);
+  assert.equal(second.inalteradas, 1500);
+  assert.equal(second.indexadas, 0);
+  assert.equal(second.removidas, 0);
+
+  const status = await getKnowledgeStatus('pol1');
+  assert.equal(status.fontes.length, 1500);
+});
+
+test('PDF do plano em endereço interno não é baixado', async () => {
+  const stats = await indexPolitician('pol1');
+  const [pdfError] = stats.erros;
+
+  assert.equal(pdfError.fonte, 'plano_pdf');
+  assert.match(pdfError.erro, /Endereço não permitido/);
+  assert.equal(fake.calls.some(call => call.table === 'politician_knowledge_chunks' && call.action === 'delete'), false);
+});
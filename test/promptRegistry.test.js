@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Contagens como as devolvidas por prompt_outcome_stats (numéricos chegam como texto)
+const fake = installFakeSupabase((operation) => {
+  if (operation.rpc === 'prompt_outcome_stats') {
+    return {
+      data: [
+        { prompt_version_id: 'v2', outcome: 'chat_feedback', positive: '1200', negative: '300' },
+        { prompt_version_id: 'v2', outcome: 'fake_news_feedback', positive: '4', negative: '6' },
+        { prompt_version_id: 'v1', outcome: 'chat_feedback', positive: '0', negative: '2' }
+      ],
+      error: null
+    };
+  }
+  if (operation.table === 'prompt_versions') return { data: [{ id: 'v2', version: 2 }, { id: 'v1', version: 1 }], error: null };
+  return { data: null, count: 7, error: null };
+});
+const { getPromptStats } = require('../services/promptRegistry');
+
+test('estatísticas por versão vêm agregadas do banco', async () => {
+  const [v2, v1] = await getPromptStats('p1', 'chat_system');
+
+  assert.deepEqual(fake.calls.find(call => call.rpc).params, { target_prompt_key: 'chat_system' });
+  assert.equal(fake.calls.some(call => call.table === 'prompt_outcomes'), false);
+  assert.equal(v2.positive, 1204);
+  assert.equal(v2.negative, 306);
+  assert.deepEqual(v2.byOutcome.fake_news_feedback, { positive: 4, negative: 6 });
+  assert.equal(v2.exposures, 7);
+  assert.equal(v1.approval, 0.25);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./helpers/fakeSupabase');
+
+// Banco simulado: o agrupamento do link ainda não existe na primeira consulta, mas outra
+// verificação o cria antes do insert desta (violação da chave única)
+let lookups = 0;
+const fake = installFakeSupabase((operation) => {
+  if (operation.rpc) return { data: null, error: null };
+  if (operation.table === 'fake_news_clusters' && operation.action === 'select') {
+    lookups++;
+    return { data: lookups === 1 ? null : { id: 'cluster-existente' }, error: null };
+  }
+  if (operation.table === 'fake_news_clusters' && operation.action === 'insert') {
+    return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+  }
+  return { data: null, error: null };
+});
+const { assignCluster } = require('../services/rumorClusters');
+
+test('agrupamento criado em paralelo é reaproveitado e a verificação entra nele', async () => {
+  const check = { id: 'check-1', tipo_input: 'link', conteudo: 'https://www.exemplo.com/noticia?utm_source=zap', resultado: 'fake' };
+  const clusterId = await assignCluster(check);
+
+  assert.equal(clusterId, 'cluster-existente');
+  const attach = fake.calls.find(call => call.table === 'fake_news_checks' && call.action === 'update');
+  assert.deepEqual(attach.payload, { cluster_id: 'cluster-existente' });
+  const refresh = fake.calls.find(call => call.rpc === 'refresh_fake_news_cluster');
+  assert.deepEqual(refresh.params, { target_cluster_id: 'cluster-existente' });
+});
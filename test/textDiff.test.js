@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../services/textDiff');
+
+test('linhas alteradas são pareadas com a diferença por palavra', () => {
+  const result = diffLines('Você é o agente.\nFale de saúde.\nSeja breve.', 'Você é o agente.\nFale de educação.\nSeja breve.');
+
+  assert.equal(result.aproximada, false);
+  assert.deepEqual(result.resumo, { iguais: 2, adicionadas: 0, removidas: 0, alteradas: 1 });
+  assert.deepEqual(result.linhas[1].partes.filter(part => part.tipo !== 'igual').map(part => part.texto), ['saúde.', 'educação.']);
+});
+
+test('textos grandes demais são comparados em bloco, mantendo início e fim iguais', () => {
+  const lines = Array.from({ length: 20000 }, (_, index) => `linha ${index}`);
+  const before = ['início', ...lines, 'fim'].join('\n');
+  const after = ['início', ...lines.slice().reverse(), 'fim'].join('\n');
+  const result = diffLines(before, after);
+
+  assert.equal(result.aproximada, true);
+  assert.deepEqual(result.linhas[0], { tipo: 'igual', texto: 'início' });
+  assert.deepEqual(result.linhas[result.linhas.length - 1], { tipo: 'igual', texto: 'fim' });
+  assert.equal(result.resumo.iguais, 2);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { isPrivateAddress, downloadPublicFile } = require('../services/urlExtractor');
+
+test('endereços internos são recusados em qualquer notação', () => {
+  const blocked = [
+    '127.0.0.1', '10.1.2.3', '169.254.169.254', '100.64.0.1', '::1', '::',
+    '::ffff:7f00:1', '::ffff:a9fe:a9fe', '::ffff:127.0.0.1', '64:ff9b::a9fe:a9fe',
+    '2002:7f00:1::', 'fec0::1', 'fe80::1%eth0', 'fd00::1'
+  ];
+  for (const address of blocked) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+
+  for (const address of ['8.8.8.8', '::ffff:808:808', '64:ff9b::808:808', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('download de IP interno em notação IPv6 é recusado antes da conexão', async () => {
+  let reached = false;
+  const server = await new Promise(resolve => {
+    const listener = http.createServer((req, res) => { reached = true; res.end('segredo'); }).listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  try {
+    const { port } = server.address();
+    for (const url of [`http://[::ffff:127.0.0.1]:${port}/`, `http://[::ffff:7f00:1]:${port}/`, `http://127.0.0.1:${port}/`]) {
+      await assert.rejects(downloadPublicFile(url), { code: 'EBLOCKEDADDRESS' });
+    }
+    assert.equal(reached, false);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWhatsAppExport, selectForwardedMessages } = require('../services/whatsappExport');
+
+test('exportação do Android com aviso do sistema, mídia oculta e mensagem de várias linhas', () => {
+  const chat = parseWhatsAppExport([
+    '12/10/2024 14:30 - As mensagens e as chamadas são protegidas com a criptografia de ponta a ponta.',
+    '12/10/2024 14:32 - Maria Souza: Bom dia, grupo!',
+    '12/10/2024 14:33 - João: <Mídia oculta>',
+    '13/10/2024 09:05 - João: Primeira linha',
+    'segunda linha',
+    '',
+    'terceira linha'
+  ].join('\r\n'));
+
+  assert.equal(chat.formato, 'dia_mes');
+  assert.deepEqual(chat.participantes, ['Maria Souza', 'João']);
+  const [system, greeting, media, multiline] = chat.mensagens;
+  assert.equal(system.sistema, true);
+  assert.equal(system.remetente, null);
+  assert.equal(greeting.data, '2024-10-12T14:32:00');
+  assert.equal(greeting.texto, 'Bom dia, grupo!');
+  assert.deepEqual(media.midias, [{ arquivo: null, tipo: 'midia', oculta: true }]);
+  assert.equal(media.texto, '');
+  assert.equal(multiline.texto, 'Primeira linha\nsegunda linha\n\nterceira linha');
+});
+
+test('exportação do iPhone com colchetes, segundos, marcas de direção e anexo', () => {
+  const chat = parseWhatsAppExport([
+    '[12/10/24, 14:32:10] Maria: Olha isso',
+    '\u200e[12/10/24, 14:33:05] Maria: \u200e<anexado: 00000012-PHOTO-2024-10-12-14-33-05.jpg>',
+    '[12/10/24, 14:34:00] João: Esta mensagem foi apagada.'
+  ].join('\n'));
+
+  const [text, photo, deleted] = chat.mensagens;
+  assert.equal(text.data, '2024-10-12T14:32:10');
+  assert.deepEqual(photo.midias, [{ arquivo: '00000012-PHOTO-2024-10-12-14-33-05.jpg', tipo: 'imagem', oculta: false }]);
+  assert.equal(deleted.apagada, true);
+  assert.equal(deleted.texto, '');
+});
+
+test('datas com mês primeiro e horário de 12 horas', () => {
+  const chat = parseWhatsAppExport([
+    '10/13/24, 9:05 PM - Ana: forwarded many times',
+    'Share before they delete it',
+    '10/14/24, 12:10 AM - Ana: ok'
+  ].join('\n'));
+
+  assert.equal(chat.formato, 'mes_dia');
+  assert.equal(chat.mensagens[0].data, '2024-10-13T21:05:00');
+  assert.equal(chat.mensagens[0].encaminhada_com_frequencia, true);
+  assert.equal(chat.mensagens[0].texto, 'Share before they delete it');
+  assert.equal(chat.mensagens[1].data, '2024-10-14T00:10:00');
+});
+
+test('encaminhadas repetidas viram um item só, com as encaminhadas com frequência primeiro', () => {
+  const corrente = 'Urgente: o governo vai confiscar a poupança de todos na segunda-feira';
+  const chat = parseWhatsAppExport([
+    '12/10/2024 10:00 - Maria: Encaminhada',
+    corrente,
+    '12/10/2024 10:05 - João: Encaminhada',
+    corrente,
+    '12/10/2024 10:10 - Ana: Encaminhada com frequência',
+    'A vacina altera o DNA de quem toma, compartilhe com todos',
+    '12/10/2024 10:15 - Ana: Texto escrito por mim, sem encaminhar, com mais de vinte letras'
+  ].join('\n'));
+
+  const selection = selectForwardedMessages(chat.mensagens, { limit: 5 });
+  assert.equal(selection.criterio, 'encaminhadas');
+  assert.equal(selection.selecionadas.length, 2);
+  const [first, second] = selection.selecionadas;
+  assert.equal(first.encaminhada_com_frequencia, true);
+  assert.equal(second.texto, corrente);
+  assert.equal(second.vezes_na_conversa, 2);
+  assert.equal(second.remetentes, 2);
+});
+
+test('texto sem cabeçalho de mensagem não vira mensagem', () => {
+  const chat = parseWhatsAppExport('isto não é uma exportação\n99/99/2024 10:00 - Maria: data inválida');
+
+  assert.deepEqual(chat.mensagens, []);
+  assert.deepEqual(chat.participantes, []);
+});